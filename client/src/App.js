@@ -13,10 +13,13 @@ import { Projects } from './pages/Projects';
 import { ProjectDetail } from './pages/ProjectDetail';
 import { Playground } from './pages/Playground';
 import { Deployments } from './pages/Deployments';
-import { Settings } from './pages/Settings';
-import { Login } from './pages/Login';
+import Settings from './pages/Settings';
+import Login from './pages/Login';
 import { Register } from './pages/Register';
 import { NotFound } from './pages/NotFound';
+import VerifyEmail from './pages/VerifyEmail';
+import ResetPassword from './pages/ResetPassword';
+import AcceptInvitation from './pages/AcceptInvitation';
 import './App.css';
 
 const queryClient = new QueryClient({
@@ -41,6 +44,9 @@ function App() {
                   {/* Public routes */}
                   <Route path="/login" element={<Login />} />
                   <Route path="/register" element={<Register />} />
+                  <Route path="/verify-email" element={<VerifyEmail />} />
+                  <Route path="/forgot-password" element={<ResetPassword />} />
+                  <Route path="/reset-password" element={<ResetPassword />} />
                   <Route path="/" element={<HomePage />} />
                   
                   {/* Protected routes */}
@@ -91,6 +97,14 @@ function App() {
                       </Layout>
                     </ProtectedRoute>
                   } />
+
+                  <Route path="/invitations/accept" element={
+                    <ProtectedRoute>
+                      <Layout>
+                        <AcceptInvitation />
+                      </Layout>
+                    </ProtectedRoute>
+                  } />
                   
                   {/* Catch all route */}
                   <Route path="*" element={<NotFound />} />
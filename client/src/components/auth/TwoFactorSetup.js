@@ -0,0 +1,138 @@
+import React, { useState, useEffect } from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+import { ShieldCheck, Loader, Copy } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+
+// One-time list of recovery codes, shown after enrolling or regenerating
+export const RecoveryCodes = ({ codes, onDone }) => {
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(codes.join('\n'));
+    toast.success('Recovery codes copied');
+  };
+
+  return (
+    <div className="card api-key-created">
+      <p>
+        Save these recovery codes somewhere safe. Each one can be used once to sign in if you lose your
+        authenticator. They will not be shown again.
+      </p>
+      <div className="recovery-codes">
+        {codes.map(code => <code key={code}>{code}</code>)}
+      </div>
+      <div className="credential-actions">
+        <button className="btn btn-secondary" onClick={handleCopy}>
+          <Copy className="w-4 h-4" />
+          Copy
+        </button>
+        <button className="btn btn-primary" onClick={onDone}>I saved them</button>
+      </div>
+    </div>
+  );
+};
+
+// TOTP enrollment: shows the QR code, confirms a first code and then the
+// recovery codes. `token` is the session token, or the interim token of a
+// login that requires enrolling; onEnabled receives the enable response.
+const TwoFactorSetup = ({ token, onEnabled }) => {
+  const [enrollment, setEnrollment] = useState(null);
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    const startSetup = async () => {
+      try {
+        const response = await fetch('/api/auth/2fa/setup', {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${token}`
+          }
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to start two-factor setup');
+        }
+        setEnrollment(data);
+      } catch (error) {
+        toast.error(error.message);
+      }
+    };
+
+    startSetup();
+  }, [token]);
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      const response = await fetch('/api/auth/2fa/enable', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ code })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to enable two-factor authentication');
+      }
+      setResult(data);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (result) {
+    return <RecoveryCodes codes={result.recoveryCodes} onDone={() => onEnabled(result)} />;
+  }
+
+  if (!enrollment) {
+    return <Loader className="w-6 h-6 animate-spin" />;
+  }
+
+  return (
+    <form className="card two-factor-setup" onSubmit={handleEnable}>
+      <h3 className="card-title">
+        <ShieldCheck className="w-5 h-5" />
+        Set up two-factor authentication
+      </h3>
+      <p className="settings-description">
+        Scan this QR code with an authenticator app (Google Authenticator, 1Password, Authy, ...), then enter the
+        6-digit code it shows.
+      </p>
+      <div className="two-factor-qr">
+        <QRCodeSVG value={enrollment.otpauthUrl} size={180} includeMargin />
+      </div>
+      <p className="credential-summary">
+        Can't scan it? Enter this key manually: <code>{enrollment.secret}</code>
+      </p>
+      <div className="credential-fields">
+        <label className="credential-field">
+          <span>Authentication code</span>
+          <input
+            className="input"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            pattern="[0-9 ]{6,7}"
+            required
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+          />
+        </label>
+      </div>
+      <div className="credential-actions">
+        <button className="btn btn-primary" type="submit" disabled={isSubmitting}>
+          {isSubmitting && <Loader className="w-4 h-4 animate-spin" />}
+          Enable
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default TwoFactorSetup;
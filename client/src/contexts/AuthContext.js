@@ -1,8 +1,21 @@
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
+import React, { createContext, useContext, useReducer, useEffect, useRef, useCallback } from 'react';
 import { toast } from 'react-hot-toast';
 
 const AuthContext = createContext();
 
+// Refresh the access token this long before it expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+// Milliseconds until a JWT expires, or null if it cannot be read
+const getTokenLifetime = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp * 1000 - Date.now();
+  } catch (error) {
+    return null;
+  }
+};
+
 const initialState = {
   user: null,
   token: localStorage.getItem('token'),
@@ -30,6 +43,14 @@ const authReducer = (state, action) => {
         error: null
       };
     
+    // Password accepted, the second factor (or enrollment) is still missing
+    case 'AUTH_PENDING_2FA':
+      return {
+        ...state,
+        isLoading: false,
+        error: null
+      };
+
     case 'AUTH_FAILURE':
       return {
         ...state,
@@ -50,6 +71,10 @@ const authReducer = (state, action) => {
         error: null
       };
     
+    // Another tab refreshed the access token
+    case 'TOKEN_UPDATED':
+      return state.isAuthenticated ? { ...state, token: action.payload } : state;
+
     case 'UPDATE_USER':
       return {
         ...state,
@@ -69,13 +94,44 @@ const authReducer = (state, action) => {
 
 export const AuthProvider = ({ children }) => {
   const [state, dispatch] = useReducer(authReducer, initialState);
+  const refreshRequest = useRef(null);
 
-  // Check if user is authenticated on app load
+  // Exchanges the httpOnly refresh cookie for a new access token. Concurrent
+  // callers share one request: the server rotates the refresh token, and a
+  // second request with the old one would be treated as token theft.
+  const requestRefresh = useCallback(() => {
+    if (!refreshRequest.current) {
+      refreshRequest.current = fetch('/api/auth/refresh', { method: 'POST' })
+        .then(async (response) => {
+          const data = await response.json();
+          if (!data.success) {
+            throw new Error(data.error || 'Session expired');
+          }
+
+          localStorage.setItem('token', data.token);
+          dispatch({
+            type: 'AUTH_SUCCESS',
+            payload: {
+              user: data.user,
+              token: data.token
+            }
+          });
+          return data;
+        })
+        .finally(() => {
+          refreshRequest.current = null;
+        });
+    }
+    return refreshRequest.current;
+  }, []);
+
+  // Check if user is authenticated on app load; an expired access token is
+  // replaced using the refresh cookie
   useEffect(() => {
     const checkAuth = async () => {
       const token = localStorage.getItem('token');
-      if (token) {
-        try {
+      try {
+        if (token && getTokenLifetime(token) > REFRESH_MARGIN_MS) {
           const response = await fetch('/api/auth/me', {
             headers: {
               'Authorization': `Bearer ${token}`
@@ -91,22 +147,66 @@ export const AuthProvider = ({ children }) => {
                 token
               }
             });
-          } else {
-            localStorage.removeItem('token');
-            dispatch({ type: 'AUTH_FAILURE', payload: 'Session expired' });
+            return;
           }
-        } catch (error) {
-          localStorage.removeItem('token');
-          dispatch({ type: 'AUTH_FAILURE', payload: 'Authentication check failed' });
         }
-      } else {
-        dispatch({ type: 'AUTH_FAILURE', payload: null });
+
+        await requestRefresh();
+      } catch (error) {
+        localStorage.removeItem('token');
+        dispatch({ type: 'AUTH_FAILURE', payload: token ? 'Session expired' : null });
       }
     };
 
     checkAuth();
+  }, [requestRefresh]);
+
+  // Tabs share the stored token: adopt one refreshed elsewhere, which also
+  // moves this tab's refresh timer past it
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key === 'token' && event.newValue) {
+        dispatch({ type: 'TOKEN_UPDATED', payload: event.newValue });
+      }
+    };
+
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
   }, []);
 
+  // Renew the access token shortly before it expires
+  useEffect(() => {
+    if (!state.token) return undefined;
+
+    const lifetime = getTokenLifetime(state.token);
+    if (lifetime === null) return undefined;
+
+    const timer = setTimeout(() => {
+      requestRefresh().catch(() => {
+        localStorage.removeItem('token');
+        dispatch({ type: 'LOGOUT' });
+        toast.error('Your session has expired. Please log in again.');
+      });
+    }, Math.max(lifetime - REFRESH_MARGIN_MS, 0));
+
+    return () => clearTimeout(timer);
+  }, [state.token, requestRefresh]);
+
+  // Stores the tokens of a completed login
+  const acceptLogin = (data) => {
+    localStorage.setItem('token', data.token);
+    dispatch({
+      type: 'AUTH_SUCCESS',
+      payload: {
+        user: data.user,
+        token: data.token
+      }
+    });
+    toast.success('Login successful!');
+  };
+
+  // Resolves with `twoFactorRequired` or `twoFactorSetupRequired` and an
+  // `interimToken` when the login needs a second step
   const login = async (email, password) => {
     dispatch({ type: 'AUTH_START' });
 
@@ -121,21 +221,24 @@ export const AuthProvider = ({ children }) => {
 
       const data = await response.json();
 
+      if (data.success && (data.twoFactorRequired || data.twoFactorSetupRequired)) {
+        dispatch({ type: 'AUTH_PENDING_2FA' });
+        return {
+          success: false,
+          twoFactorRequired: Boolean(data.twoFactorRequired),
+          twoFactorSetupRequired: Boolean(data.twoFactorSetupRequired),
+          interimToken: data.interimToken
+        };
+      }
+
       if (data.success) {
-        localStorage.setItem('token', data.token);
-        dispatch({
-          type: 'AUTH_SUCCESS',
-          payload: {
-            user: data.user,
-            token: data.token
-          }
-        });
-        toast.success('Login successful!');
+        acceptLogin(data);
         return { success: true };
       } else {
         dispatch({ type: 'AUTH_FAILURE', payload: data.error || 'Login failed' });
         toast.error(data.error || 'Login failed');
-        return { success: false, error: data.error };
+        // SSO_REQUIRED comes with the organization to sign in through
+        return { success: false, error: data.error, code: data.code, organization: data.organization };
       }
     } catch (error) {
       dispatch({ type: 'AUTH_FAILURE', payload: 'Network error' });
@@ -144,6 +247,32 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Second login step: a TOTP code or a recovery code
+  const verifyTwoFactor = async (interimToken, { code, recoveryCode }) => {
+    try {
+      const response = await fetch('/api/auth/login/2fa', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ interimToken, code, recoveryCode })
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        acceptLogin(data);
+        return { success: true };
+      }
+
+      toast.error(data.error || 'Verification failed');
+      return { success: false, error: data.error, code: data.code };
+    } catch (error) {
+      toast.error('Network error. Please try again.');
+      return { success: false, error: 'Network error' };
+    }
+  };
+
   const register = async (userData) => {
     dispatch({ type: 'AUTH_START' });
 
@@ -184,10 +313,7 @@ export const AuthProvider = ({ children }) => {
   const logout = async () => {
     try {
       await fetch('/api/auth/logout', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${state.token}`
-        }
+        method: 'POST'
       });
     } catch (error) {
       console.error('Logout error:', error);
@@ -253,29 +379,8 @@ export const AuthProvider = ({ children }) => {
 
   const refreshToken = async () => {
     try {
-      const response = await fetch('/api/auth/refresh', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${state.token}`
-        }
-      });
-
-      const data = await response.json();
-
-      if (data.success) {
-        localStorage.setItem('token', data.token);
-        dispatch({
-          type: 'AUTH_SUCCESS',
-          payload: {
-            user: state.user,
-            token: data.token
-          }
-        });
-        return { success: true };
-      } else {
-        logout();
-        return { success: false };
-      }
+      await requestRefresh();
+      return { success: true };
     } catch (error) {
       logout();
       return { success: false };
@@ -289,6 +394,8 @@ export const AuthProvider = ({ children }) => {
   const value = {
     ...state,
     login,
+    verifyTwoFactor,
+    acceptLogin,
     register,
     logout,
     updateProfile,
@@ -1,4 +1,4 @@
-import React, { createContext, useContext, useEffect, useState } from 'react';
+import React, { createContext, useContext, useEffect, useRef, useState } from 'react';
 import { io } from 'socket.io-client';
 import { useAuth } from './AuthContext';
 
@@ -8,81 +8,93 @@ export const SocketProvider = ({ children }) => {
   const [socket, setSocket] = useState(null);
   const [isConnected, setIsConnected] = useState(false);
   const { isAuthenticated, token } = useAuth();
+  // Read on every (re)connect, so refreshing the access token does not
+  // replace the socket and interrupt streams and project rooms
+  const tokenRef = useRef(token);
+  // Project rooms to rejoin after a reconnect
+  const projectsRef = useRef(new Set());
 
   useEffect(() => {
-    if (isAuthenticated && token) {
-      // Initialize socket connection
-      const newSocket = io(process.env.REACT_APP_WS_URL || 'ws://localhost:5000', {
-        auth: {
-          token: token
-        },
-        transports: ['websocket', 'polling']
-      });
-
-      // Connection event handlers
-      newSocket.on('connect', () => {
-        console.log('Socket connected:', newSocket.id);
-        setIsConnected(true);
-      });
-
-      newSocket.on('disconnect', () => {
-        console.log('Socket disconnected');
-        setIsConnected(false);
-      });
-
-      newSocket.on('connect_error', (error) => {
-        console.error('Socket connection error:', error);
-        setIsConnected(false);
-      });
-
-      // Authentication events
-      newSocket.on('authenticated', () => {
-        console.log('Socket authenticated');
-      });
-
-      newSocket.on('unauthorized', (error) => {
-        console.error('Socket authentication failed:', error);
-      });
-
-      setSocket(newSocket);
-
-      // Cleanup on unmount or auth change
-      return () => {
-        newSocket.close();
-        setSocket(null);
-        setIsConnected(false);
-      };
-    } else {
-      // Close socket if not authenticated
-      if (socket) {
-        socket.close();
-        setSocket(null);
-        setIsConnected(false);
-      }
-    }
-  }, [isAuthenticated, token]);
+    tokenRef.current = token;
+  }, [token]);
+
+  useEffect(() => {
+    if (!isAuthenticated) return undefined;
+    const projects = projectsRef.current;
+
+    // Initialize socket connection
+    const newSocket = io(process.env.REACT_APP_WS_URL || 'ws://localhost:5000', {
+      auth: (callback) => callback({ token: tokenRef.current }),
+      transports: ['websocket', 'polling']
+    });
+
+    // Connection event handlers
+    newSocket.on('connect', () => {
+      console.log('Socket connected:', newSocket.id);
+      setIsConnected(true);
+      projects.forEach(projectId => newSocket.emit('join-project', projectId));
+    });
+
+    newSocket.on('disconnect', () => {
+      console.log('Socket disconnected');
+      setIsConnected(false);
+    });
+
+    newSocket.on('connect_error', (error) => {
+      console.error('Socket connection error:', error);
+      setIsConnected(false);
+    });
+
+    // Authentication events
+    newSocket.on('authenticated', () => {
+      console.log('Socket authenticated');
+    });
+
+    newSocket.on('unauthorized', (error) => {
+      console.error('Socket authentication failed:', error);
+    });
+
+    setSocket(newSocket);
+
+    // Cleanup on unmount or logout
+    return () => {
+      newSocket.close();
+      projects.clear();
+      setSocket(null);
+      setIsConnected(false);
+    };
+  }, [isAuthenticated]);
 
   const joinProject = (projectId) => {
+    projectsRef.current.add(projectId);
     if (socket && isConnected) {
       socket.emit('join-project', projectId);
     }
   };
 
   const leaveProject = (projectId) => {
+    projectsRef.current.delete(projectId);
     if (socket && isConnected) {
       socket.emit('leave-project', projectId);
     }
   };
 
-  const sendDeploymentUpdate = (projectId, data) => {
+  // Starts a streamed AI reply; tokens arrive as `ai-response-chunk` events
+  // tagged with the returned message id, followed by `ai-response-done`.
+  // Pass `conversationId` to continue a stored conversation; without it the
+  // server starts a new one and reports its id in `ai-response-done`.
+  const sendChatMessage = (message, context = {}, { conversationId, projectId } = {}) => {
     if (socket && isConnected) {
-      socket.emit('deployment-update', { projectId, ...data });
+      const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+      socket.emit('ai-chat', { messageId, message, context, conversationId, projectId });
+      return messageId;
     }
+    return null;
   };
 
-  const sendChatMessage = (message, context = {}) => {
-    if (socket && isConnected) {
-      socket.emit('ai-chat', { message, context });
+  const cancelChatMessage = (messageId) => {
+    if (socket && isConnected && messageId) {
+      socket.emit('ai-chat-cancel', { messageId });
     }
   };
 
@@ -91,8 +103,8 @@ export const SocketProvider = ({ children }) => {
     isConnected,
     joinProject,
     leaveProject,
-    sendDeploymentUpdate,
-    sendChatMessage
+    sendChatMessage,
+    cancelChatMessage
   };
 
   return (
@@ -0,0 +1,82 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { CheckCircle, AlertCircle, Loader } from 'lucide-react';
+import './Settings.css';
+
+// Landing page of the link in an organization invitation email
+const AcceptInvitation = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const [status, setStatus] = useState('accepting');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    const accept = async () => {
+      try {
+        const response = await fetch('/api/organization/invitations/accept', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${localStorage.getItem('token')}`
+          },
+          body: JSON.stringify({ token: searchParams.get('token') })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to accept invitation');
+        }
+        setStatus('accepted');
+        setMessage(data.message);
+      } catch (error) {
+        setStatus('failed');
+        setMessage(error.message);
+      }
+    };
+
+    accept();
+  }, [searchParams]);
+
+  return (
+    <div className="settings-page">
+      <div className="card">
+        {status === 'accepting' && (
+          <h2 className="card-title">
+            <Loader className="w-5 h-5 animate-spin" />
+            Accepting invitation...
+          </h2>
+        )}
+
+        {status === 'accepted' && (
+          <>
+            <h2 className="card-title">
+              <CheckCircle className="w-5 h-5" />
+              Invitation accepted
+            </h2>
+            <p className="settings-description">{message}. Projects shared with you now appear in your project list.</p>
+            <button className="btn btn-primary" onClick={() => navigate('/projects')}>
+              Go to Projects
+            </button>
+          </>
+        )}
+
+        {status === 'failed' && (
+          <>
+            <h2 className="card-title">
+              <AlertCircle className="w-5 h-5" />
+              Could not accept invitation
+            </h2>
+            <p className="settings-description">
+              {message}. Ask an organization admin to send a new invitation.
+            </p>
+            <button className="btn btn-secondary" onClick={() => navigate('/settings')}>
+              Go to Settings
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AcceptInvitation;
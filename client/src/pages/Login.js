@@ -0,0 +1,260 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { LogIn, ShieldCheck, Building2, Loader } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import TwoFactorSetup from '../components/auth/TwoFactorSetup';
+import './Settings.css';
+
+// SSO logins leave the app, so they go straight to the API server
+const API_URL = process.env.REACT_APP_API_URL || '';
+
+// Leaves for the organization's identity provider, which sends the browser
+// back to /login?sso=success with the session cookie set
+const startSso = (organization) => {
+  window.location.assign(`${API_URL}/api/auth/sso/${encodeURIComponent(organization)}/login`);
+};
+
+// Email and password, then, depending on the account, the authenticator code
+// or the mandatory two-factor enrollment. Accounts of organizations with
+// single sign-on sign in through their identity provider instead.
+const Login = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { login, verifyTwoFactor, acceptLogin, isAuthenticated, isLoading } = useAuth();
+  const [step, setStep] = useState('password');
+  const [interimToken, setInterimToken] = useState(null);
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const ssoResult = searchParams.get('sso');
+  const ssoError = searchParams.get('ssoError');
+
+  useEffect(() => {
+    if (ssoError) toast.error(ssoError);
+  }, [ssoError]);
+
+  // The session of an SSO login is picked up with the refresh cookie on load
+  useEffect(() => {
+    if (ssoResult === 'success' && isAuthenticated) navigate('/dashboard');
+  }, [ssoResult, isAuthenticated, navigate]);
+
+  const handleSso = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      const response = await fetch(`/api/auth/sso/discover?${new URLSearchParams({ email })}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to look up single sign-on');
+      }
+      if (!data.sso) {
+        throw new Error('Single sign-on is not set up for this email address');
+      }
+      startSso(data.sso.organization);
+    } catch (error) {
+      toast.error(error.message);
+      setIsSubmitting(false);
+    }
+  };
+
+  const handlePassword = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    const result = await login(email, password);
+    setIsSubmitting(false);
+
+    if (result.success) {
+      navigate('/dashboard');
+    } else if (result.twoFactorRequired) {
+      setInterimToken(result.interimToken);
+      setStep('code');
+    } else if (result.twoFactorSetupRequired) {
+      setInterimToken(result.interimToken);
+      setStep('setup');
+    } else if (result.code === 'SSO_REQUIRED') {
+      startSso(result.organization);
+    }
+  };
+
+  const handleCode = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    const result = await verifyTwoFactor(
+      interimToken,
+      useRecoveryCode ? { recoveryCode: code } : { code }
+    );
+    setIsSubmitting(false);
+
+    if (result.success) {
+      navigate('/dashboard');
+    } else if (result.code === 'INVALID_INTERIM_TOKEN') {
+      setStep('password');
+      setCode('');
+    }
+  };
+
+  const handleEnrolled = (data) => {
+    acceptLogin(data);
+    navigate('/dashboard');
+  };
+
+  if (step === 'setup') {
+    return (
+      <div className="settings-page">
+        <p className="settings-description">
+          Your account requires two-factor authentication. Set it up to finish signing in.
+        </p>
+        <TwoFactorSetup token={interimToken} onEnabled={handleEnrolled} />
+      </div>
+    );
+  }
+
+  if (step === 'code') {
+    return (
+      <div className="settings-page">
+        <form className="card" onSubmit={handleCode}>
+          <h2 className="card-title">
+            <ShieldCheck className="w-5 h-5" />
+            Two-factor authentication
+          </h2>
+          <p className="settings-description">
+            {useRecoveryCode
+              ? 'Enter one of your recovery codes.'
+              : 'Enter the 6-digit code from your authenticator app.'}
+          </p>
+          <div className="credential-fields">
+            <label className="credential-field">
+              <span>{useRecoveryCode ? 'Recovery code' : 'Authentication code'}</span>
+              <input
+                className="input"
+                autoFocus
+                required
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+              />
+            </label>
+          </div>
+          <div className="credential-actions">
+            <button className="btn btn-primary" type="submit" disabled={isSubmitting}>
+              {isSubmitting && <Loader className="w-4 h-4 animate-spin" />}
+              Verify
+            </button>
+            <button
+              className="btn btn-ghost"
+              type="button"
+              onClick={() => {
+                setUseRecoveryCode(!useRecoveryCode);
+                setCode('');
+              }}
+            >
+              {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+            </button>
+          </div>
+        </form>
+      </div>
+    );
+  }
+
+  if (step === 'sso') {
+    return (
+      <div className="settings-page">
+        <form className="card" onSubmit={handleSso}>
+          <h2 className="card-title">
+            <Building2 className="w-5 h-5" />
+            Single sign-on
+          </h2>
+          <p className="settings-description">Enter your work email to continue with your organization's identity provider.</p>
+          <div className="credential-fields">
+            <label className="credential-field">
+              <span>Email</span>
+              <input
+                className="input"
+                type="email"
+                autoFocus
+                required
+                autoComplete="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+              />
+            </label>
+          </div>
+          <div className="credential-actions">
+            <button className="btn btn-primary" type="submit" disabled={isSubmitting}>
+              {isSubmitting && <Loader className="w-4 h-4 animate-spin" />}
+              Continue
+            </button>
+            <button className="btn btn-ghost" type="button" onClick={() => setStep('password')}>
+              Sign in with a password
+            </button>
+          </div>
+        </form>
+      </div>
+    );
+  }
+
+  if (ssoResult === 'success' && isLoading) {
+    return (
+      <div className="settings-page">
+        <Loader className="w-6 h-6 animate-spin" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="settings-page">
+      <form className="card" onSubmit={handlePassword}>
+        <h2 className="card-title">
+          <LogIn className="w-5 h-5" />
+          Sign in
+        </h2>
+        <div className="credential-fields">
+          <label className="credential-field">
+            <span>Email</span>
+            <input
+              className="input"
+              type="email"
+              required
+              autoComplete="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+            />
+          </label>
+          <label className="credential-field">
+            <span>Password</span>
+            <input
+              className="input"
+              type="password"
+              required
+              autoComplete="current-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+            />
+          </label>
+        </div>
+        <div className="credential-actions">
+          <button className="btn btn-primary" type="submit" disabled={isSubmitting}>
+            {isSubmitting && <Loader className="w-4 h-4 animate-spin" />}
+            Sign In
+          </button>
+          <button className="btn btn-secondary" type="button" onClick={() => setStep('sso')}>
+            <Building2 className="w-4 h-4" />
+            Sign in with SSO
+          </button>
+          <Link className="btn btn-ghost" to="/forgot-password">Forgot password?</Link>
+        </div>
+        <p className="credential-summary">
+          No account yet? <Link to="/register">Create one</Link>
+        </p>
+      </form>
+    </div>
+  );
+};
+
+export default Login;
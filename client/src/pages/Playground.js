@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { 
   Play, 
@@ -16,7 +16,11 @@ import {
   Loader,
   Copy,
   Eye,
-  EyeOff
+  EyeOff,
+  StopCircle,
+  Plus,
+  Trash2,
+  XCircle
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import { useSocket } from '../contexts/SocketContext';
@@ -25,18 +29,24 @@ import './Playground.css';
 
 const Playground = () => {
   const { user } = useAuth();
-  const { socket } = useSocket();
+  const { socket, joinProject, sendChatMessage, cancelChatMessage } = useSocket();
   const [currentStep, setCurrentStep] = useState(0);
   const [isGenerating, setIsGenerating] = useState(false);
   const [isDeploying, setIsDeploying] = useState(false);
   const [showChat, setShowChat] = useState(false);
   const [chatMessages, setChatMessages] = useState([]);
   const [chatInput, setChatInput] = useState('');
+  const [streamingMessageId, setStreamingMessageId] = useState(null);
+  const [conversationId, setConversationId] = useState(localStorage.getItem('playground.conversationId'));
+  const [conversations, setConversations] = useState([]);
   const [deploymentProgress, setDeploymentProgress] = useState(0);
   const [deploymentLogs, setDeploymentLogs] = useState([]);
   const [showLogs, setShowLogs] = useState(false);
   const [showSettings, setShowSettings] = useState(false);
   const [isRollingBack, setIsRollingBack] = useState(false);
+  const [isTearingDown, setIsTearingDown] = useState(false);
+  const [isCheckingDrift, setIsCheckingDrift] = useState(false);
+  const [driftReport, setDriftReport] = useState(null);
   
   // Form states
   const [description, setDescription] = useState('');
@@ -48,35 +58,152 @@ const Playground = () => {
   // Generated content
   const [generatedInfra, setGeneratedInfra] = useState(null);
   const [terraformCode, setTerraformCode] = useState('');
+  const [terraformFiles, setTerraformFiles] = useState({});
+  const [activeFile, setActiveFile] = useState('main.tf');
   const [explanation, setExplanation] = useState('');
-  const [costEstimate, setCostEstimate] = useState('');
+  const [costEstimate, setCostEstimate] = useState(null);
   const [deploymentOutputs, setDeploymentOutputs] = useState(null);
+  const [activeDeployment, setActiveDeployment] = useState(null);
+  const [pendingPlan, setPendingPlan] = useState(null);
+  const [isReviewing, setIsReviewing] = useState(false);
   
+  // Read by the socket listener, which is registered once
+  const activeDeploymentRef = useRef(null);
+  const deploymentStatusRef = useRef(null);
   const terminalRef = useRef(null);
   const chatRef = useRef(null);
+  const deploymentHandlersRef = useRef({});
+
+  const fetchConversations = useCallback(async () => {
+    try {
+      const response = await fetch('/api/conversations?limit=20', {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        setConversations(data.conversations);
+      }
+    } catch (error) {
+      console.error('Error fetching conversations:', error);
+    }
+  }, []);
+
+  const startNewConversation = useCallback(() => {
+    localStorage.removeItem('playground.conversationId');
+    setConversationId(null);
+    setChatMessages([]);
+  }, []);
+
+  const loadConversation = useCallback(async (id) => {
+    try {
+      const response = await fetch(`/api/conversations/${id}`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        localStorage.setItem('playground.conversationId', id);
+        setConversationId(id);
+        setChatMessages(data.conversation.messages.map(message => ({
+          id: message._id,
+          type: message.role === 'user' ? 'user' : 'ai',
+          message: message.content,
+          cancelled: message.cancelled,
+          timestamp: message.createdAt
+        })));
+      } else {
+        throw new Error(data.error || 'Conversation not found');
+      }
+    } catch (error) {
+      console.error('Error loading conversation:', error);
+      startNewConversation();
+    }
+  }, [startNewConversation]);
 
   useEffect(() => {
     if (socket) {
+      // Terraform output and status changes pushed by the deployment job
       socket.on('deployment-progress', (data) => {
-        setDeploymentProgress(data.progress);
-        setDeploymentLogs(prev => [...prev, data.message]);
+        if (data.deploymentId !== activeDeploymentRef.current) return;
+
+        if (typeof data.progress === 'number') {
+          setDeploymentProgress(data.progress);
+        }
+        if (data.message) {
+          setDeploymentLogs(prev => [...prev, data.message]);
+        }
+        if (data.drift) {
+          deploymentHandlersRef.current.handleDriftResult(data.deploymentId, data.drift);
+        }
+        if (data.status !== deploymentStatusRef.current) {
+          const previousStatus = deploymentStatusRef.current;
+          deploymentStatusRef.current = data.status;
+          deploymentHandlersRef.current.handleDeploymentStatus(data.deploymentId, data.status, previousStatus);
+        }
+      });
+
+      socket.on('ai-response-chunk', (data) => {
+        setChatMessages(prev => prev.map(message => (
+          message.id === data.messageId
+            ? { ...message, message: message.message + data.delta }
+            : message
+        )));
       });
 
-      socket.on('ai-response', (data) => {
-        setChatMessages(prev => [...prev, {
-          id: Date.now(),
-          type: 'ai',
-          message: data.message,
-          timestamp: data.timestamp
-        }]);
+      socket.on('ai-response-done', (data) => {
+        setChatMessages(prev => prev.map(message => (
+          message.id === data.messageId
+            ? { ...message, message: data.message, streaming: false, cancelled: data.cancelled, timestamp: data.timestamp }
+            : message
+        )));
+        setStreamingMessageId(current => (current === data.messageId ? null : current));
+
+        if (data.conversationId) {
+          localStorage.setItem('playground.conversationId', data.conversationId);
+          setConversationId(data.conversationId);
+          fetchConversations();
+        }
+      });
+
+      socket.on('ai-error', (data) => {
+        setChatMessages(prev => prev.map(message => (
+          message.id === data.messageId
+            ? { ...message, message: message.message || data.error, streaming: false, error: true }
+            : message
+        )));
+        setStreamingMessageId(current => (current === data.messageId ? null : current));
       });
 
       return () => {
         socket.off('deployment-progress');
-        socket.off('ai-response');
+        socket.off('ai-response-chunk');
+        socket.off('ai-response-done');
+        socket.off('ai-error');
       };
     }
-  }, [socket]);
+  }, [socket, fetchConversations]);
+
+  // Restore the last conversation after a reload; loadConversation never
+  // changes, so this runs once
+  useEffect(() => {
+    const storedId = localStorage.getItem('playground.conversationId');
+    if (storedId) {
+      loadConversation(storedId);
+    }
+  }, [loadConversation]);
+
+  useEffect(() => {
+    if (showChat) {
+      fetchConversations();
+    }
+  }, [showChat, fetchConversations]);
 
   useEffect(() => {
     if (chatRef.current) {
@@ -125,11 +252,26 @@ const Playground = () => {
       if (data.success) {
         setGeneratedInfra(data.data);
         setTerraformCode(data.data.terraform);
+        setTerraformFiles(data.data.files || {});
+        setActiveFile('main.tf');
         setExplanation(data.data.explanation);
         setCostEstimate(data.data.estimatedCost);
         setCurrentStep(2);
-        toast.success('Infrastructure generated successfully!');
-        setDeploymentLogs(prev => [...prev, { message: 'Infrastructure generated successfully', type: 'success' }]);
+        setDeploymentLogs(prev => [
+          ...prev,
+          ...(data.data.attempts || []).map(attempt => ({
+            message: `Validation attempt ${attempt.attempt}: ${attempt.valid ? 'passed' : `${attempt.diagnostics.length} issue(s) found`}`,
+            type: attempt.valid ? 'success' : 'warning'
+          }))
+        ]);
+
+        if (data.data.valid) {
+          toast.success('Infrastructure generated successfully!');
+          setDeploymentLogs(prev => [...prev, { message: 'Infrastructure generated successfully', type: 'success' }]);
+        } else {
+          toast.error('Generated infrastructure did not pass validation');
+          setShowLogs(true);
+        }
       } else {
         throw new Error(data.error || 'Failed to generate infrastructure');
       }
@@ -142,6 +284,94 @@ const Playground = () => {
     }
   };
 
+  const authHeaders = () => ({
+    'Authorization': `Bearer ${localStorage.getItem('token')}`
+  });
+
+  // Follow a queued deployment: join its project room for live events and
+  // load whatever was logged before the room was joined
+  const trackDeployment = async (deployment) => {
+    activeDeploymentRef.current = deployment._id;
+    deploymentStatusRef.current = deployment.status;
+    setActiveDeployment(deployment);
+    setDriftReport(null);
+    joinProject(deployment.projectId);
+
+    try {
+      const response = await fetch(`/api/deployments/${deployment._id}/logs`, {
+        headers: authHeaders()
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setDeploymentLogs(data.logs);
+        setDeploymentProgress(data.progress?.percent || 0);
+        if (data.status !== deploymentStatusRef.current) {
+          const previousStatus = deploymentStatusRef.current;
+          deploymentStatusRef.current = data.status;
+          handleDeploymentStatus(deployment._id, data.status, previousStatus);
+        }
+      }
+    } catch (error) {
+      console.error('Error loading deployment logs:', error);
+    }
+  };
+
+  const handleDeploymentStatus = async (deploymentId, status, previousStatus) => {
+    if (status === 'awaiting_approval') {
+      try {
+        const response = await fetch(`/api/deployments/${deploymentId}`, {
+          headers: authHeaders()
+        });
+        const data = await response.json();
+        if (data.success) {
+          setPendingPlan(data.deployment);
+        }
+      } catch (error) {
+        console.error('Error loading deployment plan:', error);
+      }
+    } else if (status === 'deploying') {
+      setPendingPlan(null);
+    } else if (status === 'rejected') {
+      setPendingPlan(null);
+      setIsDeploying(false);
+      setCurrentStep(2);
+      toast('Deployment plan rejected');
+    } else if (status === 'deployed') {
+      try {
+        const response = await fetch(`/api/deployments/${deploymentId}`, {
+          headers: authHeaders()
+        });
+        const data = await response.json();
+        if (data.success) {
+          setDeploymentOutputs(data.deployment.outputs);
+        }
+      } catch (error) {
+        console.error('Error loading deployment outputs:', error);
+      }
+      setIsDeploying(false);
+      setCurrentStep(4);
+      toast.success('Deployment completed successfully!');
+    } else if (status === 'rolled_back') {
+      setIsRollingBack(false);
+      setDeploymentOutputs(null);
+      setCurrentStep(2);
+      toast.success('Rolled back to the previous deployment');
+    } else if (status === 'destroyed') {
+      setIsTearingDown(false);
+      setDeploymentOutputs(null);
+      setCurrentStep(2);
+      toast.success('Infrastructure destroyed');
+    } else if (status === 'failed') {
+      const failedActions = { rolling_back: 'Rollback', tearing_down: 'Teardown' };
+      setPendingPlan(null);
+      setIsDeploying(false);
+      setIsRollingBack(false);
+      setIsTearingDown(false);
+      toast.error(`${failedActions[previousStatus] || 'Deployment'} failed`);
+    }
+  };
+
   const handleDeploy = async () => {
     if (!terraformCode) {
       toast.error('No Terraform code to deploy');
@@ -158,11 +388,12 @@ const Playground = () => {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
+          ...authHeaders()
         },
         body: JSON.stringify({
           projectName: `Generated Project - ${Date.now()}`,
           terraformCode,
+          terraformFiles: Object.keys(terraformFiles).length > 0 ? terraformFiles : undefined,
           provider,
           environment
         })
@@ -171,22 +402,50 @@ const Playground = () => {
       const data = await response.json();
 
       if (data.success) {
-        setDeploymentOutputs(data.outputs);
-        setCurrentStep(4);
-        toast.success('Deployment completed successfully!');
-        setDeploymentLogs(prev => [...prev, { message: 'Deployment completed successfully', type: 'success' }]);
+        await trackDeployment(data.deployment);
       } else {
         throw new Error(data.error || 'Deployment failed');
       }
     } catch (error) {
       console.error('Error deploying:', error);
-      toast.error('Deployment failed');
+      toast.error(error.message);
       setDeploymentLogs(prev => [...prev, { message: `Deployment failed: ${error.message}`, type: 'error' }]);
-    } finally {
       setIsDeploying(false);
     }
   };
 
+  // Approve or reject the saved plan; the outcome arrives as a status change
+  const reviewPlan = async (decision) => {
+    if (!pendingPlan) return;
+    setIsReviewing(true);
+
+    try {
+      const response = await fetch(`/api/deployments/${pendingPlan._id}/${decision}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...authHeaders()
+        },
+        body: JSON.stringify({})
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.error || `Failed to ${decision} deployment`);
+      }
+      if (decision === 'approve' && data.deployment.status === 'awaiting_approval') {
+        setPendingPlan(data.deployment);
+        toast(data.message);
+      }
+    } catch (error) {
+      console.error(`Error reviewing plan (${decision}):`, error);
+      toast.error(error.message);
+    } finally {
+      setIsReviewing(false);
+    }
+  };
+
   const handleRollback = async () => {
     setIsRollingBack(true);
     setDeploymentLogs(prev => [...prev, { message: 'Starting rollback...', type: 'info' }]);
@@ -196,35 +455,152 @@ const Playground = () => {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
+          ...authHeaders()
         },
         body: JSON.stringify({
-          projectId: deploymentOutputs?.projectId
+          projectId: activeDeployment?.projectId
         })
       });
 
       const data = await response.json();
 
-      if (data.success) {
-        toast.success('Rollback completed successfully');
-        setDeploymentLogs(prev => [...prev, { message: 'Rollback completed successfully', type: 'success' }]);
-        setDeploymentOutputs(null);
-        setCurrentStep(2);
-      } else {
+      if (!data.success) {
         throw new Error(data.error || 'Rollback failed');
       }
+      // Completion arrives as a `deployment-progress` status change
+      deploymentStatusRef.current = 'rolling_back';
+      setDeploymentProgress(0);
     } catch (error) {
       console.error('Error rolling back:', error);
-      toast.error('Rollback failed');
+      toast.error(error.message);
       setDeploymentLogs(prev => [...prev, { message: `Rollback failed: ${error.message}`, type: 'error' }]);
-    } finally {
       setIsRollingBack(false);
     }
   };
 
+  const handleCheckDrift = async () => {
+    if (!activeDeployment) return;
+
+    setIsCheckingDrift(true);
+    try {
+      const response = await fetch(`/api/deployments/${activeDeployment._id}/drift`, {
+        method: 'POST',
+        headers: authHeaders()
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.error || 'Drift check failed');
+      }
+      // The result arrives as a `deployment-progress` event with `drift`
+    } catch (error) {
+      console.error('Error checking drift:', error);
+      toast.error(error.message);
+      setIsCheckingDrift(false);
+    }
+  };
+
+  const handleDriftResult = async (deploymentId, drift) => {
+    setIsCheckingDrift(false);
+
+    if (drift.status === 'in_sync') {
+      setDriftReport(null);
+      toast.success('No drift: infrastructure matches the configuration');
+      return;
+    }
+    if (drift.status === 'failed') {
+      toast.error('Drift check failed');
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/deployments/${deploymentId}/drift?limit=1`, {
+        headers: authHeaders()
+      });
+      const data = await response.json();
+      if (data.success) {
+        setDriftReport(data.latest);
+      }
+    } catch (error) {
+      console.error('Error loading drift report:', error);
+    }
+    toast.error(`Drift detected in ${drift.resources} resource(s)`);
+  };
+
+  // The socket listener calls the handlers of the latest render
+  deploymentHandlersRef.current = { handleDeploymentStatus, handleDriftResult };
+
+  // Destroys everything in the project, so the deployment name must be typed
+  const handleTeardown = async () => {
+    if (!activeDeployment) return;
+
+    const confirmation = window.prompt(
+      `This destroys all infrastructure of "${activeDeployment.name}". Type the deployment name to confirm:`
+    );
+    if (confirmation !== activeDeployment.name) {
+      if (confirmation !== null) toast.error('Deployment name did not match');
+      return;
+    }
+
+    setIsTearingDown(true);
+    setDeploymentLogs(prev => [...prev, { message: 'Starting teardown...', type: 'warning' }]);
+
+    try {
+      const response = await fetch(`/api/deployments/${activeDeployment._id}/teardown`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...authHeaders()
+        },
+        body: JSON.stringify({ confirm: confirmation })
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.error || 'Teardown failed');
+      }
+      // Completion arrives as a `deployment-progress` status change
+      deploymentStatusRef.current = 'tearing_down';
+      setDeploymentProgress(0);
+    } catch (error) {
+      console.error('Error tearing down:', error);
+      toast.error(error.message);
+      setDeploymentLogs(prev => [...prev, { message: `Teardown failed: ${error.message}`, type: 'error' }]);
+      setIsTearingDown(false);
+    }
+  };
+
+  const handleDeleteConversation = async () => {
+    if (!conversationId || !window.confirm('Delete this conversation?')) return;
+
+    try {
+      const response = await fetch(`/api/conversations/${conversationId}`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        setConversations(prev => prev.filter(conversation => conversation.id !== conversationId));
+        startNewConversation();
+        toast.success('Conversation deleted');
+      } else {
+        throw new Error(data.error || 'Failed to delete conversation');
+      }
+    } catch (error) {
+      console.error('Error deleting conversation:', error);
+      toast.error('Failed to delete conversation');
+    }
+  };
+
   const handleChatSubmit = async (e) => {
     e.preventDefault();
-    if (!chatInput.trim()) return;
+    if (!chatInput.trim() || streamingMessageId) return;
 
     const newMessage = {
       id: Date.now(),
@@ -236,17 +612,31 @@ const Playground = () => {
     setChatMessages(prev => [...prev, newMessage]);
     setChatInput('');
 
-    if (socket) {
-      socket.emit('ai-chat', {
-        message: chatInput,
-        context: {
-          currentStep,
-          provider,
-          terraformCode: terraformCode.substring(0, 500), // Limit context size
-          user: user?.username
-        }
-      });
+    const messageId = sendChatMessage(chatInput, {
+      currentStep,
+      provider,
+      terraformCode: terraformCode.substring(0, 500), // Limit context size
+      user: user?.username
+    }, { conversationId });
+
+    if (!messageId) {
+      toast.error('AI assistant is not connected');
+      return;
     }
+
+    // Placeholder that incoming chunks are appended to
+    setChatMessages(prev => [...prev, {
+      id: messageId,
+      type: 'ai',
+      message: '',
+      streaming: true,
+      timestamp: new Date().toISOString()
+    }]);
+    setStreamingMessageId(messageId);
+  };
+
+  const handleStopChat = () => {
+    cancelChatMessage(streamingMessageId);
   };
 
   const copyToClipboard = (text) => {
@@ -439,7 +829,7 @@ const Playground = () => {
                     {deploymentLogs.map((log, index) => (
                       <div key={index} className={`log-line ${log.type}`}>
                         <span className="log-timestamp">
-                          {new Date().toLocaleTimeString()}
+                          {new Date(log.timestamp || Date.now()).toLocaleTimeString()}
                         </span>
                         <span className="log-message">{log.message}</span>
                       </div>
@@ -466,7 +856,7 @@ const Playground = () => {
                       <div className="card-actions">
                         <button
                           className="btn btn-ghost"
-                          onClick={() => copyToClipboard(terraformCode)}
+                          onClick={() => copyToClipboard(terraformFiles[activeFile] ?? terraformCode)}
                         >
                           <Copy className="w-4 h-4" />
                           Copy Code
@@ -481,13 +871,82 @@ const Playground = () => {
                       </div>
                     </div>
                     
+                    {Object.keys(terraformFiles).length > 0 && (
+                      <div className="file-tabs">
+                        {Object.keys(terraformFiles).map(file => (
+                          <button
+                            key={file}
+                            className={`file-tab ${activeFile === file ? 'active' : ''}`}
+                            onClick={() => setActiveFile(file)}
+                          >
+                            {file}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+
                     <div className="code-editor">
-                      <pre><code>{terraformCode}</code></pre>
+                      <pre><code>{terraformFiles[activeFile] ?? terraformCode}</code></pre>
                     </div>
                   </div>
                   
                   {showLogs && (
                     <div className="card">
+                      {generatedInfra && generatedInfra.valid === false && (
+                        <>
+                          <h3>Validation Issues</h3>
+                          <div className="validation-diagnostics">
+                            {generatedInfra.validationError && (
+                              <p className="log-line error">Validation could not run: {generatedInfra.validationError}</p>
+                            )}
+                            {(generatedInfra.diagnostics || []).map((diagnostic, index) => (
+                              <p key={index} className={`log-line ${diagnostic.severity}`}>
+                                {diagnostic.file ? `${diagnostic.file}:${diagnostic.line} ` : ''}{diagnostic.summary}
+                              </p>
+                            ))}
+                            <p>Attempts: {(generatedInfra.attempts || []).length}</p>
+                          </div>
+                        </>
+                      )}
+
+                      {generatedInfra?.resources?.length > 0 && (
+                        <>
+                          <h3>Resources</h3>
+                          <ul className="resource-list">
+                            {generatedInfra.resources.map(resource => (
+                              <li key={`${resource.type}.${resource.name}`}>
+                                <code>{resource.type}.{resource.name}</code> — {resource.description}
+                              </li>
+                            ))}
+                          </ul>
+                        </>
+                      )}
+
+                      {generatedInfra?.variables?.length > 0 && (
+                        <>
+                          <h3>Input Variables</h3>
+                          <ul className="variable-list">
+                            {generatedInfra.variables.map(variable => (
+                              <li key={variable.name}>
+                                <code>{variable.name}</code> ({variable.type}
+                                {variable.default !== null && variable.default !== undefined ? `, default ${variable.default}` : ''}) — {variable.description}
+                              </li>
+                            ))}
+                          </ul>
+                        </>
+                      )}
+
+                      {generatedInfra?.assumptions?.length > 0 && (
+                        <>
+                          <h3>Assumptions</h3>
+                          <ul className="assumption-list">
+                            {generatedInfra.assumptions.map((assumption, index) => (
+                              <li key={index}>{assumption}</li>
+                            ))}
+                          </ul>
+                        </>
+                      )}
+
                       <h3>AI Explanation</h3>
                       <div className="explanation">
                         <p>{explanation}</p>
@@ -495,7 +954,31 @@ const Playground = () => {
                       
                       <h3>Cost Estimate</h3>
                       <div className="cost-estimate">
-                        <p>{costEstimate}</p>
+                        {costEstimate?.error ? (
+                          <p>{costEstimate.error}</p>
+                        ) : costEstimate && (
+                          <>
+                            <p className="cost-total">
+                              {costEstimate.monthlyEstimate} / month
+                            </p>
+                            <ul className="cost-breakdown">
+                              {costEstimate.breakdown.map(item => (
+                                <li key={item.address}>
+                                  <code>{item.address}</code> ({item.region}): {item.cost}
+                                  {item.components.some(component => component.assumed) && ' *'}
+                                </li>
+                              ))}
+                            </ul>
+                            {costEstimate.unpriced.length > 0 && (
+                              <p className="cost-unpriced">
+                                Not priced: {costEstimate.unpriced.map(item => item.address).join(', ')}
+                              </p>
+                            )}
+                            {costEstimate.breakdown.some(item => item.components.some(component => component.assumed)) && (
+                              <p className="cost-note">* includes assumed usage quantities</p>
+                            )}
+                          </>
+                        )}
                       </div>
                     </div>
                   )}
@@ -555,6 +1038,46 @@ const Playground = () => {
               <div className="card">
                 <h2>Deploying Your Infrastructure</h2>
                 <p>Your infrastructure is being deployed to {provider.toUpperCase()}...</p>
+
+                {pendingPlan?.plan && (
+                  <div className="plan-review">
+                    <h3>Review Plan</h3>
+                    <p className="plan-summary">
+                      {pendingPlan.plan.summary.add} to add, {pendingPlan.plan.summary.change} to change, {pendingPlan.plan.summary.destroy} to destroy
+                      {pendingPlan.costEstimate?.monthlyEstimate && ` · ${pendingPlan.costEstimate.monthlyEstimate} / month`}
+                    </p>
+                    <ul className="plan-resources">
+                      {pendingPlan.plan.summary.resources.map(resource => (
+                        <li key={resource.address} className={`plan-action ${resource.action}`}>
+                          <span>{resource.action}</span> <code>{resource.address}</code>
+                        </li>
+                      ))}
+                    </ul>
+                    {pendingPlan.requiredApprovals > 1 && (
+                      <p className="plan-approvals">
+                        Production deployment: {pendingPlan.approvals.filter(approval => approval.decision === 'approved').length}/{pendingPlan.requiredApprovals} approvals, one from an approver other than its creator
+                      </p>
+                    )}
+                    <div className="plan-actions">
+                      <button
+                        className="btn btn-primary"
+                        onClick={() => reviewPlan('approve')}
+                        disabled={isReviewing}
+                      >
+                        <CheckCircle className="w-4 h-4" />
+                        Approve &amp; Apply
+                      </button>
+                      <button
+                        className="btn btn-secondary"
+                        onClick={() => reviewPlan('reject')}
+                        disabled={isReviewing}
+                      >
+                        <XCircle className="w-4 h-4" />
+                        Reject
+                      </button>
+                    </div>
+                  </div>
+                )}
                 
                 <div className="deployment-progress">
                   <div className="progress-bar">
@@ -575,7 +1098,7 @@ const Playground = () => {
                     {deploymentLogs.map((log, index) => (
                       <div key={index} className={`log-line ${log.type}`}>
                         <span className="log-timestamp">
-                          {new Date().toLocaleTimeString()}
+                          {new Date(log.timestamp || Date.now()).toLocaleTimeString()}
                         </span>
                         <span className="log-message">{log.message}</span>
                       </div>
@@ -608,8 +1131,54 @@ const Playground = () => {
                       <pre><code>{JSON.stringify(deploymentOutputs, null, 2)}</code></pre>
                     </div>
                   )}
+
+                  {driftReport && (
+                    <div className="drift-report">
+                      <h3>
+                        <AlertCircle className="w-5 h-5" />
+                        Drift Detected
+                      </h3>
+                      <p>Checked {new Date(driftReport.checkedAt).toLocaleString()}</p>
+                      <ul>
+                        {driftReport.resources.map(resource => (
+                          <li key={resource.address}>
+                            <code>{resource.address}</code>
+                            {resource.action === 'delete' ? (
+                              <span> deleted outside Terraform</span>
+                            ) : (
+                              <ul>
+                                {resource.changes.map(change => (
+                                  <li key={change.attribute}>
+                                    <code>{change.attribute}</code>: {JSON.stringify(change.expected)} → {JSON.stringify(change.actual)}
+                                  </li>
+                                ))}
+                              </ul>
+                            )}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
                   
                   <div className="deployment-actions">
+                    <button
+                      className="btn btn-secondary"
+                      onClick={handleCheckDrift}
+                      disabled={isCheckingDrift || isRollingBack || isTearingDown}
+                    >
+                      {isCheckingDrift ? (
+                        <>
+                          <Loader className="w-5 h-5 animate-spin" />
+                          Checking Drift...
+                        </>
+                      ) : (
+                        <>
+                          <Eye className="w-5 h-5" />
+                          Check Drift
+                        </>
+                      )}
+                    </button>
+
                     <button
                       className="btn btn-danger"
                       onClick={handleRollback}
@@ -627,6 +1196,24 @@ const Playground = () => {
                         </>
                       )}
                     </button>
+
+                    <button
+                      className="btn btn-danger"
+                      onClick={handleTeardown}
+                      disabled={isTearingDown || isRollingBack}
+                    >
+                      {isTearingDown ? (
+                        <>
+                          <Loader className="w-5 h-5 animate-spin" />
+                          Tearing Down...
+                        </>
+                      ) : (
+                        <>
+                          <Trash2 className="w-5 h-5" />
+                          Teardown Infrastructure
+                        </>
+                      )}
+                    </button>
                     
                     <button
                       className="btn btn-secondary"
@@ -654,13 +1241,47 @@ const Playground = () => {
             >
               <div className="chat-header">
                 <h3>AI Assistant</h3>
-                <button
-                  className="btn btn-ghost"
-                  onClick={() => setShowChat(false)}
-                >
-                  <Square className="w-4 h-4" />
-                </button>
+                <div className="chat-header-actions">
+                  <button
+                    className="btn btn-ghost"
+                    onClick={startNewConversation}
+                    disabled={!!streamingMessageId}
+                    title="New conversation"
+                  >
+                    <Plus className="w-4 h-4" />
+                  </button>
+                  <button
+                    className="btn btn-ghost"
+                    onClick={handleDeleteConversation}
+                    disabled={!conversationId || !!streamingMessageId}
+                    title="Delete conversation"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                  <button
+                    className="btn btn-ghost"
+                    onClick={() => setShowChat(false)}
+                  >
+                    <Square className="w-4 h-4" />
+                  </button>
+                </div>
               </div>
+
+              {conversations.length > 0 && (
+                <select
+                  className="input chat-history-select"
+                  value={conversationId || ''}
+                  onChange={(e) => (e.target.value ? loadConversation(e.target.value) : startNewConversation())}
+                  disabled={!!streamingMessageId}
+                >
+                  <option value="">New conversation</option>
+                  {conversations.map(conversation => (
+                    <option key={conversation.id} value={conversation.id}>
+                      {conversation.title}
+                    </option>
+                  ))}
+                </select>
+              )}
               
               <div className="chat-messages" ref={chatRef}>
                 {chatMessages.length === 0 && (
@@ -673,11 +1294,15 @@ const Playground = () => {
                 {chatMessages.map((message) => (
                   <div
                     key={message.id}
-                    className={`chat-message ${message.type}`}
+                    className={`chat-message ${message.type} ${message.streaming ? 'streaming' : ''} ${message.error ? 'error' : ''}`}
                   >
                     <div className="message-content">
-                      <p>{message.message}</p>
+                      <p>
+                        {message.message}
+                        {message.streaming && <span className="typing-cursor">▍</span>}
+                      </p>
                       <span className="message-time">
+                        {message.cancelled ? 'Stopped · ' : ''}
                         {new Date(message.timestamp).toLocaleTimeString()}
                       </span>
                     </div>
@@ -692,9 +1317,20 @@ const Playground = () => {
                   value={chatInput}
                   onChange={(e) => setChatInput(e.target.value)}
                 />
-                <button type="submit" className="btn btn-primary">
-                  <MessageCircle className="w-4 h-4" />
-                </button>
+                {streamingMessageId ? (
+                  <button
+                    type="button"
+                    className="btn btn-danger"
+                    onClick={handleStopChat}
+                  >
+                    <StopCircle className="w-4 h-4" />
+                    Stop
+                  </button>
+                ) : (
+                  <button type="submit" className="btn btn-primary">
+                    <MessageCircle className="w-4 h-4" />
+                  </button>
+                )}
               </form>
             </motion.div>
           )}
@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { KeyRound, Mail, Loader } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import './Settings.css';
+
+// Without a token: asks for the account's email and sends a reset link.
+// With the token from that link: sets the new password.
+const ResetPassword = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [requestSent, setRequestSent] = useState(false);
+
+  const post = async (path, body) => {
+    const response = await fetch(path, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Request failed');
+    }
+    return data;
+  };
+
+  const handleRequest = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      await post('/api/auth/forgot-password', { email });
+      setRequestSent(true);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleReset = async (e) => {
+    e.preventDefault();
+    if (password !== confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      await post('/api/auth/reset-password', { token, password });
+      toast.success('Password reset, please log in');
+      navigate('/login');
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <div className="settings-page">
+        <form className="card" onSubmit={handleRequest}>
+          <h2 className="card-title">
+            <Mail className="w-5 h-5" />
+            Forgot your password?
+          </h2>
+          {requestSent ? (
+            <p className="settings-description">
+              If an account exists for {email}, we sent a link to reset its password. Check your inbox.
+            </p>
+          ) : (
+            <>
+              <p className="settings-description">Enter your account's email address and we will send you a reset link.</p>
+              <div className="credential-fields">
+                <label className="credential-field">
+                  <span>Email</span>
+                  <input className="input" type="email" required value={email} onChange={(e) => setEmail(e.target.value)} />
+                </label>
+              </div>
+              <div className="credential-actions">
+                <button className="btn btn-primary" type="submit" disabled={isSubmitting}>
+                  {isSubmitting && <Loader className="w-4 h-4 animate-spin" />}
+                  Send Reset Link
+                </button>
+              </div>
+            </>
+          )}
+        </form>
+      </div>
+    );
+  }
+
+  return (
+    <div className="settings-page">
+      <form className="card" onSubmit={handleReset}>
+        <h2 className="card-title">
+          <KeyRound className="w-5 h-5" />
+          Choose a new password
+        </h2>
+        <p className="settings-description">You will be signed out of every device.</p>
+        <div className="credential-fields">
+          <label className="credential-field">
+            <span>New password</span>
+            <input
+              className="input"
+              type="password"
+              minLength={6}
+              required
+              autoComplete="new-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+            />
+          </label>
+          <label className="credential-field">
+            <span>Confirm password</span>
+            <input
+              className="input"
+              type="password"
+              minLength={6}
+              required
+              autoComplete="new-password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+            />
+          </label>
+        </div>
+        <div className="credential-actions">
+          <button className="btn btn-primary" type="submit" disabled={isSubmitting}>
+            {isSubmitting && <Loader className="w-4 h-4 animate-spin" />}
+            Reset Password
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ResetPassword;
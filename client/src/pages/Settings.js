@@ -0,0 +1,1022 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Cloud,
+  CheckCircle,
+  AlertCircle,
+  Loader,
+  Save,
+  Zap,
+  Trash2,
+  Key,
+  Plus,
+  Copy,
+  Monitor,
+  LogOut,
+  Mail,
+  ShieldCheck,
+  Building2,
+  Users,
+  UserPlus
+} from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import TwoFactorSetup, { RecoveryCodes } from '../components/auth/TwoFactorSetup';
+import './Settings.css';
+
+// Fields per provider; secret fields are never sent back by the server and
+// are left empty to keep the stored value
+const CREDENTIAL_FORMS = {
+  aws: {
+    name: 'AWS',
+    fields: [
+      { key: 'accessKeyId', label: 'Access Key ID' },
+      { key: 'secretAccessKey', label: 'Secret Access Key', secret: true },
+      { key: 'region', label: 'Region', placeholder: 'us-east-1' }
+    ]
+  },
+  gcp: {
+    name: 'Google Cloud',
+    fields: [
+      { key: 'projectId', label: 'Project ID' },
+      { key: 'keyFile', label: 'Service Account Key (JSON)', secret: true, multiline: true },
+      { key: 'region', label: 'Region', placeholder: 'us-central1' }
+    ]
+  },
+  azure: {
+    name: 'Azure',
+    fields: [
+      { key: 'subscriptionId', label: 'Subscription ID' },
+      { key: 'tenantId', label: 'Tenant ID' },
+      { key: 'clientId', label: 'Client ID' },
+      { key: 'clientSecret', label: 'Client Secret', secret: true },
+      { key: 'region', label: 'Location', placeholder: 'East US' }
+    ]
+  }
+};
+
+const authHeaders = () => ({
+  'Authorization': `Bearer ${localStorage.getItem('token')}`
+});
+
+const CredentialCard = ({ provider, credentials, onChange }) => {
+  const form = CREDENTIAL_FORMS[provider];
+  const [values, setValues] = useState({});
+  const [busyAction, setBusyAction] = useState(null);
+
+  const request = async (action, method, path, body) => {
+    setBusyAction(action);
+    try {
+      const response = await fetch(`/api/auth/credentials/${provider}${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          ...authHeaders()
+        },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || `Request failed (${response.status})`);
+      }
+      return data;
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      const data = await request('save', 'PUT', '', { ...values, test: true });
+      setValues({});
+      onChange(provider, data.credentials);
+
+      if (data.test?.success) {
+        toast.success(`${form.name} credentials saved and verified`);
+      } else {
+        toast.error(`${form.name} credentials saved, but the connection test failed: ${data.test?.error}`);
+      }
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleTest = async () => {
+    try {
+      const data = await request('test', 'POST', '/test');
+      onChange(provider, data.credentials);
+
+      if (data.success) {
+        toast.success(`Connected to ${form.name} as ${data.identity}`);
+      } else {
+        toast.error(`${form.name} connection failed: ${data.error}`);
+      }
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleRemove = async () => {
+    if (!window.confirm(`Remove your ${form.name} credentials? Deployments to ${form.name} will stop working.`)) {
+      return;
+    }
+
+    try {
+      await request('remove', 'DELETE', '');
+      setValues({});
+      onChange(provider, { configured: false });
+      toast.success(`${form.name} credentials removed`);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  return (
+    <div className="card credential-card">
+      <div className="card-header">
+        <h3 className="card-title">
+          <Cloud className="w-5 h-5" />
+          {form.name}
+        </h3>
+        {credentials?.configured ? (
+          credentials.lastVerificationError ? (
+            <span className="credential-status error">
+              <AlertCircle className="w-4 h-4" />
+              Connection failed
+            </span>
+          ) : (
+            <span className="credential-status success">
+              <CheckCircle className="w-4 h-4" />
+              {credentials.lastVerified ? 'Verified' : 'Configured'}
+            </span>
+          )
+        ) : (
+          <span className="credential-status">Not configured</span>
+        )}
+      </div>
+
+      {credentials?.configured && (
+        <div className="credential-summary">
+          {credentials.identity && <p>Identity: <code>{credentials.identity}</code></p>}
+          {credentials.lastVerified && (
+            <p>Last verified: {new Date(credentials.lastVerified).toLocaleString()}</p>
+          )}
+          {credentials.lastVerificationError && (
+            <p className="text-error">{credentials.lastVerificationError}</p>
+          )}
+        </div>
+      )}
+
+      <div className="credential-fields">
+        {form.fields.map(field => {
+          const stored = credentials?.[field.key];
+          const placeholder = stored || field.placeholder || '';
+          const inputProps = {
+            className: 'input',
+            value: values[field.key] || '',
+            placeholder: field.secret && stored ? `${stored} (leave empty to keep)` : placeholder,
+            onChange: (e) => setValues(prev => ({ ...prev, [field.key]: e.target.value }))
+          };
+
+          return (
+            <label key={field.key} className="credential-field">
+              <span>{field.label}</span>
+              {field.multiline ? (
+                <textarea rows={4} {...inputProps} />
+              ) : (
+                <input type={field.secret ? 'password' : 'text'} autoComplete="off" {...inputProps} />
+              )}
+            </label>
+          );
+        })}
+      </div>
+
+      <div className="credential-actions">
+        <button className="btn btn-primary" onClick={handleSave} disabled={busyAction !== null}>
+          {busyAction === 'save' ? <Loader className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+          Save
+        </button>
+        <button
+          className="btn btn-secondary"
+          onClick={handleTest}
+          disabled={busyAction !== null || !credentials?.configured}
+        >
+          {busyAction === 'test' ? <Loader className="w-4 h-4 animate-spin" /> : <Zap className="w-4 h-4" />}
+          Test Connection
+        </button>
+        <button
+          className="btn btn-danger"
+          onClick={handleRemove}
+          disabled={busyAction !== null || !credentials?.configured}
+        >
+          {busyAction === 'remove' ? <Loader className="w-4 h-4 animate-spin" /> : <Trash2 className="w-4 h-4" />}
+          Remove
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const ApiKeys = () => {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [scopes, setScopes] = useState([]);
+  const [name, setName] = useState('');
+  const [permissions, setPermissions] = useState([]);
+  const [expiresInDays, setExpiresInDays] = useState('90');
+  const [createdKey, setCreatedKey] = useState(null);
+  const [isCreating, setIsCreating] = useState(false);
+
+  const loadApiKeys = async () => {
+    try {
+      const response = await fetch('/api/auth/api-keys', {
+        headers: authHeaders()
+      });
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to load API keys');
+      }
+      setApiKeys(data.apiKeys);
+      setScopes(data.scopes);
+    } catch (error) {
+      console.error('Error loading API keys:', error);
+      toast.error(error.message);
+    }
+  };
+
+  useEffect(() => {
+    loadApiKeys();
+  }, []);
+
+  const togglePermission = (scope) => {
+    setPermissions(prev => (
+      prev.includes(scope) ? prev.filter(item => item !== scope) : [...prev, scope]
+    ));
+  };
+
+  const handleCreate = async () => {
+    setIsCreating(true);
+    try {
+      const response = await fetch('/api/auth/api-keys', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...authHeaders()
+        },
+        body: JSON.stringify({
+          name,
+          permissions,
+          expiresInDays: expiresInDays ? Number(expiresInDays) : undefined
+        })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create API key');
+      }
+
+      setCreatedKey(data.key);
+      setName('');
+      setPermissions([]);
+      loadApiKeys();
+      toast.success('API key created');
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke API key "${apiKey.name}"? Anything using it will stop working.`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/auth/api-keys/${apiKey.id}`, {
+        method: 'DELETE',
+        headers: authHeaders()
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to revoke API key');
+      }
+
+      setApiKeys(prev => prev.filter(item => item.id !== apiKey.id));
+      toast.success('API key revoked');
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(createdKey);
+    toast.success('Copied to clipboard');
+  };
+
+  return (
+    <section className="settings-section">
+      <h2>API Keys</h2>
+      <p className="settings-description">
+        Use API keys from CI pipelines and scripts with <code>Authorization: ApiKey &lt;key&gt;</code>. A key can only do what its permissions allow.
+      </p>
+
+      {createdKey && (
+        <div className="card api-key-created">
+          <p>Copy this key now, it will not be shown again:</p>
+          <div className="api-key-value">
+            <code>{createdKey}</code>
+            <button className="btn btn-ghost" onClick={handleCopy}>
+              <Copy className="w-4 h-4" />
+            </button>
+          </div>
+          <button className="btn btn-secondary" onClick={() => setCreatedKey(null)}>Done</button>
+        </div>
+      )}
+
+      <div className="card">
+        <div className="credential-fields">
+          <label className="credential-field">
+            <span>Name</span>
+            <input className="input" value={name} placeholder="github-actions" onChange={(e) => setName(e.target.value)} />
+          </label>
+          <label className="credential-field">
+            <span>Expires after (days, empty for never)</span>
+            <input
+              className="input"
+              type="number"
+              min="1"
+              max="365"
+              value={expiresInDays}
+              onChange={(e) => setExpiresInDays(e.target.value)}
+            />
+          </label>
+          <div className="credential-field">
+            <span>Permissions</span>
+            <div className="api-key-scopes">
+              {scopes.map(scope => (
+                <label key={scope} className="api-key-scope">
+                  <input
+                    type="checkbox"
+                    checked={permissions.includes(scope)}
+                    onChange={() => togglePermission(scope)}
+                  />
+                  <code>{scope}</code>
+                </label>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        <div className="credential-actions">
+          <button
+            className="btn btn-primary"
+            onClick={handleCreate}
+            disabled={isCreating || !name.trim() || permissions.length === 0}
+          >
+            {isCreating ? <Loader className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+            Create Key
+          </button>
+        </div>
+      </div>
+
+      {apiKeys.length > 0 && (
+        <div className="api-key-list">
+          {apiKeys.map(apiKey => (
+            <div key={apiKey.id} className="card api-key-item">
+              <div>
+                <h3 className="card-title">
+                  <Key className="w-4 h-4" />
+                  {apiKey.name} <code>{apiKey.prefix}…</code>
+                </h3>
+                <p className="credential-summary">
+                  {apiKey.permissions.join(', ')}
+                  {' · '}
+                  {apiKey.lastUsed ? `last used ${new Date(apiKey.lastUsed).toLocaleString()}` : 'never used'}
+                  {' · '}
+                  {apiKey.expired
+                    ? 'expired'
+                    : apiKey.expiresAt ? `expires ${new Date(apiKey.expiresAt).toLocaleDateString()}` : 'no expiry'}
+                </p>
+              </div>
+              <button className="btn btn-danger" onClick={() => handleRevoke(apiKey)}>
+                <Trash2 className="w-4 h-4" />
+                Revoke
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+};
+
+const TwoFactor = () => {
+  const { token } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [isEnrolling, setIsEnrolling] = useState(false);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [busyAction, setBusyAction] = useState(null);
+
+  const loadStatus = async () => {
+    try {
+      const response = await fetch('/api/auth/2fa', {
+        headers: authHeaders()
+      });
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to load two-factor status');
+      }
+      setStatus(data.twoFactor);
+    } catch (error) {
+      console.error('Error loading two-factor status:', error);
+      toast.error(error.message);
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  // Disabling and regenerating recovery codes need the password and a code
+  const confirmedRequest = async (action, path) => {
+    setBusyAction(action);
+    try {
+      const response = await fetch(path, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...authHeaders()
+        },
+        body: JSON.stringify({ password, code })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Request failed');
+      }
+
+      setPassword('');
+      setCode('');
+      return data;
+    } catch (error) {
+      toast.error(error.message);
+      return null;
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  const handleDisable = async () => {
+    if (await confirmedRequest('disable', '/api/auth/2fa/disable')) {
+      toast.success('Two-factor authentication disabled');
+      loadStatus();
+    }
+  };
+
+  const handleRegenerate = async () => {
+    const data = await confirmedRequest('regenerate', '/api/auth/2fa/recovery-codes');
+    if (data) {
+      setRecoveryCodes(data.recoveryCodes);
+      loadStatus();
+    }
+  };
+
+  if (!status) return null;
+
+  return (
+    <section className="settings-section">
+      <h2>Two-Factor Authentication</h2>
+      <p className="settings-description">
+        Require a code from an authenticator app in addition to your password when signing in.
+        {status.required && ' Your role requires it.'}
+      </p>
+
+      {recoveryCodes && <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />}
+
+      {!status.enabled && !isEnrolling && (
+        <button className="btn btn-primary" onClick={() => setIsEnrolling(true)}>
+          <ShieldCheck className="w-4 h-4" />
+          Enable Two-Factor Authentication
+        </button>
+      )}
+
+      {!status.enabled && isEnrolling && (
+        <TwoFactorSetup
+          token={token}
+          onEnabled={() => {
+            setIsEnrolling(false);
+            loadStatus();
+            toast.success('Two-factor authentication enabled');
+          }}
+        />
+      )}
+
+      {status.enabled && (
+        <div className="card">
+          <p className="credential-status success">
+            <CheckCircle className="w-4 h-4" />
+            Enabled {status.enabledAt && `since ${new Date(status.enabledAt).toLocaleDateString()}`}
+            {' · '}
+            {status.recoveryCodesRemaining} recovery codes left
+          </p>
+          <div className="credential-fields">
+            <label className="credential-field">
+              <span>Password</span>
+              <input
+                className="input"
+                type="password"
+                autoComplete="current-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+              />
+            </label>
+            <label className="credential-field">
+              <span>Authentication code</span>
+              <input
+                className="input"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+              />
+            </label>
+          </div>
+          <div className="credential-actions">
+            <button
+              className="btn btn-secondary"
+              onClick={handleRegenerate}
+              disabled={busyAction !== null || !password || !code}
+            >
+              {busyAction === 'regenerate' && <Loader className="w-4 h-4 animate-spin" />}
+              New Recovery Codes
+            </button>
+            {!status.required && (
+              <button
+                className="btn btn-danger"
+                onClick={handleDisable}
+                disabled={busyAction !== null || !password || !code}
+              >
+                {busyAction === 'disable' && <Loader className="w-4 h-4 animate-spin" />}
+                Disable
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </section>
+  );
+};
+
+const Sessions = () => {
+  const [sessions, setSessions] = useState([]);
+
+  const loadSessions = async () => {
+    try {
+      const response = await fetch('/api/auth/sessions', {
+        headers: authHeaders()
+      });
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to load sessions');
+      }
+      setSessions(data.sessions);
+    } catch (error) {
+      console.error('Error loading sessions:', error);
+      toast.error(error.message);
+    }
+  };
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const revoke = async (path, successMessage) => {
+    try {
+      const response = await fetch(path, {
+        method: 'DELETE',
+        headers: authHeaders()
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to revoke session');
+      }
+
+      toast.success(successMessage);
+      loadSessions();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const otherSessions = sessions.filter(session => !session.current);
+
+  return (
+    <section className="settings-section">
+      <h2>Active Sessions</h2>
+      <p className="settings-description">
+        Devices signed in to your account. Revoking a session signs that device out immediately.
+      </p>
+
+      <div className="api-key-list">
+        {sessions.map(session => (
+          <div key={session.id} className="card api-key-item">
+            <div>
+              <h3 className="card-title">
+                <Monitor className="w-4 h-4" />
+                {session.userAgent || 'Unknown device'}
+                {session.current && <span className="credential-status success">this device</span>}
+              </h3>
+              <p className="credential-summary">
+                {session.ip || 'unknown IP'}
+                {' · '}
+                signed in {new Date(session.createdAt).toLocaleString()}
+                {' · '}
+                last active {new Date(session.lastUsedAt).toLocaleString()}
+              </p>
+            </div>
+            {!session.current && (
+              <button
+                className="btn btn-danger"
+                onClick={() => revoke(`/api/auth/sessions/${session.id}`, 'Session revoked')}
+              >
+                <LogOut className="w-4 h-4" />
+                Revoke
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {otherSessions.length > 0 && (
+        <div className="credential-actions">
+          <button
+            className="btn btn-secondary"
+            onClick={() => revoke('/api/auth/sessions', 'Signed out of all other devices')}
+          >
+            <LogOut className="w-4 h-4" />
+            Sign Out Other Devices
+          </button>
+        </div>
+      )}
+    </section>
+  );
+};
+
+const EmailVerification = () => {
+  const { user } = useAuth();
+  const [isSending, setIsSending] = useState(false);
+
+  if (!user || user.isEmailVerified) return null;
+
+  const handleResend = async () => {
+    setIsSending(true);
+    try {
+      const response = await fetch('/api/auth/verify-email/resend', {
+        method: 'POST',
+        headers: authHeaders()
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to send verification email');
+      }
+      toast.success(`Verification email sent to ${user.email}`);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <div className="card api-key-item">
+      <p>
+        <Mail className="w-4 h-4" /> Your email address <strong>{user.email}</strong> is not verified yet.
+      </p>
+      <button className="btn btn-secondary" onClick={handleResend} disabled={isSending}>
+        {isSending && <Loader className="w-4 h-4 animate-spin" />}
+        Resend Verification Email
+      </button>
+    </div>
+  );
+};
+
+const ORGANIZATION_MANAGERS = ['owner', 'admin'];
+
+// Calls /api/organization<path>; failures throw with the response status
+const organizationRequest = async (path, options = {}) => {
+  const response = await fetch(`/api/organization${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...authHeaders()
+    }
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    const error = new Error(data.error || 'Request failed');
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+};
+
+// Organization membership: create one, or manage members, invitations and
+// teams. Projects are shared with members and teams from the project itself.
+const Organization = () => {
+  const { user } = useAuth();
+  const [organization, setOrganization] = useState(undefined);
+  const [members, setMembers] = useState([]);
+  const [teams, setTeams] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [form, setForm] = useState({ name: '', slug: '', email: '', role: 'member', team: '' });
+
+  const loadOrganization = async () => {
+    try {
+      const data = await organizationRequest('');
+      setOrganization(data.organization);
+
+      const [memberData, teamData] = await Promise.all([organizationRequest('/members'), organizationRequest('/teams')]);
+      setMembers(memberData.members);
+      setTeams(teamData.teams);
+
+      if (ORGANIZATION_MANAGERS.includes(data.organization.role)) {
+        setInvitations((await organizationRequest('/invitations')).invitations);
+      }
+    } catch (error) {
+      if (error.status === 404) {
+        setOrganization(null);
+        return;
+      }
+      console.error('Error loading organization:', error);
+      toast.error(error.message);
+    }
+  };
+
+  useEffect(() => {
+    loadOrganization();
+  }, []);
+
+  const run = async (action, successMessage) => {
+    try {
+      await action();
+      if (successMessage) toast.success(successMessage);
+      loadOrganization();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const updateForm = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  if (organization === undefined) {
+    return null;
+  }
+
+  if (organization === null) {
+    return (
+      <section className="settings-section">
+        <h2>Organization</h2>
+        <p className="settings-description">
+          Create an organization to share projects with your colleagues, or ask an organization admin to invite you.
+        </p>
+        <div className="card">
+          <div className="credential-fields">
+            <label className="credential-field">
+              <span>Name</span>
+              <input className="input" value={form.name} placeholder="Acme" onChange={updateForm('name')} />
+            </label>
+            <label className="credential-field">
+              <span>Slug</span>
+              <input className="input" value={form.slug} placeholder="acme" onChange={updateForm('slug')} />
+            </label>
+          </div>
+          <div className="credential-actions">
+            <button
+              className="btn btn-primary"
+              disabled={!form.name.trim() || !form.slug.trim()}
+              onClick={() => run(() => organizationRequest('', {
+                method: 'POST',
+                body: JSON.stringify({ name: form.name, slug: form.slug })
+              }), 'Organization created')}
+            >
+              <Plus className="w-4 h-4" />
+              Create Organization
+            </button>
+          </div>
+        </div>
+      </section>
+    );
+  }
+
+  const isManager = ORGANIZATION_MANAGERS.includes(organization.role);
+  const teamsOf = (memberId) => teams.filter(team => team.members.includes(memberId)).map(team => team.name);
+
+  return (
+    <section className="settings-section">
+      <h2>Organization</h2>
+      <p className="settings-description">
+        <Building2 className="w-4 h-4" /> <strong>{organization.name}</strong> ({organization.slug}) · you are {organization.role}
+      </p>
+
+      <div className="api-key-list">
+        {members.map(member => (
+          <div key={member.id} className="card api-key-item">
+            <div>
+              <h3 className="card-title">
+                {member.firstName} {member.lastName}
+                <span className="credential-status success">{member.organizationRole}</span>
+              </h3>
+              <p className="credential-summary">
+                {member.email}
+                {teamsOf(member.id).length > 0 && ` · ${teamsOf(member.id).join(', ')}`}
+              </p>
+            </div>
+            {(isManager || member.id === user?.id) && (
+              <button
+                className="btn btn-danger"
+                onClick={() => {
+                  const leaving = member.id === user?.id;
+                  if (window.confirm(leaving ? `Leave ${organization.name}?` : `Remove ${member.email} from ${organization.name}?`)) {
+                    run(() => organizationRequest(`/members/${member.id}`, { method: 'DELETE' }), leaving ? 'You left the organization' : 'Member removed');
+                  }
+                }}
+              >
+                <LogOut className="w-4 h-4" />
+                {member.id === user?.id ? 'Leave' : 'Remove'}
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {isManager && (
+        <div className="card">
+          <h3 className="card-title">
+            <UserPlus className="w-4 h-4" />
+            Invite a member
+          </h3>
+          <div className="credential-fields">
+            <label className="credential-field">
+              <span>Email</span>
+              <input className="input" type="email" value={form.email} onChange={updateForm('email')} />
+            </label>
+            <label className="credential-field">
+              <span>Role</span>
+              <select className="input" value={form.role} onChange={updateForm('role')}>
+                <option value="member">Member</option>
+                <option value="admin">Admin</option>
+              </select>
+            </label>
+          </div>
+          <div className="credential-actions">
+            <button
+              className="btn btn-primary"
+              disabled={!form.email.trim()}
+              onClick={() => run(async () => {
+                await organizationRequest('/invitations', {
+                  method: 'POST',
+                  body: JSON.stringify({ email: form.email, role: form.role })
+                });
+                setForm(prev => ({ ...prev, email: '' }));
+              }, `Invitation sent to ${form.email}`)}
+            >
+              <Mail className="w-4 h-4" />
+              Send Invitation
+            </button>
+          </div>
+
+          {invitations.map(invitation => (
+            <p key={invitation.id} className="credential-summary">
+              {invitation.email} · {invitation.role} · {invitation.status}
+              {' '}
+              <button
+                className="btn btn-ghost"
+                onClick={() => run(() => organizationRequest(`/invitations/${invitation.id}`, { method: 'DELETE' }), 'Invitation revoked')}
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </p>
+          ))}
+        </div>
+      )}
+
+      <div className="card">
+        <h3 className="card-title">
+          <Users className="w-4 h-4" />
+          Teams
+        </h3>
+        {teams.length === 0 && <p className="credential-summary">No teams yet.</p>}
+        {teams.map(team => (
+          <p key={team.id} className="credential-summary">
+            <strong>{team.name}</strong> · {team.members.length} member(s)
+            {isManager && (
+              <button
+                className="btn btn-ghost"
+                onClick={() => {
+                  if (window.confirm(`Delete team "${team.name}"? Projects shared with it lose that access.`)) {
+                    run(() => organizationRequest(`/teams/${team.id}`, { method: 'DELETE' }), 'Team deleted');
+                  }
+                }}
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            )}
+          </p>
+        ))}
+        {isManager && (
+          <div className="credential-actions">
+            <input className="input" value={form.team} placeholder="Team name" onChange={updateForm('team')} />
+            <button
+              className="btn btn-secondary"
+              disabled={!form.team.trim()}
+              onClick={() => run(async () => {
+                await organizationRequest('/teams', { method: 'POST', body: JSON.stringify({ name: form.team }) });
+                setForm(prev => ({ ...prev, team: '' }));
+              }, 'Team created')}
+            >
+              <Plus className="w-4 h-4" />
+              Create Team
+            </button>
+          </div>
+        )}
+      </div>
+    </section>
+  );
+};
+
+const Settings = () => {
+  const [credentials, setCredentials] = useState(null);
+
+  useEffect(() => {
+    const loadCredentials = async () => {
+      try {
+        const response = await fetch('/api/auth/credentials', {
+          headers: authHeaders()
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+          throw new Error(data.error || 'Failed to load credentials');
+        }
+        setCredentials(data.credentials);
+      } catch (error) {
+        console.error('Error loading credentials:', error);
+        toast.error(error.message);
+      }
+    };
+
+    loadCredentials();
+  }, []);
+
+  const handleCredentialsChange = (provider, value) => {
+    setCredentials(prev => ({ ...prev, [provider]: value }));
+  };
+
+  return (
+    <div className="settings-page">
+      <h1>Settings</h1>
+
+      <EmailVerification />
+
+      <section className="settings-section">
+        <h2>Cloud Credentials</h2>
+        <p className="settings-description">
+          Deployments run with your own cloud accounts. Secrets are stored encrypted and never shown again after saving.
+        </p>
+
+        {credentials ? (
+          <div className="grid grid-cols-1 credential-grid">
+            {Object.keys(CREDENTIAL_FORMS).map(provider => (
+              <CredentialCard
+                key={provider}
+                provider={provider}
+                credentials={credentials[provider]}
+                onChange={handleCredentialsChange}
+              />
+            ))}
+          </div>
+        ) : (
+          <Loader className="w-6 h-6 animate-spin" />
+        )}
+      </section>
+
+      <Organization />
+
+      <TwoFactor />
+
+      <ApiKeys />
+
+      <Sessions />
+    </div>
+  );
+};
+
+export default Settings;
@@ -0,0 +1,80 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { CheckCircle, AlertCircle, Loader } from 'lucide-react';
+import './Settings.css';
+
+// Landing page of the link in the verification email
+const VerifyEmail = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    const verify = async () => {
+      try {
+        const response = await fetch('/api/auth/verify-email', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ token: searchParams.get('token') })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.error || 'Verification failed');
+        }
+        setStatus('verified');
+      } catch (error) {
+        setStatus('failed');
+        setMessage(error.message);
+      }
+    };
+
+    verify();
+  }, [searchParams]);
+
+  return (
+    <div className="settings-page">
+      <div className="card">
+        {status === 'verifying' && (
+          <h2 className="card-title">
+            <Loader className="w-5 h-5 animate-spin" />
+            Verifying your email address...
+          </h2>
+        )}
+
+        {status === 'verified' && (
+          <>
+            <h2 className="card-title">
+              <CheckCircle className="w-5 h-5" />
+              Email verified
+            </h2>
+            <p className="settings-description">Your email address is confirmed.</p>
+            <button className="btn btn-primary" onClick={() => navigate('/dashboard')}>
+              Continue
+            </button>
+          </>
+        )}
+
+        {status === 'failed' && (
+          <>
+            <h2 className="card-title">
+              <AlertCircle className="w-5 h-5" />
+              Verification failed
+            </h2>
+            <p className="settings-description">
+              {message}. You can request a new link from the Settings page.
+            </p>
+            <button className="btn btn-secondary" onClick={() => navigate('/settings')}>
+              Go to Settings
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
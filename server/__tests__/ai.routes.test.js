@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.JWT_SECRET = 'test-secret';
+
+// routes/ai.js still requires the request validation middleware, which is
+// not part of this tree
+jest.mock('../middleware/validation', () => ({
+  validateRequest: () => (req, res, next) => next()
+}), { virtual: true });
+
+jest.mock('../services/sessionService', () => ({
+  sessionService: { isActive: jest.fn(async () => true) }
+}));
+
+jest.mock('../services/quotaService', () => ({
+  quotaService: {
+    consume: jest.fn(),
+    release: jest.fn(async () => {}),
+    exceededMessage: jest.fn(() => 'Monthly AI request quota of your plan (50) is used up')
+  }
+}));
+
+jest.mock('../services/auditService', () => ({
+  auditService: { record: jest.fn(async () => null) }
+}));
+
+jest.mock('../services/conversationService', () => ({
+  conversationService: {
+    resolveConversation: jest.fn(async () => ({ _id: 'conversation-1' })),
+    buildHistory: jest.fn(async () => ({ summary: null, messages: [] })),
+    recordExchange: jest.fn(async () => {})
+  }
+}));
+
+const User = require('../models/User');
+const { aiService } = require('../services/aiService');
+const { cloudService } = require('../services/cloudService');
+const { quotaService } = require('../services/quotaService');
+const { auditService } = require('../services/auditService');
+const { conversationService } = require('../services/conversationService');
+const aiRoutes = require('../routes/ai');
+
+const FIXTURES_DIR = path.join(__dirname, '../services/llm/fixtures');
+const fixture = task => fs.readFileSync(path.join(FIXTURES_DIR, `${task}.txt`), 'utf8');
+
+const user = {
+  _id: new mongoose.Types.ObjectId(),
+  email: 'dev@example.com',
+  preferences: {},
+  subscription: { plan: 'free' }
+};
+user.id = user._id.toString();
+
+const token = jwt.sign({ userId: user.id, sid: 'session-1' }, process.env.JWT_SECRET);
+
+const app = express();
+app.use(express.json());
+app.use('/api/ai', aiRoutes);
+
+const post = (url, body) => request(app)
+  .post(url)
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+const TERRAFORM = 'resource "aws_instance" "web" {\n  instance_type = "t3.micro"\n}\n';
+
+beforeAll(async () => {
+  await aiService.initialize();
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+  jest.spyOn(cloudService, 'validateInfrastructure').mockResolvedValue({ valid: true, diagnostics: [] });
+  quotaService.consume.mockResolvedValue({ allowed: true, limit: null });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('/api/ai with the mock LLM provider', () => {
+  test('lists the mock provider as the default', async () => {
+    const res = await request(app).get('/api/ai/providers').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.providers).toContainEqual({ name: 'mock', model: 'mock-fixtures', default: true });
+  });
+
+  test('requires an access token', async () => {
+    const res = await request(app).post('/api/ai/explain').send({ terraformCode: TERRAFORM });
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('NO_TOKEN');
+  });
+
+  test('generates infrastructure from the fixture document', async () => {
+    const res = await post('/api/ai/generate-infrastructure', { description: 'A web server in a VPC' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+    expect(Object.keys(res.body.data.files)).toEqual(expect.arrayContaining(['main.tf', 'variables.tf', 'outputs.tf']));
+    expect(res.body.data.terraform).toContain('resource "aws_vpc" "main"');
+    expect(res.body.data.valid).toBe(true);
+    expect(res.body.data.attempts).toHaveLength(1);
+    expect(res.body.data.explanation).toBe(fixture('explain'));
+    expect(res.body.data.estimatedCost.monthlyTotal).toBeGreaterThan(0);
+  });
+
+  test('rejects a generation request without a description', async () => {
+    const res = await post('/api/ai/generate-infrastructure', {});
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Description is required');
+  });
+
+  test('answers chat messages and records the exchange', async () => {
+    const res = await post('/api/ai/chat', { message: 'Why is my deployment slow?' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.response).toBe(fixture('chat'));
+    expect(res.body.conversationId).toBe('conversation-1');
+    expect(conversationService.recordExchange).toHaveBeenCalledWith(
+      { _id: 'conversation-1' },
+      'Why is my deployment slow?',
+      fixture('chat')
+    );
+  });
+
+  test('answers 404 for an unknown conversation', async () => {
+    conversationService.resolveConversation.mockRejectedValueOnce(
+      Object.assign(new Error('Conversation not found'), { status: 404, code: 'CONVERSATION_NOT_FOUND' })
+    );
+
+    const res = await post('/api/ai/chat', { message: 'Hello', conversationId: 'missing' });
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('CONVERSATION_NOT_FOUND');
+  });
+
+  test('answers 500 when conversations cannot be loaded', async () => {
+    conversationService.resolveConversation.mockRejectedValueOnce(new Error('connection refused'));
+
+    const res = await post('/api/ai/chat', { message: 'Hello', conversationId: 'conversation-1' });
+
+    expect(res.status).toBe(500);
+    expect(res.body.error).toBe('Failed to process chat message');
+  });
+
+  test.each([
+    ['/api/ai/explain', 'explanation', 'explain'],
+    ['/api/ai/optimize', 'optimization', 'optimize'],
+    ['/api/ai/compliance-check', 'complianceReport', 'compliance-check'],
+    ['/api/ai/security-audit', 'securityAudit', 'security-audit'],
+    ['/api/ai/generate-monitoring', 'monitoringConfig', 'generate-monitoring']
+  ])('%s answers with its fixture', async (url, field, task) => {
+    const res = await post(url, { terraformCode: TERRAFORM });
+
+    expect(res.status).toBe(200);
+    expect(res.body[field]).toBe(fixture(task));
+  });
+
+  test('generates documentation from project data', async () => {
+    const res = await post('/api/ai/generate-documentation', { projectData: { name: 'web' } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.documentation).toBe(fixture('documentation'));
+  });
+
+  test('estimates costs from a configuration', async () => {
+    const res = await post('/api/ai/estimate-cost', { terraformCode: TERRAFORM });
+
+    expect(res.status).toBe(200);
+    expect(res.body.costEstimate.breakdown).toEqual([
+      expect.objectContaining({ address: 'aws_instance.web', type: 'aws_instance', count: 1 })
+    ]);
+    expect(res.body.costEstimate.monthlyTotal).toBeGreaterThan(0);
+    expect(quotaService.consume).not.toHaveBeenCalled();
+  });
+
+  test('refuses requests once the AI quota is used up', async () => {
+    quotaService.consume.mockResolvedValue({
+      allowed: false,
+      limit: 50,
+      used: 50,
+      remaining: 0,
+      resetsAt: new Date(Date.now() + 60000)
+    });
+
+    const res = await post('/api/ai/explain', { terraformCode: TERRAFORM });
+
+    expect(res.status).toBe(429);
+    expect(res.body.code).toBe('QUOTA_EXCEEDED');
+  });
+
+  test('records every call in the audit trail', async () => {
+    await post('/api/ai/explain', { terraformCode: TERRAFORM });
+
+    // The audit middleware records once the response has been sent
+    await new Promise(resolve => setImmediate(resolve));
+    expect(auditService.record).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({ action: 'ai.explain', outcome: 'success' })
+    );
+  });
+});
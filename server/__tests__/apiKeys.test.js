@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+
+// Stored secrets are encrypted with a key derived from it in tests
+process.env.JWT_SECRET = 'test-secret';
+
+const User = require('../models/User');
+const { apiKeyService } = require('../services/apiKeyService');
+const { authenticateToken, requireScope, requireSession } = require('../middleware/auth');
+
+const app = express();
+app.get('/projects', authenticateToken, requireScope('projects:read'), (req, res) => res.json({ success: true }));
+app.post('/deployments', authenticateToken, requireScope('deployments:write'), (req, res) => res.json({ success: true }));
+app.get('/credentials', authenticateToken, requireSession, (req, res) => res.json({ success: true }));
+
+let user;
+
+const storeUser = (overrides = {}) => {
+  user = new User({ email: 'ci@example.com', username: 'ci', password: 'unused', ...overrides });
+  return user;
+};
+
+const withKey = (method, url, key) => request(app)[method](url).set('Authorization', `ApiKey ${key}`);
+
+beforeEach(() => {
+  storeUser();
+  jest.spyOn(User, 'findOne').mockImplementation(({ 'apiKeys.keyHash': keyHash }) => ({
+    select: async () => (user.apiKeys.some(entry => entry.keyHash === keyHash) ? user : null)
+  }));
+  jest.spyOn(User, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('apiKeyService', () => {
+  test('stores only the hash of a new key', () => {
+    const { key, apiKey } = apiKeyService.create(user, { name: 'CI', permissions: ['projects:read'] });
+
+    expect(key).toMatch(/^cpk_/);
+    expect(user.apiKeys[0].keyHash).toBe(crypto.createHash('sha256').update(key).digest('hex'));
+    expect(JSON.stringify(user.apiKeys[0])).not.toContain(key);
+    expect(apiKey.prefix).toBe(key.slice(0, 12));
+  });
+
+  test('rejects unknown permissions', () => {
+    expect(() => apiKeyService.create(user, { name: 'CI', permissions: ['admin:all'] }))
+      .toThrow(expect.objectContaining({ status: 400, message: 'Unknown permissions: admin:all' }));
+  });
+
+  test('refuses expired keys and keys of inactive users', async () => {
+    const { key } = apiKeyService.create(user, { name: 'CI', permissions: ['projects:read'], expiresInDays: 1 });
+    await expect(apiKeyService.authenticate(key)).resolves.toEqual(expect.objectContaining({ user }));
+
+    user.apiKeys[0].expiresAt = new Date(Date.now() - 1000);
+    await expect(apiKeyService.authenticate(key)).resolves.toBeNull();
+
+    user.apiKeys[0].expiresAt = undefined;
+    user.isActive = false;
+    await expect(apiKeyService.authenticate(key)).resolves.toBeNull();
+  });
+
+  test('stops accepting a revoked key', async () => {
+    const { key, apiKey } = apiKeyService.create(user, { name: 'CI', permissions: ['projects:read'] });
+
+    expect(apiKeyService.revoke(user, apiKey.id)).toBe(true);
+    await expect(apiKeyService.authenticate(key)).resolves.toBeNull();
+  });
+});
+
+describe('API key requests', () => {
+  test('reach routes within the key permissions', async () => {
+    const { key } = apiKeyService.create(user, { name: 'CI', permissions: ['projects:read'] });
+
+    const res = await withKey('get', '/projects', key);
+
+    expect(res.status).toBe(200);
+    expect(user.apiKeys[0].lastUsed).toBeInstanceOf(Date);
+  });
+
+  test('are refused outside the key permissions', async () => {
+    const { key } = apiKeyService.create(user, { name: 'CI', permissions: ['projects:read'] });
+
+    const res = await withKey('post', '/deployments', key);
+
+    expect(res.status).toBe(403);
+    expect(res.body).toEqual(expect.objectContaining({ code: 'INSUFFICIENT_SCOPE', required: 'deployments:write' }));
+  });
+
+  test('cannot reach account endpoints', async () => {
+    const { key } = apiKeyService.create(user, { name: 'CI', permissions: ['projects:read', 'projects:write'] });
+
+    const res = await withKey('get', '/credentials', key);
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('SESSION_REQUIRED');
+  });
+
+  test('are refused for unknown keys', async () => {
+    const res = await withKey('get', '/projects', 'cpk_unknown');
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('INVALID_API_KEY');
+  });
+});
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+const { auditService } = require('../services/auditService');
+
+// In-memory stand-in for the audit collection, with its unique sequence index
+let events;
+
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+beforeEach(() => {
+  events = [];
+  jest.spyOn(AuditEvent, 'create').mockImplementation(async (entry) => {
+    if (events.some(event => event.sequence === entry.sequence)) throw duplicateKey();
+    const event = JSON.parse(JSON.stringify(entry));
+    events.push(event);
+    return event;
+  });
+  jest.spyOn(AuditEvent, 'findOne').mockImplementation(() => ({
+    sort: () => ({
+      select: () => ({
+        lean: async () => [...events].sort((a, b) => b.sequence - a.sequence)[0] || null
+      })
+    })
+  }));
+  jest.spyOn(AuditEvent, 'find').mockImplementation(() => ({
+    sort: () => ({
+      lean: () => ({
+        cursor: () => [...events].sort((a, b) => a.sequence - b.sequence)
+      })
+    })
+  }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const req = {
+  user: { _id: new mongoose.Types.ObjectId(), email: 'dev@example.com' },
+  ip: '203.0.113.7',
+  get: () => 'jest'
+};
+
+const recordEvents = count => Promise.all(Array.from({ length: count }, (_, index) => auditService.record(req, {
+  action: 'project.update',
+  target: { type: 'project', id: `project-${index}`, name: `Project ${index}` },
+  changes: { before: { name: 'old' }, after: { name: 'new' } }
+})));
+
+describe('auditService hash chain', () => {
+  test('chains every event to the one before it', async () => {
+    await recordEvents(3);
+
+    expect(events.map(event => event.sequence)).toEqual([1, 2, 3]);
+    expect(events[0].previousHash).toBeNull();
+    expect(events[1].previousHash).toBe(events[0].hash);
+    expect(events[2].previousHash).toBe(events[1].hash);
+    await expect(auditService.verifyChain()).resolves.toEqual({ valid: true, checked: 3, brokenAt: null });
+  });
+
+  test('detects an edited event', async () => {
+    await recordEvents(3);
+    events[1].target.name = 'Someone else';
+
+    await expect(auditService.verifyChain()).resolves.toEqual({ valid: false, checked: 1, brokenAt: 2 });
+  });
+
+  test('detects a deleted event', async () => {
+    await recordEvents(3);
+    events.splice(1, 1);
+
+    await expect(auditService.verifyChain()).resolves.toEqual({ valid: false, checked: 1, brokenAt: 3 });
+  });
+
+  test('keeps every event when other servers take sequence numbers first', async () => {
+    // Events another server appends right before each of the first attempts
+    let clashes = 5;
+    const create = AuditEvent.create.getMockImplementation();
+    AuditEvent.create.mockImplementation(async (entry) => {
+      if (clashes-- > 0) {
+        await create({ ...entry, action: 'auth.login' });
+        throw duplicateKey();
+      }
+      return create(entry);
+    });
+
+    const recorded = await recordEvents(5);
+
+    expect(recorded.every(Boolean)).toBe(true);
+    expect(events.filter(event => event.action === 'project.update')).toHaveLength(5);
+    expect(events.map(event => event.sequence)).toEqual(Array.from({ length: 10 }, (_, index) => index + 1));
+  });
+});
+
+describe('auditService.diff', () => {
+  test('records only the changed fields and digests long values', () => {
+    const code = 'x'.repeat(2000);
+    const changes = auditService.diff(
+      { name: 'web', description: 'same', terraformCode: 'a' },
+      { name: 'api', description: 'same', terraformCode: code }
+    );
+
+    expect(changes.before).toEqual({ name: 'web', terraformCode: 'a' });
+    expect(changes.after.name).toBe('api');
+    expect(changes.after.terraformCode).toEqual({ sha256: expect.stringMatching(/^[0-9a-f]{64}$/), lines: 1 });
+    expect(auditService.diff({ name: 'web' }, { name: 'web' })).toBeUndefined();
+  });
+});
+
+describe('auditService.buildFilter', () => {
+  const admin = { _id: new mongoose.Types.ObjectId(), role: 'super_admin' };
+
+  test('lets super admins read every event', () => {
+    expect(auditService.scopeFor(admin)).toEqual({});
+    expect(auditService.scopeFor({ ...admin, role: 'user' })).toEqual({ 'actor.userId': admin._id });
+  });
+
+  test('matches action prefixes and emails', () => {
+    const filter = auditService.buildFilter(admin, { action: 'deployment.*', actor: 'Dev@Example.com', outcome: 'failure' });
+
+    expect(filter.$and[1]).toEqual({
+      action: /^deployment\./,
+      'actor.email': 'dev@example.com',
+      outcome: 'failure'
+    });
+  });
+
+  test.each([
+    ['a repeated parameter', { action: ['deployment.create', 'deployment.approve'] }, 'action'],
+    ['an operator object', { outcome: { $ne: 'success' } }, 'outcome'],
+    ['several bad parameters', { targetId: { $gt: '' }, actor: ['a', 'b'] }, 'targetId, actor']
+  ])('rejects %s', (name, query, params) => {
+    expect(() => auditService.buildFilter(admin, query)).toThrow(expect.objectContaining({
+      status: 400,
+      message: `${params} must be given once, as a string`
+    }));
+  });
+});
@@ -0,0 +1,68 @@
+const { cloudService } = require('../services/cloudService');
+
+const change = (address, actions, extra = {}) => ({
+  address,
+  type: address.split('.')[0],
+  change: { actions, ...extra }
+});
+
+describe('cloudService.summarizePlan', () => {
+  test('counts changes the way terraform plan reports them', () => {
+    const summary = cloudService.summarizePlan({
+      resource_changes: [
+        change('aws_vpc.main', ['create']),
+        change('aws_instance.web', ['update']),
+        change('aws_s3_bucket.logs', ['delete']),
+        change('aws_db_instance.main', ['delete', 'create']),
+        change('aws_subnet.public', ['no-op']),
+        change('data.aws_ami.ubuntu', ['read'])
+      ]
+    });
+
+    expect(summary).toEqual({
+      add: 2,
+      change: 1,
+      destroy: 2,
+      resources: [
+        { address: 'aws_vpc.main', type: 'aws_vpc', action: 'create' },
+        { address: 'aws_instance.web', type: 'aws_instance', action: 'update' },
+        { address: 'aws_s3_bucket.logs', type: 'aws_s3_bucket', action: 'delete' },
+        { address: 'aws_db_instance.main', type: 'aws_db_instance', action: 'replace' }
+      ]
+    });
+  });
+
+  test('summarizes a plan without changes', () => {
+    expect(cloudService.summarizePlan({})).toEqual({ add: 0, change: 0, destroy: 0, resources: [] });
+  });
+});
+
+describe('cloudService.summarizeDrift', () => {
+  test('lists changed attributes and hides sensitive values', () => {
+    const resources = cloudService.summarizeDrift({
+      resource_drift: [
+        change('aws_instance.web', ['update'], {
+          before: { instance_type: 't3.micro', tags: { Owner: 'a' }, password: 'old' },
+          after: { instance_type: 't3.large', tags: { Owner: 'a' }, password: 'new' },
+          before_sensitive: { password: true },
+          after_sensitive: { password: true }
+        }),
+        change('aws_s3_bucket.logs', ['delete']),
+        change('aws_vpc.main', ['no-op'])
+      ]
+    });
+
+    expect(resources).toEqual([
+      {
+        address: 'aws_instance.web',
+        type: 'aws_instance',
+        action: 'update',
+        changes: [
+          { attribute: 'instance_type', expected: 't3.micro', actual: 't3.large' },
+          { attribute: 'password', expected: '(sensitive)', actual: '(sensitive)' }
+        ]
+      },
+      { address: 'aws_s3_bucket.logs', type: 'aws_s3_bucket', action: 'delete', changes: [] }
+    ]);
+  });
+});
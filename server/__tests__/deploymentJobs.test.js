@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// Stored secrets are encrypted with a key derived from it in tests
+process.env.JWT_SECRET = 'test-secret';
+
+const Deployment = require('../models/Deployment');
+const { cloudService } = require('../services/cloudService');
+const { PLAN_JOB, registerDeploymentJobs } = require('../services/deploymentJobs');
+
+// Handlers as the job queue would call them
+const handlers = {};
+registerDeploymentJobs({
+  register: (name, handler) => { handlers[name] = handler; },
+  enqueue: async () => {}
+});
+
+const job = { attempts: 1, maxAttempts: 3, createdAt: new Date() };
+
+const queuedDeployment = (status = 'pending') => {
+  const deployment = new Deployment({
+    projectId: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    name: 'web',
+    provider: 'aws',
+    terraformCode: 'resource "aws_instance" "web" {}',
+    status
+  });
+  jest.spyOn(deployment, 'save').mockResolvedValue(deployment);
+  jest.spyOn(Deployment, 'findById').mockResolvedValue(deployment);
+  return deployment;
+};
+
+beforeEach(() => {
+  jest.spyOn(cloudService, 'planInfrastructure').mockRejectedValue(new Error('plan must not run'));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('deployment plan job', () => {
+  test('queued deployments count as an operation in progress', async () => {
+    const exists = jest.spyOn(Deployment, 'exists').mockResolvedValue(null);
+    const projectId = new mongoose.Types.ObjectId();
+
+    await Deployment.hasOperationInProgress(projectId);
+
+    expect(exists).toHaveBeenCalledWith({ projectId, status: { $in: expect.arrayContaining(['pending']) } });
+  });
+
+  test('fails the plan when another deployment of the project is running', async () => {
+    const deployment = queuedDeployment();
+    jest.spyOn(Deployment, 'findOneAndUpdate').mockResolvedValue({ status: 'pending' });
+    const exists = jest.spyOn(Deployment, 'exists').mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+    const updateOne = jest.spyOn(Deployment, 'updateOne').mockResolvedValue({});
+
+    const result = await handlers[PLAN_JOB]({ deploymentId: deployment._id }, job, {});
+
+    expect(result).toEqual({ skipped: 'Another operation is in progress for this project' });
+    expect(exists).toHaveBeenCalledWith(expect.objectContaining({
+      projectId: deployment.projectId,
+      status: { $in: Deployment.RUNNING_STATUSES }
+    }));
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: deployment._id, status: 'planning' },
+      { $set: { status: 'pending' }, $unset: {} }
+    );
+    expect(deployment.status).toBe('failed');
+    expect(cloudService.planInfrastructure).not.toHaveBeenCalled();
+  });
+
+  test('claims the deployment only while it is queued or planning', async () => {
+    const deployment = queuedDeployment('rejected');
+    const findOneAndUpdate = jest.spyOn(Deployment, 'findOneAndUpdate').mockResolvedValue(null);
+
+    const result = await handlers[PLAN_JOB]({ deploymentId: deployment._id }, job, {});
+
+    expect(findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: deployment._id, status: { $in: ['pending', 'planning'] } },
+      { $set: { status: 'planning' } }
+    );
+    expect(result).toEqual({ skipped: 'Deployment is rejected' });
+    expect(deployment.save).not.toHaveBeenCalled();
+    expect(cloudService.planInfrastructure).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,100 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../services/sessionService', () => ({
+  sessionService: { isActive: jest.fn(async () => true) }
+}));
+
+jest.mock('../services/auditService', () => ({
+  auditService: { record: jest.fn(async () => null) }
+}));
+
+const User = require('../models/User');
+const Deployment = require('../models/Deployment');
+const { projectAccessService } = require('../services/projectAccessService');
+const deploymentRoutes = require('../routes/deployments');
+
+const user = {
+  _id: new mongoose.Types.ObjectId(),
+  email: 'dev@example.com',
+  preferences: {},
+  subscription: { plan: 'free' }
+};
+user.id = user._id.toString();
+
+const token = jwt.sign({ userId: user.id, sid: 'session-1' }, process.env.JWT_SECRET);
+
+const app = express();
+app.use(express.json());
+app.use('/api/deployments', deploymentRoutes);
+
+// The stored deployment, as findById returns it both awaited and with select()
+let stored;
+
+const storeDeployment = (status) => {
+  stored = new Deployment({
+    projectId: new mongoose.Types.ObjectId(),
+    userId: user._id,
+    name: 'web',
+    provider: 'aws',
+    terraformCode: 'resource "aws_instance" "web" {}',
+    status
+  });
+  return stored;
+};
+
+const remove = () => request(app)
+  .delete(`/api/deployments/${stored._id}`)
+  .set('Authorization', `Bearer ${token}`);
+
+beforeEach(() => {
+  jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+  jest.spyOn(projectAccessService, 'deploymentRoleFor').mockResolvedValue('owner');
+  jest.spyOn(Deployment, 'findById').mockImplementation(() => ({
+    select: async () => stored,
+    then: (resolve, reject) => Promise.resolve(stored).then(resolve, reject)
+  }));
+  jest.spyOn(Deployment, 'findOneAndDelete').mockImplementation(async ({ status }) => (
+    status.$nin.includes(stored.status) ? null : stored
+  ));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('DELETE /api/deployments/:id', () => {
+  test('deletes a finished deployment', async () => {
+    storeDeployment('failed');
+
+    const res = await remove();
+
+    expect(res.status).toBe(200);
+    expect(Deployment.findOneAndDelete).toHaveBeenCalledWith(expect.objectContaining({ _id: stored._id }));
+  });
+
+  test.each(['pending', 'planning', 'deploying', 'rolling_back', 'tearing_down'])(
+    'refuses while the deployment is %s',
+    async (status) => {
+      storeDeployment(status);
+
+      const res = await remove();
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toBe('An operation is in progress for this deployment');
+    }
+  );
+
+  test('requires a teardown before deleting a live deployment', async () => {
+    storeDeployment('deployed');
+
+    const res = await remove();
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Tear down the deployment before deleting it');
+  });
+});
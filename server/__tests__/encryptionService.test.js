@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+
+const KEY_1 = crypto.randomBytes(32).toString('base64');
+const KEY_2 = crypto.randomBytes(32).toString('base64');
+
+// The service reads its keys from the environment when it is loaded;
+// `undefined` unsets a variable
+const loadService = (env) => {
+  const saved = { ...process.env };
+  Object.entries(env).forEach(([key, value]) => {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  });
+  try {
+    let service;
+    jest.isolateModules(() => {
+      ({ encryptionService: service } = require('../services/encryptionService'));
+    });
+    return service;
+  } finally {
+    Object.keys(env).forEach((key) => { delete process.env[key]; });
+    Object.assign(process.env, saved);
+  }
+};
+
+describe('encryptionService', () => {
+  test('encrypts with the active master key and decrypts', () => {
+    const service = loadService({ ENCRYPTION_KEYS: `1:${KEY_1}` });
+    const sealed = service.encrypt('secret-access-key');
+
+    expect(sealed).toMatch(/^enc:v1:1:/);
+    expect(service.decrypt(sealed)).toBe('secret-access-key');
+  });
+
+  test('rewraps the data key with a new master key without changing the ciphertext', () => {
+    const before = loadService({ ENCRYPTION_KEYS: `1:${KEY_1}` });
+    const sealed = before.encrypt('secret-access-key');
+
+    const after = loadService({ ENCRYPTION_KEYS: `1:${KEY_1},2:${KEY_2}` });
+    const rewrapped = after.rewrap(sealed);
+
+    expect(after.getKeyVersion(rewrapped)).toBe(2);
+    expect(rewrapped.split(':')[4]).toBe(sealed.split(':')[4]);
+    expect(after.decrypt(rewrapped)).toBe('secret-access-key');
+
+    // Once the old key is retired only the rewrapped value can be read
+    const retired = loadService({ ENCRYPTION_KEYS: `2:${KEY_2}` });
+    expect(retired.decrypt(rewrapped)).toBe('secret-access-key');
+    expect(() => retired.decrypt(sealed)).toThrow('Master key version 1 is not configured');
+  });
+
+  test('leaves current values alone and encrypts plaintext', () => {
+    const service = loadService({ ENCRYPTION_KEYS: `1:${KEY_1}` });
+    const sealed = service.encrypt('secret-access-key');
+
+    expect(service.rewrap(sealed)).toBe(sealed);
+    expect(service.decrypt(service.rewrap('stored-before-encryption'))).toBe('stored-before-encryption');
+    expect(service.rewrap('')).toBe('');
+  });
+
+  test('requires a master key in production', () => {
+    expect(() => loadService({ NODE_ENV: 'production', ENCRYPTION_KEYS: undefined, JWT_SECRET: 'jwt-secret' }))
+      .toThrow('ENCRYPTION_KEYS must be set in production');
+    expect(() => loadService({ NODE_ENV: 'production', ENCRYPTION_KEYS: `1:${KEY_1}` })).not.toThrow();
+  });
+
+  test('derives a development key from JWT_SECRET only', () => {
+    const service = loadService({ NODE_ENV: 'development', ENCRYPTION_KEYS: undefined, JWT_SECRET: 'jwt-secret' });
+    const sealed = service.encrypt('secret-access-key');
+
+    expect(service.getKeyVersion(sealed)).toBe(0);
+    expect(loadService({ ENCRYPTION_KEYS: `1:${KEY_1}`, JWT_SECRET: 'jwt-secret' }).decrypt(sealed)).toBe('secret-access-key');
+    expect(() => loadService({ NODE_ENV: 'development', ENCRYPTION_KEYS: undefined, JWT_SECRET: undefined }))
+      .toThrow('ENCRYPTION_KEYS (or, outside production, JWT_SECRET) must be set');
+  });
+
+  test('rejects malformed keys', () => {
+    expect(() => loadService({ ENCRYPTION_KEYS: '1:too-short' })).toThrow('Invalid ENCRYPTION_KEYS entry');
+  });
+});
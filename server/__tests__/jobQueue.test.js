@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const { jobQueue } = require('../services/jobQueue');
+
+// The queue is not started, so run() is driven directly and never polls
+const claimedJob = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  type: 'test.job',
+  payload: { id: 1 },
+  attempts: 1,
+  maxAttempts: 3,
+  ...overrides
+});
+
+const updateFor = status => Job.updateOne.mock.calls
+  .map(([filter, update]) => ({ filter, update }))
+  .find(({ update }) => update.$set && update.$set.status === status);
+
+let onFailed;
+
+beforeEach(() => {
+  onFailed = jest.fn(async () => {});
+  jobQueue.handlers.clear();
+  jobQueue.leaseDuration = 3000;
+  jobQueue.retryBaseDelay = 1000;
+  jobQueue.shutdownTimeout = 50;
+  jest.spyOn(Job, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('jobQueue', () => {
+  test('marks a job completed with the handler result', async () => {
+    jobQueue.register('test.job', async payload => ({ handled: payload.id }), { onFailed });
+
+    await jobQueue.run(claimedJob());
+
+    const { filter, update } = updateFor('completed');
+    expect(filter.lockedBy).toBe(jobQueue.workerId);
+    expect(update.$set.result).toEqual({ handled: 1 });
+    expect(jobQueue.active.size).toBe(0);
+  });
+
+  test('requeues a failed attempt with exponential backoff', async () => {
+    jobQueue.register('test.job', async () => { throw new Error('terraform exited with 1'); }, { onFailed });
+    const before = Date.now();
+
+    await jobQueue.run(claimedJob({ attempts: 2 }));
+
+    const { update } = updateFor('queued');
+    expect(update.$set.runAt.getTime()).toBeGreaterThanOrEqual(before + 2000);
+    expect(update.$push.failures).toEqual(expect.objectContaining({ attempt: 2, message: 'terraform exited with 1' }));
+    expect(onFailed).not.toHaveBeenCalled();
+  });
+
+  test('fails the job on its last attempt and reports it once', async () => {
+    jobQueue.register('test.job', async () => { throw new Error('terraform exited with 1'); }, { onFailed });
+
+    await jobQueue.run(claimedJob({ attempts: 3 }));
+
+    expect(updateFor('failed')).toBeDefined();
+    expect(onFailed).toHaveBeenCalledTimes(1);
+    expect(onFailed).toHaveBeenCalledWith({ id: 1 }, expect.anything(), expect.objectContaining({ message: 'terraform exited with 1' }));
+  });
+
+  test('does not retry errors marked as not retryable', async () => {
+    const error = Object.assign(new Error('No AWS credentials configured'), { retryable: false });
+    jobQueue.register('test.job', async () => { throw error; }, { onFailed });
+
+    await jobQueue.run(claimedJob({ attempts: 1 }));
+
+    expect(updateFor('queued')).toBeUndefined();
+    expect(updateFor('failed')).toBeDefined();
+    expect(onFailed).toHaveBeenCalledTimes(1);
+  });
+
+  test('aborts the handler when another worker has taken the lease', async () => {
+    jest.useFakeTimers();
+    let signal;
+    jobQueue.register('test.job', (payload, job, options) => {
+      signal = options.signal;
+      return new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason));
+      });
+    }, { onFailed });
+    // The heartbeat finds the job locked by someone else
+    Job.updateOne.mockImplementation(async (filter, update) => (
+      update.$set.heartbeatAt ? { matchedCount: 0 } : { matchedCount: 1 }
+    ));
+
+    const running = jobQueue.run(claimedJob());
+    await jest.advanceTimersByTimeAsync(jobQueue.leaseDuration / 3);
+    await running;
+
+    expect(signal.aborted).toBe(true);
+    expect(signal.reason.message).toBe('Job lease was lost');
+    expect(updateFor('queued').filter.lockedBy).toBe(jobQueue.workerId);
+  });
+
+  test('aborts jobs still running when shutdown times out', async () => {
+    let signal;
+    jobQueue.register('test.job', (payload, job, options) => {
+      signal = options.signal;
+      return new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason));
+      });
+    }, { onFailed });
+
+    const job = claimedJob();
+    jobQueue.active.set(job._id.toString(), jobQueue.run(job));
+    await jobQueue.stop();
+
+    expect(signal.reason.message).toBe('Worker is shutting down');
+    expect(jobQueue.active.size).toBe(0);
+  });
+});
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Stored secrets are encrypted with a key derived from it in tests
+process.env.JWT_SECRET = 'test-secret';
+
+const User = require('../models/User');
+const { quotaService } = require('../services/quotaService');
+
+const user = {
+  _id: new mongoose.Types.ObjectId(),
+  subscription: { plan: 'free' }
+};
+
+const usage = used => ({ get: () => used });
+
+beforeEach(() => {
+  jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('quotaService', () => {
+  test('counts a use only while the plan limit is not reached', async () => {
+    const limit = User.PLAN_LIMITS.free.aiRequests;
+    const findOneAndUpdate = jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue(usage(3));
+
+    const state = await quotaService.consume(user, 'aiRequests');
+
+    expect(findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: user._id, 'usage.aiRequestsThisMonth': { $lt: limit } },
+      { $inc: { 'usage.aiRequestsThisMonth': 1 } },
+      expect.objectContaining({ new: true })
+    );
+    expect(state).toEqual(expect.objectContaining({ allowed: true, used: 3, limit, remaining: limit - 3 }));
+  });
+
+  test('refuses a use once the counter is at the limit', async () => {
+    const limit = User.PLAN_LIMITS.free.deployments;
+    jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => usage(limit) });
+
+    const state = await quotaService.consume(user, 'deployments');
+
+    expect(state).toEqual(expect.objectContaining({ allowed: false, used: limit, remaining: 0 }));
+  });
+
+  test('does not limit unlimited plans', async () => {
+    const unlimitedPlan = Object.keys(User.PLAN_LIMITS).find(plan => User.PLAN_LIMITS[plan].aiRequests === -1);
+    const findOneAndUpdate = jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue(usage(1000));
+
+    const state = await quotaService.consume({ ...user, subscription: { plan: unlimitedPlan } }, 'aiRequests');
+
+    expect(findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: user._id });
+    expect(state).toEqual(expect.objectContaining({ allowed: true, limit: null, remaining: null }));
+  });
+
+  test('resets counters last reset before this month', async () => {
+    jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue(usage(1));
+
+    await quotaService.consume(user, 'aiRequests');
+
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: user._id, 'usage.lastResetDate': { $not: { $gte: User.usagePeriodStart(new Date()) } } },
+      { $set: expect.objectContaining({ 'usage.deploymentsThisMonth': 0, 'usage.aiRequestsThisMonth': 0 }) }
+    );
+  });
+
+  test('gives back a use without going below zero', async () => {
+    await quotaService.release(user, 'deployments');
+
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: user._id, 'usage.deploymentsThisMonth': { $gt: 0 } },
+      { $inc: { 'usage.deploymentsThisMonth': -1 } }
+    );
+  });
+});
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const ProjectRevision = require('../models/ProjectRevision');
+const { revisionService } = require('../services/revisionService');
+
+const project = { _id: new mongoose.Types.ObjectId(), currentRevision: 3 };
+
+const CODE = [
+  'resource "aws_instance" "web" {\n  instance_type = "t3.micro"\n}\n',
+  'resource "aws_instance" "web" {\n  instance_type = "t3.large"\n}\n',
+  'resource "aws_instance" "web" {\n  instance_type = "t3.large"\n}\n\nresource "aws_s3_bucket" "logs" {\n  bucket = "logs"\n}\n'
+];
+
+const revisions = CODE.map((terraformCode, index) => new ProjectRevision({
+  projectId: project._id,
+  number: index + 1,
+  terraformCode,
+  checksum: `checksum-${index + 1}`,
+  lines: terraformCode.split('\n').length - 1
+}));
+
+beforeEach(() => {
+  jest.spyOn(Project, 'findById').mockReturnValue({
+    select: () => ({ lean: async () => ({ currentRevision: project.currentRevision }) })
+  });
+  jest.spyOn(ProjectRevision, 'findOne').mockImplementation(({ number }) => ({
+    populate: async () => revisions.find(revision => revision.number === number) || null
+  }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('revisionService.diff', () => {
+  test('compares the current revision with the one before it', async () => {
+    const result = await revisionService.diff(project);
+
+    expect(result.from.number).toBe(2);
+    expect(result.to.number).toBe(3);
+    expect(result.additions).toBe(4);
+    expect(result.deletions).toBe(0);
+    expect(result.diff).toContain('--- main.tf\trevision 2');
+    expect(result.diff).toContain('+++ main.tf\trevision 3');
+    expect(result.diff).toContain('+resource "aws_s3_bucket" "logs" {');
+  });
+
+  test('compares any two revisions', async () => {
+    const result = await revisionService.diff(project, { from: '1', to: '2', context: '0' });
+
+    expect(result.additions).toBe(1);
+    expect(result.deletions).toBe(1);
+    expect(result.diff).toContain('-  instance_type = "t3.micro"');
+    expect(result.diff).toContain('+  instance_type = "t3.large"');
+    expect(result.diff).not.toContain(' resource "aws_instance" "web" {');
+  });
+
+  test('compares the first revision with an empty configuration', async () => {
+    const result = await revisionService.diff(project, { to: 1 });
+
+    expect(result.from).toBeNull();
+    expect(result.diff).toContain('--- main.tf\tempty');
+    expect(result.additions).toBe(3);
+    expect(result.deletions).toBe(0);
+  });
+
+  test('rejects revisions that do not exist', async () => {
+    await expect(revisionService.diff(project, { from: 9 })).rejects.toMatchObject({
+      status: 404,
+      code: 'REVISION_NOT_FOUND'
+    });
+    await expect(revisionService.diff(project, { from: 'latest' })).rejects.toMatchObject({
+      status: 400,
+      code: 'INVALID_REQUEST'
+    });
+  });
+});
@@ -0,0 +1,135 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const Session = require('../models/Session');
+const { sessionService } = require('../services/sessionService');
+
+// In-memory stand-in for the sessions collection, matching the filters the
+// service uses (equality, null for "not set", $gt and $ne)
+let sessions;
+
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+  const value = doc[field];
+  if (condition === null) return value === null || value === undefined;
+  if (condition && condition.$gt !== undefined) return value > condition.$gt;
+  if (condition && condition.$ne !== undefined) return String(value) !== String(condition.$ne);
+  return String(value) === String(condition);
+});
+
+const find = filter => sessions.find(session => matches(session, filter)) || null;
+
+const users = new Map();
+
+const populated = session => ({
+  populate: async () => (session ? { ...session, userId: users.get(String(session.userId)) } : null)
+});
+
+const user = {
+  _id: new mongoose.Types.ObjectId(),
+  email: 'dev@example.com',
+  isActive: true
+};
+users.set(String(user._id), user);
+
+beforeEach(() => {
+  sessions = [];
+  user.isActive = true;
+  jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+  jest.spyOn(Session.prototype, 'save').mockImplementation(async function() {
+    sessions.push(this.toObject());
+    return this;
+  });
+  jest.spyOn(Session, 'findOneAndUpdate').mockImplementation((filter, { $set }) => {
+    const session = find(filter);
+    if (session) Object.assign(session, $set);
+    return populated(session);
+  });
+  jest.spyOn(Session, 'findById').mockImplementation(async id => find({ _id: id }));
+  jest.spyOn(Session, 'exists').mockImplementation(async filter => find(filter) && { _id: find(filter)._id });
+  jest.spyOn(Session, 'updateOne').mockImplementation(async (filter, { $set }) => {
+    const session = find(filter);
+    if (session) Object.assign(session, $set);
+    return { modifiedCount: session ? 1 : 0 };
+  });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+const login = () => sessionService.createSession(user, { userAgent: 'jest', ip: '203.0.113.7' });
+
+const sessionIdOf = tokens => jwt.decode(tokens.accessToken).sid;
+
+describe('sessionService', () => {
+  test('rotates the refresh token and keeps the session', async () => {
+    const first = await login();
+
+    const second = await sessionService.rotate(first.refreshToken);
+
+    expect(second.refreshToken).not.toBe(first.refreshToken);
+    expect(sessionIdOf(second)).toBe(sessionIdOf(first));
+    await expect(sessionService.rotate(second.refreshToken)).resolves.toEqual(
+      expect.objectContaining({ refreshToken: expect.any(String) })
+    );
+  });
+
+  test('accepts the replaced token during the grace window without a new refresh token', async () => {
+    const first = await login();
+    await sessionService.rotate(first.refreshToken);
+
+    jest.advanceTimersByTime(10 * 1000);
+    const concurrent = await sessionService.rotate(first.refreshToken);
+
+    expect(concurrent.accessToken).toEqual(expect.any(String));
+    expect(concurrent.refreshToken).toBeNull();
+    await expect(sessionService.isActive(sessionIdOf(first))).resolves.toBe(true);
+  });
+
+  test('revokes the session when a replaced token is reused after the grace window', async () => {
+    const first = await login();
+    const second = await sessionService.rotate(first.refreshToken);
+
+    jest.advanceTimersByTime(60 * 1000);
+    await expect(sessionService.rotate(first.refreshToken)).rejects.toEqual(
+      expect.objectContaining({ status: 401, code: 'INVALID_REFRESH_TOKEN' })
+    );
+
+    expect(sessions[0].revokedReason).toBe('reuse_detected');
+    await expect(sessionService.isActive(sessionIdOf(first))).resolves.toBe(false);
+    // The legitimate holder of the newest token is logged out too
+    await expect(sessionService.rotate(second.refreshToken)).rejects.toEqual(
+      expect.objectContaining({ code: 'INVALID_REFRESH_TOKEN' })
+    );
+  });
+
+  test('refuses tokens of logged out sessions', async () => {
+    const first = await login();
+
+    await expect(sessionService.revokeByRefreshToken(first.refreshToken)).resolves.toBe(true);
+
+    await expect(sessionService.rotate(first.refreshToken)).rejects.toEqual(
+      expect.objectContaining({ code: 'INVALID_REFRESH_TOKEN' })
+    );
+    expect(sessions[0].revokedReason).toBe('logout');
+  });
+
+  test('revokes the session of a deactivated user', async () => {
+    const first = await login();
+    user.isActive = false;
+
+    await expect(sessionService.rotate(first.refreshToken)).rejects.toEqual(
+      expect.objectContaining({ code: 'INVALID_REFRESH_TOKEN' })
+    );
+    await expect(sessionService.isActive(sessionIdOf(first))).resolves.toBe(false);
+  });
+
+  test('rejects malformed refresh tokens', async () => {
+    await expect(sessionService.rotate('not-a-token')).rejects.toEqual(
+      expect.objectContaining({ code: 'INVALID_REFRESH_TOKEN' })
+    );
+  });
+});
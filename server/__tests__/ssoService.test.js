@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const { ssoService } = require('../services/ssoService');
+
+const organization = new Organization({
+  name: 'Example',
+  slug: 'example',
+  domains: ['example.com'],
+  sso: {
+    enabled: true,
+    protocol: 'oidc',
+    oidc: { issuer: 'https://idp.example.com', clientId: 'cloud-playground' },
+    defaultRole: 'user',
+    jitProvisioning: true,
+    roleMappings: [
+      { group: 'platform-approvers', role: 'approver' },
+      { group: 'platform-admins', role: 'admin' }
+    ]
+  }
+});
+
+const identity = (overrides = {}) => ({
+  subject: 'idp-user-1',
+  email: 'Dana@Example.com',
+  emailVerified: true,
+  name: 'Dana Smith',
+  groups: 'platform-approvers, platform-admins',
+  ...overrides
+});
+
+// Accounts User.findOne finds, by subject or by email
+let accounts;
+
+beforeEach(() => {
+  accounts = [];
+  jest.spyOn(User, 'findOne').mockImplementation(async filter => accounts.find(account => (
+    filter.ssoSubject
+      ? account.ssoSubject === filter.ssoSubject && account.organizationId?.equals(filter.organizationId)
+      : account.email === filter.email
+  )) || null);
+  jest.spyOn(User, 'exists').mockResolvedValue(null);
+  jest.spyOn(User.prototype, 'save').mockImplementation(async function() { return this; });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ssoService.resolveUser', () => {
+  test('provisions a member with the highest mapped role', async () => {
+    const user = await ssoService.resolveUser(organization, identity(), 'oidc');
+
+    expect(user.email).toBe('dana@example.com');
+    expect(user.username).toBe('dana');
+    expect(user.role).toBe('admin');
+    expect(user.organizationId).toEqual(organization._id);
+    expect(user.organizationRole).toBe('member');
+    expect(user.ssoSubject).toBe('idp-user-1');
+    expect(user.isEmailVerified).toBe(true);
+  });
+
+  test('updates the role from IdP groups on every login', async () => {
+    const user = await ssoService.resolveUser(organization, identity(), 'oidc');
+    accounts.push(user);
+
+    const again = await ssoService.resolveUser(organization, identity({ groups: ['unmapped'] }), 'oidc');
+
+    expect(again).toBe(user);
+    expect(user.role).toBe('user');
+  });
+
+  test('refuses addresses outside the organization domains', async () => {
+    await expect(ssoService.resolveUser(organization, identity({ email: 'dana@other.com' }), 'oidc'))
+      .rejects.toEqual(expect.objectContaining({ status: 403, code: 'SSO_DOMAIN_MISMATCH' }));
+  });
+
+  test('links an existing account only with a verified email', async () => {
+    const existing = new User({ email: 'dana@example.com', username: 'dana', password: 'unused' });
+    accounts.push(existing);
+
+    await expect(ssoService.resolveUser(organization, identity({ emailVerified: false }), 'oidc'))
+      .rejects.toEqual(expect.objectContaining({ code: 'SSO_EMAIL_UNVERIFIED' }));
+
+    const user = await ssoService.resolveUser(organization, identity(), 'oidc');
+    expect(user).toBe(existing);
+    expect(user.ssoSubject).toBe('idp-user-1');
+  });
+
+  test('refuses accounts of another organization', async () => {
+    accounts.push(new User({
+      email: 'dana@example.com',
+      username: 'dana',
+      password: 'unused',
+      organizationId: new mongoose.Types.ObjectId()
+    }));
+
+    await expect(ssoService.resolveUser(organization, identity(), 'oidc'))
+      .rejects.toEqual(expect.objectContaining({ status: 403, code: 'SSO_ACCOUNT_CONFLICT' }));
+  });
+
+  test('refuses unknown users without just-in-time provisioning', async () => {
+    const closed = new Organization({ ...organization.toObject(), sso: { ...organization.toObject().sso, jitProvisioning: false } });
+
+    await expect(ssoService.resolveUser(closed, identity(), 'oidc'))
+      .rejects.toEqual(expect.objectContaining({ code: 'SSO_NO_ACCOUNT' }));
+  });
+});
+
+describe('ssoService settings and state', () => {
+  test('only super admins may map groups to super_admin', async () => {
+    const settings = { sso: { roleMappings: [{ group: 'root', role: 'super_admin' }] } };
+    jest.spyOn(Organization, 'findOne').mockResolvedValue(null);
+
+    await expect(ssoService.applySettings(new Organization(organization.toObject()), settings, { role: 'admin' }))
+      .rejects.toEqual(expect.objectContaining({ status: 403, code: 'INSUFFICIENT_PERMISSIONS' }));
+    await expect(ssoService.applySettings(new Organization(organization.toObject()), settings, { role: 'super_admin' }))
+      .resolves.toBeDefined();
+  });
+
+  test('accepts the state only for the organization it was issued for', () => {
+    const state = ssoService.signState({ organization: 'example', state: 'abc' });
+
+    expect(ssoService.verifyState(state, 'example')).toEqual(expect.objectContaining({ state: 'abc' }));
+    expect(() => ssoService.verifyState(state, 'other')).toThrow('Sign-in request expired, please try again');
+  });
+});
@@ -0,0 +1,99 @@
+// Stored secrets are encrypted with a key derived from it in tests
+process.env.JWT_SECRET = 'test-secret';
+
+const User = require('../models/User');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const { twoFactorService } = require('../services/twoFactorService');
+
+let user;
+
+const currentCode = (step = twoFactorService.currentStep()) => (
+  twoFactorService.generateCode(user.twoFactor.secret, step)
+);
+
+// A user who has completed enrollment; returns the recovery codes
+const enroll = async () => {
+  const { secret } = await twoFactorService.beginEnrollment(user);
+  return twoFactorService.enable(user, twoFactorService.generateCode(secret, twoFactorService.currentStep()));
+};
+
+beforeEach(() => {
+  user = new User({ email: 'admin@example.com', username: 'admin', password: 'unused', role: 'admin' });
+  jest.spyOn(user, 'save').mockResolvedValue(user);
+  jest.spyOn(SecurityPolicy, 'getPolicy').mockResolvedValue({ twoFactorRequiredRoles: [] });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('twoFactorService', () => {
+  test('generates the RFC 6238 test vector', () => {
+    // SHA-1 secret "12345678901234567890" at 59 seconds, truncated to 6 digits
+    expect(twoFactorService.generateCode('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ', 1)).toBe('287082');
+  });
+
+  test('enables 2FA only with a code from the pending secret', async () => {
+    await twoFactorService.beginEnrollment(user);
+
+    await expect(twoFactorService.enable(user, '000000')).rejects.toEqual(
+      expect.objectContaining({ status: 400, code: 'INVALID_2FA_CODE' })
+    );
+    expect(user.twoFactor.enabled).toBe(false);
+  });
+
+  test('stores only hashes of the recovery codes', async () => {
+    const recoveryCodes = await enroll();
+
+    expect(recoveryCodes).toHaveLength(10);
+    expect(user.twoFactor.enabled).toBe(true);
+    expect(user.twoFactor.pendingSecret).toBeUndefined();
+    expect(user.twoFactor.recoveryCodes).toHaveLength(10);
+    recoveryCodes.forEach(code => expect(user.twoFactor.recoveryCodes).not.toContain(code));
+  });
+
+  test('accepts a code once', async () => {
+    await enroll();
+    const code = currentCode(twoFactorService.currentStep() + 1);
+
+    await expect(twoFactorService.verify(user, { code })).resolves.toBe(true);
+    await expect(twoFactorService.verify(user, { code })).resolves.toBe(false);
+  });
+
+  test('accepts each recovery code once', async () => {
+    const [recoveryCode] = await enroll();
+
+    await expect(twoFactorService.verify(user, { recoveryCode: recoveryCode.toUpperCase() })).resolves.toBe(true);
+    await expect(twoFactorService.verify(user, { recoveryCode })).resolves.toBe(false);
+    expect(user.twoFactor.recoveryCodes).toHaveLength(9);
+  });
+
+  test('locks verification after repeated failures', async () => {
+    await enroll();
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await expect(twoFactorService.verify(user, { code: '000000' })).resolves.toBe(false);
+    }
+
+    await expect(twoFactorService.verify(user, { code: currentCode(twoFactorService.currentStep() + 1) })).rejects.toEqual(
+      expect.objectContaining({ status: 429, code: 'TWO_FACTOR_LOCKED' })
+    );
+  });
+
+  test('refuses to disable 2FA for a role that requires it', async () => {
+    await enroll();
+    SecurityPolicy.getPolicy.mockResolvedValue({ twoFactorRequiredRoles: ['admin'] });
+
+    await expect(twoFactorService.disable(user)).rejects.toEqual(
+      expect.objectContaining({ status: 403, code: 'TWO_FACTOR_REQUIRED' })
+    );
+    expect(user.twoFactor.enabled).toBe(true);
+  });
+
+  test('accepts interim tokens only for their purpose', () => {
+    const token = twoFactorService.signInterimToken(user, '2fa');
+
+    expect(twoFactorService.verifyInterimToken(token, '2fa')).toBe(user._id.toString());
+    expect(twoFactorService.verifyInterimToken(token, '2fa-setup')).toBeNull();
+    expect(twoFactorService.verifyInterimToken('not-a-token', '2fa')).toBeNull();
+  });
+});
@@ -1,27 +1,41 @@
+// Load environment variables before services read their configuration
+require('dotenv').config();
+
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
+const cookieParser = require('cookie-parser');
 const rateLimit = require('express-rate-limit');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
 const mongoose = require('mongoose');
 const winston = require('winston');
+const { v4: uuidv4 } = require('uuid');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const projectRoutes = require('./routes/projects');
 const deploymentRoutes = require('./routes/deployments');
 const aiRoutes = require('./routes/ai');
+const conversationRoutes = require('./routes/conversations');
 const infrastructureRoutes = require('./routes/infrastructure');
 const auditRoutes = require('./routes/audit');
+const adminRoutes = require('./routes/admin');
+const organizationRoutes = require('./routes/organizations');
+const terraformStateRoutes = require('./routes/terraformState');
 
 // Import services
-const { initializeAI } = require('./services/aiService');
+const { initializeAI, streamChatMessage } = require('./services/aiService');
 const { initializeCloudProviders } = require('./services/cloudService');
 const { initializeWebhooks } = require('./services/webhookService');
-
-// Load environment variables
-require('dotenv').config();
+const { conversationService } = require('./services/conversationService');
+const { jobQueue } = require('./services/jobQueue');
+const { registerDeploymentJobs, scheduleDriftChecks } = require('./services/deploymentJobs');
+const { deploymentEvents, initializeDeploymentEvents } = require('./services/deploymentEvents');
+const { projectAccessService } = require('./services/projectAccessService');
+const { auditService } = require('./services/auditService');
+const { quotaService } = require('./services/quotaService');
+const { authenticateSocket } = require('./middleware/auth');
 
 // Initialize logger
 const logger = winston.createLogger({
@@ -61,6 +75,11 @@ const limiter = rateLimit({
 
 // Middleware
 app.use(helmet());
+
+// Terraform's HTTP state backend: called by the Terraform CLI on every run,
+// so it is not rate limited and parses its own (raw) request bodies
+app.use('/api/terraform/state', terraformStateRoutes);
+
 app.use(limiter);
 app.use(cors({
   origin: process.env.CLIENT_URL || "http://localhost:3000",
@@ -68,6 +87,7 @@ app.use(cors({
 }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(cookieParser());
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -94,40 +114,165 @@ app.use('/api/auth', authRoutes);
 app.use('/api/projects', projectRoutes);
 app.use('/api/deployments', deploymentRoutes);
 app.use('/api/ai', aiRoutes);
+app.use('/api/conversations', conversationRoutes);
 app.use('/api/infrastructure', infrastructureRoutes);
 app.use('/api/audit', auditRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/organization', organizationRoutes);
 
 // Socket.IO connection handling
+io.use(authenticateSocket);
+
 io.on('connection', (socket) => {
-  logger.info(`Client connected: ${socket.id}`);
+  logger.info(`Client connected: ${socket.id} (user ${socket.user.id})`);
+
+  socket.on('join-project', async (projectId) => {
+    try {
+      // Deployment logs are pushed to the room, so only users who can view
+      // the project (or, without a project, its deployer) may join
+      const allowed = mongoose.isValidObjectId(projectId) &&
+        await projectAccessService.roleForProjectId(projectId, socket.user);
+      if (!allowed) {
+        logger.warn(`Client ${socket.id} denied access to project ${projectId}`);
+        return;
+      }
+
+      socket.join(`project-${projectId}`);
+      logger.info(`Client ${socket.id} joined project ${projectId}`);
+    } catch (error) {
+      logger.error(`Failed to join project ${projectId}:`, error);
+    }
+  });
 
-  socket.on('join-project', (projectId) => {
-    socket.join(`project-${projectId}`);
-    logger.info(`Client ${socket.id} joined project ${projectId}`);
+  socket.on('leave-project', (projectId) => {
+    socket.leave(`project-${projectId}`);
   });
 
-  socket.on('deployment-update', (data) => {
-    socket.to(`project-${data.projectId}`).emit('deployment-progress', data);
+  // In-flight AI chat streams for this socket, keyed by message id
+  const chatStreams = new Map();
+
+  // Who is on the other end, for the audit trail
+  const auditContext = {
+    user: socket.user,
+    ip: socket.handshake.address,
+    userAgent: socket.handshake.headers['user-agent']
+  };
+  const auditChat = (outcome, data, conversation, metadata) => auditService.record(auditContext, {
+    action: 'ai.chat',
+    outcome,
+    target: data.projectId ? { type: 'project', id: data.projectId } : undefined,
+    metadata: { channel: 'socket', conversationId: conversation?._id, ...metadata }
   });
 
   socket.on('ai-chat', async (data) => {
+    data = data || {};
+    const messageId = typeof data.messageId === 'string' && data.messageId ? data.messageId : uuidv4();
+    if (typeof data.message !== 'string' || !data.message.trim()) {
+      socket.emit('ai-error', { messageId, error: 'Message is required', code: 'MESSAGE_REQUIRED' });
+      return;
+    }
+
+    const controller = new AbortController();
+    chatStreams.set(messageId, controller);
+
+    let message = '';
+    let index = 0;
+    let conversation = null;
+    let quotaUsed = false;
+
     try {
-      const aiResponse = await require('./services/aiService').processChatMessage(data.message, data.context);
-      socket.emit('ai-response', {
-        message: aiResponse,
+      const options = { provider: socket.user.preferences?.aiProvider };
+
+      if (data.projectId) {
+        await projectAccessService.findProject(data.projectId, socket.user, 'viewer');
+      }
+
+      // Chat messages count against the same monthly quota as /api/ai
+      const quota = await quotaService.consume(socket.user, 'aiRequests');
+      if (!quota.allowed) {
+        const error = new Error(quotaService.exceededMessage('aiRequests', quota));
+        error.status = 429;
+        error.code = 'QUOTA_EXCEEDED';
+        throw error;
+      }
+      quotaUsed = true;
+
+      conversation = await conversationService.resolveConversation(socket.user.id, {
+        conversationId: data.conversationId,
+        projectId: data.projectId,
+        message: data.message
+      });
+      const history = await conversationService.buildHistory(conversation, data.message, options);
+
+      const stream = streamChatMessage(data.message, data.context, {
+        ...options,
+        history,
+        signal: controller.signal
+      });
+
+      for await (const delta of stream) {
+        if (controller.signal.aborted) break;
+        message += delta;
+        socket.emit('ai-response-chunk', { messageId, delta, index: index++ });
+      }
+
+      await conversationService.recordExchange(conversation, data.message, message, {
+        cancelled: controller.signal.aborted
+      });
+      await auditChat('success', data, conversation, {
+        provider: options.provider || null,
+        cancelled: controller.signal.aborted
+      });
+
+      socket.emit('ai-response-done', {
+        messageId,
+        conversationId: conversation._id,
+        message,
+        cancelled: controller.signal.aborted,
         timestamp: new Date().toISOString()
       });
     } catch (error) {
       logger.error('AI chat error:', error);
-      socket.emit('ai-error', { error: 'Failed to process AI request' });
+      if (quotaUsed) {
+        await quotaService.release(socket.user, 'aiRequests')
+          .catch(releaseError => logger.error(`Failed to release aiRequests quota of user ${socket.user._id}:`, releaseError));
+      }
+      await auditChat('failure', data, conversation, {
+        reason: error.status ? error.message : 'error'
+      });
+      socket.emit('ai-error', {
+        messageId,
+        conversationId: conversation && conversation._id,
+        // Access and quota errors are safe to show
+        error: error.status ? error.message : 'Failed to process AI request',
+        code: error.code
+      });
+    } finally {
+      chatStreams.delete(messageId);
+    }
+  });
+
+  socket.on('ai-chat-cancel', (data) => {
+    const controller = chatStreams.get(data?.messageId);
+    if (controller) {
+      controller.abort();
+      logger.info(`AI chat ${data.messageId} cancelled by ${socket.id}`);
     }
   });
 
   socket.on('disconnect', () => {
+    chatStreams.forEach(controller => controller.abort());
+    chatStreams.clear();
     logger.info(`Client disconnected: ${socket.id}`);
   });
 });
 
+// Terraform output and status changes from deployment jobs, whether they run
+// in this process or in a standalone worker
+deploymentEvents.on('progress', (event) => {
+  io.to(`project-${event.projectId}`).emit('deployment-progress', event);
+});
+
 // Global error handler
 app.use((err, req, res, next) => {
   logger.error('Unhandled error:', err);
@@ -158,12 +303,23 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cloud-pla
   process.exit(1);
 });
 
+// Background jobs are registered in every process so the API can enqueue them
+registerDeploymentJobs(jobQueue);
+
 // Initialize services
 const initializeServices = async () => {
   try {
     await initializeAI();
     await initializeCloudProviders();
     await initializeWebhooks();
+    await initializeDeploymentEvents();
+
+    // Set JOB_WORKERS_IN_API=false when running dedicated `npm run worker` processes
+    if (process.env.JOB_WORKERS_IN_API !== 'false') {
+      await jobQueue.start();
+      await scheduleDriftChecks(jobQueue);
+    }
+
     logger.info('All services initialized successfully');
   } catch (error) {
     logger.error('Service initialization error:', error);
@@ -179,24 +335,17 @@ server.listen(PORT, async () => {
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM received, shutting down gracefully');
-  server.close(() => {
-    mongoose.connection.close(false, () => {
-      logger.info('MongoDB connection closed');
-      process.exit(0);
-    });
+const shutdown = async (signal) => {
+  logger.info(`${signal} received, shutting down gracefully`);
+  await jobQueue.stop();
+  server.close(async () => {
+    await mongoose.connection.close();
+    logger.info('MongoDB connection closed');
+    process.exit(0);
   });
-});
+};
 
-process.on('SIGINT', () => {
-  logger.info('SIGINT received, shutting down gracefully');
-  server.close(() => {
-    mongoose.connection.close(false, () => {
-      logger.info('MongoDB connection closed');
-      process.exit(0);
-    });
-  });
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 module.exports = { app, server, io };
@@ -0,0 +1,22 @@
+const { auditService } = require('../services/auditService');
+
+// Records `action` once the response is sent, as a failure for error
+// statuses. `describe(req, res)` may add target and metadata fields.
+const auditRequest = (action, describe = () => ({})) => {
+  return (req, res, next) => {
+    res.on('finish', () => {
+      const details = describe(req, res);
+      auditService.record(req, {
+        ...details,
+        action,
+        outcome: res.statusCode < 400 ? 'success' : 'failure',
+        metadata: { statusCode: res.statusCode, ...details.metadata }
+      });
+    });
+    next();
+  };
+};
+
+module.exports = {
+  auditRequest
+};
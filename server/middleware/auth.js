@@ -1,5 +1,8 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { apiKeyService } = require('../services/apiKeyService');
+const { sessionService } = require('../services/sessionService');
+const { twoFactorService } = require('../services/twoFactorService');
 const winston = require('winston');
 
 const logger = winston.createLogger({
@@ -14,10 +17,13 @@ const logger = winston.createLogger({
   ]
 });
 
+// Accepts either a JWT (`Authorization: Bearer <token>`) or a personal API
+// key (`Authorization: ApiKey <key>`). Requests made with a key carry it in
+// req.apiKey and are limited to its permissions by requireScope.
 const authenticateToken = async (req, res, next) => {
   try {
     const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+    const [scheme, token] = authHeader ? authHeader.split(' ') : []; // Bearer TOKEN
 
     if (!token) {
       return res.status(401).json({
@@ -26,8 +32,30 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    if (scheme === 'ApiKey') {
+      const result = await apiKeyService.authenticate(token);
+      if (!result) {
+        return res.status(401).json({
+          error: 'Invalid or expired API key',
+          code: 'INVALID_API_KEY'
+        });
+      }
+
+      req.user = result.user;
+      req.apiKey = result.apiKey;
+      return next();
+    }
+
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
-    
+
+    // Access tokens belong to a session that may have been revoked since
+    if (!(await sessionService.isActive(decoded.sid))) {
+      return res.status(401).json({
+        error: 'Session revoked',
+        code: 'SESSION_REVOKED'
+      });
+    }
+
     // Verify user still exists
     const user = await User.findById(decoded.userId).select('-password');
     if (!user) {
@@ -38,6 +66,7 @@ const authenticateToken = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     logger.error('Authentication error:', error);
@@ -63,6 +92,39 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Two-factor enrollment is reachable with a normal session, or with the
+// interim token returned by a login that requires enrolling first
+// (req.interimLogin is then set)
+const authenticateEnrollment = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const [scheme, token] = authHeader ? authHeader.split(' ') : [];
+  const userId = scheme === 'Bearer' && token ? twoFactorService.verifyInterimToken(token, '2fa-setup') : null;
+
+  if (!userId) {
+    return authenticateToken(req, res, () => requireSession(req, res, next));
+  }
+
+  try {
+    const user = await User.findById(userId).select('-password');
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    req.user = user;
+    req.interimLogin = true;
+    next();
+  } catch (error) {
+    logger.error('Enrollment authentication error:', error);
+    res.status(500).json({
+      error: 'Authentication failed',
+      code: 'AUTH_ERROR'
+    });
+  }
+};
+
 const optionalAuth = async (req, res, next) => {
   try {
     const authHeader = req.headers['authorization'];
@@ -71,8 +133,9 @@ const optionalAuth = async (req, res, next) => {
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
       const user = await User.findById(decoded.userId).select('-password');
-      if (user) {
+      if (user && await sessionService.isActive(decoded.sid)) {
         req.user = user;
+        req.sessionId = decoded.sid;
       }
     }
     
@@ -83,6 +146,33 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Socket.IO middleware: the client passes its JWT as `auth.token` on connect
+const authenticateSocket = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth && socket.handshake.auth.token;
+
+    if (!token) {
+      return next(new Error('Access token required'));
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
+    if (!(await sessionService.isActive(decoded.sid))) {
+      return next(new Error('Session revoked'));
+    }
+
+    const user = await User.findById(decoded.userId).select('-password');
+    if (!user || !user.isActive) {
+      return next(new Error('User not found'));
+    }
+
+    socket.user = user;
+    next();
+  } catch (error) {
+    logger.error('Socket authentication error:', error);
+    next(new Error('Invalid token'));
+  }
+};
+
 const requireRole = (roles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -105,13 +195,62 @@ const requireRole = (roles) => {
   };
 };
 
+// Routes reachable with an API key name the permission they need; sessions
+// authenticated with a JWT are not restricted
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (req.apiKey && !req.apiKey.permissions.includes(scope)) {
+      return res.status(403).json({
+        error: `API key lacks the ${scope} permission`,
+        code: 'INSUFFICIENT_SCOPE',
+        required: scope
+      });
+    }
+
+    next();
+  };
+};
+
+// For account management (credentials, API keys, administration), which API
+// keys must not reach
+const requireSession = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      error: 'This endpoint cannot be used with an API key',
+      code: 'SESSION_REQUIRED'
+    });
+  }
+
+  next();
+};
+
+// With REQUIRE_EMAIL_VERIFICATION=true, only users who confirmed their email
+// address can deploy
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !req.user.isEmailVerified) {
+    return res.status(403).json({
+      error: 'Verify your email address before deploying',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+
+  next();
+};
+
+// Platform-wide roles. Access to projects and their deployments is decided
+// by project roles instead (see middleware/projectAccess.js).
 const requireAdmin = requireRole(['admin', 'super_admin']);
-const requireUser = requireRole(['user', 'admin', 'super_admin']);
+const requireUser = requireRole(['user', 'approver', 'admin', 'super_admin']);
 
 module.exports = {
   authenticateToken,
+  authenticateEnrollment,
   optionalAuth,
+  authenticateSocket,
   requireRole,
+  requireScope,
+  requireSession,
+  requireVerifiedEmail,
   requireAdmin,
   requireUser
 };
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const Deployment = require('../models/Deployment');
+const { projectAccessService } = require('../services/projectAccessService');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/auth.log' })
+  ]
+});
+
+const sendAccessError = (res, error) => res.status(error.status).json({
+  error: error.message,
+  code: error.code
+});
+
+// Requires a project role (viewer, editor, deployer or owner) on the project
+// named by `req[location][param]`, and sets req.project and req.projectRole.
+// With `optional`, requests that name no project pass through unchanged.
+const requireProjectRole = (role, { param = 'id', location = 'params', optional = false } = {}) => {
+  return async (req, res, next) => {
+    const projectId = req[location] && req[location][param];
+    if (!projectId && optional) {
+      return next();
+    }
+
+    try {
+      const { project, role: projectRole } = await projectAccessService.findProject(projectId, req.user, role);
+      req.project = project;
+      req.projectRole = projectRole;
+      next();
+    } catch (error) {
+      if (error.status) {
+        return sendAccessError(res, error);
+      }
+      logger.error('Project access check error:', error);
+      res.status(500).json({
+        error: 'Failed to check project access',
+        code: 'ACCESS_CHECK_ERROR'
+      });
+    }
+  };
+};
+
+// Same as requireProjectRole for the deployment in req.params.id, which is
+// loaded into req.deployment. Deployments made without a project belong to
+// the user who made them.
+const requireDeploymentRole = (role) => {
+  return async (req, res, next) => {
+    try {
+      const deployment = mongoose.isValidObjectId(req.params.id) ? await Deployment.findById(req.params.id) : null;
+      const projectRole = deployment ? await projectAccessService.deploymentRoleFor(deployment, req.user) : null;
+
+      if (!projectRole) {
+        return res.status(404).json({
+          error: 'Deployment not found'
+        });
+      }
+      if (!projectAccessService.hasRole(projectRole, role)) {
+        return res.status(403).json({
+          error: `This requires the ${role} role on the project`,
+          code: 'INSUFFICIENT_PROJECT_ROLE'
+        });
+      }
+
+      req.deployment = deployment;
+      req.projectRole = projectRole;
+      next();
+    } catch (error) {
+      logger.error('Deployment access check error:', error);
+      res.status(500).json({
+        error: 'Failed to check deployment access',
+        code: 'ACCESS_CHECK_ERROR'
+      });
+    }
+  };
+};
+
+module.exports = {
+  requireProjectRole,
+  requireDeploymentRole
+};
@@ -0,0 +1,67 @@
+const { quotaService } = require('../services/quotaService');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/quota.log' })
+  ]
+});
+
+// Remaining quota after this request; unlimited plans get no headers
+const setQuotaHeaders = (res, state) => {
+  if (state.limit === null) return;
+  res.set('X-Quota-Limit', String(state.limit));
+  res.set('X-Quota-Remaining', String(state.remaining));
+  res.set('X-Quota-Reset', String(Math.ceil(state.resetsAt.getTime() / 1000)));
+};
+
+// Counts the request against the user's monthly `quota` (deployments or
+// aiRequests) and answers 429 once it is used up. Requests that fail
+// (status 400 and above) are given back.
+const requireQuota = (quota) => {
+  return async (req, res, next) => {
+    try {
+      const state = await quotaService.consume(req.user, quota);
+      setQuotaHeaders(res, state);
+
+      if (!state.allowed) {
+        res.set('Retry-After', String(Math.max(Math.ceil((state.resetsAt.getTime() - Date.now()) / 1000), 1)));
+        return res.status(429).json({
+          error: quotaService.exceededMessage(quota, state),
+          code: 'QUOTA_EXCEEDED',
+          plan: req.user.subscription.plan,
+          quota: {
+            name: quota,
+            limit: state.limit,
+            used: state.used,
+            resetsAt: state.resetsAt
+          }
+        });
+      }
+
+      res.on('finish', () => {
+        if (res.statusCode >= 400) {
+          quotaService.release(req.user, quota)
+            .catch(error => logger.error(`Failed to release ${quota} quota of user ${req.user._id}:`, error));
+        }
+      });
+      next();
+    } catch (error) {
+      logger.error('Quota check error:', error);
+      res.status(500).json({
+        error: 'Failed to check usage quota',
+        code: 'QUOTA_CHECK_ERROR'
+      });
+    }
+  };
+};
+
+module.exports = {
+  requireQuota
+};
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+// One entry of the audit trail. Events are only ever inserted: each one
+// carries the hash of the previous event, so editing or deleting an event
+// directly in the database breaks the chain (see auditService.verifyChain).
+const auditEventSchema = new mongoose.Schema({
+  sequence: {
+    type: Number,
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  action: {
+    type: String,
+    required: true
+  }, // e.g. "auth.login", "project.update", "deployment.rollback"
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    default: 'success'
+  },
+  actor: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    email: String,
+    apiKeyId: String // set when the request used an API key
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  ip: String,
+  userAgent: String,
+  target: {
+    type: { type: String }, // "user", "project", "deployment", "credentials", "api_key", ...
+    id: String,
+    name: String
+  },
+  // Changed fields only; secrets are never recorded
+  changes: {
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  },
+  metadata: mongoose.Schema.Types.Mixed,
+  previousHash: {
+    type: String,
+    default: null
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+}, {
+  minimize: false
+});
+
+auditEventSchema.index({ sequence: 1 }, { unique: true });
+auditEventSchema.index({ timestamp: -1 });
+auditEventSchema.index({ 'actor.userId': 1, timestamp: -1 });
+auditEventSchema.index({ organizationId: 1, timestamp: -1 });
+auditEventSchema.index({ 'target.type': 1, 'target.id': 1, timestamp: -1 });
+auditEventSchema.index({ action: 1, timestamp: -1 });
+
+const appendOnly = function(next) {
+  next(new Error('Audit events are append-only'));
+};
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) return appendOnly(next);
+  next();
+});
+auditEventSchema.pre('deleteOne', { document: true, query: false }, appendOnly);
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach((operation) => {
+  auditEventSchema.pre(operation, { document: false, query: true }, appendOnly);
+});
+
+auditEventSchema.methods.toSummaryJSON = function() {
+  return {
+    id: this._id,
+    sequence: this.sequence,
+    timestamp: this.timestamp,
+    action: this.action,
+    outcome: this.outcome,
+    actor: this.actor,
+    organizationId: this.organizationId,
+    ip: this.ip,
+    userAgent: this.userAgent,
+    target: this.target,
+    changes: this.changes,
+    metadata: this.metadata,
+    previousHash: this.previousHash,
+    hash: this.hash
+  };
+};
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
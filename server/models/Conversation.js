@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['user', 'assistant'],
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  cancelled: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const conversationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 120,
+    default: 'New conversation'
+  },
+  messages: [messageSchema],
+  // Rolling summary of the oldest turns, which are no longer sent verbatim
+  summary: {
+    type: String,
+    default: ''
+  },
+  // Number of leading messages already folded into `summary`
+  summarizedCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+conversationSchema.index({ userId: 1, projectId: 1, updatedAt: -1 });
+
+// Messages that still have to be sent to the model verbatim
+conversationSchema.methods.getActiveMessages = function() {
+  return this.messages.slice(this.summarizedCount);
+};
+
+// Lightweight listing entry; expects at most the last message to be loaded
+conversationSchema.methods.toSummaryJSON = function() {
+  const lastMessage = this.messages[this.messages.length - 1];
+  return {
+    id: this._id,
+    title: this.title,
+    projectId: this.projectId,
+    preview: lastMessage ? lastMessage.content.substring(0, 140) : '',
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
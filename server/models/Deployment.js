@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+const deploymentSchema = new mongoose.Schema({
+  projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true },
+  provider: { type: String, enum: ['aws', 'gcp', 'azure'], required: true },
+  terraformCode: { type: String, required: true },
+  terraformFiles: { type: Object }, // file name -> contents, when generated as separate files
+  // Project revision whose configuration this deployment applies, if any
+  revisionId: { type: mongoose.Schema.Types.ObjectId, ref: 'ProjectRevision' },
+  revisionNumber: { type: Number },
+  environment: { type: String, enum: ['development', 'staging', 'production'], default: 'development' },
+  status: { 
+    type: String, 
+    enum: [
+      'pending', 'planning', 'awaiting_approval', 'deploying', 'deployed', 'failed', 'rejected',
+      'superseded', 'rolling_back', 'rolled_back', 'tearing_down', 'destroyed'
+    ],
+    default: 'pending' 
+  },
+  plan: { // saved plan awaiting approval; applied exactly as reviewed
+    checksum: String,
+    summary: {
+      add: Number,
+      change: Number,
+      destroy: Number,
+      resources: [{ _id: false, address: String, type: { type: String }, action: String }]
+    },
+    createdAt: Date
+  },
+  requiredApprovals: { type: Number, default: 1 },
+  approvals: [{
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    decision: { type: String, enum: ['approved', 'rejected'] },
+    comment: String,
+    timestamp: { type: Date, default: Date.now }
+  }],
+  approvedAt: { type: Date },
+  rejectedAt: { type: Date },
+  outputs: { type: Object, default: {} },
+  logs: [{ 
+    message: String, 
+    type: { type: String, enum: ['info', 'success', 'error', 'warning'] },
+    timestamp: { type: Date, default: Date.now }
+  }],
+  progress: { // parsed from Terraform output while a job runs
+    phase: String,
+    completed: { type: Number, default: 0 },
+    total: Number,
+    percent: { type: Number, default: 0 }
+  },
+  costEstimate: { type: Object },
+  jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job' }, // latest background job for this deployment
+  deploymentTime: { type: Number }, // in seconds
+  createdAt: { type: Date, default: Date.now },
+  deployedAt: { type: Date },
+  rolledBackAt: { type: Date },
+  rollbackTarget: { type: mongoose.Schema.Types.ObjectId, ref: 'Deployment' }, // deployment restored by the rollback
+  destroyedAt: { type: Date }
+});
+
+// Statuses while a job is changing, or is queued to change, the project's
+// infrastructure
+deploymentSchema.statics.IN_PROGRESS_STATUSES = ['pending', 'planning', 'deploying', 'rolling_back', 'tearing_down'];
+
+// Statuses while a job is running Terraform in the project's working directory
+deploymentSchema.statics.RUNNING_STATUSES = ['planning', 'deploying', 'rolling_back', 'tearing_down'];
+
+deploymentSchema.statics.hasOperationInProgress = async function(projectId) {
+  return Boolean(await this.exists({ projectId, status: { $in: this.IN_PROGRESS_STATUSES } }));
+};
+
+// Move a deployment from one of `fromStatuses` into an operation status
+// (`update.status`) unless another deployment of its project is in one of
+// `busyStatuses`. The status is claimed first and the project checked after,
+// so of two claims made together at most one gets through. Returns the
+// updated deployment, or null when the deployment or the project is busy.
+deploymentSchema.statics.claimOperation = async function(deployment, fromStatuses, update, busyStatuses = this.IN_PROGRESS_STATUSES) {
+  const previous = await this.findOneAndUpdate(
+    { _id: deployment._id, status: { $in: fromStatuses } },
+    { $set: update }
+  );
+  if (!previous) return null;
+
+  const busy = await this.exists({
+    projectId: deployment.projectId,
+    _id: { $ne: deployment._id },
+    status: { $in: busyStatuses }
+  });
+  if (busy) {
+    const restore = { $set: {}, $unset: {} };
+    Object.keys(update).forEach((key) => {
+      if (previous[key] === undefined) restore.$unset[key] = '';
+      else restore.$set[key] = previous[key];
+    });
+    await this.updateOne({ _id: deployment._id, status: update.status }, restore);
+    return null;
+  }
+  return this.findById(deployment._id);
+};
+
+module.exports = mongoose.model('Deployment', deploymentSchema);
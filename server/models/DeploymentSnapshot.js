@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Configuration and Terraform state captured after a successful apply. Kept
+// apart from Deployment so state documents are only loaded when needed.
+const deploymentSnapshotSchema = new mongoose.Schema({
+  deploymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deployment',
+    required: true,
+    unique: true
+  },
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  terraformCode: {
+    type: String,
+    required: true
+  },
+  terraformFiles: {
+    type: Object
+  },
+  state: {
+    type: String
+  },
+  // From the state file, to tell snapshots of the same state history apart
+  serial: Number,
+  lineage: String
+}, {
+  timestamps: true
+});
+
+deploymentSnapshotSchema.index({ projectId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('DeploymentSnapshot', deploymentSnapshotSchema);
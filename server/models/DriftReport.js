@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const attributeChangeSchema = new mongoose.Schema({
+  attribute: String, // path inside the resource, e.g. "tags.Owner"
+  expected: mongoose.Schema.Types.Mixed, // value in Terraform state
+  actual: mongoose.Schema.Types.Mixed // value found in the cloud
+}, { _id: false });
+
+const driftedResourceSchema = new mongoose.Schema({
+  address: String,
+  type: String,
+  action: String, // 'update' when changed, 'delete' when gone from the cloud
+  changes: [attributeChangeSchema]
+}, { _id: false });
+
+// Result of one `terraform plan -refresh-only` run against a deployed project
+const driftReportSchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  deploymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deployment',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'scheduled'
+  },
+  status: {
+    type: String,
+    enum: ['in_sync', 'drifted', 'failed'],
+    required: true
+  },
+  resources: [driftedResourceSchema],
+  error: String,
+  checkedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+driftReportSchema.index({ deploymentId: 1, checkedAt: -1 });
+driftReportSchema.index({ projectId: 1, checkedAt: -1 });
+
+module.exports = mongoose.model('DriftReport', driftReportSchema);
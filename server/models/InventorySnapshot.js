@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// A live resource as found in the cloud, in the same shape for every provider
+const inventoryResourceSchema = new mongoose.Schema({
+  id: String, // provider id: instance id, ARN, self link or ARM id
+  name: String,
+  type: String, // Terraform resource type, e.g. "aws_instance"
+  region: String, // "global" for resources that have none
+  state: String, // provider state, lowercased, e.g. "running", "available"
+  tags: mongoose.Schema.Types.Mixed, // tags or labels as a plain object
+  createdAt: Date,
+  // Other ids Terraform may record for the resource (ARNs, self links),
+  // used to find the project that manages it
+  aliases: [String]
+}, { _id: false });
+
+// The resources one provider account of a user held at `takenAt`. Listing
+// every region is slow, so listings are served from the latest snapshot.
+const inventorySnapshotSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: String,
+    enum: ['aws', 'gcp', 'azure'],
+    required: true
+  },
+  account: String, // GCP project or Azure subscription
+  regions: [String], // AWS regions scanned
+  resources: [inventoryResourceSchema],
+  // Regions or services that could not be listed; the rest is still kept
+  failures: [{
+    _id: false,
+    scope: String,
+    message: String
+  }],
+  takenAt: Date,
+  durationMs: Number,
+  // Last refresh that failed as a whole, e.g. rejected credentials; the
+  // resources of the previous snapshot are kept
+  lastError: {
+    message: String,
+    at: Date
+  }
+});
+
+inventorySnapshotSchema.index({ userId: 1, provider: 1 }, { unique: true });
+
+module.exports = mongoose.model('InventorySnapshot', inventorySnapshotSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// An invitation to join an organization, sent by email. Only the SHA-256
+// hash of the link's token is stored; accepting it adds the user with the
+// given role and teams.
+const invitationSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'member'],
+    default: 'member'
+  },
+  teamIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team'
+  }],
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: Date,
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+invitationSchema.index({ tokenHash: 1 }, { unique: true });
+invitationSchema.index({ organizationId: 1, email: 1 });
+
+invitationSchema.methods.toSummaryJSON = function() {
+  return {
+    id: this._id,
+    email: this.email,
+    role: this.role,
+    teamIds: this.teamIds,
+    invitedBy: this.invitedBy,
+    status: this.acceptedAt ? 'accepted' : this.expiresAt < new Date() ? 'expired' : 'pending',
+    expiresAt: this.expiresAt,
+    acceptedAt: this.acceptedAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const jobFailureSchema = new mongoose.Schema({
+  attempt: Number,
+  message: String,
+  workerId: String,
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: Object,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  // Earliest time the job may be claimed; pushed back on retry
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Lease held by the worker running the job, extended by heartbeats. A
+  // running job whose lease has expired is treated as orphaned.
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  heartbeatAt: Date,
+  startedAt: Date,
+  finishedAt: Date,
+  lastError: String,
+  failures: [jobFailureSchema],
+  result: Object
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedUntil: 1 });
+jobSchema.index({ type: 1, createdAt: -1 });
+
+jobSchema.methods.toSummaryJSON = function() {
+  return {
+    id: this._id,
+    type: this.type,
+    payload: this.payload,
+    status: this.status,
+    attempts: this.attempts,
+    maxAttempts: this.maxAttempts,
+    runAt: this.runAt,
+    lockedBy: this.lockedBy,
+    lockedUntil: this.lockedUntil,
+    heartbeatAt: this.heartbeatAt,
+    startedAt: this.startedAt,
+    finishedAt: this.finishedAt,
+    lastError: this.lastError,
+    failures: this.failures,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('Job', jobSchema);
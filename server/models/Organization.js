@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const { encryptionService } = require('../services/encryptionService');
+
+// Secrets stored with envelope encryption (see services/encryptionService.js)
+const ENCRYPTED_CREDENTIAL_PATHS = [
+  'sso.oidc.clientSecret'
+];
+
+const ROLES = ['user', 'approver', 'admin', 'super_admin'];
+
+// Roles within the organization (User.organizationRole)
+const MEMBER_ROLES = ['owner', 'admin', 'member'];
+
+// A company using the platform. Members join through invitations, or by
+// signing in through its identity provider when SSO is configured for the
+// email domains listed in `domains` (see services/ssoService.js). Projects
+// owned by the organization are shared with its members and teams.
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9][a-z0-9-]{1,38}[a-z0-9]$/
+  },
+  domains: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  // Members must use SSO; super admins keep password login as a break-glass
+  passwordLoginDisabled: {
+    type: Boolean,
+    default: false
+  },
+  sso: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    protocol: {
+      type: String,
+      enum: ['oidc', 'saml']
+    },
+    oidc: {
+      issuer: String,
+      clientId: String,
+      clientSecret: String, // optional: public clients only use PKCE
+      scopes: {
+        type: String,
+        default: 'openid email profile'
+      }
+    },
+    saml: {
+      entryPoint: String, // IdP single sign-on URL (HTTP-Redirect binding)
+      idpIssuer: String,
+      idpCert: String, // PEM or base64 signing certificate of the IdP
+      emailAttribute: String // defaults to the NameID when it is an email
+    },
+    // Claim (OIDC) or attribute (SAML) listing the user's IdP groups
+    groupsAttribute: {
+      type: String,
+      default: 'groups'
+    },
+    // Users get the highest role among their mapped groups, or defaultRole
+    // when none of their groups is mapped
+    roleMappings: [{
+      group: {
+        type: String,
+        required: true
+      },
+      role: {
+        type: String,
+        enum: ROLES,
+        required: true
+      }
+    }],
+    defaultRole: {
+      type: String,
+      enum: ROLES,
+      default: 'user'
+    },
+    // Create accounts on first sign-in; otherwise users must exist already
+    jitProvisioning: {
+      type: Boolean,
+      default: true
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+organizationSchema.index({ domains: 1 });
+
+// Encrypt secrets set in plain text before they reach the database
+organizationSchema.pre('save', function(next) {
+  try {
+    ENCRYPTED_CREDENTIAL_PATHS.forEach((path) => {
+      const value = this.get(path);
+      if (this.isModified(path) && value && !encryptionService.isEncrypted(value)) {
+        this.set(path, encryptionService.encrypt(value));
+      }
+    });
+    this.updatedAt = new Date();
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Organization owning an email address, by its domain
+organizationSchema.statics.findByEmail = function(email) {
+  const domain = String(email || '').split('@')[1];
+  if (!domain) return Promise.resolve(null);
+  return this.findOne({ domains: domain.toLowerCase() });
+};
+
+// SSO settings without secrets, for API responses
+organizationSchema.methods.toSummaryJSON = function() {
+  const { sso } = this;
+  return {
+    id: this._id,
+    name: this.name,
+    slug: this.slug,
+    domains: this.domains,
+    passwordLoginDisabled: this.passwordLoginDisabled,
+    sso: {
+      enabled: sso.enabled,
+      protocol: sso.protocol,
+      oidc: sso.protocol === 'oidc' ? {
+        issuer: sso.oidc.issuer,
+        clientId: sso.oidc.clientId,
+        clientSecretSet: Boolean(sso.oidc.clientSecret),
+        scopes: sso.oidc.scopes
+      } : undefined,
+      saml: sso.protocol === 'saml' ? {
+        entryPoint: sso.saml.entryPoint,
+        idpIssuer: sso.saml.idpIssuer,
+        idpCertSet: Boolean(sso.saml.idpCert),
+        emailAttribute: sso.saml.emailAttribute
+      } : undefined,
+      groupsAttribute: sso.groupsAttribute,
+      roleMappings: sso.roleMappings.map(({ group, role }) => ({ group, role })),
+      defaultRole: sso.defaultRole,
+      jitProvisioning: sso.jitProvisioning
+    },
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+organizationSchema.statics.ENCRYPTED_CREDENTIAL_PATHS = ENCRYPTED_CREDENTIAL_PATHS;
+organizationSchema.statics.ROLES = ROLES;
+organizationSchema.statics.MEMBER_ROLES = MEMBER_ROLES;
+
+module.exports = mongoose.model('Organization', organizationSchema);
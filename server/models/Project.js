@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Project roles, from least to most privileged: viewers read, editors change
+// the configuration, deployers deploy and review plans, owners manage access
+// and destroy infrastructure
+const PROJECT_ROLES = ['viewer', 'editor', 'deployer', 'owner'];
+
+// Project Schema
+const projectSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  description: { type: String, required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // creator
+  // Projects owned by an organization are shared with its members (see
+  // services/projectAccessService.js); others are private to their creator
+  organizationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', default: null },
+  defaultRole: { type: String, enum: [...PROJECT_ROLES, null], default: null }, // for every organization member
+  members: [{ // grants to organization members or teams
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    teamId: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
+    role: { type: String, enum: PROJECT_ROLES, required: true },
+    grantedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    grantedAt: { type: Date, default: Date.now }
+  }],
+  terraformCode: { type: String }, // code of the current revision
+  currentRevision: { type: Number, default: null }, // see models/ProjectRevision.js
+  provider: { type: String, enum: ['aws', 'gcp', 'azure'], default: 'aws' },
+  status: { 
+    type: String, 
+    enum: ['draft', 'generated', 'deployed', 'drifted', 'failed', 'rolled_back'], 
+    default: 'draft' 
+  },
+  deploymentOutputs: { type: Object, default: {} },
+  costEstimate: { type: Object },
+  complianceSettings: { type: Object, default: {} },
+  optimizationSettings: { type: Object, default: {} },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+  deployedAt: { type: Date },
+  lastDeploymentId: { type: String },
+  lastDriftCheck: { // latest drift check of the live deployment
+    status: { type: String, enum: ['in_sync', 'drifted', 'failed'] },
+    reportId: { type: mongoose.Schema.Types.ObjectId, ref: 'DriftReport' },
+    checkedAt: Date
+  }
+});
+
+projectSchema.index({ userId: 1, organizationId: 1 });
+projectSchema.index({ organizationId: 1, 'members.userId': 1 });
+projectSchema.index({ organizationId: 1, 'members.teamId': 1 });
+
+projectSchema.statics.ROLES = PROJECT_ROLES;
+
+module.exports = mongoose.model('Project', projectSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Where the configuration of a revision came from
+const REVISION_SOURCES = ['ai', 'manual', 'import'];
+
+// One version of a project's Terraform configuration. Every change to the
+// code adds a revision numbered after the previous one; revisions are never
+// changed afterwards (see services/revisionService.js).
+const projectRevisionSchema = new mongoose.Schema({
+  projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+  number: { type: Number, required: true }, // 1, 2, ... per project
+  terraformCode: { type: String, default: '' },
+  checksum: { type: String, required: true }, // SHA-256 of terraformCode
+  lines: { type: Number, default: 0 },
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  message: { type: String, default: '' },
+  source: { type: String, enum: REVISION_SOURCES, default: 'manual' },
+  restoredFrom: { type: Number }, // number of the revision this one restores
+  createdAt: { type: Date, default: Date.now }
+});
+
+projectRevisionSchema.index({ projectId: 1, number: -1 }, { unique: true });
+projectRevisionSchema.index({ projectId: 1, checksum: 1 });
+
+const immutable = function(next) {
+  next(new Error('Project revisions cannot be changed'));
+};
+
+projectRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) return immutable(next);
+  next();
+});
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'].forEach((operation) => {
+  projectRevisionSchema.pre(operation, { document: false, query: true }, immutable);
+});
+
+// Listing entry, without the code
+projectRevisionSchema.methods.toSummaryJSON = function() {
+  return {
+    id: this._id,
+    number: this.number,
+    checksum: this.checksum,
+    lines: this.lines,
+    author: this.author,
+    message: this.message,
+    source: this.source,
+    restoredFrom: this.restoredFrom,
+    createdAt: this.createdAt
+  };
+};
+
+projectRevisionSchema.statics.SOURCES = REVISION_SOURCES;
+
+module.exports = mongoose.model('ProjectRevision', projectRevisionSchema);
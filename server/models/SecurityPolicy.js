@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Platform-wide security settings managed by admins. There is a single
+// document, read with SecurityPolicy.getPolicy().
+const securityPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'global',
+    unique: true
+  },
+  // Users with one of these roles must enroll in two-factor authentication
+  // before they can sign in
+  twoFactorRequiredRoles: [{
+    type: String,
+    enum: ['user', 'approver', 'admin', 'super_admin']
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+securityPolicySchema.statics.getPolicy = async function() {
+  return this.findOneAndUpdate(
+    { key: 'global' },
+    { $setOnInsert: { key: 'global' } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model('SecurityPolicy', securityPolicySchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// One login on one device. The session is a refresh-token family: every
+// refresh replaces tokenHash, and presenting a replaced token revokes it.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // The token replaced by the last refresh, accepted for a few seconds
+  // more (see sessionService.rotate)
+  previousTokenHash: String,
+  rotatedAt: Date,
+  userAgent: String,
+  ip: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'reuse_detected', 'password_changed']
+  }
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Revoked sessions are kept until they expire so reuse of their tokens is
+// still recognized; MongoDB removes them afterwards
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
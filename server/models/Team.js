@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// A group of organization members. Projects can be shared with a team, so
+// everyone on it gets the granted project role.
+const teamSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+teamSchema.index({ organizationId: 1, name: 1 }, { unique: true });
+teamSchema.index({ organizationId: 1, members: 1 });
+
+teamSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model('Team', teamSchema);
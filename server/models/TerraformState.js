@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Terraform HTTP backend: one document per project holding the current
+// version number and the lock. State contents are TerraformStateVersion documents.
+const terraformStateSchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true,
+    unique: true
+  },
+  version: {
+    type: Number,
+    default: 0
+  },
+  // Lock info exactly as Terraform sent it (ID, Operation, Who, Created, ...)
+  lock: {
+    type: Object,
+    default: null
+  },
+  lockedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('TerraformState', terraformStateSchema);
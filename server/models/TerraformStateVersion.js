@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// One state file written by Terraform. The highest version is the current state.
+const terraformStateVersionSchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  // From the state file itself
+  serial: Number,
+  lineage: String,
+  md5: String,
+  state: {
+    type: String,
+    required: true
+  },
+  lockId: String // lock held while this version was written
+}, {
+  timestamps: true
+});
+
+terraformStateVersionSchema.index({ projectId: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('TerraformStateVersion', terraformStateVersionSchema);
@@ -1,5 +1,16 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { encryptionService } = require('../services/encryptionService');
+
+// Secrets stored with envelope encryption; only the service using a secret
+// decrypts it (see services/encryptionService.js)
+const ENCRYPTED_CREDENTIAL_PATHS = [
+  'cloudCredentials.aws.secretAccessKey',
+  'cloudCredentials.gcp.keyFile',
+  'cloudCredentials.azure.clientSecret',
+  'twoFactor.secret',
+  'twoFactor.pendingSecret'
+];
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -34,7 +45,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin', 'super_admin'],
+    enum: ['user', 'approver', 'admin', 'super_admin'],
     default: 'user'
   },
   avatar: {
@@ -52,6 +63,11 @@ const userSchema = new mongoose.Schema({
       enum: ['aws', 'gcp', 'azure'],
       default: 'aws'
     },
+    aiProvider: {
+      type: String,
+      enum: ['openai', 'azure', 'anthropic', 'local', 'mock'],
+      default: null
+    },
     notifications: {
       email: {
         type: Boolean,
@@ -78,7 +94,10 @@ const userSchema = new mongoose.Schema({
       configured: {
         type: Boolean,
         default: false
-      }
+      },
+      identity: String, // account/principal reported by the last successful test
+      lastVerified: Date,
+      lastVerificationError: String
     },
     gcp: {
       projectId: String,
@@ -90,7 +109,10 @@ const userSchema = new mongoose.Schema({
       configured: {
         type: Boolean,
         default: false
-      }
+      },
+      identity: String, // account/principal reported by the last successful test
+      lastVerified: Date,
+      lastVerificationError: String
     },
     azure: {
       subscriptionId: String,
@@ -104,12 +126,18 @@ const userSchema = new mongoose.Schema({
       configured: {
         type: Boolean,
         default: false
-      }
+      },
+      identity: String, // account/principal reported by the last successful test
+      lastVerified: Date,
+      lastVerificationError: String
     }
   },
+  // Personal API keys; only the SHA-256 hash of a key is stored
+  // (see services/apiKeyService.js)
   apiKeys: [{
     name: String,
-    key: String,
+    keyHash: String,
+    prefix: String, // first characters of the key, to tell keys apart
     permissions: [String],
     createdAt: {
       type: Date,
@@ -153,9 +181,47 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // TOTP two-factor authentication (see services/twoFactorService.js)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: String,
+    pendingSecret: String, // enrollment started but not confirmed with a code yet
+    recoveryCodes: [String], // SHA-256 hashes of the unused recovery codes
+    enabledAt: Date,
+    lastUsedStep: Number, // time step of the last accepted code, so codes cannot be replayed
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: Date
+  },
+  // SHA-256 hashes of the single-use tokens sent by email
+  // (see services/accountEmailService.js)
   emailVerificationToken: String,
+  emailVerificationExpires: Date,
   passwordResetToken: String,
   passwordResetExpires: Date,
+  // The organization the user belongs to, through SSO or an accepted
+  // invitation (see services/organizationService.js)
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  // Owners and admins manage members, teams and invitations, and are owners
+  // of every project of the organization
+  organizationRole: {
+    type: String,
+    enum: ['owner', 'admin', 'member']
+  },
+  authProvider: {
+    type: String,
+    enum: ['local', 'oidc', 'saml'],
+    default: 'local'
+  },
+  ssoSubject: String, // the IdP's stable id for the user (OIDC `sub`, SAML NameID)
   lastLogin: Date,
   isActive: {
     type: Boolean,
@@ -177,6 +243,10 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ 'apiKeys.keyHash': 1 }, { sparse: true });
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
+userSchema.index({ organizationId: 1, ssoSubject: 1 }, { sparse: true });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -191,6 +261,21 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Encrypt secrets set in plain text before they reach the database
+userSchema.pre('save', function(next) {
+  try {
+    ENCRYPTED_CREDENTIAL_PATHS.forEach((path) => {
+      const value = this.get(path);
+      if (this.isModified(path) && value && !encryptionService.isEncrypted(value)) {
+        this.set(path, encryptionService.encrypt(value));
+      }
+    });
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Update updatedAt field before saving
 userSchema.pre('save', function(next) {
   this.updatedAt = new Date();
@@ -213,7 +298,9 @@ userSchema.methods.toJSON = function() {
   delete userObject.password;
   delete userObject.cloudCredentials;
   delete userObject.apiKeys;
+  delete userObject.twoFactor;
   delete userObject.emailVerificationToken;
+  delete userObject.emailVerificationExpires;
   delete userObject.passwordResetToken;
   delete userObject.passwordResetExpires;
   return userObject;
@@ -233,35 +320,33 @@ userSchema.methods.getAvailableProviders = function() {
   return providers;
 };
 
+// Monthly allowances per subscription plan; -1 is unlimited. Usage is
+// counted atomically by services/quotaService.js.
+const PLAN_LIMITS = {
+  free: { deployments: 5, aiRequests: 100 },
+  pro: { deployments: 50, aiRequests: 1000 },
+  enterprise: { deployments: -1, aiRequests: -1 }
+};
+
+// First instant of the current usage period (calendar month, UTC)
+const usagePeriodStart = (now = new Date()) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
 // Check subscription limits
 userSchema.methods.canDeploy = function() {
-  const limits = {
-    free: 5,
-    pro: 50,
-    enterprise: -1 // unlimited
-  };
-  
-  const limit = limits[this.subscription.plan];
+  const limit = PLAN_LIMITS[this.subscription.plan].deployments;
   return limit === -1 || this.usage.deploymentsThisMonth < limit;
 };
 
 userSchema.methods.canMakeAIRequest = function() {
-  const limits = {
-    free: 100,
-    pro: 1000,
-    enterprise: -1 // unlimited
-  };
-  
-  const limit = limits[this.subscription.plan];
+  const limit = PLAN_LIMITS[this.subscription.plan].aiRequests;
   return limit === -1 || this.usage.aiRequestsThisMonth < limit;
 };
 
 // Reset usage at the beginning of each month
 userSchema.methods.resetMonthlyUsage = function() {
   const now = new Date();
-  const lastReset = new Date(this.usage.lastResetDate);
-  
-  if (now.getMonth() !== lastReset.getMonth() || now.getFullYear() !== lastReset.getFullYear()) {
+
+  if (new Date(this.usage.lastResetDate) < usagePeriodStart(now)) {
     this.usage.deploymentsThisMonth = 0;
     this.usage.aiRequestsThisMonth = 0;
     this.usage.lastResetDate = now;
@@ -271,4 +356,8 @@ userSchema.methods.resetMonthlyUsage = function() {
   return false;
 };
 
+userSchema.statics.PLAN_LIMITS = PLAN_LIMITS;
+userSchema.statics.usagePeriodStart = usagePeriodStart;
+userSchema.statics.ENCRYPTED_CREDENTIAL_PATHS = ENCRYPTED_CREDENTIAL_PATHS;
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,329 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { authenticateToken, requireSession, requireAdmin } = require('../middleware/auth');
+const { jobQueue } = require('../services/jobQueue');
+const { twoFactorService } = require('../services/twoFactorService');
+const { ssoService } = require('../services/ssoService');
+const { organizationService } = require('../services/organizationService');
+const { auditService } = require('../services/auditService');
+const Job = require('../models/Job');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const Organization = require('../models/Organization');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/admin.log' })
+  ]
+});
+
+// Queue overview: job counts per type and status, active workers
+router.get('/queue', authenticateToken, requireSession, requireAdmin, async (req, res) => {
+  try {
+    const stats = await jobQueue.getStats();
+
+    res.json({
+      success: true,
+      queue: stats
+    });
+  } catch (error) {
+    logger.error('Error fetching queue stats:', error);
+    res.status(500).json({
+      error: 'Failed to fetch queue state',
+      message: error.message
+    });
+  }
+});
+
+// List jobs, newest first
+router.get('/queue/jobs', authenticateToken, requireSession, requireAdmin, async (req, res) => {
+  try {
+    const { status, type, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+
+    const jobs = await Job.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Job.countDocuments(filter);
+
+    res.json({
+      success: true,
+      jobs: jobs.map(job => job.toSummaryJSON()),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching jobs:', error);
+    res.status(500).json({
+      error: 'Failed to fetch jobs',
+      message: error.message
+    });
+  }
+});
+
+// Get a single job
+router.get('/queue/jobs/:id', authenticateToken, requireSession, requireAdmin, async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      job: job.toSummaryJSON()
+    });
+  } catch (error) {
+    logger.error('Error fetching job:', error);
+    res.status(500).json({
+      error: 'Failed to fetch job',
+      message: error.message
+    });
+  }
+});
+
+// Re-queue a failed job
+router.post('/queue/jobs/:id/retry', authenticateToken, requireSession, requireAdmin, async (req, res) => {
+  try {
+    const job = await jobQueue.retry(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Failed job not found'
+      });
+    }
+
+    logger.info(`Job ${job._id} re-queued by admin ${req.user.id}`);
+
+    res.json({
+      success: true,
+      job: job.toSummaryJSON()
+    });
+  } catch (error) {
+    logger.error('Error retrying job:', error);
+    res.status(500).json({
+      error: 'Failed to retry job',
+      message: error.message
+    });
+  }
+});
+
+const ROLES = ['user', 'approver', 'admin', 'super_admin'];
+
+// Platform security policy: roles that must use two-factor authentication
+router.get('/security-policy', authenticateToken, requireSession, requireAdmin, async (req, res) => {
+  try {
+    const policy = await SecurityPolicy.getPolicy();
+
+    res.json({
+      success: true,
+      policy: {
+        twoFactorRequiredRoles: policy.twoFactorRequiredRoles,
+        updatedBy: policy.updatedBy,
+        updatedAt: policy.updatedAt
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching security policy:', error);
+    res.status(500).json({
+      error: 'Failed to fetch security policy',
+      message: error.message
+    });
+  }
+});
+
+router.put('/security-policy', authenticateToken, requireSession, requireAdmin, async (req, res) => {
+  try {
+    const { twoFactorRequiredRoles } = req.body;
+
+    if (!Array.isArray(twoFactorRequiredRoles) || twoFactorRequiredRoles.some(role => !ROLES.includes(role))) {
+      return res.status(400).json({
+        error: `twoFactorRequiredRoles must be a list of roles: ${ROLES.join(', ')}`
+      });
+    }
+
+    // Admins enforcing 2FA on their own role must have enrolled, or they
+    // would sign themselves out
+    if (twoFactorRequiredRoles.includes(req.user.role) && !req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        error: 'Enable two-factor authentication on your own account before requiring it for your role'
+      });
+    }
+
+    const before = auditService.snapshot(await SecurityPolicy.getPolicy(), ['twoFactorRequiredRoles']);
+    const policy = await twoFactorService.updateRequiredRoles(Array.from(new Set(twoFactorRequiredRoles)), req.user._id);
+
+    logger.info(`Security policy updated by admin ${req.user.id}: 2FA required for ${policy.twoFactorRequiredRoles.join(', ') || 'no roles'}`);
+    await auditService.record(req, {
+      action: 'admin.security_policy',
+      target: { type: 'security_policy', id: policy._id },
+      changes: auditService.diff(before, auditService.snapshot(policy, ['twoFactorRequiredRoles']))
+    });
+
+    res.json({
+      success: true,
+      policy: {
+        twoFactorRequiredRoles: policy.twoFactorRequiredRoles,
+        updatedBy: policy.updatedBy,
+        updatedAt: policy.updatedAt
+      }
+    });
+  } catch (error) {
+    logger.error('Error updating security policy:', error);
+    res.status(500).json({
+      error: 'Failed to update security policy',
+      message: error.message
+    });
+  }
+});
+
+// Organizations and their single sign-on settings. Responses include the
+// URLs to register with the IdP (redirect URI, SAML ACS and metadata).
+const describeOrganization = organization => ({
+  ...organization.toSummaryJSON(),
+  ssoUrls: ssoService.urls(organization)
+});
+
+const handleOrganizationError = (res, error, message) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      error: error.message,
+      code: error.code
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: Object.values(error.errors).map(detail => detail.message)
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({
+      error: 'An organization with this slug already exists'
+    });
+  }
+
+  logger.error(`${message}:`, error);
+  res.status(500).json({
+    error: message,
+    message: error.message
+  });
+};
+
+router.get('/organizations', authenticateToken, requireSession, requireAdmin, async (req, res) => {
+  try {
+    const organizations = await Organization.find().sort({ name: 1 });
+
+    res.json({
+      success: true,
+      organizations: organizations.map(describeOrganization)
+    });
+  } catch (error) {
+    handleOrganizationError(res, error, 'Failed to fetch organizations');
+  }
+});
+
+router.post('/organizations', authenticateToken, requireSession, requireAdmin, async (req, res) => {
+  try {
+    const organization = new Organization({ createdBy: req.user._id });
+    await ssoService.applySettings(organization, req.body, req.user);
+    await organization.save();
+
+    logger.info(`Organization ${organization.slug} created by admin ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      organization: describeOrganization(organization)
+    });
+  } catch (error) {
+    handleOrganizationError(res, error, 'Failed to create organization');
+  }
+});
+
+router.put('/organizations/:id', authenticateToken, requireSession, requireAdmin, async (req, res) => {
+  try {
+    const organization = mongoose.isValidObjectId(req.params.id) && await Organization.findById(req.params.id);
+    if (!organization) {
+      return res.status(404).json({
+        error: 'Organization not found'
+      });
+    }
+
+    await ssoService.applySettings(organization, req.body, req.user);
+    await organization.save();
+
+    logger.info(`Organization ${organization.slug} updated by admin ${req.user.id} (SSO ${organization.sso.enabled ? organization.sso.protocol : 'disabled'}, password login ${organization.passwordLoginDisabled ? 'disabled' : 'enabled'})`);
+
+    res.json({
+      success: true,
+      organization: describeOrganization(organization)
+    });
+  } catch (error) {
+    handleOrganizationError(res, error, 'Failed to update organization');
+  }
+});
+
+// Members of an organization, and their role in it. Lets platform admins
+// appoint the owners of an organization whose members joined through SSO.
+const findOrganization = async (req, res) => {
+  const organization = mongoose.isValidObjectId(req.params.id) && await Organization.findById(req.params.id);
+  if (!organization) {
+    res.status(404).json({
+      error: 'Organization not found'
+    });
+  }
+  return organization;
+};
+
+router.get('/organizations/:id/members', authenticateToken, requireSession, requireAdmin, async (req, res) => {
+  try {
+    const organization = await findOrganization(req, res);
+    if (!organization) return;
+
+    res.json({
+      success: true,
+      members: await organizationService.listMembers(organization)
+    });
+  } catch (error) {
+    handleOrganizationError(res, error, 'Failed to fetch organization members');
+  }
+});
+
+router.patch('/organizations/:id/members/:userId', authenticateToken, requireSession, requireAdmin, async (req, res) => {
+  try {
+    const organization = await findOrganization(req, res);
+    if (!organization) return;
+
+    const member = await organizationService.setMemberRole(organization, req.user, req.params.userId, req.body.role, {
+      asPlatformAdmin: true
+    });
+
+    res.json({
+      success: true,
+      member
+    });
+  } catch (error) {
+    handleOrganizationError(res, error, 'Failed to update organization member');
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const { aiService } = require('../services/aiService');
+const { conversationService } = require('../services/conversationService');
+const { costEstimator } = require('../services/costEstimator');
 const { validateRequest } = require('../middleware/validation');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireScope } = require('../middleware/auth');
+const { requireProjectRole } = require('../middleware/projectAccess');
+const { auditRequest } = require('../middleware/audit');
+const { requireQuota } = require('../middleware/quota');
 const winston = require('winston');
 
 const logger = winston.createLogger({
@@ -17,10 +22,46 @@ const logger = winston.createLogger({
   ]
 });
 
+// Per-request AI options derived from the user's preferences
+const aiOptions = (req) => ({
+  provider: req.user.preferences?.aiProvider
+});
+
+// Requests may name the project they work on (`projectId` in the body): the
+// user then needs `role` on it, and the project's Terraform code is used when
+// none is sent. Generating and optimizing produce changes to the project, so
+// they need the editor role; analysis only needs to read it.
+const projectAccess = role => requireProjectRole(role, { location: 'body', param: 'projectId', optional: true });
+
+const projectCode = req => req.body.terraformCode || req.project?.terraformCode;
+
+// Every AI call counts against the monthly AI request quota of the plan
+const aiQuota = requireQuota('aiRequests');
+
+// Every AI call goes to the audit trail, including those refused for lack
+// of a project role
+const auditAI = action => auditRequest(`ai.${action}`, req => ({
+  target: req.body.projectId ? {
+    type: 'project',
+    id: req.body.projectId,
+    name: req.project?.name
+  } : undefined,
+  metadata: { provider: aiOptions(req).provider || null }
+}));
+
+// List LLM providers configured on this deployment
+router.get('/providers', authenticateToken, requireScope('ai:use'), (req, res) => {
+  res.json({
+    success: true,
+    providers: aiService.getAvailableProviders(),
+    preferred: req.user.preferences?.aiProvider || null
+  });
+});
+
 // Generate infrastructure from natural language description
-router.post('/generate-infrastructure', authenticateToken, async (req, res) => {
+router.post('/generate-infrastructure', authenticateToken, requireScope('ai:use'), auditAI('generate-infrastructure'), projectAccess('editor'), aiQuota, async (req, res) => {
   try {
-    const { description, preferences = {} } = req.body;
+    const { description, preferences = {}, maxAttempts } = req.body;
 
     if (!description) {
       return res.status(400).json({
@@ -30,7 +71,10 @@ router.post('/generate-infrastructure', authenticateToken, async (req, res) => {
 
     logger.info(`Generating infrastructure for user ${req.user.id}: ${description}`);
 
-    const result = await aiService.generateInfrastructure(description, preferences);
+    const result = await aiService.generateInfrastructure(description, preferences, {
+      ...aiOptions(req),
+      maxAttempts
+    });
 
     res.json({
       success: true,
@@ -47,9 +91,9 @@ router.post('/generate-infrastructure', authenticateToken, async (req, res) => {
 });
 
 // Chat with AI assistant
-router.post('/chat', authenticateToken, async (req, res) => {
+router.post('/chat', authenticateToken, requireScope('ai:use'), auditAI('chat'), projectAccess('viewer'), aiQuota, async (req, res) => {
   try {
-    const { message, context = {} } = req.body;
+    const { message, context = {}, conversationId, projectId } = req.body;
 
     if (!message) {
       return res.status(400).json({
@@ -59,15 +103,31 @@ router.post('/chat', authenticateToken, async (req, res) => {
 
     logger.info(`AI chat request from user ${req.user.id}: ${message.substring(0, 100)}...`);
 
+    let conversation;
+    try {
+      conversation = await conversationService.resolveConversation(req.user.id, { conversationId, projectId, message });
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    const history = await conversationService.buildHistory(conversation, message, aiOptions(req));
+
     const response = await aiService.processChatMessage(message, {
       ...context,
       userId: req.user.id,
       timestamp: new Date().toISOString()
-    });
+    }, { ...aiOptions(req), history });
+
+    await conversationService.recordExchange(conversation, message, response);
 
     res.json({
       success: true,
       response,
+      conversationId: conversation._id,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -80,7 +140,7 @@ router.post('/chat', authenticateToken, async (req, res) => {
 });
 
 // Generate project documentation
-router.post('/generate-documentation', authenticateToken, async (req, res) => {
+router.post('/generate-documentation', authenticateToken, requireScope('ai:use'), auditAI('generate-documentation'), projectAccess('viewer'), aiQuota, async (req, res) => {
   try {
     const { projectData } = req.body;
 
@@ -96,7 +156,7 @@ router.post('/generate-documentation', authenticateToken, async (req, res) => {
       ...projectData,
       generatedBy: req.user.id,
       generatedAt: new Date().toISOString()
-    });
+    }, aiOptions(req));
 
     res.json({
       success: true,
@@ -113,9 +173,10 @@ router.post('/generate-documentation', authenticateToken, async (req, res) => {
 });
 
 // Optimize existing infrastructure
-router.post('/optimize', authenticateToken, async (req, res) => {
+router.post('/optimize', authenticateToken, requireScope('ai:use'), auditAI('optimize'), projectAccess('editor'), aiQuota, async (req, res) => {
   try {
-    const { terraformCode, optimizationType = 'cost' } = req.body;
+    const { optimizationType = 'cost' } = req.body;
+    const terraformCode = projectCode(req);
 
     if (!terraformCode) {
       return res.status(400).json({
@@ -125,7 +186,7 @@ router.post('/optimize', authenticateToken, async (req, res) => {
 
     logger.info(`Optimizing infrastructure for user ${req.user.id}, type: ${optimizationType}`);
 
-    const optimization = await aiService.optimizeInfrastructure(terraformCode, optimizationType);
+    const optimization = await aiService.optimizeInfrastructure(terraformCode, optimizationType, aiOptions(req));
 
     res.json({
       success: true,
@@ -143,9 +204,9 @@ router.post('/optimize', authenticateToken, async (req, res) => {
 });
 
 // Generate infrastructure explanation
-router.post('/explain', authenticateToken, async (req, res) => {
+router.post('/explain', authenticateToken, requireScope('ai:use'), auditAI('explain'), projectAccess('viewer'), aiQuota, async (req, res) => {
   try {
-    const { terraformCode } = req.body;
+    const terraformCode = projectCode(req);
 
     if (!terraformCode) {
       return res.status(400).json({
@@ -155,7 +216,7 @@ router.post('/explain', authenticateToken, async (req, res) => {
 
     logger.info(`Explaining infrastructure for user ${req.user.id}`);
 
-    const explanation = await aiService.generateExplanation(terraformCode);
+    const explanation = await aiService.generateExplanation(terraformCode, aiOptions(req));
 
     res.json({
       success: true,
@@ -171,25 +232,29 @@ router.post('/explain', authenticateToken, async (req, res) => {
   }
 });
 
-// Estimate infrastructure costs
-router.post('/estimate-cost', authenticateToken, async (req, res) => {
+// Estimate infrastructure costs from the bundled pricing tables. Accepts a
+// `terraform show -json` plan, a map of files or a single configuration.
+// No model is involved, so it needs no AI permission or quota.
+router.post('/estimate-cost', authenticateToken, requireScope('projects:read'), auditAI('estimate-cost'), projectAccess('viewer'), async (req, res) => {
   try {
-    const { terraformCode, provider = 'AWS' } = req.body;
+    const { terraformFiles, plan, region } = req.body;
+    const terraformCode = projectCode(req);
 
-    if (!terraformCode) {
+    if (!terraformCode && !terraformFiles && !plan) {
       return res.status(400).json({
-        error: 'Terraform code is required'
+        error: 'Terraform code, files or plan JSON is required'
       });
     }
 
-    logger.info(`Estimating costs for user ${req.user.id}, provider: ${provider}`);
+    logger.info(`Estimating costs for user ${req.user.id}, source: ${plan ? 'plan' : 'configuration'}`);
 
-    const costEstimate = await aiService.estimateCost(terraformCode, provider);
+    const costEstimate = plan
+      ? costEstimator.estimateFromPlan(plan, { region })
+      : await aiService.estimateCost(terraformFiles || terraformCode, { region });
 
     res.json({
       success: true,
       costEstimate,
-      provider,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -202,9 +267,10 @@ router.post('/estimate-cost', authenticateToken, async (req, res) => {
 });
 
 // Generate compliance recommendations
-router.post('/compliance-check', authenticateToken, async (req, res) => {
+router.post('/compliance-check', authenticateToken, requireScope('ai:use'), auditAI('compliance-check'), projectAccess('viewer'), aiQuota, async (req, res) => {
   try {
-    const { terraformCode, complianceFramework = 'SOC2' } = req.body;
+    const { complianceFramework = 'SOC2' } = req.body;
+    const terraformCode = projectCode(req);
 
     if (!terraformCode) {
       return res.status(400).json({
@@ -214,30 +280,7 @@ router.post('/compliance-check', authenticateToken, async (req, res) => {
 
     logger.info(`Checking compliance for user ${req.user.id}, framework: ${complianceFramework}`);
 
-    const systemPrompt = `Analyze this Terraform configuration for ${complianceFramework} compliance.
-
-Check for:
-1. Security best practices
-2. Data encryption requirements
-3. Access controls
-4. Audit logging
-5. Network security
-6. Resource tagging
-7. Backup and disaster recovery
-
-Provide specific recommendations for compliance improvements.`;
-
-    const completion = await aiService.openai.chat.completions.create({
-      model: "gpt-4-turbo-preview",
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: `Check compliance for this Terraform code:\n${terraformCode}` }
-      ],
-      temperature: 0.1,
-      max_tokens: 2000
-    });
-
-    const complianceReport = completion.choices[0].message.content;
+    const complianceReport = await aiService.checkCompliance(terraformCode, complianceFramework, aiOptions(req));
 
     res.json({
       success: true,
@@ -255,9 +298,9 @@ Provide specific recommendations for compliance improvements.`;
 });
 
 // Generate security recommendations
-router.post('/security-audit', authenticateToken, async (req, res) => {
+router.post('/security-audit', authenticateToken, requireScope('ai:use'), auditAI('security-audit'), projectAccess('viewer'), aiQuota, async (req, res) => {
   try {
-    const { terraformCode } = req.body;
+    const terraformCode = projectCode(req);
 
     if (!terraformCode) {
       return res.status(400).json({
@@ -267,30 +310,7 @@ router.post('/security-audit', authenticateToken, async (req, res) => {
 
     logger.info(`Performing security audit for user ${req.user.id}`);
 
-    const systemPrompt = `Perform a comprehensive security audit of this Terraform configuration.
-
-Check for:
-1. Publicly accessible resources
-2. Insecure configurations
-3. Missing encryption
-4. Weak access controls
-5. Security group misconfigurations
-6. IAM policy issues
-7. Network security vulnerabilities
-
-Provide a prioritized list of security issues with remediation steps.`;
-
-    const completion = await aiService.openai.chat.completions.create({
-      model: "gpt-4-turbo-preview",
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: `Audit this Terraform code for security issues:\n${terraformCode}` }
-      ],
-      temperature: 0.1,
-      max_tokens: 2500
-    });
-
-    const securityAudit = completion.choices[0].message.content;
+    const securityAudit = await aiService.performSecurityAudit(terraformCode, aiOptions(req));
 
     res.json({
       success: true,
@@ -307,9 +327,10 @@ Provide a prioritized list of security issues with remediation steps.`;
 });
 
 // Generate monitoring and alerting configuration
-router.post('/generate-monitoring', authenticateToken, async (req, res) => {
+router.post('/generate-monitoring', authenticateToken, requireScope('ai:use'), auditAI('generate-monitoring'), projectAccess('viewer'), aiQuota, async (req, res) => {
   try {
-    const { terraformCode, provider = 'AWS' } = req.body;
+    const { provider = 'AWS' } = req.body;
+    const terraformCode = projectCode(req);
 
     if (!terraformCode) {
       return res.status(400).json({
@@ -319,30 +340,7 @@ router.post('/generate-monitoring', authenticateToken, async (req, res) => {
 
     logger.info(`Generating monitoring config for user ${req.user.id}, provider: ${provider}`);
 
-    const systemPrompt = `Generate comprehensive monitoring and alerting configuration for this ${provider} infrastructure.
-
-Include:
-1. CloudWatch/Stackdriver metrics
-2. Log aggregation
-3. Health checks
-4. Performance monitoring
-5. Cost monitoring
-6. Security monitoring
-7. Alert rules and notifications
-
-Provide Terraform code for monitoring resources.`;
-
-    const completion = await aiService.openai.chat.completions.create({
-      model: "gpt-4-turbo-preview",
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: `Generate monitoring for this Terraform code:\n${terraformCode}` }
-      ],
-      temperature: 0.2,
-      max_tokens: 2000
-    });
-
-    const monitoringConfig = completion.choices[0].message.content;
+    const monitoringConfig = await aiService.generateMonitoring(terraformCode, provider, aiOptions(req));
 
     res.json({
       success: true,
@@ -0,0 +1,107 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireSession, requireAdmin } = require('../middleware/auth');
+const { auditService } = require('../services/auditService');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/audit.log' })
+  ]
+});
+
+// The audit trail. Platform admins see every event, organization owners and
+// admins their organization's events, other users their own. Filters:
+// action (or a prefix such as "deployment.*"), outcome, actor (user id or
+// email), targetType, targetId, from and to (dates).
+
+const handleError = (res, error, message) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  logger.error(`${message}:`, error);
+  res.status(500).json({
+    error: message,
+    message: error.message
+  });
+};
+
+router.get('/events', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const { events, pagination } = await auditService.query(req.user, req.query);
+
+    res.json({
+      success: true,
+      events,
+      pagination
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch audit events');
+  }
+});
+
+router.get('/events/:id', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const event = await auditService.findEvent(req.user, req.params.id);
+
+    res.json({
+      success: true,
+      event: event.toSummaryJSON()
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch audit event');
+  }
+});
+
+// Download every matching event, oldest first: ?format=csv or json
+router.get('/export', authenticateToken, requireSession, async (req, res) => {
+  const format = req.query.format === 'csv' ? 'csv' : 'json';
+
+  try {
+    // Rejects bad filters before the download starts
+    auditService.buildFilter(req.user, req.query);
+
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv' : 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.${format}"`);
+
+    const count = await auditService.export(req.user, req.query, format, res);
+
+    logger.info(`${count} audit events exported as ${format} by user ${req.user.id}`);
+    await auditService.record(req, {
+      action: 'audit.export',
+      metadata: { format, count, filters: req.query }
+    });
+  } catch (error) {
+    if (res.headersSent) {
+      logger.error('Audit export failed mid-stream:', error);
+      return res.destroy(error);
+    }
+    handleError(res, error, 'Failed to export audit events');
+  }
+});
+
+// Recompute the hash chain to detect events altered or removed in the database
+router.get('/verify', authenticateToken, requireSession, requireAdmin, async (req, res) => {
+  try {
+    const result = await auditService.verifyChain();
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to verify audit trail');
+  }
+});
+
+module.exports = router;
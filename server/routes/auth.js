@@ -1,9 +1,17 @@
 const express = require('express');
 const router = express.Router();
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const { authenticateToken, authenticateEnrollment, requireSession } = require('../middleware/auth');
+const { credentialService } = require('../services/credentialService');
+const { apiKeyService, API_KEY_SCOPES } = require('../services/apiKeyService');
+const { sessionService } = require('../services/sessionService');
+const { accountEmailService } = require('../services/accountEmailService');
+const { twoFactorService } = require('../services/twoFactorService');
+const { ssoService } = require('../services/ssoService');
+const { auditService } = require('../services/auditService');
+const { quotaService } = require('../services/quotaService');
 const winston = require('winston');
 
 const logger = winston.createLogger({
@@ -18,6 +26,98 @@ const logger = winston.createLogger({
   ]
 });
 
+// Refresh tokens live in an httpOnly cookie scoped to the auth routes, so
+// page scripts never see them
+const REFRESH_COOKIE = 'refreshToken';
+const refreshCookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+  path: '/api/auth'
+};
+
+// Holds the OIDC state, nonce and PKCE verifier between leaving for the IdP
+// and the callback. Lax, since the callback is a cross-site redirect.
+const SSO_STATE_COOKIE = 'ssoState';
+const ssoStateCookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+  path: '/api/auth/sso'
+};
+
+const CLIENT_URL = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const clientInfo = (req) => ({
+  userAgent: req.get('User-Agent'),
+  ip: req.ip
+});
+
+// Sets the refresh cookie (when a new refresh token was issued) and returns
+// the access token fields of a response
+const sendTokens = (res, tokens) => {
+  if (tokens.refreshToken) {
+    res.cookie(REFRESH_COOKIE, tokens.refreshToken, {
+      ...refreshCookieOptions,
+      expires: tokens.refreshExpiresAt
+    });
+  }
+  return {
+    token: tokens.accessToken,
+    expiresIn: tokens.expiresIn
+  };
+};
+
+const userTarget = (user, email) => ({
+  type: 'user',
+  id: user && user._id,
+  name: user ? user.email : email
+});
+
+// Failed sign-ins are audited against the account they named, if it exists
+const auditLoginFailure = (req, { email, user, reason, method = 'password' }) => auditService.record(req, {
+  action: 'auth.login',
+  outcome: 'failure',
+  actor: user || undefined,
+  target: userTarget(user, email),
+  metadata: { method, reason }
+});
+
+// Last step of every login: starts the session and returns the tokens
+const completeLogin = async (req, res, user, extra = {}, method = 'password') => {
+  user.lastLogin = new Date();
+  await user.save();
+
+  const tokens = await sessionService.createSession(user, clientInfo(req));
+
+  logger.info(`User logged in: ${user.email}`);
+  await auditService.record(req, {
+    action: 'auth.login',
+    actor: user,
+    target: userTarget(user),
+    metadata: { method }
+  });
+
+  res.json({
+    success: true,
+    ...sendTokens(res, tokens),
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      role: user.role,
+      preferences: user.preferences,
+      isEmailVerified: user.isEmailVerified,
+      twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+      lastLogin: user.lastLogin
+    },
+    message: 'Login successful',
+    ...extra
+  });
+};
+
 // Validation middleware
 const validateRegistration = [
   body('username').isLength({ min: 3, max: 30 }).withMessage('Username must be 3-30 characters'),
@@ -27,6 +127,10 @@ const validateRegistration = [
   body('lastName').notEmpty().withMessage('Last name is required')
 ];
 
+const validateEmail = [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required')
+];
+
 const validateLogin = [
   body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
   body('password').notEmpty().withMessage('Password is required')
@@ -45,6 +149,15 @@ router.post('/register', validateRegistration, async (req, res) => {
 
     const { username, email, password, firstName, lastName } = req.body;
 
+    const ssoOrganization = await ssoService.passwordLoginBlockedBy(email);
+    if (ssoOrganization) {
+      return res.status(403).json({
+        error: `${ssoOrganization.name} accounts sign in with single sign-on`,
+        code: 'SSO_REQUIRED',
+        organization: ssoOrganization.slug
+      });
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({
       $or: [{ email }, { username }]
@@ -68,18 +181,25 @@ router.post('/register', validateRegistration, async (req, res) => {
 
     await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, email: user.email },
-      process.env.JWT_SECRET || 'fallback-secret-key',
-      { expiresIn: '7d' }
-    );
+    const tokens = await sessionService.createSession(user, clientInfo(req));
+
+    // A mail failure must not fail the registration; the user can resend
+    try {
+      await accountEmailService.sendVerification(user);
+    } catch (error) {
+      logger.error(`Failed to send verification email to ${user.email}:`, error);
+    }
 
     logger.info(`User registered: ${user.email}`);
+    await auditService.record(req, {
+      action: 'auth.register',
+      actor: user,
+      target: userTarget(user)
+    });
 
     res.status(201).json({
       success: true,
-      token,
+      ...sendTokens(res, tokens),
       user: {
         id: user._id,
         username: user.username,
@@ -87,7 +207,8 @@ router.post('/register', validateRegistration, async (req, res) => {
         firstName: user.firstName,
         lastName: user.lastName,
         role: user.role,
-        preferences: user.preferences
+        preferences: user.preferences,
+        isEmailVerified: user.isEmailVerified
       },
       message: 'User registered successfully'
     });
@@ -115,7 +236,21 @@ router.post('/login', validateLogin, async (req, res) => {
 
     // Find user by email
     const user = await User.findOne({ email }).select('+password');
+
+    // Answered before checking the password, and also for unknown accounts
+    // of the organization's domains
+    const ssoOrganization = await ssoService.passwordLoginBlockedBy(email, user);
+    if (ssoOrganization) {
+      await auditLoginFailure(req, { email, user, reason: 'sso_required' });
+      return res.status(403).json({
+        error: `${ssoOrganization.name} accounts sign in with single sign-on`,
+        code: 'SSO_REQUIRED',
+        organization: ssoOrganization.slug
+      });
+    }
+
     if (!user) {
+      await auditLoginFailure(req, { email, reason: 'unknown_account' });
       return res.status(401).json({
         error: 'Invalid credentials'
       });
@@ -123,6 +258,7 @@ router.post('/login', validateLogin, async (req, res) => {
 
     // Check if user is active
     if (!user.isActive) {
+      await auditLoginFailure(req, { email, user, reason: 'account_deactivated' });
       return res.status(401).json({
         error: 'Account is deactivated'
       });
@@ -131,39 +267,34 @@ router.post('/login', validateLogin, async (req, res) => {
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await auditLoginFailure(req, { email, user, reason: 'invalid_password' });
       return res.status(401).json({
         error: 'Invalid credentials'
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
-
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, email: user.email },
-      process.env.JWT_SECRET || 'fallback-secret-key',
-      { expiresIn: '7d' }
-    );
+    // Second step: the code is sent to /login/2fa with the interim token
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        interimToken: twoFactorService.signInterimToken(user, '2fa'),
+        message: 'Enter the code from your authenticator app'
+      });
+    }
 
-    logger.info(`User logged in: ${user.email}`);
+    // The user's role requires 2FA: enrollment (/2fa/setup, /2fa/enable)
+    // with the interim token completes the login
+    if (await twoFactorService.isRequired(user)) {
+      return res.json({
+        success: true,
+        twoFactorSetupRequired: true,
+        interimToken: twoFactorService.signInterimToken(user, '2fa-setup'),
+        message: 'Two-factor authentication is required for your account, set it up to continue'
+      });
+    }
 
-    res.json({
-      success: true,
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        role: user.role,
-        preferences: user.preferences,
-        lastLogin: user.lastLogin
-      },
-      message: 'Login successful'
-    });
+    await completeLogin(req, res, user);
   } catch (error) {
     logger.error('Login error:', error);
     res.status(500).json({
@@ -173,27 +304,172 @@ router.post('/login', validateLogin, async (req, res) => {
   }
 });
 
-// Get current user profile
-router.get('/me', async (req, res) => {
+// Second login step for users with 2FA: a code from the authenticator app or
+// one of the recovery codes
+router.post('/login/2fa', async (req, res) => {
   try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
+    const { interimToken, code, recoveryCode } = req.body;
+    const userId = twoFactorService.verifyInterimToken(interimToken, '2fa');
 
-    if (!token) {
+    if (!userId) {
       return res.status(401).json({
-        error: 'Access token required'
+        error: 'Login expired, please sign in again',
+        code: 'INVALID_INTERIM_TOKEN'
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
-    const user = await User.findById(decoded.userId);
+    const user = await User.findById(userId);
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        error: 'Invalid credentials'
+      });
+    }
 
-    if (!user) {
+    if (!(await twoFactorService.verify(user, { code, recoveryCode }))) {
+      await auditLoginFailure(req, { user, reason: 'invalid_2fa_code', method: '2fa' });
+      return res.status(401).json({
+        error: recoveryCode ? 'Invalid recovery code' : 'Invalid authentication code',
+        code: 'INVALID_2FA_CODE'
+      });
+    }
+
+    await completeLogin(req, res, user, {}, recoveryCode ? '2fa_recovery_code' : '2fa');
+  } catch (error) {
+    if (error.status === 429) {
+      return res.status(429).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Two-factor login error:', error);
+    res.status(500).json({
+      error: 'Login failed',
+      message: error.message
+    });
+  }
+});
+
+// Single sign-on through the organization's identity provider. The browser
+// is redirected to the IdP and back; on success the refresh cookie is set and
+// the client picks up the session with /refresh.
+const redirectToClient = (res, params) => {
+  res.redirect(`${CLIENT_URL}/login?${new URLSearchParams(params).toString()}`);
+};
+
+const completeSsoLogin = async (req, res, user, organization) => {
+  user.lastLogin = new Date();
+  await user.save();
+
+  const tokens = await sessionService.createSession(user, clientInfo(req));
+  sendTokens(res, tokens);
+
+  logger.info(`User logged in with ${organization.sso.protocol} SSO: ${user.email} (${organization.slug})`);
+  await auditService.record(req, {
+    action: 'auth.login',
+    actor: user,
+    target: userTarget(user),
+    metadata: { method: organization.sso.protocol, organization: organization.slug }
+  });
+  redirectToClient(res, { sso: 'success' });
+};
+
+const ssoFailure = async (req, res, error, context) => {
+  await auditService.record(req, {
+    action: 'auth.login',
+    outcome: 'failure',
+    target: { type: 'organization', name: req.params.organization },
+    metadata: { method: 'sso', reason: error.status && error.status < 500 ? error.message : 'error' }
+  });
+
+  if (error.status && error.status < 500) {
+    logger.warn(`${context}: ${error.message}`);
+    return redirectToClient(res, { ssoError: error.message });
+  }
+
+  logger.error(`${context}:`, error);
+  redirectToClient(res, { ssoError: 'Single sign-on failed, please try again' });
+};
+
+// Which organization's IdP an email address signs in with, if any
+router.get('/sso/discover', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      sso: await ssoService.discover(req.query.email)
+    });
+  } catch (error) {
+    logger.error('SSO discovery error:', error);
+    res.status(500).json({
+      error: 'Failed to look up single sign-on',
+      message: error.message
+    });
+  }
+});
+
+router.get('/sso/:organization/login', async (req, res) => {
+  try {
+    const organization = await ssoService.findOrganization(req.params.organization);
+    const { redirectUrl, stateCookie } = await ssoService.startLogin(organization);
+
+    if (stateCookie) {
+      res.cookie(SSO_STATE_COOKIE, stateCookie, { ...ssoStateCookieOptions, maxAge: 10 * 60 * 1000 });
+    }
+    res.redirect(redirectUrl);
+  } catch (error) {
+    await ssoFailure(req, res, error, 'SSO login error');
+  }
+});
+
+router.get('/sso/:organization/oidc/callback', async (req, res) => {
+  try {
+    const organization = await ssoService.findOrganization(req.params.organization);
+    const stateCookie = req.cookies && req.cookies[SSO_STATE_COOKIE];
+    res.clearCookie(SSO_STATE_COOKIE, ssoStateCookieOptions);
+
+    const user = await ssoService.completeOidcLogin(organization, req.query, stateCookie);
+    await completeSsoLogin(req, res, user, organization);
+  } catch (error) {
+    await ssoFailure(req, res, error, 'OIDC callback error');
+  }
+});
+
+// Assertion consumer service: the IdP posts the SAML response here
+router.post('/sso/:organization/saml/acs', async (req, res) => {
+  try {
+    const organization = await ssoService.findOrganization(req.params.organization);
+    const user = await ssoService.completeSamlLogin(organization, req.body);
+    await completeSsoLogin(req, res, user, organization);
+  } catch (error) {
+    await ssoFailure(req, res, error, 'SAML response error');
+  }
+});
+
+// Service provider metadata to register with the SAML IdP
+router.get('/sso/:organization/saml/metadata', async (req, res) => {
+  try {
+    const organization = await ssoService.findOrganization(req.params.organization);
+    res.type('application/xml').send(ssoService.samlMetadata(organization));
+  } catch (error) {
+    if (error.status === 404) {
       return res.status(404).json({
-        error: 'User not found'
+        error: error.message
       });
     }
 
+    logger.error('SAML metadata error:', error);
+    res.status(500).json({
+      error: 'Failed to generate SAML metadata',
+      message: error.message
+    });
+  }
+});
+
+// Get current user profile
+router.get('/me', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const user = req.user;
+
     res.json({
       success: true,
       user: {
@@ -206,17 +482,15 @@ router.get('/me', async (req, res) => {
         preferences: user.preferences,
         subscription: user.subscription,
         usage: user.usage,
+        isEmailVerified: user.isEmailVerified,
+        twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+        organizationId: user.organizationId,
+        organizationRole: user.organizationRole,
         lastLogin: user.lastLogin,
         createdAt: user.createdAt
       }
     });
   } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({
-        error: 'Invalid token'
-      });
-    }
-    
     logger.error('Profile fetch error:', error);
     res.status(500).json({
       error: 'Failed to fetch profile',
@@ -225,27 +499,26 @@ router.get('/me', async (req, res) => {
   }
 });
 
-// Update user profile
-router.put('/profile', async (req, res) => {
+// Usage of the plan's monthly quotas: deployments and AI requests
+router.get('/usage', authenticateToken, requireSession, async (req, res) => {
   try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-
-    if (!token) {
-      return res.status(401).json({
-        error: 'Access token required'
-      });
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
-    const user = await User.findById(decoded.userId);
-
-    if (!user) {
-      return res.status(404).json({
-        error: 'User not found'
-      });
-    }
+    res.json({
+      success: true,
+      usage: await quotaService.getUsage(req.user)
+    });
+  } catch (error) {
+    logger.error('Usage fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch usage',
+      message: error.message
+    });
+  }
+});
 
+// Update user profile
+router.put('/profile', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const user = req.user;
     const { firstName, lastName, preferences } = req.body;
 
     // Update allowed fields
@@ -280,19 +553,9 @@ router.put('/profile', async (req, res) => {
 });
 
 // Change password
-router.put('/change-password', async (req, res) => {
+router.put('/change-password', authenticateToken, requireSession, async (req, res) => {
   try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-
-    if (!token) {
-      return res.status(401).json({
-        error: 'Access token required'
-      });
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
-    const user = await User.findById(decoded.userId).select('+password');
+    const user = await User.findById(req.user._id).select('+password');
 
     if (!user) {
       return res.status(404).json({
@@ -320,7 +583,14 @@ router.put('/change-password', async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device; they may be the reason for the change
+    await sessionService.revokeAll(user._id, { except: req.sessionId, reason: 'password_changed' });
+
     logger.info(`Password changed: ${user.email}`);
+    await auditService.record(req, {
+      action: 'auth.password_change',
+      target: userTarget(user)
+    });
 
     res.json({
       success: true,
@@ -335,46 +605,44 @@ router.put('/change-password', async (req, res) => {
   }
 });
 
-// Refresh token
+// Exchange the refresh cookie for a new access token; the refresh token is
+// rotated on every call
 router.post('/refresh', async (req, res) => {
   try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
+    const refreshToken = req.cookies && req.cookies[REFRESH_COOKIE];
 
-    if (!token) {
+    if (!refreshToken) {
       return res.status(401).json({
-        error: 'Access token required'
+        error: 'Refresh token required',
+        code: 'NO_REFRESH_TOKEN'
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
-    const user = await User.findById(decoded.userId);
-
-    if (!user || !user.isActive) {
-      return res.status(401).json({
-        error: 'Invalid token or inactive user'
-      });
-    }
-
-    // Generate new token
-    const newToken = jwt.sign(
-      { userId: user._id, email: user.email },
-      process.env.JWT_SECRET || 'fallback-secret-key',
-      { expiresIn: '7d' }
-    );
+    const { user, ...tokens } = await sessionService.rotate(refreshToken, clientInfo(req));
 
     res.json({
       success: true,
-      token: newToken,
+      ...sendTokens(res, tokens),
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role,
+        preferences: user.preferences
+      },
       message: 'Token refreshed successfully'
     });
   } catch (error) {
-    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+    if (error.status === 401) {
+      res.clearCookie(REFRESH_COOKIE, refreshCookieOptions);
       return res.status(401).json({
-        error: 'Invalid or expired token'
+        error: error.message,
+        code: error.code
       });
     }
-    
+
     logger.error('Token refresh error:', error);
     res.status(500).json({
       error: 'Failed to refresh token',
@@ -383,18 +651,15 @@ router.post('/refresh', async (req, res) => {
   }
 });
 
-// Logout (client-side token removal)
+// Logout: revokes the session of the refresh cookie, so it also works once
+// the access token has expired
 router.post('/logout', async (req, res) => {
   try {
-    // In a stateless JWT implementation, logout is handled client-side
-    // by removing the token. This endpoint can be used for logging purposes.
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-
-    if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
-      logger.info(`User logged out: ${decoded.email}`);
+    const refreshToken = req.cookies && req.cookies[REFRESH_COOKIE];
+    if (refreshToken && await sessionService.revokeByRefreshToken(refreshToken)) {
+      logger.info(`Session ${sessionService.parseSessionId(refreshToken)} logged out`);
     }
+    res.clearCookie(REFRESH_COOKIE, refreshCookieOptions);
 
     res.json({
       success: true,
@@ -409,4 +674,547 @@ router.post('/logout', async (req, res) => {
   }
 });
 
+// Signed-in devices of the current user
+router.get('/sessions', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const sessions = await sessionService.list(req.user._id);
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    logger.error('Session list error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch sessions',
+      message: error.message
+    });
+  }
+});
+
+// Sign out every device except the current one
+router.delete('/sessions', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAll(req.user._id, { except: req.sessionId });
+
+    logger.info(`${revoked} sessions revoked for user ${req.user.email}`);
+
+    res.json({
+      success: true,
+      revoked,
+      message: 'Other sessions revoked successfully'
+    });
+  } catch (error) {
+    logger.error('Session revocation error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke sessions',
+      message: error.message
+    });
+  }
+});
+
+router.delete('/sessions/:id', authenticateToken, requireSession, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id) ||
+        !(await sessionService.revoke(req.params.id, { userId: req.user._id }))) {
+      return res.status(404).json({
+        error: 'Session not found'
+      });
+    }
+
+    if (req.params.id === req.sessionId) {
+      res.clearCookie(REFRESH_COOKIE, refreshCookieOptions);
+    }
+
+    logger.info(`Session ${req.params.id} revoked for user ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    logger.error('Session revocation error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke session',
+      message: error.message
+    });
+  }
+});
+
+// Confirm the email address with the token from the verification link
+router.post('/verify-email', async (req, res) => {
+  try {
+    await accountEmailService.verifyEmail(req.body.token);
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        error: error.message
+      });
+    }
+
+    logger.error('Email verification error:', error);
+    res.status(500).json({
+      error: 'Failed to verify email',
+      message: error.message
+    });
+  }
+});
+
+router.post('/verify-email/resend', authenticateToken, requireSession, async (req, res) => {
+  try {
+    if (req.user.isEmailVerified) {
+      return res.status(400).json({
+        error: 'Email is already verified'
+      });
+    }
+
+    await accountEmailService.sendVerification(req.user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    logger.error('Verification email error:', error);
+    res.status(500).json({
+      error: 'Failed to send verification email',
+      message: error.message
+    });
+  }
+});
+
+// Always answers the same way, whether or not the address has an account
+router.post('/forgot-password', validateEmail, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+
+    // Accounts that must use SSO have no password to reset
+    if (!(await ssoService.passwordLoginBlockedBy(email, await User.findOne({ email })))) {
+      await accountEmailService.sendPasswordReset(email);
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this address, a reset link has been sent'
+    });
+  } catch (error) {
+    logger.error('Password reset request error:', error);
+    res.status(500).json({
+      error: 'Failed to request password reset',
+      message: error.message
+    });
+  }
+});
+
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    const user = await accountEmailService.resetPassword(token, password);
+    res.clearCookie(REFRESH_COOKIE, refreshCookieOptions);
+    await auditService.record(req, {
+      action: 'auth.password_reset',
+      actor: user,
+      target: userTarget(user)
+    });
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully, please log in'
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        error: error.message
+      });
+    }
+
+    logger.error('Password reset error:', error);
+    res.status(500).json({
+      error: 'Failed to reset password',
+      message: error.message
+    });
+  }
+});
+
+// Two-factor authentication (TOTP)
+router.get('/2fa', authenticateToken, requireSession, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      twoFactor: await twoFactorService.describe(req.user)
+    });
+  } catch (error) {
+    logger.error('Two-factor status error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch two-factor status',
+      message: error.message
+    });
+  }
+});
+
+// Returns the secret and the otpauth:// URI to show as a QR code
+router.post('/2fa/setup', authenticateEnrollment, async (req, res) => {
+  try {
+    const enrollment = await twoFactorService.beginEnrollment(req.user);
+
+    res.json({
+      success: true,
+      ...enrollment
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        error: error.message
+      });
+    }
+
+    logger.error('Two-factor setup error:', error);
+    res.status(500).json({
+      error: 'Failed to start two-factor setup',
+      message: error.message
+    });
+  }
+});
+
+// Confirms enrollment with a first code. During a login that required
+// enrollment, this also completes the login.
+router.post('/2fa/enable', authenticateEnrollment, async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactorService.enable(req.user, req.body.code);
+    await auditService.record(req, {
+      action: 'auth.2fa_enable',
+      actor: req.user,
+      target: userTarget(req.user)
+    });
+
+    if (req.interimLogin) {
+      return completeLogin(req, res, req.user, {
+        recoveryCodes,
+        message: 'Two-factor authentication enabled'
+      }, '2fa_enrollment');
+    }
+
+    res.json({
+      success: true,
+      recoveryCodes,
+      message: 'Two-factor authentication enabled'
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Two-factor enable error:', error);
+    res.status(500).json({
+      error: 'Failed to enable two-factor authentication',
+      message: error.message
+    });
+  }
+});
+
+// Sensitive changes need the password and a current code
+const verifyPasswordAndCode = async (req, res) => {
+  const user = await User.findById(req.user._id).select('+password');
+  const { password, code } = req.body;
+
+  if (!password || !(await user.comparePassword(password))) {
+    res.status(400).json({
+      error: 'Password is incorrect'
+    });
+    return null;
+  }
+
+  if (!(await twoFactorService.verify(user, { code }))) {
+    res.status(400).json({
+      error: 'Invalid authentication code',
+      code: 'INVALID_2FA_CODE'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+router.post('/2fa/disable', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const user = await verifyPasswordAndCode(req, res);
+    if (!user) return;
+
+    await twoFactorService.disable(user);
+    await auditService.record(req, {
+      action: 'auth.2fa_disable',
+      target: userTarget(user)
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    if (error.status === 403 || error.status === 429) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Two-factor disable error:', error);
+    res.status(500).json({
+      error: 'Failed to disable two-factor authentication',
+      message: error.message
+    });
+  }
+});
+
+// Replaces all recovery codes; the old ones stop working
+router.post('/2fa/recovery-codes', authenticateToken, requireSession, async (req, res) => {
+  try {
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const user = await verifyPasswordAndCode(req, res);
+    if (!user) return;
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(user);
+
+    res.json({
+      success: true,
+      recoveryCodes
+    });
+  } catch (error) {
+    if (error.status === 429) {
+      return res.status(429).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Recovery code error:', error);
+    res.status(500).json({
+      error: 'Failed to generate recovery codes',
+      message: error.message
+    });
+  }
+});
+
+// Cloud credentials used for the user's Terraform runs. Responses only ever
+// contain masked secrets.
+const validateProvider = (req, res, next) => {
+  if (!credentialService.isSupported(req.params.provider)) {
+    return res.status(400).json({
+      error: `Unsupported cloud provider: ${req.params.provider}`
+    });
+  }
+  next();
+};
+
+router.get('/credentials', authenticateToken, requireSession, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      credentials: credentialService.describeCredentials(req.user)
+    });
+  } catch (error) {
+    logger.error('Credential fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch credentials',
+      message: error.message
+    });
+  }
+});
+
+// Save credentials; pass `test: true` to verify them right away
+router.put('/credentials/:provider', authenticateToken, requireSession, validateProvider, async (req, res) => {
+  try {
+    const { provider } = req.params;
+    const { test, ...input } = req.body;
+    const before = credentialService.describeCredentials(req.user)[provider];
+
+    credentialService.updateCredentials(req.user, provider, input);
+    const result = test ? await credentialService.testCredentials(req.user, provider) : undefined;
+    await req.user.save();
+
+    logger.info(`${provider} credentials saved for user ${req.user.email}`);
+    // Only the masked summaries are recorded
+    await auditService.record(req, {
+      action: 'credentials.update',
+      target: { type: 'credentials', id: provider, name: req.user.email },
+      changes: auditService.diff(before, credentialService.describeCredentials(req.user)[provider]),
+      metadata: { fields: Object.keys(input), tested: Boolean(test) }
+    });
+
+    res.json({
+      success: true,
+      credentials: credentialService.describeCredentials(req.user)[provider],
+      test: result,
+      message: 'Credentials saved successfully'
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        error: error.message
+      });
+    }
+
+    logger.error('Credential save error:', error);
+    res.status(500).json({
+      error: 'Failed to save credentials',
+      message: error.message
+    });
+  }
+});
+
+// Verify the stored credentials with a dry-run identity call
+router.post('/credentials/:provider/test', authenticateToken, requireSession, validateProvider, async (req, res) => {
+  try {
+    const { provider } = req.params;
+    const result = await credentialService.testCredentials(req.user, provider);
+    await req.user.save();
+
+    res.json({
+      ...result,
+      credentials: credentialService.describeCredentials(req.user)[provider]
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        error: error.message
+      });
+    }
+
+    logger.error('Credential test error:', error);
+    res.status(500).json({
+      error: 'Failed to test credentials',
+      message: error.message
+    });
+  }
+});
+
+router.delete('/credentials/:provider', authenticateToken, requireSession, validateProvider, async (req, res) => {
+  try {
+    const { provider } = req.params;
+
+    const before = credentialService.describeCredentials(req.user)[provider];
+    credentialService.removeCredentials(req.user, provider);
+    await req.user.save();
+
+    logger.info(`${provider} credentials removed for user ${req.user.email}`);
+    await auditService.record(req, {
+      action: 'credentials.remove',
+      target: { type: 'credentials', id: provider, name: req.user.email },
+      changes: auditService.diff(before, credentialService.describeCredentials(req.user)[provider])
+    });
+
+    res.json({
+      success: true,
+      message: 'Credentials removed successfully'
+    });
+  } catch (error) {
+    logger.error('Credential removal error:', error);
+    res.status(500).json({
+      error: 'Failed to remove credentials',
+      message: error.message
+    });
+  }
+});
+
+// Personal API keys (`Authorization: ApiKey <key>`). The key itself is only
+// returned by the create call; listings show its prefix.
+router.get('/api-keys', authenticateToken, requireSession, (req, res) => {
+  res.json({
+    success: true,
+    apiKeys: apiKeyService.list(req.user),
+    scopes: API_KEY_SCOPES
+  });
+});
+
+router.post('/api-keys', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const { name, permissions, expiresInDays } = req.body;
+    const { key, apiKey } = apiKeyService.create(req.user, { name, permissions, expiresInDays });
+    await req.user.save();
+
+    logger.info(`API key ${apiKey.prefix} created for user ${req.user.email}`);
+    await auditService.record(req, {
+      action: 'api_key.create',
+      target: { type: 'api_key', id: apiKey.id, name: apiKey.name },
+      metadata: { prefix: apiKey.prefix, permissions: apiKey.permissions, expiresAt: apiKey.expiresAt }
+    });
+
+    res.status(201).json({
+      success: true,
+      key,
+      apiKey,
+      message: 'Store this key now, it will not be shown again'
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        error: error.message
+      });
+    }
+
+    logger.error('API key creation error:', error);
+    res.status(500).json({
+      error: 'Failed to create API key',
+      message: error.message
+    });
+  }
+});
+
+router.delete('/api-keys/:id', authenticateToken, requireSession, async (req, res) => {
+  try {
+    if (!apiKeyService.revoke(req.user, req.params.id)) {
+      return res.status(404).json({
+        error: 'API key not found'
+      });
+    }
+    await req.user.save();
+
+    logger.info(`API key ${req.params.id} revoked for user ${req.user.email}`);
+    await auditService.record(req, {
+      action: 'api_key.revoke',
+      target: { type: 'api_key', id: req.params.id }
+    });
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+  } catch (error) {
+    logger.error('API key revocation error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke API key',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,131 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const { authenticateToken, requireScope } = require('../middleware/auth');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/conversations-routes.log' })
+  ]
+});
+
+// List conversations for the current user, optionally scoped to a project
+router.get('/', authenticateToken, requireScope('conversations:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, projectId } = req.query;
+    const filter = { userId: req.user.id };
+
+    if (projectId) {
+      if (!mongoose.Types.ObjectId.isValid(projectId)) {
+        return res.status(400).json({
+          error: 'Invalid project ID'
+        });
+      }
+      filter.projectId = projectId;
+    }
+
+    const conversations = await Conversation.find(filter)
+      .select({ messages: { $slice: -1 }, title: 1, projectId: 1, createdAt: 1, updatedAt: 1 })
+      .sort({ updatedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const total = await Conversation.countDocuments(filter);
+
+    res.json({
+      success: true,
+      conversations: conversations.map(conversation => conversation.toSummaryJSON()),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching conversations:', error);
+    res.status(500).json({
+      error: 'Failed to fetch conversations',
+      message: error.message
+    });
+  }
+});
+
+// Get a conversation with its full message history
+router.get('/:id', authenticateToken, requireScope('conversations:read'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        error: 'Conversation not found'
+      });
+    }
+
+    const conversation = await Conversation.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        error: 'Conversation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      conversation
+    });
+  } catch (error) {
+    logger.error('Error fetching conversation:', error);
+    res.status(500).json({
+      error: 'Failed to fetch conversation',
+      message: error.message
+    });
+  }
+});
+
+// Delete a conversation
+router.delete('/:id', authenticateToken, requireScope('conversations:write'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        error: 'Conversation not found'
+      });
+    }
+
+    const conversation = await Conversation.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        error: 'Conversation not found'
+      });
+    }
+
+    logger.info(`Conversation deleted: ${conversation._id} by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Conversation deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting conversation:', error);
+    res.status(500).json({
+      error: 'Failed to delete conversation',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,29 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireScope, requireVerifiedEmail } = require('../middleware/auth');
+const { requireDeploymentRole } = require('../middleware/projectAccess');
+const { requireQuota } = require('../middleware/quota');
+const { projectAccessService } = require('../services/projectAccessService');
 const { cloudService } = require('../services/cloudService');
 const { aiService } = require('../services/aiService');
+const { combineTerraformFiles } = require('../services/infrastructureSchema');
+const { jobQueue } = require('../services/jobQueue');
+const { credentialService } = require('../services/credentialService');
+const { auditService } = require('../services/auditService');
+const { revisionService } = require('../services/revisionService');
+const {
+  PLAN_JOB,
+  APPLY_JOB,
+  ROLLBACK_JOB,
+  TEARDOWN_JOB,
+  DRIFT_JOB,
+  estimateDeploymentCost,
+  recordDeploymentEvent
+} = require('../services/deploymentJobs');
+const Deployment = require('../models/Deployment');
+const DriftReport = require('../models/DriftReport');
+const Project = require('../models/Project');
+const User = require('../models/User');
 const mongoose = require('mongoose');
 const winston = require('winston');
 
@@ -18,50 +39,125 @@ const logger = winston.createLogger({
   ]
 });
 
-// Deployment Schema
-const deploymentSchema = new mongoose.Schema({
-  projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  name: { type: String, required: true },
-  provider: { type: String, enum: ['aws', 'gcp', 'azure'], required: true },
-  terraformCode: { type: String, required: true },
-  status: { 
-    type: String, 
-    enum: ['pending', 'deploying', 'deployed', 'failed', 'rolling_back', 'rolled_back'], 
-    default: 'pending' 
-  },
-  outputs: { type: Object, default: {} },
-  logs: [{ 
-    message: String, 
-    type: { type: String, enum: ['info', 'success', 'error', 'warning'] },
-    timestamp: { type: Date, default: Date.now }
-  }],
-  costEstimate: { type: Object },
-  deploymentTime: { type: Number }, // in seconds
-  createdAt: { type: Date, default: Date.now },
-  deployedAt: { type: Date },
-  rolledBackAt: { type: Date }
+// Production deployments can require a second approval
+// (REQUIRE_PRODUCTION_APPROVAL=true), at least one of them from a user with an
+// approver-level account role who did not create the deployment
+const getRequiredApprovals = (environment) => (
+  environment === 'production' && process.env.REQUIRE_PRODUCTION_APPROVAL === 'true' ? 2 : 1
+);
+
+const APPROVER_ROLES = ['approver', 'admin', 'super_admin'];
+
+const hasIndependentApproval = async (deployment) => {
+  const approvers = deployment.approvals
+    .filter(approval => approval.decision === 'approved' && !approval.userId.equals(deployment.userId))
+    .map(approval => approval.userId);
+  return approvers.length > 0 && Boolean(await User.exists({ _id: { $in: approvers }, role: { $in: APPROVER_ROLES } }));
+};
+
+const TEARDOWN_STATUSES = ['deployed', 'superseded', 'failed', 'rolled_back'];
+
+// Terraform runs with the cloud account of the user who made the deployment,
+// so it must be configured
+const sendMissingCredentials = (res, provider, own = true) => res.status(400).json({
+  error: own
+    ? credentialService.missingCredentialsMessage(provider)
+    : `The ${provider.toUpperCase()} credentials of the user who made this deployment are no longer configured`,
+  code: 'CLOUD_CREDENTIALS_REQUIRED'
 });
 
-const Deployment = mongoose.model('Deployment', deploymentSchema);
+// Jobs on an existing deployment run with its creator's credentials (see
+// services/deploymentJobs.js), whoever on the project starts them
+const creatorHasCredentials = async (deployment, user) => {
+  const creator = deployment.userId.equals(user._id)
+    ? user
+    : await User.findById(deployment.userId).select('cloudCredentials');
+  return Boolean(creator && creator.hasCloudProvider(deployment.provider));
+};
+
+// Deploying to a project requires the deployer role on it. Ids that name no
+// project group the user's own deployments, so they cannot be shared.
+const deploymentTarget = deployment => ({ type: 'deployment', id: deployment._id, name: deployment.name });
+
+const checkDeployTarget = async (projectId, user) => {
+  if (!mongoose.isValidObjectId(projectId)) {
+    return { status: 400, error: 'Invalid project ID' };
+  }
+  if (await Project.exists({ _id: projectId })) {
+    try {
+      await projectAccessService.findProject(projectId, user, 'deployer');
+    } catch (error) {
+      if (!error.status) throw error;
+      return { status: error.status, error: error.message };
+    }
+  } else if (await Deployment.exists({ projectId, userId: { $ne: user._id } })) {
+    return { status: 404, error: 'Project not found' };
+  }
+  return null;
+};
 
-// Create a new deployment
-router.post('/', authenticateToken, async (req, res) => {
+// Create a new deployment. Instead of the code, deployments of a project can
+// name one of its revisions (`revision`); either way the deployment records
+// the project revision it applies.
+router.post('/', authenticateToken, requireScope('deployments:write'), requireVerifiedEmail, requireQuota('deployments'), async (req, res) => {
   try {
-    const { projectId, projectName, terraformCode, provider, environment } = req.body;
+    const { projectId, projectName, provider, environment, revision } = req.body;
+    let { terraformCode, terraformFiles } = req.body;
 
-    if (!terraformCode || !provider) {
+    if ((!terraformCode && !terraformFiles && revision === undefined) || !provider) {
       return res.status(400).json({
         error: 'Terraform code and provider are required'
       });
     }
 
+    if (revision !== undefined && !projectId) {
+      return res.status(400).json({
+        error: 'A revision can only be deployed with the projectId of its project'
+      });
+    }
+
+    let projectRevision = null;
+    if (projectId) {
+      const rejection = await checkDeployTarget(projectId, req.user);
+      if (rejection) {
+        return res.status(rejection.status).json({
+          error: rejection.error
+        });
+      }
+
+      // Planning rewrites the project's Terraform working directory
+      if (await Deployment.hasOperationInProgress(projectId)) {
+        return res.status(409).json({
+          error: 'Another operation is in progress for this project'
+        });
+      }
+
+      if (revision !== undefined) {
+        const project = await Project.findById(projectId);
+        if (!project) {
+          return res.status(404).json({
+            error: 'Project not found'
+          });
+        }
+        projectRevision = await revisionService.getRevision(project, revision);
+        terraformCode = projectRevision.terraformCode;
+        terraformFiles = undefined;
+      } else {
+        projectRevision = await revisionService.findByCode(projectId, terraformCode || combineTerraformFiles(terraformFiles));
+      }
+    }
+
+    if (!req.user.hasCloudProvider(provider)) {
+      return sendMissingCredentials(res, provider);
+    }
+
     // Validate infrastructure
-    const validation = await cloudService.validateInfrastructure(terraformCode, provider);
+    const validation = await cloudService.validateInfrastructure(terraformFiles || terraformCode, provider);
     if (!validation.valid) {
       return res.status(400).json({
         error: 'Invalid Terraform configuration',
-        details: validation.error
+        details: validation.error,
+        diagnostics: validation.diagnostics
       });
     }
 
@@ -71,29 +167,47 @@ router.post('/', authenticateToken, async (req, res) => {
       userId: req.user.id,
       name: projectName || `Deployment ${Date.now()}`,
       provider,
-      terraformCode,
-      status: 'pending'
+      environment,
+      terraformCode: terraformCode || combineTerraformFiles(terraformFiles),
+      terraformFiles,
+      revisionId: projectRevision ? projectRevision._id : undefined,
+      revisionNumber: projectRevision ? projectRevision.number : undefined,
+      status: 'pending',
+      requiredApprovals: getRequiredApprovals(environment)
     });
 
     await deployment.save();
 
     logger.info(`Deployment created: ${deployment._id} by user ${req.user.id}`);
-
-    // Start deployment process
-    setImmediate(async () => {
-      try {
-        await processDeployment(deployment._id);
-      } catch (error) {
-        logger.error(`Deployment processing error: ${error.message}`);
+    await auditService.record(req, {
+      action: 'deployment.create',
+      target: deploymentTarget(deployment),
+      metadata: {
+        projectId: deployment.projectId,
+        revision: deployment.revisionNumber,
+        provider,
+        environment: deployment.environment,
+        requiredApprovals: deployment.requiredApprovals
       }
     });
 
+    // Queue planning; the plan is applied once approved
+    const job = await jobQueue.enqueue(PLAN_JOB, { deploymentId: deployment._id.toString() });
+    deployment.jobId = job._id;
+    await deployment.save();
+
     res.status(201).json({
       success: true,
       deployment,
-      message: 'Deployment started successfully'
+      message: 'Deployment queued for planning'
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
     logger.error('Error creating deployment:', error);
     res.status(500).json({
       error: 'Failed to create deployment',
@@ -102,11 +216,12 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
-// Get all deployments for a user
-router.get('/', authenticateToken, async (req, res) => {
+// Get all deployments the user can access: those of projects they can view
+// and their own deployments made without a project
+router.get('/', authenticateToken, requireScope('deployments:read'), async (req, res) => {
   try {
     const { page = 1, limit = 10, status, provider } = req.query;
-    const filter = { userId: req.user.id };
+    const filter = await projectAccessService.deploymentFilter(req.user);
 
     if (status) filter.status = status;
     if (provider) filter.provider = provider;
@@ -139,19 +254,37 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
-// Get a specific deployment
-router.get('/:id', authenticateToken, async (req, res) => {
+// Deployments waiting for approval on projects where the user is a deployer
+router.get('/approvals/pending', authenticateToken, requireScope('deployments:read'), async (req, res) => {
   try {
-    const deployment = await Deployment.findOne({
-      _id: req.params.id,
-      userId: req.user.id
-    }).populate('projectId', 'name description');
+    const awaiting = await Deployment.find({
+      ...await projectAccessService.deploymentFilter(req.user),
+      status: 'awaiting_approval'
+    })
+      .select('-logs -terraformFiles')
+      .populate('userId', 'firstName lastName email')
+      .sort({ createdAt: 1 });
 
-    if (!deployment) {
-      return res.status(404).json({
-        error: 'Deployment not found'
-      });
-    }
+    const teamIds = await projectAccessService.teamIdsFor(req.user);
+    const roles = await Promise.all(awaiting.map(deployment => projectAccessService.deploymentRoleFor(deployment, req.user, teamIds)));
+
+    res.json({
+      success: true,
+      deployments: awaiting.filter((deployment, index) => projectAccessService.hasRole(roles[index], 'deployer'))
+    });
+  } catch (error) {
+    logger.error('Error fetching pending approvals:', error);
+    res.status(500).json({
+      error: 'Failed to fetch pending approvals',
+      message: error.message
+    });
+  }
+});
+
+// Get a specific deployment
+router.get('/:id', authenticateToken, requireScope('deployments:read'), requireDeploymentRole('viewer'), async (req, res) => {
+  try {
+    const deployment = await req.deployment.populate('projectId', 'name description');
 
     res.json({
       success: true,
@@ -166,24 +299,19 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Get deployment logs
-router.get('/:id/logs', authenticateToken, async (req, res) => {
+// Get deployment logs. Logs grow while Terraform runs; pass `after` (the
+// `total` from the previous response) to fetch only newer entries.
+router.get('/:id/logs', authenticateToken, requireScope('deployments:read'), requireDeploymentRole('viewer'), async (req, res) => {
   try {
-    const deployment = await Deployment.findOne({
-      _id: req.params.id,
-      userId: req.user.id
-    }).select('logs status');
-
-    if (!deployment) {
-      return res.status(404).json({
-        error: 'Deployment not found'
-      });
-    }
+    const after = Math.max(parseInt(req.query.after) || 0, 0);
+    const deployment = req.deployment;
 
     res.json({
       success: true,
-      logs: deployment.logs,
-      status: deployment.status
+      logs: deployment.logs.slice(after),
+      total: deployment.logs.length,
+      status: deployment.status,
+      progress: deployment.progress
     });
   } catch (error) {
     logger.error('Error fetching deployment logs:', error);
@@ -195,18 +323,9 @@ router.get('/:id/logs', authenticateToken, async (req, res) => {
 });
 
 // Get deployment status
-router.get('/:id/status', authenticateToken, async (req, res) => {
+router.get('/:id/status', authenticateToken, requireScope('deployments:read'), requireDeploymentRole('viewer'), async (req, res) => {
   try {
-    const deployment = await Deployment.findOne({
-      _id: req.params.id,
-      userId: req.user.id
-    }).select('status outputs deploymentTime deployedAt');
-
-    if (!deployment) {
-      return res.status(404).json({
-        error: 'Deployment not found'
-      });
-    }
+    const deployment = req.deployment;
 
     // Get live status from cloud provider if deployed
     let liveStatus = null;
@@ -218,13 +337,18 @@ router.get('/:id/status', authenticateToken, async (req, res) => {
       }
     }
 
+    const drift = await DriftReport.findOne({ deploymentId: deployment._id })
+      .sort({ checkedAt: -1 })
+      .select('status checkedAt resources.address');
+
     res.json({
       success: true,
       status: deployment.status,
       outputs: deployment.outputs,
       deploymentTime: deployment.deploymentTime,
       deployedAt: deployment.deployedAt,
-      liveStatus
+      liveStatus,
+      drift
     });
   } catch (error) {
     logger.error('Error fetching deployment status:', error);
@@ -235,8 +359,181 @@ router.get('/:id/status', authenticateToken, async (req, res) => {
   }
 });
 
-// Rollback deployment
-router.post('/rollback', authenticateToken, async (req, res) => {
+// Approve a planned deployment. Once enough distinct users have approved,
+// exactly the saved plan is applied.
+router.post('/:id/approve', authenticateToken, requireScope('deployments:write'), requireVerifiedEmail, requireDeploymentRole('deployer'), async (req, res) => {
+  try {
+    const { comment } = req.body;
+    const deployment = req.deployment;
+
+    if (deployment.status !== 'awaiting_approval') {
+      return res.status(409).json({
+        error: 'Deployment is not awaiting approval',
+        status: deployment.status
+      });
+    }
+
+    // Applying runs Terraform in the project's working directory
+    if (await Deployment.hasOperationInProgress(deployment.projectId)) {
+      return res.status(409).json({
+        error: 'Another operation is in progress for this project'
+      });
+    }
+
+    // Conditional updates keep concurrent reviews from double-counting an
+    // approval or applying the plan twice
+    let approved = await Deployment.findOneAndUpdate(
+      {
+        _id: deployment._id,
+        status: 'awaiting_approval',
+        approvals: { $not: { $elemMatch: { userId: req.user._id, decision: 'approved' } } }
+      },
+      { $push: { approvals: { userId: req.user._id, decision: 'approved', comment } } },
+      { new: true }
+    );
+
+    // Approving again only retries an apply that another operation blocked
+    const alreadyApproved = !approved;
+    if (alreadyApproved) {
+      approved = await Deployment.findOne({ _id: deployment._id, status: 'awaiting_approval' });
+      if (!approved) {
+        return res.status(409).json({
+          error: 'Deployment is not awaiting approval'
+        });
+      }
+    }
+
+    const remaining = Math.max(approved.requiredApprovals -
+      approved.approvals.filter(approval => approval.decision === 'approved').length, 0);
+    const needsApprover = approved.requiredApprovals > 1 && !await hasIndependentApproval(approved);
+
+    if (alreadyApproved && (remaining > 0 || needsApprover)) {
+      return res.status(409).json({
+        error: 'You have already approved this deployment'
+      });
+    }
+
+    if (!alreadyApproved) {
+      await auditService.record(req, {
+        action: 'deployment.approve',
+        target: deploymentTarget(approved),
+        metadata: { projectId: approved.projectId, comment, remainingApprovals: remaining, needsApprover }
+      });
+    }
+
+    if (remaining > 0 || needsApprover) {
+      await recordDeploymentEvent(
+        approved,
+        needsApprover
+          ? `Plan approved by ${req.user.email}; waiting for approval from an approver who did not create the deployment`
+          : `Plan approved by ${req.user.email}; waiting for ${remaining} more approval(s) from a deployer`
+      );
+
+      return res.json({
+        success: true,
+        deployment: approved,
+        message: needsApprover
+          ? 'Approval recorded, waiting for an approver who did not create the deployment'
+          : 'Approval recorded, waiting for another deployer'
+      });
+    }
+
+    const applying = await Deployment.claimOperation(deployment, ['awaiting_approval'], {
+      status: 'deploying',
+      approvedAt: new Date()
+    });
+
+    if (!applying) {
+      return res.status(409).json({
+        error: 'Deployment is not awaiting approval or another operation is in progress for this project'
+      });
+    }
+
+    const job = await jobQueue.enqueue(APPLY_JOB, { deploymentId: applying._id.toString() });
+    applying.jobId = job._id;
+    await recordDeploymentEvent(applying, `Plan approved by ${req.user.email}`);
+
+    logger.info(`Deployment ${applying._id} approved by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      deployment: applying,
+      message: 'Deployment approved, applying plan'
+    });
+  } catch (error) {
+    logger.error('Error approving deployment:', error);
+    res.status(500).json({
+      error: 'Failed to approve deployment',
+      message: error.message
+    });
+  }
+});
+
+// Reject a planned deployment and discard its saved plan
+router.post('/:id/reject', authenticateToken, requireScope('deployments:write'), requireDeploymentRole('deployer'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const deployment = req.deployment;
+
+    if (deployment.status !== 'awaiting_approval') {
+      return res.status(409).json({
+        error: 'Deployment is not awaiting approval',
+        status: deployment.status
+      });
+    }
+
+    const rejected = await Deployment.findOneAndUpdate(
+      { _id: deployment._id, status: 'awaiting_approval' },
+      {
+        $set: { status: 'rejected', rejectedAt: new Date() },
+        $push: { approvals: { userId: req.user._id, decision: 'rejected', comment: reason } }
+      },
+      { new: true }
+    );
+
+    if (!rejected) {
+      return res.status(409).json({
+        error: 'Deployment is not awaiting approval'
+      });
+    }
+
+    await recordDeploymentEvent(
+      rejected,
+      `Plan rejected by ${req.user.email}${reason ? `: ${reason}` : ''}`,
+      'warning'
+    );
+
+    try {
+      await cloudService.discardPlan(deployment.projectId.toString(), deployment._id.toString());
+    } catch (error) {
+      logger.warn(`Failed to discard plan for deployment ${deployment._id}: ${error.message}`);
+    }
+
+    logger.info(`Deployment ${deployment._id} rejected by user ${req.user.id}`);
+    await auditService.record(req, {
+      action: 'deployment.reject',
+      target: deploymentTarget(rejected),
+      changes: { before: { status: 'awaiting_approval' }, after: { status: 'rejected' } },
+      metadata: { projectId: rejected.projectId, reason }
+    });
+
+    res.json({
+      success: true,
+      deployment: rejected,
+      message: 'Deployment rejected'
+    });
+  } catch (error) {
+    logger.error('Error rejecting deployment:', error);
+    res.status(500).json({
+      error: 'Failed to reject deployment',
+      message: error.message
+    });
+  }
+});
+
+// Rollback deployment: re-apply the configuration of the project's previous
+// successful deployment. Use teardown to destroy the infrastructure instead.
+router.post('/rollback', authenticateToken, requireScope('deployments:write'), requireVerifiedEmail, requireQuota('deployments'), async (req, res) => {
   try {
     const { projectId } = req.body;
 
@@ -246,11 +543,23 @@ router.post('/rollback', authenticateToken, async (req, res) => {
       });
     }
 
+    const role = mongoose.isValidObjectId(projectId) && await projectAccessService.roleForProjectId(projectId, req.user);
+    if (!role) {
+      return res.status(404).json({
+        error: 'Project not found'
+      });
+    }
+    if (!projectAccessService.hasRole(role, 'deployer')) {
+      return res.status(403).json({
+        error: 'This requires the deployer role on the project',
+        code: 'INSUFFICIENT_PROJECT_ROLE'
+      });
+    }
+
     const deployment = await Deployment.findOne({
       projectId,
-      userId: req.user.id,
       status: 'deployed'
-    });
+    }).sort({ deployedAt: -1 });
 
     if (!deployment) {
       return res.status(404).json({
@@ -258,25 +567,54 @@ router.post('/rollback', authenticateToken, async (req, res) => {
       });
     }
 
-    // Update deployment status
-    deployment.status = 'rolling_back';
-    await deployment.save();
+    const target = await Deployment.findOne({
+      projectId,
+      status: 'superseded',
+      deployedAt: { $lt: deployment.deployedAt }
+    }).sort({ deployedAt: -1 });
+
+    if (!target) {
+      return res.status(409).json({
+        error: 'No previous successful deployment to roll back to',
+        message: 'Use teardown to destroy the infrastructure instead'
+      });
+    }
 
-    logger.info(`Rollback initiated for deployment: ${deployment._id}`);
+    if (!(await creatorHasCredentials(target, req.user))) {
+      return sendMissingCredentials(res, target.provider, target.userId.equals(req.user._id));
+    }
 
-    // Start rollback process
-    setImmediate(async () => {
-      try {
-        await processRollback(deployment._id);
-      } catch (error) {
-        logger.error(`Rollback processing error: ${error.message}`);
-      }
+    const rollingBack = await Deployment.claimOperation(deployment, ['deployed'], {
+      status: 'rolling_back',
+      rollbackTarget: target._id
+    });
+    if (!rollingBack) {
+      return res.status(409).json({
+        error: 'Another operation is in progress for this project'
+      });
+    }
+
+    logger.info(`Rollback initiated for deployment ${rollingBack._id} to ${target._id}`);
+    await auditService.record(req, {
+      action: 'deployment.rollback',
+      target: deploymentTarget(rollingBack),
+      changes: { before: { status: 'deployed' }, after: { status: 'rolling_back' } },
+      metadata: { projectId, rollbackTarget: target._id }
     });
 
+    // Queue rollback process
+    const job = await jobQueue.enqueue(ROLLBACK_JOB, {
+      deploymentId: rollingBack._id.toString(),
+      targetId: target._id.toString()
+    });
+    rollingBack.jobId = job._id;
+    await rollingBack.save();
+
     res.json({
       success: true,
       message: 'Rollback initiated successfully',
-      deploymentId: deployment._id
+      deploymentId: rollingBack._id,
+      targetDeploymentId: target._id
     });
   } catch (error) {
     logger.error('Error initiating rollback:', error);
@@ -287,163 +625,195 @@ router.post('/rollback', authenticateToken, async (req, res) => {
   }
 });
 
-// Get deployment cost estimate
-router.get('/:id/cost', authenticateToken, async (req, res) => {
+// Teardown: destroy all infrastructure of the deployment's project. The
+// deployment name must be sent back as `confirm`.
+router.post('/:id/teardown', authenticateToken, requireScope('deployments:write'), requireDeploymentRole('owner'), async (req, res) => {
   try {
-    const deployment = await Deployment.findOne({
-      _id: req.params.id,
-      userId: req.user.id
-    });
+    const { confirm } = req.body;
+    const deployment = req.deployment;
 
-    if (!deployment) {
-      return res.status(404).json({
-        error: 'Deployment not found'
+    if (confirm !== deployment.name) {
+      return res.status(400).json({
+        error: 'Teardown not confirmed',
+        message: 'Send the deployment name as "confirm" to destroy its infrastructure'
       });
     }
 
-    let costEstimate = deployment.costEstimate;
+    if (!TEARDOWN_STATUSES.includes(deployment.status)) {
+      return res.status(409).json({
+        error: `Cannot tear down a deployment that is ${deployment.status}`
+      });
+    }
 
-    // If no stored estimate, generate one
-    if (!costEstimate) {
-      try {
-        costEstimate = await cloudService.getCostEstimate(deployment.projectId);
-      } catch (error) {
-        logger.warn(`Failed to get cost estimate: ${error.message}`);
-        costEstimate = { error: 'Cost estimation unavailable' };
-      }
+    if (!(await creatorHasCredentials(deployment, req.user))) {
+      return sendMissingCredentials(res, deployment.provider, deployment.userId.equals(req.user._id));
+    }
+
+    const previousStatus = deployment.status;
+    const tearingDown = await Deployment.claimOperation(deployment, TEARDOWN_STATUSES, { status: 'tearing_down' });
+    if (!tearingDown) {
+      return res.status(409).json({
+        error: 'Another operation is in progress for this project'
+      });
     }
 
+    logger.info(`Teardown initiated for deployment ${tearingDown._id} by user ${req.user.id}`);
+    await auditService.record(req, {
+      action: 'deployment.teardown',
+      target: deploymentTarget(tearingDown),
+      changes: { before: { status: previousStatus }, after: { status: 'tearing_down' } },
+      metadata: { projectId: tearingDown.projectId }
+    });
+
+    const job = await jobQueue.enqueue(TEARDOWN_JOB, { deploymentId: tearingDown._id.toString() });
+    tearingDown.jobId = job._id;
+    await tearingDown.save();
+
     res.json({
       success: true,
-      costEstimate
+      message: 'Teardown initiated successfully',
+      deploymentId: tearingDown._id
     });
   } catch (error) {
-    logger.error('Error fetching cost estimate:', error);
+    logger.error('Error initiating teardown:', error);
     res.status(500).json({
-      error: 'Failed to fetch cost estimate',
+      error: 'Failed to initiate teardown',
       message: error.message
     });
   }
 });
 
-// Delete deployment record
-router.delete('/:id', authenticateToken, async (req, res) => {
+// Check a live deployment for drift now instead of waiting for the schedule
+router.post('/:id/drift', authenticateToken, requireScope('deployments:write'), requireDeploymentRole('deployer'), async (req, res) => {
   try {
-    const deployment = await Deployment.findOneAndDelete({
-      _id: req.params.id,
-      userId: req.user.id
-    });
+    const deployment = req.deployment;
 
-    if (!deployment) {
-      return res.status(404).json({
-        error: 'Deployment not found'
+    if (deployment.status !== 'deployed') {
+      return res.status(409).json({
+        error: `Cannot check drift of a deployment that is ${deployment.status}`
       });
     }
 
-    logger.info(`Deployment deleted: ${deployment._id} by user ${req.user.id}`);
+    if (await Deployment.hasOperationInProgress(deployment.projectId)) {
+      return res.status(409).json({
+        error: 'Another operation is in progress for this project'
+      });
+    }
 
-    res.json({
+    if (!(await creatorHasCredentials(deployment, req.user))) {
+      return sendMissingCredentials(res, deployment.provider, deployment.userId.equals(req.user._id));
+    }
+
+    const job = await jobQueue.enqueue(DRIFT_JOB, {
+      deploymentId: deployment._id.toString(),
+      trigger: 'manual'
+    });
+
+    logger.info(`Drift check queued for deployment ${deployment._id} by user ${req.user.id}`);
+    await auditService.record(req, {
+      action: 'deployment.drift_check',
+      target: deploymentTarget(deployment),
+      metadata: { projectId: deployment.projectId, jobId: job._id }
+    });
+
+    res.status(202).json({
       success: true,
-      message: 'Deployment deleted successfully'
+      message: 'Drift check queued',
+      jobId: job._id
     });
   } catch (error) {
-    logger.error('Error deleting deployment:', error);
+    logger.error('Error queueing drift check:', error);
     res.status(500).json({
-      error: 'Failed to delete deployment',
+      error: 'Failed to queue drift check',
       message: error.message
     });
   }
 });
 
-// Process deployment (background job)
-async function processDeployment(deploymentId) {
-  const deployment = await Deployment.findById(deploymentId);
-  if (!deployment) return;
+// Drift reports of a deployment, newest first
+router.get('/:id/drift', authenticateToken, requireScope('deployments:read'), requireDeploymentRole('viewer'), async (req, res) => {
+  try {
+    const { limit = 10 } = req.query;
 
-  const startTime = Date.now();
+    const reports = await DriftReport.find({ deploymentId: req.params.id })
+      .sort({ checkedAt: -1 })
+      .limit(limit * 1);
 
-  try {
-    // Update status to deploying
-    deployment.status = 'deploying';
-    deployment.logs.push({
-      message: 'Starting deployment process...',
-      type: 'info'
+    res.json({
+      success: true,
+      latest: reports[0] || null,
+      reports
     });
-    await deployment.save();
+  } catch (error) {
+    logger.error('Error fetching drift reports:', error);
+    res.status(500).json({
+      error: 'Failed to fetch drift reports',
+      message: error.message
+    });
+  }
+});
 
-    // Deploy infrastructure
-    const result = await cloudService.deployInfrastructure(
-      deployment.projectId.toString(),
-      deployment.terraformCode,
-      deployment.provider
-    );
+// Get deployment cost estimate
+router.get('/:id/cost', authenticateToken, requireScope('deployments:read'), requireDeploymentRole('viewer'), async (req, res) => {
+  try {
+    const deployment = req.deployment;
 
-    if (result.success) {
-      deployment.status = 'deployed';
-      deployment.outputs = result.outputs;
-      deployment.deployedAt = new Date();
-      deployment.deploymentTime = Math.round((Date.now() - startTime) / 1000);
-      deployment.logs.push({
-        message: 'Deployment completed successfully',
-        type: 'success'
-      });
+    let costEstimate = deployment.costEstimate;
 
-      // Get cost estimate
-      try {
-        deployment.costEstimate = await cloudService.getCostEstimate(deployment.projectId.toString());
-      } catch (error) {
-        logger.warn(`Failed to get cost estimate for deployment ${deploymentId}: ${error.message}`);
-      }
-    } else {
-      throw new Error(result.message || 'Deployment failed');
+    // If no stored estimate, generate one
+    if (!costEstimate) {
+      costEstimate = await estimateDeploymentCost(deployment);
     }
+
+    res.json({
+      success: true,
+      costEstimate
+    });
   } catch (error) {
-    deployment.status = 'failed';
-    deployment.logs.push({
-      message: `Deployment failed: ${error.message}`,
-      type: 'error'
+    logger.error('Error fetching cost estimate:', error);
+    res.status(500).json({
+      error: 'Failed to fetch cost estimate',
+      message: error.message
     });
-    logger.error(`Deployment ${deploymentId} failed: ${error.message}`);
   }
+});
 
-  await deployment.save();
-}
-
-// Process rollback (background job)
-async function processRollback(deploymentId) {
-  const deployment = await Deployment.findById(deploymentId);
-  if (!deployment) return;
-
+// Delete deployment record
+router.delete('/:id', authenticateToken, requireScope('deployments:write'), requireDeploymentRole('owner'), async (req, res) => {
   try {
-    deployment.logs.push({
-      message: 'Starting rollback process...',
-      type: 'info'
+    // A running job would lose its record, and a live deployment its
+    // resources, so both have to finish or be torn down first
+    const deployment = await Deployment.findOneAndDelete({
+      _id: req.deployment._id,
+      status: { $nin: [...Deployment.IN_PROGRESS_STATUSES, 'deployed'] }
     });
-    await deployment.save();
-
-    // Rollback infrastructure
-    const result = await cloudService.rollbackDeployment(deployment.projectId.toString());
-
-    if (result.success) {
-      deployment.status = 'rolled_back';
-      deployment.rolledBackAt = new Date();
-      deployment.logs.push({
-        message: 'Rollback completed successfully',
-        type: 'success'
+    if (!deployment) {
+      const { status } = await Deployment.findById(req.deployment._id).select('status') || {};
+      return res.status(409).json({
+        error: status === 'deployed'
+          ? 'Tear down the deployment before deleting it'
+          : 'An operation is in progress for this deployment'
       });
-    } else {
-      throw new Error(result.message || 'Rollback failed');
     }
+
+    logger.info(`Deployment deleted: ${deployment._id} by user ${req.user.id}`);
+    await auditService.record(req, {
+      action: 'deployment.delete',
+      target: deploymentTarget(deployment),
+      metadata: { projectId: deployment.projectId, status: deployment.status }
+    });
+
+    res.json({
+      success: true,
+      message: 'Deployment deleted successfully'
+    });
   } catch (error) {
-    deployment.status = 'failed';
-    deployment.logs.push({
-      message: `Rollback failed: ${error.message}`,
-      type: 'error'
+    logger.error('Error deleting deployment:', error);
+    res.status(500).json({
+      error: 'Failed to delete deployment',
+      message: error.message
     });
-    logger.error(`Rollback ${deploymentId} failed: ${error.message}`);
   }
-
-  await deployment.save();
-}
+});
 
 module.exports = router;
@@ -0,0 +1,88 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireScope } = require('../middleware/auth');
+const { inventoryService } = require('../services/inventoryService');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/infrastructure-routes.log' })
+  ]
+});
+
+const handleError = (res, error, message) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  logger.error(`${message}:`, error);
+  res.status(500).json({
+    error: message,
+    message: error.message
+  });
+};
+
+// Live resources in the user's cloud accounts. Filters: provider (comma
+// separated), region, type, state, project (id, or "none" for resources no
+// project manages), tag (`key` or `key=value`, repeatable) and search (name
+// or id). `refresh=true` scans the providers instead of using the snapshots.
+router.get('/', authenticateToken, requireScope('infrastructure:read'), async (req, res) => {
+  try {
+    const inventory = await inventoryService.list(req.user, req.query);
+
+    res.json({
+      success: true,
+      ...inventory
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch infrastructure inventory');
+  }
+});
+
+// When each provider was last scanned, and what could not be listed
+router.get('/snapshots', authenticateToken, requireScope('infrastructure:read'), async (req, res) => {
+  try {
+    const snapshots = await inventoryService.getSnapshots(req.user, { refresh: 'none' });
+
+    res.json({
+      success: true,
+      snapshots: snapshots.map(snapshot => inventoryService.describeSnapshot(snapshot))
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch inventory snapshots');
+  }
+});
+
+// Scan now: every configured provider, or those in `providers`
+router.post('/refresh', authenticateToken, requireScope('infrastructure:read'), async (req, res) => {
+  try {
+    const { providers } = req.body;
+    if (providers !== undefined && !Array.isArray(providers)) {
+      return res.status(400).json({
+        error: 'providers must be a list of providers'
+      });
+    }
+
+    const snapshots = await inventoryService.getSnapshots(req.user, { providers, refresh: 'all' });
+
+    logger.info(`Inventory refreshed for user ${req.user.id}: ${snapshots.map(snapshot => snapshot.provider).join(', ') || 'no providers'}`);
+
+    res.json({
+      success: true,
+      snapshots: snapshots.map(snapshot => inventoryService.describeSnapshot(snapshot))
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to refresh infrastructure inventory');
+  }
+});
+
+module.exports = router;
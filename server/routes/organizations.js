@@ -0,0 +1,288 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireSession } = require('../middleware/auth');
+const { organizationService } = require('../services/organizationService');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/organizations.log' })
+  ]
+});
+
+// The signed-in user's organization: members, invitations and teams. Every
+// route acts on the organization the user belongs to.
+
+const handleError = (res, error, message) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      error: error.message,
+      code: error.code
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: Object.values(error.errors).map(detail => detail.message)
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({
+      error: 'The name or slug is already taken'
+    });
+  }
+
+  logger.error(`${message}:`, error);
+  res.status(500).json({
+    error: message,
+    message: error.message
+  });
+};
+
+const describeOrganization = (organization, user) => ({
+  id: organization._id,
+  name: organization.name,
+  slug: organization.slug,
+  domains: organization.domains,
+  ssoEnabled: organization.sso.enabled,
+  role: user.organizationRole,
+  createdAt: organization.createdAt
+});
+
+// Create an organization and become its owner
+router.post('/', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const organization = await organizationService.createOrganization(req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      organization: describeOrganization(organization, req.user)
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to create organization');
+  }
+});
+
+router.get('/', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const organization = await organizationService.getOrganization(req.user);
+
+    res.json({
+      success: true,
+      organization: describeOrganization(organization, req.user)
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch organization');
+  }
+});
+
+router.put('/', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const organization = await organizationService.getOrganization(req.user);
+    organizationService.assertManager(req.user);
+
+    if (req.body.name) organization.name = req.body.name;
+    await organization.save();
+
+    res.json({
+      success: true,
+      organization: describeOrganization(organization, req.user)
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to update organization');
+  }
+});
+
+router.get('/members', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const organization = await organizationService.getOrganization(req.user);
+
+    res.json({
+      success: true,
+      members: await organizationService.listMembers(organization)
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch members');
+  }
+});
+
+router.patch('/members/:userId', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const organization = await organizationService.getOrganization(req.user);
+    const member = await organizationService.setMemberRole(organization, req.user, req.params.userId, req.body.role);
+
+    res.json({
+      success: true,
+      member
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to update member');
+  }
+});
+
+// Remove a member, or leave the organization with your own id
+router.delete('/members/:userId', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const organization = await organizationService.getOrganization(req.user);
+    await organizationService.removeMember(organization, req.user, req.params.userId);
+
+    res.json({
+      success: true,
+      message: 'Member removed'
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to remove member');
+  }
+});
+
+router.get('/invitations', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const organization = await organizationService.getOrganization(req.user);
+    organizationService.assertManager(req.user);
+    const invitations = await organizationService.listInvitations(organization);
+
+    res.json({
+      success: true,
+      invitations: invitations.map(invitation => invitation.toSummaryJSON())
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch invitations');
+  }
+});
+
+// Invite someone by email, as `member` or `admin`, optionally into teams
+router.post('/invitations', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const organization = await organizationService.getOrganization(req.user);
+    const invitation = await organizationService.invite(organization, req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      invitation: invitation.toSummaryJSON(),
+      message: `Invitation sent to ${invitation.email}`
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to send invitation');
+  }
+});
+
+// Accept the invitation from the emailed link
+router.post('/invitations/accept', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const organization = await organizationService.acceptInvitation(req.user, req.body.token);
+
+    res.json({
+      success: true,
+      organization: describeOrganization(organization, req.user),
+      message: `You joined ${organization.name}`
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to accept invitation');
+  }
+});
+
+router.delete('/invitations/:id', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const organization = await organizationService.getOrganization(req.user);
+    await organizationService.revokeInvitation(organization, req.user, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked'
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to revoke invitation');
+  }
+});
+
+router.get('/teams', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const organization = await organizationService.getOrganization(req.user);
+
+    res.json({
+      success: true,
+      teams: await organizationService.listTeams(organization)
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch teams');
+  }
+});
+
+router.post('/teams', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const organization = await organizationService.getOrganization(req.user);
+    const team = await organizationService.createTeam(organization, req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      team
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to create team');
+  }
+});
+
+router.put('/teams/:teamId', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const organization = await organizationService.getOrganization(req.user);
+    const team = await organizationService.updateTeam(organization, req.user, req.params.teamId, req.body);
+
+    res.json({
+      success: true,
+      team
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to update team');
+  }
+});
+
+// Delete a team; projects shared with it lose that grant
+router.delete('/teams/:teamId', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const organization = await organizationService.getOrganization(req.user);
+    await organizationService.deleteTeam(organization, req.user, req.params.teamId);
+
+    res.json({
+      success: true,
+      message: 'Team deleted'
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to delete team');
+  }
+});
+
+router.put('/teams/:teamId/members/:userId', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const organization = await organizationService.getOrganization(req.user);
+    const team = await organizationService.addTeamMember(organization, req.user, req.params.teamId, req.params.userId);
+
+    res.json({
+      success: true,
+      team
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to add team member');
+  }
+});
+
+router.delete('/teams/:teamId/members/:userId', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const organization = await organizationService.getOrganization(req.user);
+    const team = await organizationService.removeTeamMember(organization, req.user, req.params.teamId, req.params.userId);
+
+    res.json({
+      success: true,
+      team
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to remove team member');
+  }
+});
+
+module.exports = router;
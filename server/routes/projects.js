@@ -1,8 +1,12 @@
 const express = require('express');
 const router = express.Router();
-const mongoose = require('mongoose');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireScope } = require('../middleware/auth');
 const { validateRequest } = require('../middleware/validation');
+const { requireProjectRole } = require('../middleware/projectAccess');
+const { projectAccessService } = require('../services/projectAccessService');
+const { auditService } = require('../services/auditService');
+const { revisionService } = require('../services/revisionService');
+const Project = require('../models/Project');
 const winston = require('winston');
 
 const logger = winston.createLogger({
@@ -17,71 +21,87 @@ const logger = winston.createLogger({
   ]
 });
 
-// Project Schema
-const projectSchema = new mongoose.Schema({
-  name: { type: String, required: true },
-  description: { type: String, required: true },
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  terraformCode: { type: String },
-  provider: { type: String, enum: ['aws', 'gcp', 'azure'], default: 'aws' },
-  status: { 
-    type: String, 
-    enum: ['draft', 'generated', 'deployed', 'failed', 'rolled_back'], 
-    default: 'draft' 
-  },
-  deploymentOutputs: { type: Object, default: {} },
-  costEstimate: { type: Object },
-  complianceSettings: { type: Object, default: {} },
-  optimizationSettings: { type: Object, default: {} },
-  createdAt: { type: Date, default: Date.now },
-  updatedAt: { type: Date, default: Date.now },
-  deployedAt: { type: Date },
-  lastDeploymentId: { type: String }
-});
+// Fields whose changes go to the audit trail
+const AUDITED_FIELDS = [
+  'name', 'description', 'terraformCode', 'provider', 'complianceSettings', 'optimizationSettings',
+  'currentRevision', 'status', 'deploymentOutputs', 'costEstimate'
+];
+const ACCESS_FIELDS = ['organizationId', 'defaultRole', 'members'];
+
+const projectTarget = project => ({ type: 'project', id: project._id, name: project.name });
+
+const handleError = (res, error, message) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      error: error.message,
+      code: error.code
+    });
+  }
 
-const Project = mongoose.model('Project', projectSchema);
+  logger.error(`${message}:`, error);
+  res.status(500).json({
+    error: message,
+    message: error.message
+  });
+};
 
-// Create a new project
-router.post('/', authenticateToken, async (req, res) => {
+// Create a new project. Terraform code sent along becomes its first
+// revision (source "import" unless given).
+router.post('/', authenticateToken, requireScope('projects:write'), async (req, res) => {
   try {
-    const { name, description, provider = 'aws' } = req.body;
+    const { name, description, provider = 'aws', organizationId, defaultRole, terraformCode, source = 'import', message } = req.body;
 
     if (!name || !description) {
       return res.status(400).json({
         error: 'Name and description are required'
       });
     }
+    revisionService.validate({ source, message });
+
+    // Projects can be created directly in the user's own organization
+    if (organizationId && !req.user.organizationId?.equals(organizationId)) {
+      return res.status(403).json({
+        error: 'You can only create projects in your own organization'
+      });
+    }
 
-    const project = new Project({
+    let project = new Project({
       name,
       description,
       userId: req.user.id,
+      organizationId: organizationId || null,
+      defaultRole: organizationId ? defaultRole : null,
       provider
     });
 
     await project.save();
+    if (terraformCode) {
+      ({ project } = await revisionService.commit(project, { terraformCode, source, message, author: req.user._id }));
+    }
 
     logger.info(`Project created: ${project._id} by user ${req.user.id}`);
+    await auditService.record(req, {
+      action: 'project.create',
+      target: projectTarget(project),
+      changes: auditService.diff(null, auditService.snapshot(project, [...AUDITED_FIELDS, 'organizationId', 'defaultRole']))
+    });
 
     res.status(201).json({
       success: true,
-      project,
+      project: { ...project.toObject(), role: 'owner' },
       message: 'Project created successfully'
     });
   } catch (error) {
-    logger.error('Error creating project:', error);
-    res.status(500).json({
-      error: 'Failed to create project',
-      message: error.message
-    });
+    handleError(res, error, 'Failed to create project');
   }
 });
 
-// Get all projects for a user
-router.get('/', authenticateToken, async (req, res) => {
+// Get all projects the user can access: their own and those shared with
+// them through their organization
+router.get('/', authenticateToken, requireScope('projects:read'), async (req, res) => {
   try {
     const { page = 1, limit = 10, status, provider } = req.query;
-    const filter = { userId: req.user.id };
+    const filter = await projectAccessService.projectFilter(req.user);
 
     if (status) filter.status = status;
     if (provider) filter.provider = provider;
@@ -94,10 +114,14 @@ router.get('/', authenticateToken, async (req, res) => {
       .exec();
 
     const total = await Project.countDocuments(filter);
+    const teamIds = await projectAccessService.teamIdsFor(req.user);
 
     res.json({
       success: true,
-      projects,
+      projects: await Promise.all(projects.map(async project => ({
+        ...project.toObject(),
+        role: await projectAccessService.roleFor(project, req.user, teamIds)
+      }))),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -115,22 +139,13 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Get a specific project
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, requireScope('projects:read'), requireProjectRole('viewer'), async (req, res) => {
   try {
-    const project = await Project.findOne({
-      _id: req.params.id,
-      userId: req.user.id
-    }).populate('userId', 'username email');
-
-    if (!project) {
-      return res.status(404).json({
-        error: 'Project not found'
-      });
-    }
+    const project = await req.project.populate('userId', 'username email');
 
     res.json({
       success: true,
-      project
+      project: { ...project.toObject(), role: req.projectRole }
     });
   } catch (error) {
     logger.error('Error fetching project:', error);
@@ -141,10 +156,12 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Update a project
-router.put('/:id', authenticateToken, async (req, res) => {
+// Update a project. New Terraform code is committed as a revision with the
+// given `message` and `source` (ai, manual or import; default manual).
+router.put('/:id', authenticateToken, requireScope('projects:write'), requireProjectRole('editor'), async (req, res) => {
   try {
-    const { name, description, terraformCode, provider, complianceSettings, optimizationSettings } = req.body;
+    const { name, description, terraformCode, provider, complianceSettings, optimizationSettings, source = 'manual', message } = req.body;
+    revisionService.validate({ source, message });
 
     const updateData = {
       updatedAt: new Date()
@@ -152,41 +169,38 @@ router.put('/:id', authenticateToken, async (req, res) => {
 
     if (name) updateData.name = name;
     if (description) updateData.description = description;
-    if (terraformCode) updateData.terraformCode = terraformCode;
     if (provider) updateData.provider = provider;
     if (complianceSettings) updateData.complianceSettings = complianceSettings;
     if (optimizationSettings) updateData.optimizationSettings = optimizationSettings;
 
-    const project = await Project.findOneAndUpdate(
-      { _id: req.params.id, userId: req.user.id },
-      updateData,
-      { new: true, runValidators: true }
-    );
-
-    if (!project) {
-      return res.status(404).json({
-        error: 'Project not found'
-      });
+    let revision = null;
+    if (terraformCode) {
+      ({ revision } = await revisionService.commit(req.project, { terraformCode, source, message, author: req.user._id }));
     }
 
+    const project = await Project.findByIdAndUpdate(req.project._id, updateData, { new: true, runValidators: true });
+
     logger.info(`Project updated: ${project._id} by user ${req.user.id}`);
+    await auditService.record(req, {
+      action: 'project.update',
+      target: projectTarget(project),
+      changes: auditService.diff(auditService.snapshot(req.project, AUDITED_FIELDS), auditService.snapshot(project, AUDITED_FIELDS)),
+      metadata: revision ? { revision: revision.number, source } : undefined
+    });
 
     res.json({
       success: true,
       project,
+      revision: revision ? revision.toSummaryJSON() : null,
       message: 'Project updated successfully'
     });
   } catch (error) {
-    logger.error('Error updating project:', error);
-    res.status(500).json({
-      error: 'Failed to update project',
-      message: error.message
-    });
+    handleError(res, error, 'Failed to update project');
   }
 });
 
 // Update project status
-router.patch('/:id/status', authenticateToken, async (req, res) => {
+router.patch('/:id/status', authenticateToken, requireScope('projects:write'), requireProjectRole('editor'), async (req, res) => {
   try {
     const { status, deploymentOutputs, costEstimate } = req.body;
 
@@ -208,19 +222,14 @@ router.patch('/:id/status', authenticateToken, async (req, res) => {
     if (deploymentOutputs) updateData.deploymentOutputs = deploymentOutputs;
     if (costEstimate) updateData.costEstimate = costEstimate;
 
-    const project = await Project.findOneAndUpdate(
-      { _id: req.params.id, userId: req.user.id },
-      updateData,
-      { new: true, runValidators: true }
-    );
-
-    if (!project) {
-      return res.status(404).json({
-        error: 'Project not found'
-      });
-    }
+    const project = await Project.findByIdAndUpdate(req.project._id, updateData, { new: true, runValidators: true });
 
     logger.info(`Project status updated: ${project._id} to ${status} by user ${req.user.id}`);
+    await auditService.record(req, {
+      action: 'project.status',
+      target: projectTarget(project),
+      changes: auditService.diff(auditService.snapshot(req.project, AUDITED_FIELDS), auditService.snapshot(project, AUDITED_FIELDS))
+    });
 
     res.json({
       success: true,
@@ -237,20 +246,17 @@ router.patch('/:id/status', authenticateToken, async (req, res) => {
 });
 
 // Delete a project
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, requireScope('projects:write'), requireProjectRole('owner'), async (req, res) => {
   try {
-    const project = await Project.findOneAndDelete({
-      _id: req.params.id,
-      userId: req.user.id
-    });
-
-    if (!project) {
-      return res.status(404).json({
-        error: 'Project not found'
-      });
-    }
+    const project = req.project;
+    await project.deleteOne();
 
     logger.info(`Project deleted: ${project._id} by user ${req.user.id}`);
+    await auditService.record(req, {
+      action: 'project.delete',
+      target: projectTarget(project),
+      changes: auditService.diff(auditService.snapshot(project, [...AUDITED_FIELDS, ...ACCESS_FIELDS]), null)
+    });
 
     res.json({
       success: true,
@@ -265,25 +271,18 @@ router.delete('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Clone a project
-router.post('/:id/clone', authenticateToken, async (req, res) => {
+// Clone a project. The clone stays in the same organization, without the
+// original's grants, and the user who cloned it owns it.
+router.post('/:id/clone', authenticateToken, requireScope('projects:write'), requireProjectRole('viewer'), async (req, res) => {
   try {
-    const originalProject = await Project.findOne({
-      _id: req.params.id,
-      userId: req.user.id
-    });
-
-    if (!originalProject) {
-      return res.status(404).json({
-        error: 'Project not found'
-      });
-    }
+    const originalProject = req.project;
 
-    const clonedProject = new Project({
+    let clonedProject = new Project({
       name: `${originalProject.name} (Clone)`,
       description: originalProject.description,
       userId: req.user.id,
-      terraformCode: originalProject.terraformCode,
+      organizationId: originalProject.organizationId,
+      defaultRole: originalProject.defaultRole,
       provider: originalProject.provider,
       complianceSettings: originalProject.complianceSettings,
       optimizationSettings: originalProject.optimizationSettings,
@@ -292,7 +291,22 @@ router.post('/:id/clone', authenticateToken, async (req, res) => {
 
     await clonedProject.save();
 
+    // The clone's history starts with the original's current code
+    if (originalProject.terraformCode) {
+      ({ project: clonedProject } = await revisionService.commit(clonedProject, {
+        terraformCode: originalProject.terraformCode,
+        source: 'import',
+        message: `Cloned from ${originalProject.name}${originalProject.currentRevision ? ` revision ${originalProject.currentRevision}` : ''}`,
+        author: req.user._id
+      }));
+    }
+
     logger.info(`Project cloned: ${originalProject._id} -> ${clonedProject._id} by user ${req.user.id}`);
+    await auditService.record(req, {
+      action: 'project.clone',
+      target: projectTarget(clonedProject),
+      metadata: { sourceProjectId: originalProject._id }
+    });
 
     res.status(201).json({
       success: true,
@@ -309,12 +323,10 @@ router.post('/:id/clone', authenticateToken, async (req, res) => {
 });
 
 // Get project statistics
-router.get('/stats/overview', authenticateToken, async (req, res) => {
+router.get('/stats/overview', authenticateToken, requireScope('projects:read'), async (req, res) => {
   try {
-    const userId = req.user.id;
-
     const stats = await Project.aggregate([
-      { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+      { $match: await projectAccessService.projectFilter(req.user) },
       {
         $group: {
           _id: null,
@@ -353,19 +365,10 @@ router.get('/stats/overview', authenticateToken, async (req, res) => {
 });
 
 // Export project configuration
-router.get('/:id/export', authenticateToken, async (req, res) => {
+router.get('/:id/export', authenticateToken, requireScope('projects:read'), requireProjectRole('viewer'), async (req, res) => {
   try {
     const { format = 'json' } = req.query;
-    const project = await Project.findOne({
-      _id: req.params.id,
-      userId: req.user.id
-    });
-
-    if (!project) {
-      return res.status(404).json({
-        error: 'Project not found'
-      });
-    }
+    const project = req.project;
 
     if (format === 'terraform') {
       res.setHeader('Content-Type', 'text/plain');
@@ -385,4 +388,178 @@ router.get('/:id/export', authenticateToken, async (req, res) => {
   }
 });
 
+// Version history of the project's Terraform code, newest first
+router.get('/:id/revisions', authenticateToken, requireScope('projects:read'), requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const history = await revisionService.list(req.project, req.query);
+
+    res.json({
+      success: true,
+      ...history
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch project revisions');
+  }
+});
+
+// Unified diff between revisions `from` and `to` (default: the current
+// revision and the one before it). `format=patch` returns the diff as text.
+router.get('/:id/revisions/diff', authenticateToken, requireScope('projects:read'), requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const comparison = await revisionService.diff(req.project, req.query);
+
+    if (req.query.format === 'patch') {
+      res.setHeader('Content-Type', 'text/x-diff');
+      return res.send(comparison.diff);
+    }
+
+    res.json({
+      success: true,
+      ...comparison
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to compare project revisions');
+  }
+});
+
+router.get('/:id/revisions/:number', authenticateToken, requireScope('projects:read'), requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const revision = await revisionService.getRevision(req.project, req.params.number);
+
+    res.json({
+      success: true,
+      revision: { ...revision.toSummaryJSON(), terraformCode: revision.terraformCode }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch project revision');
+  }
+});
+
+// Make an earlier revision current again. Its code is committed as a new
+// revision, so the history in between is kept.
+router.post('/:id/revisions/:number/restore', authenticateToken, requireScope('projects:write'), requireProjectRole('editor'), async (req, res) => {
+  try {
+    const { message } = req.body;
+    revisionService.validate({ message });
+
+    const { revision, project, restoredFrom } = await revisionService.restore(req.project, req.params.number, {
+      author: req.user._id,
+      message
+    });
+
+    logger.info(`Project ${project._id}: revision ${restoredFrom.number} restored as revision ${revision.number} by user ${req.user.id}`);
+    await auditService.record(req, {
+      action: 'project.restore',
+      target: projectTarget(project),
+      changes: auditService.diff(auditService.snapshot(req.project, ['terraformCode']), auditService.snapshot(project, ['terraformCode'])),
+      metadata: { revision: revision.number, restoredFrom: restoredFrom.number }
+    });
+
+    res.json({
+      success: true,
+      project,
+      revision: revision.toSummaryJSON(),
+      message: `Revision ${restoredFrom.number} restored`
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to restore project revision');
+  }
+});
+
+// Who can access a project: its organization, the default role of every
+// member and the grants to members and teams
+const describeAccess = async (project) => {
+  await project.populate([
+    { path: 'userId', select: 'username email firstName lastName' },
+    { path: 'members.userId', select: 'username email firstName lastName' },
+    { path: 'members.teamId', select: 'name' }
+  ]);
+
+  return {
+    owner: project.userId,
+    organizationId: project.organizationId,
+    defaultRole: project.defaultRole,
+    members: project.members.map(member => ({
+      id: member._id,
+      user: member.userId || undefined,
+      team: member.teamId || undefined,
+      role: member.role,
+      grantedAt: member.grantedAt
+    }))
+  };
+};
+
+const auditProjectAccess = (req, project, before) => auditService.record(req, {
+  action: 'project.access',
+  target: projectTarget(project),
+  changes: auditService.diff(before, auditService.snapshot(project, ACCESS_FIELDS))
+});
+
+router.get('/:id/access', authenticateToken, requireScope('projects:read'), requireProjectRole('viewer'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      role: req.projectRole,
+      access: await describeAccess(req.project)
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch project access');
+  }
+});
+
+// Share the project with the user's organization (`shared: true`) or make it
+// private again, and set the role every organization member gets
+router.put('/:id/access', authenticateToken, requireScope('projects:write'), requireProjectRole('owner'), async (req, res) => {
+  try {
+    const before = auditService.snapshot(req.project, ACCESS_FIELDS);
+    const project = await projectAccessService.setSharing(req.project, req.body, req.user);
+    await auditProjectAccess(req, project, before);
+
+    logger.info(`Project ${project._id} access updated by user ${req.user.id}: organization ${project.organizationId || 'none'}, default role ${project.defaultRole || 'none'}`);
+
+    res.json({
+      success: true,
+      access: await describeAccess(project)
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to update project access');
+  }
+});
+
+// Grant a role to an organization member or team: { userId | teamId, role }
+router.post('/:id/access/members', authenticateToken, requireScope('projects:write'), requireProjectRole('owner'), async (req, res) => {
+  try {
+    const { userId, teamId, role } = req.body;
+    const before = auditService.snapshot(req.project, ACCESS_FIELDS);
+    const project = await projectAccessService.grant(req.project, { userId, teamId, role }, req.user);
+    await auditProjectAccess(req, project, before);
+
+    logger.info(`Project ${project._id}: ${role} granted to ${userId ? `user ${userId}` : `team ${teamId}`} by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      access: await describeAccess(project)
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to grant project access');
+  }
+});
+
+router.delete('/:id/access/members/:grantId', authenticateToken, requireScope('projects:write'), requireProjectRole('owner'), async (req, res) => {
+  try {
+    const before = auditService.snapshot(req.project, ACCESS_FIELDS);
+    const project = await projectAccessService.revoke(req.project, req.params.grantId);
+    await auditProjectAccess(req, project, before);
+
+    logger.info(`Project ${project._id}: grant ${req.params.grantId} revoked by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      access: await describeAccess(project)
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to revoke project access');
+  }
+});
+
 module.exports = router;
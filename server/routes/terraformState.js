@@ -0,0 +1,119 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { stateBackend } = require('../services/stateBackend');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/terraform-state-routes.log' })
+  ]
+});
+
+// Terraform sends state and lock info as JSON; keep the exact bytes so the
+// stored state matches its Content-MD5
+router.use(express.raw({ type: () => true, limit: '50mb' }));
+
+// Terraform authenticates with the per-project basic auth credentials from
+// the generated backend configuration
+const authenticateBackend = (req, res, next) => {
+  const { projectId } = req.params;
+  const [scheme, encoded] = (req.headers.authorization || '').split(' ');
+  const [username, ...rest] = scheme === 'Basic' && encoded
+    ? Buffer.from(encoded, 'base64').toString().split(':')
+    : [];
+
+  if (!mongoose.isValidObjectId(projectId) || !stateBackend.verifyCredentials(projectId, username, rest.join(':'))) {
+    logger.warn(`Rejected state backend request for project ${projectId} from ${req.ip}`);
+    res.set('WWW-Authenticate', 'Basic realm="terraform-state"');
+    return res.status(401).json({
+      error: 'Invalid state backend credentials'
+    });
+  }
+
+  next();
+};
+
+const parseLockInfo = (body) => (body && body.length ? JSON.parse(body.toString()) : null);
+
+// Protocol errors: 423 responses carry the current lock as the body
+const sendError = (res, error, action) => {
+  if (error.status === 423) {
+    return res.status(423).json(error.lock || {});
+  }
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  if (error instanceof SyntaxError) {
+    return res.status(400).json({ error: 'Lock info is not valid JSON' });
+  }
+
+  logger.error(`Error during state ${action}:`, error);
+  res.status(500).json({
+    error: `Failed to ${action} state`,
+    message: error.message
+  });
+};
+
+// Current state; 204 tells Terraform there is none yet
+router.get('/:projectId', authenticateBackend, async (req, res) => {
+  try {
+    const current = await stateBackend.getState(req.params.projectId);
+
+    if (!current) {
+      return res.status(204).end();
+    }
+
+    res.type('application/json').send(current.state);
+  } catch (error) {
+    sendError(res, error, 'read');
+  }
+});
+
+router.post('/:projectId', authenticateBackend, async (req, res) => {
+  try {
+    await stateBackend.saveState(req.params.projectId, req.body, {
+      lockId: req.query.ID,
+      md5: req.get('Content-MD5')
+    });
+
+    res.status(200).end();
+  } catch (error) {
+    sendError(res, error, 'write');
+  }
+});
+
+router.delete('/:projectId', authenticateBackend, async (req, res) => {
+  try {
+    await stateBackend.deleteState(req.params.projectId, { lockId: req.query.ID });
+    res.status(200).end();
+  } catch (error) {
+    sendError(res, error, 'delete');
+  }
+});
+
+router.lock('/:projectId/lock', authenticateBackend, async (req, res) => {
+  try {
+    await stateBackend.lock(req.params.projectId, parseLockInfo(req.body));
+    res.status(200).end();
+  } catch (error) {
+    sendError(res, error, 'lock');
+  }
+});
+
+router.unlock('/:projectId/lock', authenticateBackend, async (req, res) => {
+  try {
+    await stateBackend.unlock(req.params.projectId, parseLockInfo(req.body));
+    res.status(200).end();
+  } catch (error) {
+    sendError(res, error, 'unlock');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,100 @@
+// Load environment variables before services read their configuration
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const winston = require('winston');
+
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const { encryptionService } = require('../services/encryptionService');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/key-rotation.log' }),
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+// Collections holding encrypted secrets, with the fields to load
+const SOURCES = [
+  { model: User, select: 'cloudCredentials twoFactor' },
+  { model: Organization, select: 'sso.oidc.clientSecret' }
+];
+
+// Changed secrets of one document, keyed by path. Plain-text values (stored
+// before encryption) are encrypted; others are re-wrapped with the active key.
+const rotateDocument = (model, doc) => {
+  const changes = {};
+  const rewrap = (path, value) => {
+    const rotated = encryptionService.rewrap(value);
+    if (rotated !== value) changes[path] = { from: value, to: rotated };
+  };
+
+  model.ENCRYPTED_CREDENTIAL_PATHS.forEach(path => rewrap(path, getPath(doc, path)));
+  return changes;
+};
+
+// Re-encrypt every stored secret with the active master key
+// (`npm run rotate-keys`, `-- --dry-run` to only count). Old master keys
+// can be removed from ENCRYPTION_KEYS once this has run.
+const rotate = async ({ dryRun }) => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cloud-playground');
+  logger.info(`Re-encrypting secrets with master key version ${encryptionService.activeVersion}${dryRun ? ' (dry run)' : ''}`);
+
+  const totals = { documents: 0, updated: 0, secrets: 0, skipped: 0 };
+
+  for (const { model, select } of SOURCES) {
+    const cursor = model.find({}).select(select).lean().cursor();
+
+    for await (const doc of cursor) {
+      totals.documents++;
+      const changes = rotateDocument(model, doc);
+      const paths = Object.keys(changes);
+      if (paths.length === 0) continue;
+
+      totals.secrets += paths.length;
+      if (dryRun) continue;
+
+      // Only replace values that are still the ones read, so a secret changed
+      // in the meantime is not overwritten
+      const filter = { _id: doc._id };
+      const update = {};
+      paths.forEach((path) => {
+        filter[path] = changes[path].from;
+        update[path] = changes[path].to;
+      });
+
+      const result = await model.updateOne(filter, { $set: update });
+      if (result.modifiedCount === 1) {
+        totals.updated++;
+      } else {
+        totals.skipped++;
+        logger.warn(`${model.modelName} ${doc._id} changed during rotation, run the command again`);
+      }
+    }
+  }
+
+  logger.info(`Rotation finished: ${totals.documents} documents scanned, ${totals.secrets} secrets ${dryRun ? 'to re-encrypt' : `re-encrypted in ${totals.updated} documents`}, ${totals.skipped} skipped`);
+  await mongoose.disconnect();
+  return totals;
+};
+
+rotate({ dryRun: process.argv.includes('--dry-run') })
+  .then(({ skipped }) => process.exit(skipped > 0 ? 1 : 0))
+  .catch((error) => {
+    logger.error('Key rotation failed:', error);
+    process.exit(1);
+  });
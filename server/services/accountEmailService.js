@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const winston = require('winston');
+const User = require('../models/User');
+const { mailer } = require('./mailer');
+const { sessionService } = require('./sessionService');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/account-email.log' })
+  ]
+});
+
+const CLIENT_URL = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+const VERIFICATION_TTL_MS = (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48) * 60 * 60 * 1000;
+const RESET_TTL_MS = (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 6;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const tokenError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Email verification and password reset. Links carry a random token; only
+// its SHA-256 hash is stored, and it is cleared on first use.
+class AccountEmailService {
+  issueToken() {
+    const token = crypto.randomBytes(32).toString('hex');
+    return { token, hash: hashToken(token) };
+  }
+
+  async sendVerification(user) {
+    const { token, hash } = this.issueToken();
+    user.emailVerificationToken = hash;
+    user.emailVerificationExpires = new Date(Date.now() + VERIFICATION_TTL_MS);
+    await user.save();
+
+    const link = `${CLIENT_URL}/verify-email?token=${token}`;
+    await mailer.send({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: [
+        `Hi ${user.firstName},`,
+        '',
+        'Confirm your email address for Cloud Playground by opening this link:',
+        link,
+        '',
+        `The link expires in ${Math.round(VERIFICATION_TTL_MS / 3600000)} hours.`
+      ].join('\n'),
+      html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>Confirm your email address for Cloud Playground:</p><p><a href="${link}">Verify email</a></p><p>The link expires in ${Math.round(VERIFICATION_TTL_MS / 3600000)} hours.</p>`
+    });
+  }
+
+  async verifyEmail(token) {
+    const user = await User.findOneAndUpdate(
+      {
+        emailVerificationToken: hashToken(String(token || '')),
+        emailVerificationExpires: { $gt: new Date() }
+      },
+      {
+        $set: { isEmailVerified: true },
+        $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      throw tokenError('Verification link is invalid or has expired');
+    }
+
+    logger.info(`Email verified: ${user.email}`);
+    return user;
+  }
+
+  // Resolves without an error for unknown addresses, so the endpoint does not
+  // reveal which emails have accounts
+  async sendPasswordReset(email) {
+    const user = await User.findOne({ email });
+    if (!user || !user.isActive) {
+      logger.info(`Password reset requested for unknown or inactive account: ${email}`);
+      return;
+    }
+
+    const { token, hash } = this.issueToken();
+    user.passwordResetToken = hash;
+    user.passwordResetExpires = new Date(Date.now() + RESET_TTL_MS);
+    await user.save();
+
+    const link = `${CLIENT_URL}/reset-password?token=${token}`;
+    await mailer.send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: [
+        `Hi ${user.firstName},`,
+        '',
+        'Someone asked to reset the password of your Cloud Playground account. If it was you, open this link:',
+        link,
+        '',
+        `The link expires in ${Math.round(RESET_TTL_MS / 60000)} minutes. If you did not ask for a reset, ignore this email.`
+      ].join('\n'),
+      html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>Someone asked to reset the password of your Cloud Playground account. If it was you:</p><p><a href="${link}">Reset password</a></p><p>The link expires in ${Math.round(RESET_TTL_MS / 60000)} minutes. If you did not ask for a reset, ignore this email.</p>`
+    });
+  }
+
+  // Sets a new password and signs out every session, since the old password
+  // may have been compromised
+  async resetPassword(token, password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw tokenError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    // Claim the token atomically so it can only be used once
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetToken: hashToken(String(token || '')),
+        passwordResetExpires: { $gt: new Date() }
+      },
+      { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      throw tokenError('Reset link is invalid or has expired');
+    }
+
+    user.password = password;
+    // Receiving the link proves the address belongs to the user
+    user.isEmailVerified = true;
+    await user.save();
+    await sessionService.revokeAll(user._id, { reason: 'password_changed' });
+
+    logger.info(`Password reset: ${user.email}`);
+    return user;
+  }
+}
+
+// Singleton instance
+const accountEmailService = new AccountEmailService();
+
+module.exports = {
+  accountEmailService
+};
@@ -1,5 +1,12 @@
-const OpenAI = require('openai');
 const winston = require('winston');
+const { createProviders } = require('./llm');
+const { cloudService } = require('./cloudService');
+const { costEstimator } = require('./costEstimator');
+const {
+  infrastructureJsonSchema,
+  parseInfrastructureResponse,
+  combineTerraformFiles
+} = require('./infrastructureSchema');
 
 const logger = winston.createLogger({
   level: 'info',
@@ -13,26 +20,70 @@ const logger = winston.createLogger({
   ]
 });
 
+const INFRASTRUCTURE_OUTPUT_INSTRUCTIONS = `Provider blocks and the variables aws_region, gcp_project_id, gcp_region, azure_location and environment are supplied by the platform; reference them but do not declare them.
+
+Respond with a single JSON object and nothing else, matching this JSON schema:
+${JSON.stringify(infrastructureJsonSchema)}
+
+- files["main.tf"]: resource definitions, with comments explaining each section
+- files["variables.tf"]: input variable declarations
+- files["outputs.tf"]: output declarations
+- resources: every resource declared in main.tf
+- variables: every variable declared in variables.tf
+- assumptions: anything you assumed where the requirements were ambiguous`;
+
 class AIService {
   constructor() {
-    this.openai = null;
+    this.providers = new Map();
+    this.defaultProvider = null;
     this.initialized = false;
   }
 
   async initialize() {
     try {
-      this.openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY
-      });
+      this.providers = createProviders();
+      this.defaultProvider = (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+
+      if (!this.providers.has(this.defaultProvider)) {
+        throw new Error(`LLM provider "${this.defaultProvider}" is not configured`);
+      }
+
       this.initialized = true;
-      logger.info('AI Service initialized successfully');
+      logger.info(`AI Service initialized successfully (default provider: ${this.defaultProvider}, available: ${[...this.providers.keys()].join(', ')})`);
     } catch (error) {
       logger.error('Failed to initialize AI Service:', error);
       throw error;
     }
   }
 
-  async generateInfrastructure(userDescription, preferences = {}) {
+  // Resolve the provider for a request: the caller's preference when that
+  // provider is configured on this deployment, otherwise the default one.
+  getProvider(name) {
+    if (name && this.providers.has(name)) {
+      return this.providers.get(name);
+    }
+
+    if (name) {
+      logger.warn(`LLM provider "${name}" is not configured, using ${this.defaultProvider}`);
+    }
+
+    return this.providers.get(this.defaultProvider);
+  }
+
+  getAvailableProviders() {
+    return [...this.providers.values()].map(provider => ({
+      name: provider.name,
+      model: provider.model,
+      default: provider.name === this.defaultProvider
+    }));
+  }
+
+  async complete(task, messages, { temperature, maxTokens, provider, responseFormat } = {}) {
+    const llm = this.getProvider(provider);
+    return llm.complete({ task, messages, temperature, maxTokens, responseFormat });
+  }
+
+  async generateInfrastructure(userDescription, preferences = {}, options = {}) {
     if (!this.initialized) {
       throw new Error('AI Service not initialized');
     }
@@ -48,105 +99,200 @@ Preferences:
 - Environment: ${preferences.environment || 'development'}
 
 Generate a complete Terraform configuration that includes:
-1. Provider configuration
-2. Resource definitions
-3. Security groups and networking
-4. Monitoring and logging
-5. Cost optimization features
-6. Compliance configurations
+1. Resource definitions
+2. Security groups and networking
+3. Monitoring and logging
+4. Cost optimization features
+5. Compliance configurations
 
-Return only valid Terraform code with comments explaining each section.`;
+${INFRASTRUCTURE_OUTPUT_INSTRUCTIONS}`;
 
     try {
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-4-turbo-preview",
-        messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: `Generate infrastructure for: ${userDescription}` }
-        ],
-        temperature: 0.1,
-        max_tokens: 4000
-      });
+      let document = await this.completeInfrastructureDocument('generate-infrastructure', [
+        { role: "system", content: systemPrompt },
+        { role: "user", content: `Generate infrastructure for: ${userDescription}` }
+      ], options);
+
+      // Validate and feed diagnostics back to the model until the code passes
+      // `terraform validate` or the attempt budget is used up
+      const maxAttempts = this.getRepairAttempts(options.maxAttempts);
+      const attempts = [];
+      let validation;
+
+      for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        validation = await cloudService.validateInfrastructure(document.files, preferences.provider || 'aws');
+        attempts.push({
+          attempt,
+          files: document.files,
+          valid: validation.valid,
+          stage: validation.stage,
+          diagnostics: validation.diagnostics
+        });
+
+        // Nothing to repair when the code is valid or validation could not run
+        if (validation.valid || validation.stage !== 'validate' || attempt === maxAttempts) break;
+
+        logger.info(`Terraform validation failed (attempt ${attempt}/${maxAttempts}), requesting repair`);
+        try {
+          document = await this.repairInfrastructure(document, validation.diagnostics, preferences, options);
+        } catch (error) {
+          logger.warn(`Terraform repair failed on attempt ${attempt}: ${error.message}`);
+          break;
+        }
+      }
+
+      const terraform = combineTerraformFiles(document.files);
 
       return {
-        terraform: completion.choices[0].message.content,
-        explanation: await this.generateExplanation(completion.choices[0].message.content),
-        estimatedCost: await this.estimateCost(completion.choices[0].message.content, preferences.provider)
+        terraform,
+        files: document.files,
+        resources: document.resources,
+        variables: document.variables,
+        assumptions: document.assumptions,
+        valid: validation.valid,
+        validationError: validation.stage === 'init' ? validation.error : undefined,
+        diagnostics: validation.diagnostics,
+        attempts,
+        explanation: await this.generateExplanation(terraform, options),
+        estimatedCost: await this.estimateCost(document.files, { region: preferences.region })
       };
     } catch (error) {
       logger.error('Error generating infrastructure:', error);
-      throw new Error('Failed to generate infrastructure configuration');
+      throw new Error(`Failed to generate infrastructure configuration: ${error.message}`);
     }
   }
 
-  async generateExplanation(terraformCode) {
+  // Request a JSON infrastructure document and validate it against the schema
+  async completeInfrastructureDocument(task, messages, options = {}) {
+    const content = await this.complete(task, messages, {
+      temperature: 0.1,
+      maxTokens: 4000,
+      provider: options.provider,
+      responseFormat: { name: 'infrastructure', schema: infrastructureJsonSchema }
+    });
+
+    return parseInfrastructureResponse(content);
+  }
+
+  getRepairAttempts(requested) {
+    const configured = parseInt(process.env.TERRAFORM_REPAIR_ATTEMPTS, 10) || 3;
+    const attempts = parseInt(requested, 10);
+    return attempts > 0 ? Math.min(attempts, configured) : configured;
+  }
+
+  async repairInfrastructure(document, diagnostics, preferences = {}, options = {}) {
+    const report = diagnostics
+      .map(diagnostic => `- [${diagnostic.severity}] ${diagnostic.summary}${diagnostic.file ? ` (${diagnostic.file}:${diagnostic.line})` : ''}${diagnostic.detail ? `\n  ${diagnostic.detail}` : ''}`)
+      .join('\n');
+
+    return this.completeInfrastructureDocument('repair-infrastructure', [
+      { role: "system", content: `You are an expert Terraform engineer. Fix the ${preferences.provider || 'AWS'} Terraform configuration so that \`terraform validate\` passes.\n\n${INFRASTRUCTURE_OUTPUT_INSTRUCTIONS}` },
+      { role: "user", content: `terraform validate reported:\n${report}\n\nCurrent document:\n${JSON.stringify(document, null, 2)}` }
+    ], options);
+  }
+
+  async generateExplanation(terraformCode, options = {}) {
     try {
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-4-turbo-preview",
-        messages: [
-          { role: "system", content: "Explain the Terraform configuration in simple terms, focusing on what each component does and why it's needed." },
-          { role: "user", content: `Explain this Terraform code:\n${terraformCode}` }
-        ],
-        temperature: 0.3,
-        max_tokens: 1000
-      });
+      const content = await this.complete('explain', [
+        { role: "system", content: "Explain the Terraform configuration in simple terms, focusing on what each component does and why it's needed." },
+        { role: "user", content: `Explain this Terraform code:\n${terraformCode}` }
+      ], { temperature: 0.3, maxTokens: 1000, provider: options.provider });
 
-      return completion.choices[0].message.content;
+      return content;
     } catch (error) {
       logger.error('Error generating explanation:', error);
       return 'Unable to generate explanation at this time.';
     }
   }
 
-  async estimateCost(terraformCode, provider = 'AWS') {
+  // Deterministic, table-driven estimate (see costEstimator); accepts a
+  // configuration string or a map of Terraform files
+  async estimateCost(terraform, options = {}) {
     try {
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-4-turbo-preview",
-        messages: [
-          { role: "system", content: `Estimate the monthly cost for this ${provider} infrastructure. Provide a breakdown by service and total monthly estimate. Be conservative in estimates.` },
-          { role: "user", content: `Estimate costs for this Terraform configuration:\n${terraformCode}` }
-        ],
-        temperature: 0.1,
-        max_tokens: 500
-      });
-
-      return completion.choices[0].message.content;
+      return costEstimator.estimateFromConfiguration(terraform, { region: options.region });
     } catch (error) {
       logger.error('Error estimating cost:', error);
-      return 'Cost estimation unavailable at this time.';
+      return { error: 'Cost estimation unavailable at this time.' };
     }
   }
 
-  async processChatMessage(message, context = {}) {
-    if (!this.initialized) {
-      throw new Error('AI Service not initialized');
-    }
-
+  // System prompt, optional summary of earlier turns, the recent history and
+  // finally the new user message
+  buildChatMessages(message, context = {}, history = {}) {
     const systemPrompt = `You are a helpful cloud infrastructure assistant. You help users understand and manage their cloud deployments.
 
 Context: ${JSON.stringify(context)}
 
 Provide helpful, accurate, and actionable advice about cloud infrastructure, deployment issues, and best practices.`;
 
+    const messages = [{ role: "system", content: systemPrompt }];
+
+    if (history.summary) {
+      messages.push({ role: "system", content: `Summary of the earlier conversation:\n${history.summary}` });
+    }
+
+    return [
+      ...messages,
+      ...(history.messages || []),
+      { role: "user", content: message }
+    ];
+  }
+
+  async summarizeConversation(previousSummary, messages, options = {}) {
+    const transcript = messages
+      .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+      .join('\n\n');
+
+    return this.complete('summarize', [
+      { role: "system", content: "Summarize this conversation between a user and a cloud infrastructure assistant. Keep decisions, requirements, resource names and open questions. Reply with the summary only." },
+      { role: "user", content: `${previousSummary ? `Existing summary:\n${previousSummary}\n\n` : ''}New messages:\n${transcript}` }
+    ], { temperature: 0.2, maxTokens: 500, provider: options.provider });
+  }
+
+  async processChatMessage(message, context = {}, options = {}) {
+    if (!this.initialized) {
+      throw new Error('AI Service not initialized');
+    }
+
     try {
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-4-turbo-preview",
-        messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: message }
-        ],
+      const content = await this.complete('chat', this.buildChatMessages(message, context, options.history), {
         temperature: 0.7,
-        max_tokens: 1000
+        maxTokens: 1000,
+        provider: options.provider
       });
 
-      return completion.choices[0].message.content;
+      return content;
     } catch (error) {
       logger.error('Error processing chat message:', error);
       throw new Error('Failed to process chat message');
     }
   }
 
-  async generateDocumentation(projectData) {
+  // Yields the assistant reply token by token. Pass `options.signal` (an
+  // AbortSignal) to stop generation early.
+  async *streamChatMessage(message, context = {}, options = {}) {
+    if (!this.initialized) {
+      throw new Error('AI Service not initialized');
+    }
+
+    const llm = this.getProvider(options.provider);
+
+    try {
+      yield* llm.stream({
+        task: 'chat',
+        messages: this.buildChatMessages(message, context, options.history),
+        temperature: 0.7,
+        maxTokens: 1000,
+        signal: options.signal
+      });
+    } catch (error) {
+      if (options.signal?.aborted) return;
+      logger.error('Error streaming chat message:', error);
+      throw new Error('Failed to process chat message');
+    }
+  }
+
+  async generateDocumentation(projectData, options = {}) {
     if (!this.initialized) {
       throw new Error('AI Service not initialized');
     }
@@ -162,24 +308,19 @@ Provide helpful, accurate, and actionable advice about cloud infrastructure, dep
 Format the output in Markdown.`;
 
     try {
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-4-turbo-preview",
-        messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: `Generate documentation for this project:\n${JSON.stringify(projectData, null, 2)}` }
-        ],
-        temperature: 0.3,
-        max_tokens: 3000
-      });
+      const content = await this.complete('documentation', [
+        { role: "system", content: systemPrompt },
+        { role: "user", content: `Generate documentation for this project:\n${JSON.stringify(projectData, null, 2)}` }
+      ], { temperature: 0.3, maxTokens: 3000, provider: options.provider });
 
-      return completion.choices[0].message.content;
+      return content;
     } catch (error) {
       logger.error('Error generating documentation:', error);
       throw new Error('Failed to generate documentation');
     }
   }
 
-  async optimizeInfrastructure(terraformCode, optimizationType = 'cost') {
+  async optimizeInfrastructure(terraformCode, optimizationType = 'cost', options = {}) {
     if (!this.initialized) {
       throw new Error('AI Service not initialized');
     }
@@ -196,23 +337,111 @@ Focus on:
 Provide specific recommendations with code examples.`;
 
     try {
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-4-turbo-preview",
-        messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: `Optimize this Terraform code for ${optimizationType}:\n${terraformCode}` }
-        ],
-        temperature: 0.2,
-        max_tokens: 2000
-      });
+      const content = await this.complete('optimize', [
+        { role: "system", content: systemPrompt },
+        { role: "user", content: `Optimize this Terraform code for ${optimizationType}:\n${terraformCode}` }
+      ], { temperature: 0.2, maxTokens: 2000, provider: options.provider });
 
-      return completion.choices[0].message.content;
+      return content;
     } catch (error) {
       logger.error('Error optimizing infrastructure:', error);
       throw new Error('Failed to optimize infrastructure');
     }
   }
 
+  async checkCompliance(terraformCode, complianceFramework = 'SOC2', options = {}) {
+    if (!this.initialized) {
+      throw new Error('AI Service not initialized');
+    }
+
+    const systemPrompt = `Analyze this Terraform configuration for ${complianceFramework} compliance.
+
+Check for:
+1. Security best practices
+2. Data encryption requirements
+3. Access controls
+4. Audit logging
+5. Network security
+6. Resource tagging
+7. Backup and disaster recovery
+
+Provide specific recommendations for compliance improvements.`;
+
+    try {
+      const content = await this.complete('compliance-check', [
+        { role: "system", content: systemPrompt },
+        { role: "user", content: `Check compliance for this Terraform code:\n${terraformCode}` }
+      ], { temperature: 0.1, maxTokens: 2000, provider: options.provider });
+
+      return content;
+    } catch (error) {
+      logger.error('Error checking compliance:', error);
+      throw new Error('Failed to check compliance');
+    }
+  }
+
+  async performSecurityAudit(terraformCode, options = {}) {
+    if (!this.initialized) {
+      throw new Error('AI Service not initialized');
+    }
+
+    const systemPrompt = `Perform a comprehensive security audit of this Terraform configuration.
+
+Check for:
+1. Publicly accessible resources
+2. Insecure configurations
+3. Missing encryption
+4. Weak access controls
+5. Security group misconfigurations
+6. IAM policy issues
+7. Network security vulnerabilities
+
+Provide a prioritized list of security issues with remediation steps.`;
+
+    try {
+      const content = await this.complete('security-audit', [
+        { role: "system", content: systemPrompt },
+        { role: "user", content: `Audit this Terraform code for security issues:\n${terraformCode}` }
+      ], { temperature: 0.1, maxTokens: 2500, provider: options.provider });
+
+      return content;
+    } catch (error) {
+      logger.error('Error performing security audit:', error);
+      throw new Error('Failed to perform security audit');
+    }
+  }
+
+  async generateMonitoring(terraformCode, provider = 'AWS', options = {}) {
+    if (!this.initialized) {
+      throw new Error('AI Service not initialized');
+    }
+
+    const systemPrompt = `Generate comprehensive monitoring and alerting configuration for this ${provider} infrastructure.
+
+Include:
+1. CloudWatch/Stackdriver metrics
+2. Log aggregation
+3. Health checks
+4. Performance monitoring
+5. Cost monitoring
+6. Security monitoring
+7. Alert rules and notifications
+
+Provide Terraform code for monitoring resources.`;
+
+    try {
+      const content = await this.complete('generate-monitoring', [
+        { role: "system", content: systemPrompt },
+        { role: "user", content: `Generate monitoring for this Terraform code:\n${terraformCode}` }
+      ], { temperature: 0.2, maxTokens: 2000, provider: options.provider });
+
+      return content;
+    } catch (error) {
+      logger.error('Error generating monitoring config:', error);
+      throw new Error('Failed to generate monitoring configuration');
+    }
+  }
+
   async generateScreenshots(projectData) {
     // This would integrate with Puppeteer to generate screenshots
     // For now, return a placeholder response
@@ -234,8 +463,9 @@ const initializeAI = async () => {
 module.exports = {
   aiService,
   initializeAI,
-  processChatMessage: (message, context) => aiService.processChatMessage(message, context),
-  generateInfrastructure: (description, preferences) => aiService.generateInfrastructure(description, preferences),
-  generateDocumentation: (projectData) => aiService.generateDocumentation(projectData),
-  optimizeInfrastructure: (terraformCode, optimizationType) => aiService.optimizeInfrastructure(terraformCode, optimizationType)
+  processChatMessage: (message, context, options) => aiService.processChatMessage(message, context, options),
+  streamChatMessage: (message, context, options) => aiService.streamChatMessage(message, context, options),
+  generateInfrastructure: (description, preferences, options) => aiService.generateInfrastructure(description, preferences, options),
+  generateDocumentation: (projectData, options) => aiService.generateDocumentation(projectData, options),
+  optimizeInfrastructure: (terraformCode, optimizationType, options) => aiService.optimizeInfrastructure(terraformCode, optimizationType, options)
 };
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const winston = require('winston');
+const User = require('../models/User');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/api-keys.log' })
+  ]
+});
+
+// Permissions an API key can be granted; every route reachable with a key
+// declares the scope it needs (see requireScope in middleware/auth.js)
+const API_KEY_SCOPES = [
+  'projects:read',
+  'projects:write',
+  'deployments:read',
+  'deployments:write',
+  'conversations:read',
+  'conversations:write',
+  'infrastructure:read',
+  'ai:use'
+];
+
+const KEY_PREFIX = 'cpk_';
+const DISPLAY_PREFIX_LENGTH = KEY_PREFIX.length + 8;
+const MAX_KEYS_PER_USER = parseInt(process.env.API_KEYS_PER_USER) || 20;
+
+// lastUsed is written at most once per interval so busy pipelines do not
+// turn every request into a user update
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const validationError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Personal API keys for CI pipelines and scripts. Keys are random 256-bit
+// tokens shown once on creation; only their SHA-256 hash is stored.
+class ApiKeyService {
+  isApiKey(value) {
+    return typeof value === 'string' && value.startsWith(KEY_PREFIX);
+  }
+
+  describe(apiKey) {
+    return {
+      id: apiKey._id,
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      permissions: apiKey.permissions,
+      createdAt: apiKey.createdAt,
+      lastUsed: apiKey.lastUsed,
+      expiresAt: apiKey.expiresAt,
+      expired: Boolean(apiKey.expiresAt && apiKey.expiresAt <= new Date())
+    };
+  }
+
+  list(user) {
+    return (user.apiKeys || []).map(apiKey => this.describe(apiKey));
+  }
+
+  // Adds a key to the user (the caller saves it) and returns the plain key,
+  // which cannot be recovered afterwards
+  create(user, { name, permissions, expiresInDays } = {}) {
+    if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+      throw validationError('API key name is required (at most 100 characters)');
+    }
+    if (!Array.isArray(permissions) || permissions.length === 0) {
+      throw validationError(`At least one permission is required: ${API_KEY_SCOPES.join(', ')}`);
+    }
+
+    const unknown = permissions.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw validationError(`Unknown permissions: ${unknown.join(', ')}`);
+    }
+
+    let expiresAt;
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = Number(expiresInDays);
+      if (!Number.isInteger(days) || days < 1 || days > 365) {
+        throw validationError('expiresInDays must be a whole number between 1 and 365');
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    if (user.apiKeys.length >= MAX_KEYS_PER_USER) {
+      throw validationError(`API key limit reached (${MAX_KEYS_PER_USER}); revoke an unused key first`);
+    }
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    user.apiKeys.push({
+      name: name.trim(),
+      keyHash: hashKey(key),
+      prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+      permissions: Array.from(new Set(permissions)),
+      expiresAt
+    });
+
+    return {
+      key,
+      apiKey: this.describe(user.apiKeys[user.apiKeys.length - 1])
+    };
+  }
+
+  // Removes a key from the user (the caller saves it); false if it does not exist
+  revoke(user, keyId) {
+    const apiKey = user.apiKeys.id(keyId);
+    if (!apiKey) return false;
+
+    apiKey.deleteOne();
+    return true;
+  }
+
+  // Resolves a presented key to its user and key entry, or null when the key
+  // is unknown, expired or belongs to an inactive user
+  async authenticate(key) {
+    if (!this.isApiKey(key)) return null;
+
+    const keyHash = hashKey(key);
+    const user = await User.findOne({ 'apiKeys.keyHash': keyHash }).select('-password');
+    if (!user || !user.isActive) return null;
+
+    const apiKey = user.apiKeys.find(entry => entry.keyHash === keyHash);
+    if (!apiKey || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) return null;
+
+    this.touch(user, apiKey);
+    return { user, apiKey };
+  }
+
+  touch(user, apiKey) {
+    const now = new Date();
+    if (apiKey.lastUsed && now - apiKey.lastUsed < LAST_USED_RESOLUTION_MS) return;
+
+    apiKey.lastUsed = now;
+    User.updateOne(
+      { _id: user._id, 'apiKeys._id': apiKey._id },
+      { $set: { 'apiKeys.$.lastUsed': now } }
+    ).catch((error) => {
+      logger.error(`Failed to record API key use for ${apiKey.prefix}:`, error);
+    });
+  }
+}
+
+// Singleton instance
+const apiKeyService = new ApiKeyService();
+
+module.exports = {
+  apiKeyService,
+  API_KEY_SCOPES
+};
@@ -0,0 +1,345 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/audit.log' })
+  ]
+});
+
+// Backoff between attempts to append an event when another server took the
+// same sequence number
+const APPEND_RETRY_BASE_DELAY_MS = 10;
+const APPEND_RETRY_MAX_DELAY_MS = 1000;
+// Longer strings (e.g. Terraform code) are recorded as a digest
+const MAX_VALUE_LENGTH = 1000;
+const MAX_PAGE_SIZE = 200;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Plain JSON: ObjectIds and dates become strings, undefined is dropped
+const toJSONValue = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// JSON with sorted keys, so equal events always hash the same
+const canonicalJSON = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+// The hashed fields of an event, read the same way from a new event and
+// from one loaded back from the database
+const hashEvent = (event) => sha256(canonicalJSON(toJSONValue({
+  sequence: event.sequence,
+  timestamp: new Date(event.timestamp).toISOString(),
+  action: event.action,
+  outcome: event.outcome,
+  actor: event.actor || {},
+  organizationId: event.organizationId || null,
+  ip: event.ip || null,
+  userAgent: event.userAgent || null,
+  target: event.target || {},
+  changes: event.changes || {},
+  metadata: event.metadata === undefined ? null : event.metadata,
+  previousHash: event.previousHash || null
+})));
+
+const summarize = (value) => {
+  if (typeof value === 'string' && value.length > MAX_VALUE_LENGTH) {
+    return { sha256: sha256(value), lines: value.split('\n').length };
+  }
+  return value;
+};
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  // ObjectIds print as their hex string, other objects as JSON
+  const text = typeof value === 'object' && !value._bsontype ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CSV_COLUMNS = [
+  ['sequence', event => event.sequence],
+  ['timestamp', event => new Date(event.timestamp).toISOString()],
+  ['action', event => event.action],
+  ['outcome', event => event.outcome],
+  ['actorUserId', event => event.actor && event.actor.userId],
+  ['actorEmail', event => event.actor && event.actor.email],
+  ['apiKeyId', event => event.actor && event.actor.apiKeyId],
+  ['organizationId', event => event.organizationId],
+  ['ip', event => event.ip],
+  ['userAgent', event => event.userAgent],
+  ['targetType', event => event.target && event.target.type],
+  ['targetId', event => event.target && event.target.id],
+  ['targetName', event => event.target && event.target.name],
+  ['before', event => event.changes && event.changes.before],
+  ['after', event => event.changes && event.changes.after],
+  ['metadata', event => event.metadata],
+  ['previousHash', event => event.previousHash],
+  ['hash', event => event.hash]
+];
+
+const PLATFORM_ADMIN_ROLES = ['admin', 'super_admin'];
+
+// Query parameters that filter audit events
+const FILTER_PARAMS = ['action', 'outcome', 'targetType', 'targetId', 'actor', 'from', 'to'];
+
+const auditError = (message, status = 400, code = 'INVALID_REQUEST') => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Append-only, hash-chained audit trail of security-relevant actions
+class AuditService {
+  constructor() {
+    // Appends from this process run one at a time, so they never compete
+    // with each other for a sequence number
+    this.appending = Promise.resolve();
+  }
+
+  // Who and where from: an Express request, or `{ user, ip, userAgent }`
+  // for requests that arrive some other way (e.g. a socket)
+  context(req) {
+    const user = req.user;
+    return {
+      actor: user ? {
+        userId: user._id,
+        email: user.email,
+        ...(req.apiKey ? { apiKeyId: String(req.apiKey._id || req.apiKey.id) } : {})
+      } : {},
+      organizationId: user ? user.organizationId || null : null,
+      ip: req.ip || null,
+      userAgent: (typeof req.get === 'function' ? req.get('User-Agent') : req.userAgent) || null
+    };
+  }
+
+  // Records an event. Never throws: a failure to audit is logged, and must
+  // not fail the action itself. `actor` overrides the request's user, e.g.
+  // for logins, where the request is not authenticated yet.
+  async record(req, { action, outcome = 'success', target, changes, metadata, actor }) {
+    try {
+      const context = this.context(req);
+      if (actor) {
+        context.actor = { userId: actor._id, email: actor.email };
+        context.organizationId = actor.organizationId || null;
+      }
+
+      const event = {
+        ...context,
+        action,
+        outcome,
+        target: target ? toJSONValue({
+          type: target.type,
+          id: target.id ? String(target.id) : undefined,
+          name: target.name
+        }) : {},
+        changes: toJSONValue(changes) || {},
+        metadata: metadata === undefined ? null : toJSONValue(metadata)
+      };
+
+      const appended = this.appending.then(() => this.append(event));
+      this.appending = appended.catch(() => {});
+      return await appended;
+    } catch (error) {
+      logger.error(`Failed to record audit event ${action}:`, error);
+    }
+    return null;
+  }
+
+  // Chains the event after the latest one. Other servers append to the same
+  // chain, so a clash on the sequence number is retried until it succeeds.
+  async append(event) {
+    for (let attempt = 1; ; attempt++) {
+      const last = await AuditEvent.findOne().sort({ sequence: -1 }).select('sequence hash').lean();
+      const entry = {
+        ...event,
+        sequence: last ? last.sequence + 1 : 1,
+        timestamp: new Date(),
+        previousHash: last ? last.hash : null
+      };
+      entry.hash = hashEvent(entry);
+
+      try {
+        return await AuditEvent.create(entry);
+      } catch (error) {
+        // Another server took this sequence number first
+        if (error.code !== 11000) throw error;
+      }
+
+      const delay = Math.min(APPEND_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), APPEND_RETRY_MAX_DELAY_MS);
+      await sleep(delay / 2 + Math.random() * delay / 2);
+    }
+  }
+
+  // The listed fields of a document as plain JSON
+  snapshot(doc, fields) {
+    const source = doc && typeof doc.toObject === 'function' ? doc.toObject() : doc || {};
+    return Object.fromEntries(fields.map(field => [field, toJSONValue(source[field])]));
+  }
+
+  // The fields that differ between two snapshots, or undefined when nothing
+  // changed. Long strings are replaced by their digest and line count.
+  diff(before, after) {
+    const changed = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])]
+      .filter(field => canonicalJSON(toJSONValue((before || {})[field])) !== canonicalJSON(toJSONValue((after || {})[field])));
+    if (changed.length === 0) return undefined;
+
+    return {
+      before: before ? Object.fromEntries(changed.map(field => [field, summarize(toJSONValue(before[field]))])) : null,
+      after: after ? Object.fromEntries(changed.map(field => [field, summarize(toJSONValue(after[field]))])) : null
+    };
+  }
+
+  // Events the user may read: everything for platform admins, their
+  // organization's events for organization owners and admins, and their own
+  // events for everyone else
+  scopeFor(user) {
+    if (PLATFORM_ADMIN_ROLES.includes(user.role)) return {};
+    if (user.organizationId && ['owner', 'admin'].includes(user.organizationRole)) {
+      return { organizationId: user.organizationId };
+    }
+    return { 'actor.userId': user._id };
+  }
+
+  buildFilter(user, query = {}) {
+    // Repeated or bracketed query parameters arrive as arrays and objects,
+    // which would otherwise reach the Mongo filter as operators
+    const invalid = FILTER_PARAMS.filter(name => query[name] !== undefined && typeof query[name] !== 'string');
+    if (invalid.length > 0) {
+      throw auditError(`${invalid.join(', ')} must be given once, as a string`);
+    }
+
+    const filter = {};
+
+    if (query.action) {
+      // "deployment.*" matches every deployment action
+      filter.action = query.action.endsWith('.*')
+        ? new RegExp(`^${query.action.slice(0, -2).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.`)
+        : query.action;
+    }
+    if (query.outcome) filter.outcome = query.outcome;
+    if (query.targetType) filter['target.type'] = query.targetType;
+    if (query.targetId) filter['target.id'] = query.targetId;
+    if (query.actor) {
+      if (mongoose.isValidObjectId(query.actor)) {
+        filter['actor.userId'] = new mongoose.Types.ObjectId(query.actor);
+      } else {
+        filter['actor.email'] = query.actor.toLowerCase();
+      }
+    }
+    if (query.from || query.to) {
+      const from = query.from ? new Date(query.from) : null;
+      const to = query.to ? new Date(query.to) : null;
+      if ((from && isNaN(from)) || (to && isNaN(to))) {
+        throw auditError('from and to must be dates');
+      }
+      filter.timestamp = {
+        ...(from ? { $gte: from } : {}),
+        ...(to ? { $lte: to } : {})
+      };
+    }
+    return { $and: [this.scopeFor(user), filter] };
+  }
+
+  async query(user, query = {}) {
+    const filter = this.buildFilter(user, query);
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit) || 50, 1), MAX_PAGE_SIZE);
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(filter)
+        .sort({ sequence: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditEvent.countDocuments(filter)
+    ]);
+
+    return {
+      events: events.map(event => event.toSummaryJSON()),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  async findEvent(user, id) {
+    const event = mongoose.isValidObjectId(id) &&
+      await AuditEvent.findOne({ _id: id, ...this.scopeFor(user) });
+    if (!event) {
+      throw auditError('Audit event not found', 404, 'AUDIT_EVENT_NOT_FOUND');
+    }
+    return event;
+  }
+
+  // Writes every matching event, oldest first, as CSV or a JSON array
+  async export(user, query, format, stream) {
+    const cursor = AuditEvent.find(this.buildFilter(user, query)).sort({ sequence: 1 }).lean().cursor();
+    let count = 0;
+
+    if (format === 'csv') {
+      stream.write(`${CSV_COLUMNS.map(([name]) => name).join(',')}\n`);
+      for await (const event of cursor) {
+        stream.write(`${CSV_COLUMNS.map(([, value]) => csvCell(value(event))).join(',')}\n`);
+        count++;
+      }
+    } else {
+      stream.write('[');
+      for await (const event of cursor) {
+        const { _id, __v, ...fields } = event;
+        stream.write(`${count ? ',' : ''}\n${JSON.stringify({ id: _id, ...fields })}`);
+        count++;
+      }
+      stream.write('\n]\n');
+    }
+    stream.end();
+    return count;
+  }
+
+  // Recomputes the chain from the first event. `brokenAt` is the sequence
+  // of the first event that was altered, or that follows a removed one.
+  async verifyChain() {
+    let previous = null;
+    let checked = 0;
+
+    for await (const event of AuditEvent.find().sort({ sequence: 1 }).lean().cursor()) {
+      const intact = event.sequence === (previous ? previous.sequence + 1 : 1) &&
+        (event.previousHash || null) === (previous ? previous.hash : null) &&
+        hashEvent(event) === event.hash;
+
+      if (!intact) {
+        logger.warn(`Audit chain broken at event ${event.sequence}`);
+        return { valid: false, checked, brokenAt: event.sequence };
+      }
+      previous = event;
+      checked++;
+    }
+
+    return { valid: true, checked, brokenAt: null };
+  }
+}
+
+// Singleton instance
+const auditService = new AuditService();
+
+module.exports = {
+  auditService
+};
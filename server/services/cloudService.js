@@ -1,12 +1,16 @@
 const AWS = require('aws-sdk');
-const { Compute } = require('@google-cloud/compute');
+const { Compute, InstancesClient, DisksClient } = require('@google-cloud/compute');
 const { ComputeManagementClient } = require('@azure/arm-compute');
-const { DefaultAzureCredential } = require('@azure/identity');
-const { exec } = require('child_process');
+const { DefaultAzureCredential, ClientSecretCredential } = require('@azure/identity');
+const { exec, spawn } = require('child_process');
 const { promisify } = require('util');
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
 const winston = require('winston');
+const { costEstimator } = require('./costEstimator');
+const { stateBackend } = require('./stateBackend');
 
 const logger = winston.createLogger({
   level: 'info',
@@ -22,6 +26,9 @@ const logger = winston.createLogger({
 
 const execAsync = promisify(exec);
 
+// Files generated by the platform in every Terraform working directory
+const PLATFORM_FILES = ['providers.tf', 'platform_variables.tf'];
+
 class CloudService {
   constructor() {
     this.awsConfig = null;
@@ -78,35 +85,100 @@ class CloudService {
     }
   }
 
-  async deployInfrastructure(projectId, terraformCode, provider = 'aws') {
+  // Write the configuration and save a plan for it under plans/<planId>.tfplan.
+  // Returns the plan's checksum, a summary of the changes and the plan JSON.
+  // `options.onOutput({ phase, line, stream })` receives Terraform output
+  // line by line while init and plan run; `options.env` is the environment
+  // Terraform runs with (see credentialService.createScope).
+  async planInfrastructure(projectId, planId, terraformCode, provider = 'aws', options = {}) {
     try {
-      const projectPath = path.join(this.terraformPath, projectId);
-      await fs.mkdir(projectPath, { recursive: true });
+      const projectPath = await this.prepareWorkspace(projectId, terraformCode, provider, options);
+      const planFile = this.getPlanFile(planId);
+      await fs.mkdir(path.join(projectPath, 'plans'), { recursive: true });
 
-      // Write Terraform files
-      await fs.writeFile(path.join(projectPath, 'main.tf'), terraformCode);
-      await this.generateProviderConfig(projectPath, provider);
-      await this.generateVariablesFile(projectPath, provider);
+      // Plan deployment
+      const { stdout: planOutput } = await this.runTerraform('plan', ['-input=false', `-out=${planFile}`], projectPath, options);
 
-      // Initialize Terraform
-      await execAsync('terraform init', { cwd: projectPath });
+      const { stdout: planJson } = await execAsync(`terraform show -json ${planFile}`, {
+        cwd: projectPath,
+        env: options.env || this.getStateEnv(projectId),
+        maxBuffer: 50 * 1024 * 1024
+      });
 
-      // Plan deployment
-      const { stdout: planOutput } = await execAsync('terraform plan -out=tfplan', { cwd: projectPath });
+      logger.info(`Plan ${planId} created for project ${projectId}`);
+
+      return {
+        planFile,
+        checksum: await this.checksumFile(path.join(projectPath, planFile)),
+        summary: this.summarizePlan(JSON.parse(planJson)),
+        planJson,
+        planOutput
+      };
+    } catch (error) {
+      logger.error(`Planning failed for project ${projectId}:`, error);
+      throw new Error(`Planning failed: ${error.message}`);
+    }
+  }
+
+  // Write the configuration into the project directory and run `terraform init`
+  async prepareWorkspace(projectId, terraformCode, provider = 'aws', options = {}) {
+    const projectPath = path.join(this.terraformPath, projectId);
+    await fs.mkdir(projectPath, { recursive: true });
+
+    // Write Terraform files
+    await this.writeTerraformFiles(projectPath, terraformCode);
+    await this.generateProviderConfig(projectPath, provider, { projectId });
+    await this.generateVariablesFile(projectPath, provider);
+
+    // Initialize Terraform. `-force-copy` moves state left on disk by earlier
+    // versions into the server's state backend.
+    await this.runTerraform('init', ['-input=false', '-force-copy'], projectPath, options);
+
+    return projectPath;
+  }
+
+  // State lives in the state backend, so a working directory lost with the
+  // container is recreated from the configuration (`options.terraform`)
+  async ensureWorkspace(projectId, options = {}) {
+    const projectPath = path.join(this.terraformPath, projectId);
+    if (await this.pathExists(projectPath)) return projectPath;
+
+    if (!options.terraform) {
+      throw new Error('Project path does not exist');
+    }
+    return this.prepareWorkspace(projectId, options.terraform, options.provider, options);
+  }
+
+  // Apply exactly the saved plan: the file must still match the checksum
+  // recorded when it was reviewed. Terraform itself refuses stale plans.
+  async applyPlan(projectId, planId, checksum, options = {}) {
+    try {
+      const projectPath = path.join(this.terraformPath, projectId);
+      const planFile = this.getPlanFile(planId);
+
+      if (!await this.pathExists(path.join(projectPath, planFile))) {
+        throw new Error('Saved plan not found');
+      }
+      if (await this.checksumFile(path.join(projectPath, planFile)) !== checksum) {
+        throw new Error('Saved plan does not match the approved plan');
+      }
 
       // Apply deployment
-      const { stdout: applyOutput } = await execAsync('terraform apply -auto-approve tfplan', { cwd: projectPath });
+      const { stdout: applyOutput } = await this.runTerraform('apply', ['-input=false', '-auto-approve', planFile], projectPath, options);
 
       // Get outputs
-      const { stdout: output } = await execAsync('terraform output -json', { cwd: projectPath });
+      const { stdout: output } = await execAsync('terraform output -json', {
+        cwd: projectPath,
+        env: options.env || this.getStateEnv(projectId)
+      });
       const outputs = JSON.parse(output);
 
+      await this.discardPlan(projectId, planId);
       logger.info(`Infrastructure deployed successfully for project ${projectId}`);
 
       return {
         success: true,
         outputs,
-        planOutput,
         applyOutput
       };
     } catch (error) {
@@ -115,30 +187,240 @@ class CloudService {
     }
   }
 
-  async rollbackDeployment(projectId) {
+  async discardPlan(projectId, planId) {
+    await fs.rm(path.join(this.terraformPath, projectId, this.getPlanFile(planId)), { force: true });
+  }
+
+  getPlanFile(planId) {
+    return path.join('plans', `${planId}.tfplan`);
+  }
+
+  async checksumFile(filePath) {
+    const content = await fs.readFile(filePath);
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  // Count changes the way `terraform plan` reports them: a replacement is
+  // one add and one destroy
+  summarizePlan(plan) {
+    const summary = { add: 0, change: 0, destroy: 0, resources: [] };
+
+    (plan.resource_changes || []).forEach(({ address, type, change }) => {
+      const actions = change?.actions || [];
+      if (actions.includes('no-op') || actions.includes('read')) return;
+
+      if (actions.includes('create')) summary.add++;
+      if (actions.includes('update')) summary.change++;
+      if (actions.includes('delete')) summary.destroy++;
+      summary.resources.push({
+        address,
+        type,
+        action: actions.length > 1 ? 'replace' : actions[0]
+      });
+    });
+
+    return summary;
+  }
+
+  // Destroy everything in the project's state (teardown)
+  async destroyInfrastructure(projectId, options = {}) {
     try {
-      const projectPath = path.join(this.terraformPath, projectId);
-      
-      if (!await this.pathExists(projectPath)) {
-        throw new Error('Project path does not exist');
-      }
+      const projectPath = await this.ensureWorkspace(projectId, options);
 
       // Destroy infrastructure
-      const { stdout: destroyOutput } = await execAsync('terraform destroy -auto-approve', { cwd: projectPath });
+      const { stdout: destroyOutput } = await this.runTerraform('destroy', ['-input=false', '-auto-approve'], projectPath, options);
 
-      logger.info(`Infrastructure rolled back successfully for project ${projectId}`);
+      logger.info(`Infrastructure destroyed for project ${projectId}`);
 
       return {
         success: true,
-        message: 'Infrastructure rolled back successfully',
+        message: 'Infrastructure destroyed successfully',
         destroyOutput
       };
     } catch (error) {
-      logger.error(`Rollback failed for project ${projectId}:`, error);
-      throw new Error(`Rollback failed: ${error.message}`);
+      logger.error(`Teardown failed for project ${projectId}:`, error);
+      throw new Error(`Teardown failed: ${error.message}`);
+    }
+  }
+
+  // Compare the cloud with the project's state using a refresh-only plan.
+  // `-detailed-exitcode` exits 2 when the refresh found changes; those made
+  // to resources are read from the plan's `resource_drift`.
+  async detectDrift(projectId, options = {}) {
+    const projectPath = path.join(this.terraformPath, projectId);
+    const planFile = this.getPlanFile(`drift-${uuidv4()}`);
+
+    try {
+      await this.ensureWorkspace(projectId, options);
+      await fs.mkdir(path.join(projectPath, 'plans'), { recursive: true });
+
+      try {
+        await this.runTerraform(
+          'plan',
+          ['-refresh-only', '-detailed-exitcode', '-input=false', `-out=${planFile}`],
+          projectPath,
+          options
+        );
+        return { drifted: false, resources: [] };
+      } catch (error) {
+        if (error.exitCode !== 2) throw error;
+      }
+
+      const { stdout: planJson } = await execAsync(`terraform show -json ${planFile}`, {
+        cwd: projectPath,
+        env: options.env || this.getStateEnv(projectId),
+        maxBuffer: 50 * 1024 * 1024
+      });
+      const resources = this.summarizeDrift(JSON.parse(planJson));
+
+      logger.info(`Drift check for project ${projectId}: ${resources.length} resource(s) changed`);
+
+      return { drifted: resources.length > 0, resources };
+    } catch (error) {
+      logger.error(`Drift check failed for project ${projectId}:`, error);
+      throw new Error(`Drift check failed: ${error.message}`);
+    } finally {
+      await fs.rm(path.join(projectPath, planFile), { force: true });
+    }
+  }
+
+  // Per-resource attribute differences between state (`before`) and what the
+  // refresh found (`after`). Sensitive values are not copied into the report.
+  summarizeDrift(plan) {
+    return (plan.resource_drift || [])
+      .filter(({ change }) => !(change?.actions || []).includes('no-op'))
+      .map(({ address, type, change }) => {
+        const actions = change.actions || [];
+        if (actions.includes('delete')) {
+          return { address, type, action: 'delete', changes: [] };
+        }
+
+        const sensitive = { ...this.flattenAttributes(change.before_sensitive), ...this.flattenAttributes(change.after_sensitive) };
+        const before = this.flattenAttributes(change.before);
+        const after = this.flattenAttributes(change.after);
+        const attributes = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+
+        return {
+          address,
+          type,
+          action: 'update',
+          changes: attributes
+            .filter(attribute => JSON.stringify(before[attribute]) !== JSON.stringify(after[attribute]))
+            .map(attribute => (
+              Object.keys(sensitive).some(key => sensitive[key] === true && (attribute === key || attribute.startsWith(`${key}.`)))
+                ? { attribute, expected: '(sensitive)', actual: '(sensitive)' }
+                : { attribute, expected: before[attribute] ?? null, actual: after[attribute] ?? null }
+            ))
+        };
+      });
+  }
+
+  // { tags: { Owner: 'a' }, ports: [80] } -> { 'tags.Owner': 'a', 'ports.0': 80 }
+  flattenAttributes(value, prefix = '', result = {}) {
+    if (value === null || typeof value !== 'object') {
+      if (prefix) result[prefix] = value;
+      return result;
+    }
+
+    const entries = Object.entries(value);
+    if (entries.length === 0 && prefix) {
+      result[prefix] = value;
+    }
+    entries.forEach(([key, child]) => {
+      this.flattenAttributes(child, prefix ? `${prefix}.${key}` : key, result);
+    });
+    return result;
+  }
+
+  // Current state as JSON text, or null when the project has no state yet
+  async getState(projectId) {
+    const projectPath = path.join(this.terraformPath, projectId);
+    if (!await this.pathExists(projectPath)) return null;
+
+    const { stdout } = await execAsync('terraform state pull', {
+      cwd: projectPath,
+      env: this.getStateEnv(projectId),
+      maxBuffer: 50 * 1024 * 1024
+    });
+    return stdout.trim() ? stdout : null;
+  }
+
+  // Push a state snapshot back, e.g. when the working directory was lost.
+  // Terraform refuses to overwrite a newer serial or a different lineage.
+  async restoreState(projectId, state) {
+    const projectPath = path.join(this.terraformPath, projectId);
+    const statePath = path.join(projectPath, `restore-${uuidv4()}.tfstate`);
+
+    try {
+      await fs.writeFile(statePath, state);
+      await execAsync(`terraform state push ${path.basename(statePath)}`, { cwd: projectPath, env: this.getStateEnv(projectId) });
+      logger.info(`State restored from snapshot for project ${projectId}`);
+    } finally {
+      await fs.rm(statePath, { force: true });
     }
   }
 
+  // Server environment plus the project's state backend credentials, for
+  // Terraform commands that only read or write state
+  getStateEnv(projectId) {
+    return { ...process.env, ...stateBackend.getCredentialsEnv(projectId) };
+  }
+
+  // Spawn `terraform <command>` and report every stdout/stderr line to
+  // `onOutput` as it is written. `env` replaces the server's environment, so
+  // runs can be scoped to a user's cloud credentials. Resolves with the full
+  // output; rejects with the last stderr lines when Terraform exits non-zero.
+  // Aborting `signal` interrupts Terraform (SIGTERM) and rejects with its reason.
+  runTerraform(command, args, cwd, { onOutput, env = process.env, signal } = {}) {
+    return new Promise((resolve, reject) => {
+      const child = spawn('terraform', [command, '-no-color', ...args], {
+        cwd,
+        env: { ...env, TF_IN_AUTOMATION: '1' },
+        signal
+      });
+      const output = { stdout: '', stderr: '' };
+
+      const emitLine = (line, stream) => {
+        if (!onOutput || !line.trim()) return;
+        try {
+          onOutput({ phase: command, line, stream });
+        } catch (error) {
+          logger.warn(`Terraform output handler failed: ${error.message}`);
+        }
+      };
+
+      const flushers = ['stdout', 'stderr'].map((stream) => {
+        let pending = '';
+        child[stream].on('data', (chunk) => {
+          const text = chunk.toString();
+          output[stream] += text;
+          const lines = (pending + text).split(/\r?\n/);
+          pending = lines.pop();
+          lines.forEach(line => emitLine(line, stream));
+        });
+        return () => emitLine(pending, stream);
+      });
+
+      child.on('error', error => reject(signal?.aborted ? signal.reason : error));
+      child.on('close', (code) => {
+        flushers.forEach(flush => flush());
+        if (signal?.aborted) return;
+
+        if (code === 0) {
+          resolve(output);
+          return;
+        }
+
+        const details = output.stderr.trim().split('\n').slice(-10).join('\n');
+        const error = new Error(`terraform ${command} exited with code ${code}${details ? `: ${details}` : ''}`);
+        error.exitCode = code;
+        error.stdout = output.stdout;
+        error.stderr = output.stderr;
+        reject(error);
+      });
+    });
+  }
+
   async getDeploymentStatus(projectId) {
     try {
       const projectPath = path.join(this.terraformPath, projectId);
@@ -148,7 +430,7 @@ class CloudService {
       }
 
       // Check Terraform state
-      const { stdout: stateOutput } = await execAsync('terraform show -json', { cwd: projectPath });
+      const { stdout: stateOutput } = await execAsync('terraform show -json', { cwd: projectPath, env: this.getStateEnv(projectId) });
       const state = JSON.parse(stateOutput);
 
       // Get current resources
@@ -165,7 +447,9 @@ class CloudService {
     }
   }
 
-  async getCostEstimate(projectId) {
+  // Monthly estimate for a saved plan (`options.planId`) or, by default, the
+  // project's current state, priced from the bundled tables
+  async getCostEstimate(projectId, options = {}) {
     try {
       const projectPath = path.join(this.terraformPath, projectId);
       
@@ -173,54 +457,112 @@ class CloudService {
         return { error: 'Project not found' };
       }
 
-      // This would integrate with cloud provider cost APIs
-      // For now, return a mock estimate
-      return {
-        monthlyEstimate: '$150.00',
-        breakdown: [
-          { service: 'EC2 Instances', cost: '$80.00' },
-          { service: 'RDS Database', cost: '$40.00' },
-          { service: 'S3 Storage', cost: '$20.00' },
-          { service: 'Load Balancer', cost: '$10.00' }
-        ],
-        currency: 'USD'
-      };
+      const { planId, ...estimateOptions } = options;
+      const command = planId ? `terraform show -json ${this.getPlanFile(planId)}` : 'terraform show -json';
+      const { stdout } = await execAsync(command, {
+        cwd: projectPath,
+        env: this.getStateEnv(projectId),
+        maxBuffer: 50 * 1024 * 1024
+      });
+
+      return costEstimator.estimateFromPlan(stdout, estimateOptions);
     } catch (error) {
       logger.error(`Failed to get cost estimate for project ${projectId}:`, error);
       return { error: error.message };
     }
   }
 
+  // Runs `terraform init` and `terraform validate -json` in a scratch
+  // directory. `stage` tells whether the code itself was checked ('validate')
+  // or validation could not run at all ('init').
   async validateInfrastructure(terraformCode, provider) {
+    const tempPath = path.join(this.terraformPath, `temp-validation-${uuidv4()}`);
+
     try {
-      const tempPath = path.join(this.terraformPath, 'temp-validation');
       await fs.mkdir(tempPath, { recursive: true });
 
       // Write Terraform files
-      await fs.writeFile(path.join(tempPath, 'main.tf'), terraformCode);
+      await this.writeTerraformFiles(tempPath, terraformCode);
       await this.generateProviderConfig(tempPath, provider);
+      await this.generateVariablesFile(tempPath, provider);
+
+      try {
+        await execAsync('terraform init -backend=false -input=false -no-color', { cwd: tempPath });
+      } catch (error) {
+        logger.error('Terraform init failed during validation:', error);
+        return {
+          valid: false,
+          stage: 'init',
+          error: (error.stderr || error.message).trim(),
+          diagnostics: []
+        };
+      }
 
-      // Validate syntax
-      await execAsync('terraform init', { cwd: tempPath });
-      const { stdout: validateOutput } = await execAsync('terraform validate', { cwd: tempPath });
+      // validate exits non-zero on invalid code but still prints the JSON report
+      let output;
+      try {
+        ({ stdout: output } = await execAsync('terraform validate -json -no-color', { cwd: tempPath }));
+      } catch (error) {
+        output = error.stdout;
+        if (!output) throw error;
+      }
 
-      // Clean up
-      await this.cleanupDirectory(tempPath);
+      const report = JSON.parse(output);
+      const diagnostics = (report.diagnostics || []).map(diagnostic => ({
+        severity: diagnostic.severity,
+        summary: diagnostic.summary,
+        detail: diagnostic.detail,
+        file: diagnostic.range?.filename,
+        line: diagnostic.range?.start?.line
+      }));
 
       return {
-        valid: true,
-        message: 'Terraform configuration is valid'
+        valid: report.valid,
+        stage: 'validate',
+        message: report.valid ? 'Terraform configuration is valid' : undefined,
+        error: report.valid ? undefined : diagnostics
+          .filter(diagnostic => diagnostic.severity === 'error')
+          .map(diagnostic => diagnostic.summary)
+          .join('; '),
+        diagnostics
       };
     } catch (error) {
       logger.error('Infrastructure validation failed:', error);
       return {
         valid: false,
-        error: error.message
+        stage: 'init',
+        error: error.message,
+        diagnostics: []
       };
+    } finally {
+      await this.cleanupDirectory(tempPath);
     }
   }
 
-  async generateProviderConfig(projectPath, provider) {
+  // Accepts a single configuration (written as main.tf) or a map of file
+  // names to contents. File names are reduced to plain `.tf` names and may not
+  // replace the files the platform generates.
+  async writeTerraformFiles(dirPath, terraform) {
+    const files = typeof terraform === 'string' ? { 'main.tf': terraform } : (terraform || {});
+
+    // Drop configuration left over from a previous run
+    const existing = await fs.readdir(dirPath);
+    await Promise.all(existing
+      .filter(file => file.endsWith('.tf'))
+      .map(file => fs.unlink(path.join(dirPath, file))));
+
+    for (const [name, content] of Object.entries(files)) {
+      const fileName = path.basename(name);
+      if (!fileName.endsWith('.tf') || PLATFORM_FILES.includes(fileName)) {
+        throw new Error(`Invalid Terraform file name: ${name}`);
+      }
+      await fs.writeFile(path.join(dirPath, fileName), content || '');
+    }
+  }
+
+  // With `options.projectId` the configuration also gets a `backend "http"`
+  // block pointing at the server's state backend for that project
+  async generateProviderConfig(projectPath, provider, options = {}) {
     let providerConfig = '';
 
     switch (provider.toLowerCase()) {
@@ -275,6 +617,19 @@ provider "azurerm" {
         break;
     }
 
+    if (options.projectId) {
+      const settings = Object.entries(stateBackend.getBackendConfig(options.projectId))
+        .map(([key, value]) => `    ${key} = "${value}"`)
+        .join('\n');
+      providerConfig += `
+terraform {
+  backend "http" {
+${settings}
+  }
+}
+`;
+    }
+
     await fs.writeFile(path.join(projectPath, 'providers.tf'), providerConfig);
   }
 
@@ -334,7 +689,7 @@ variable "environment" {
         break;
     }
 
-    await fs.writeFile(path.join(projectPath, 'variables.tf'), variablesConfig);
+    await fs.writeFile(path.join(projectPath, 'platform_variables.tf'), variablesConfig);
   }
 
   async pathExists(path) {
@@ -354,39 +709,109 @@ variable "environment" {
     }
   }
 
-  // Cloud provider specific methods
-  async getAWSResources(region = 'us-east-1') {
-    if (!this.awsConfig) {
+  // Cloud provider specific methods. Each lists the live resources of an
+  // account, with a user's `credentials` (see credentialService) or, without
+  // them, with the server's own account.
+  awsClientOptions(region, credentials) {
+    return credentials ? {
+      region,
+      accessKeyId: credentials.accessKeyId,
+      secretAccessKey: credentials.secretAccessKey
+    } : { region };
+  }
+
+  // Follows an AWS list operation's pagination token to the end
+  async listAllAWS(call, key, requestToken = 'NextToken', responseToken = requestToken) {
+    const items = [];
+    let token;
+    do {
+      const page = await call(token ? { [requestToken]: token } : {});
+      items.push(...(page[key] || []));
+      token = page[responseToken];
+    } while (token);
+    return items;
+  }
+
+  // Regions enabled for the account
+  async getAWSRegions(credentials) {
+    if (!credentials && !this.awsConfig) {
+      throw new Error('AWS not configured');
+    }
+
+    const ec2 = new AWS.EC2(this.awsClientOptions((credentials && credentials.region) || 'us-east-1', credentials));
+    const { Regions } = await ec2.describeRegions().promise();
+    return Regions.map(region => region.RegionName);
+  }
+
+  async getAWSResources(region = 'us-east-1', credentials) {
+    if (!credentials && !this.awsConfig) {
       throw new Error('AWS not configured');
     }
 
     try {
-      const ec2 = new AWS.EC2({ region });
-      const { Reservations } = await ec2.describeInstances().promise();
-      
+      const options = this.awsClientOptions(region, credentials);
+      const ec2 = new AWS.EC2(options);
+      const rds = new AWS.RDS(options);
+      const lambda = new AWS.Lambda(options);
+
+      const [reservations, databases, functions] = await Promise.all([
+        this.listAllAWS(params => ec2.describeInstances(params).promise(), 'Reservations'),
+        this.listAllAWS(params => rds.describeDBInstances(params).promise(), 'DBInstances', 'Marker'),
+        this.listAllAWS(params => lambda.listFunctions(params).promise(), 'Functions', 'Marker', 'NextMarker')
+      ]);
+
       return {
-        instances: Reservations.flatMap(r => r.Instances),
+        instances: reservations.flatMap(r => r.Instances),
+        databases,
+        functions,
         region
       };
     } catch (error) {
-      logger.error('Failed to get AWS resources:', error);
+      logger.error(`Failed to get AWS resources in ${region}:`, error);
       throw error;
     }
   }
 
-  async getGCPResources(projectId) {
-    if (!this.gcpConfig) {
+  // S3 buckets are listed once for all regions
+  async getAWSBuckets(credentials) {
+    if (!credentials && !this.awsConfig) {
+      throw new Error('AWS not configured');
+    }
+
+    const s3 = new AWS.S3(this.awsClientOptions((credentials && credentials.region) || 'us-east-1', credentials));
+    const { Buckets } = await s3.listBuckets().promise();
+    return Buckets || [];
+  }
+
+  async getGCPResources(projectId, credentials) {
+    if (!credentials && !this.gcpConfig) {
       throw new Error('GCP not configured');
     }
 
     try {
-      const [instances] = await this.gcpConfig.compute.getInstances({
-        project: projectId,
-        zone: 'us-central1-a'
-      });
+      const key = credentials ? JSON.parse(credentials.keyFile) : null;
+      const clientOptions = key ? {
+        projectId,
+        credentials: { client_email: key.client_email, private_key: key.private_key }
+      } : { projectId };
+
+      // Aggregated lists cover every zone and region of the project
+      const collect = async (client, field) => {
+        const items = [];
+        for await (const [zone, scoped] of client.aggregatedListAsync({ project: projectId })) {
+          (scoped[field] || []).forEach(item => items.push({ ...item, zone: zone.replace(/^(zones|regions)\//, '') }));
+        }
+        return items;
+      };
+
+      const [instances, disks] = await Promise.all([
+        collect(new InstancesClient(clientOptions), 'instances'),
+        collect(new DisksClient(clientOptions), 'disks')
+      ]);
 
       return {
-        instances: instances || [],
+        instances,
+        disks,
         projectId
       };
     } catch (error) {
@@ -395,21 +820,31 @@ variable "environment" {
     }
   }
 
-  async getAzureResources(subscriptionId) {
-    if (!this.azureConfig) {
+  async getAzureResources(subscriptionId, credentials) {
+    if (!credentials && !this.azureConfig) {
       throw new Error('Azure not configured');
     }
 
     try {
+      const compute = credentials
+        ? new ComputeManagementClient(
+          new ClientSecretCredential(credentials.tenantId, credentials.clientId, credentials.clientSecret),
+          subscriptionId
+        )
+        : this.azureConfig.compute;
+
       const virtualMachines = [];
-      const result = this.azureConfig.compute.virtualMachines.list(subscriptionId);
-      
-      for await (const vm of result) {
+      for await (const vm of compute.virtualMachines.listAll()) {
         virtualMachines.push(vm);
       }
+      const disks = [];
+      for await (const disk of compute.disks.list()) {
+        disks.push(disk);
+      }
 
       return {
         virtualMachines,
+        disks,
         subscriptionId
       };
     } catch (error) {
@@ -430,9 +865,12 @@ const initializeCloudProviders = async () => {
 module.exports = {
   cloudService,
   initializeCloudProviders,
-  deployInfrastructure: (projectId, terraformCode, provider) => cloudService.deployInfrastructure(projectId, terraformCode, provider),
-  rollbackDeployment: (projectId) => cloudService.rollbackDeployment(projectId),
+  prepareWorkspace: (projectId, terraformCode, provider, options) => cloudService.prepareWorkspace(projectId, terraformCode, provider, options),
+  planInfrastructure: (projectId, planId, terraformCode, provider, options) => cloudService.planInfrastructure(projectId, planId, terraformCode, provider, options),
+  applyPlan: (projectId, planId, checksum, options) => cloudService.applyPlan(projectId, planId, checksum, options),
+  destroyInfrastructure: (projectId, options) => cloudService.destroyInfrastructure(projectId, options),
+  detectDrift: (projectId, options) => cloudService.detectDrift(projectId, options),
   getDeploymentStatus: (projectId) => cloudService.getDeploymentStatus(projectId),
-  getCostEstimate: (projectId) => cloudService.getCostEstimate(projectId),
+  getCostEstimate: (projectId, options) => cloudService.getCostEstimate(projectId, options),
   validateInfrastructure: (terraformCode, provider) => cloudService.validateInfrastructure(terraformCode, provider)
 };
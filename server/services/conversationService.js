@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const winston = require('winston');
+const Conversation = require('../models/Conversation');
+const { aiService } = require('./aiService');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/conversation-service.log' })
+  ]
+});
+
+// Rough token estimate (~4 characters per token) used for context budgeting
+const estimateTokens = (text = '') => Math.ceil(text.length / 4);
+
+class ConversationService {
+  constructor() {
+    this.contextTokens = parseInt(process.env.CHAT_CONTEXT_TOKENS, 10) || 6000;
+    this.minRecentMessages = 4;
+  }
+
+  async getConversation(conversationId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+      return null;
+    }
+    return Conversation.findOne({ _id: conversationId, userId });
+  }
+
+  // Resume the given conversation, or start a new one when no id is supplied
+  async resolveConversation(userId, { conversationId, projectId, message } = {}) {
+    if (conversationId) {
+      const conversation = await this.getConversation(conversationId, userId);
+      if (!conversation) {
+        const error = new Error('Conversation not found');
+        error.status = 404;
+        error.code = 'CONVERSATION_NOT_FOUND';
+        throw error;
+      }
+      return conversation;
+    }
+
+    return Conversation.create({
+      userId,
+      projectId: mongoose.Types.ObjectId.isValid(projectId) ? projectId : null,
+      title: message ? message.substring(0, 60) : undefined
+    });
+  }
+
+  // History to send with the next message: the rolling summary plus the most
+  // recent turns that fit the context budget. Older turns that no longer fit
+  // are folded into the summary and persisted.
+  async buildHistory(conversation, nextMessage = '', options = {}) {
+    const active = conversation.getActiveMessages();
+    const budget = this.contextTokens - estimateTokens(nextMessage) - estimateTokens(conversation.summary);
+
+    let used = 0;
+    let keepFrom = active.length;
+    while (keepFrom > 0) {
+      const cost = estimateTokens(active[keepFrom - 1].content);
+      if (used + cost > budget && active.length - keepFrom >= this.minRecentMessages) break;
+      used += cost;
+      keepFrom--;
+    }
+
+    if (keepFrom > 0) {
+      await this.foldIntoSummary(conversation, active.slice(0, keepFrom), options);
+    }
+
+    return {
+      summary: conversation.summary,
+      messages: conversation.getActiveMessages().map(({ role, content }) => ({ role, content }))
+    };
+  }
+
+  async foldIntoSummary(conversation, messages, options = {}) {
+    try {
+      conversation.summary = await aiService.summarizeConversation(conversation.summary, messages, options);
+    } catch (error) {
+      // The turns are dropped from the context either way; keep the old summary
+      logger.warn(`Failed to summarize conversation ${conversation._id}: ${error.message}`);
+    }
+
+    conversation.summarizedCount += messages.length;
+    await conversation.save();
+  }
+
+  async recordExchange(conversation, userMessage, assistantMessage, { cancelled = false } = {}) {
+    conversation.messages.push({ role: 'user', content: userMessage });
+    if (assistantMessage) {
+      conversation.messages.push({ role: 'assistant', content: assistantMessage, cancelled });
+    }
+    await conversation.save();
+    return conversation;
+  }
+}
+
+// Singleton instance
+const conversationService = new ConversationService();
+
+module.exports = {
+  conversationService,
+  estimateTokens
+};
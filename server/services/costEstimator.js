@@ -0,0 +1,286 @@
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/cost-estimator.log' })
+  ]
+});
+
+const HOURS_PER_MONTH = 730;
+// Highest literal `count` priced from configuration; larger counts are capped
+const MAX_CONFIG_COUNT = 1000;
+
+// Resource type prefix -> pricing table
+const PROVIDER_PREFIXES = {
+  aws_: 'aws',
+  google_: 'gcp',
+  azurerm_: 'azure'
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+const formatCurrency = (value) => `$${value.toFixed(2)}`;
+
+// Read a dotted attribute path such as `settings.0.tier` from plan values
+const readAttribute = (values, attributePath) => attributePath
+  .split('.')
+  .reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), values);
+
+// Deterministic monthly cost estimates from the bundled price tables in
+// server/pricing (override the directory with PRICING_TABLES_DIR).
+class CostEstimator {
+  constructor() {
+    this.pricingPath = process.env.PRICING_TABLES_DIR || path.join(__dirname, '../pricing');
+    this.tables = new Map();
+  }
+
+  getTable(provider) {
+    if (!this.tables.has(provider)) {
+      const file = path.join(this.pricingPath, `${provider}.json`);
+      this.tables.set(provider, JSON.parse(fs.readFileSync(file, 'utf8')));
+    }
+    return this.tables.get(provider);
+  }
+
+  // Drop cached tables so updated files are picked up without a restart
+  reloadTables() {
+    this.tables.clear();
+  }
+
+  getProviderForType(type) {
+    const prefix = Object.keys(PROVIDER_PREFIXES).find(candidate => type.startsWith(candidate));
+    return prefix ? PROVIDER_PREFIXES[prefix] : null;
+  }
+
+  normalizeRegion(provider, values = {}, fallback) {
+    const raw = values.location || values.region || values.zone || fallback;
+    if (!raw) return null;
+
+    switch (provider) {
+      case 'azure':
+        return raw.toLowerCase().replace(/\s+/g, '');
+      case 'gcp':
+        return raw.replace(/-[a-z]$/, '');
+      default:
+        return raw;
+    }
+  }
+
+  // Estimate from `terraform show -json` output of a saved plan (planned_values)
+  // or of the current state (values)
+  estimateFromPlan(planJson, options = {}) {
+    const plan = typeof planJson === 'string' ? JSON.parse(planJson) : planJson;
+    const rootModule = plan.planned_values?.root_module || plan.values?.root_module || {};
+
+    return this.estimateResources(this.collectModuleResources(rootModule), {
+      ...options,
+      source: plan.planned_values ? 'plan' : 'state'
+    });
+  }
+
+  collectModuleResources(module) {
+    const resources = (module.resources || [])
+      .filter(resource => resource.mode !== 'data')
+      .map(resource => ({
+        address: resource.address,
+        type: resource.type,
+        values: resource.values || {}
+      }));
+
+    return (module.child_modules || []).reduce(
+      (all, child) => all.concat(this.collectModuleResources(child)),
+      resources
+    );
+  }
+
+  // Estimate straight from configuration when no plan is available. Only
+  // literal attribute values and literal `count` are understood.
+  estimateFromConfiguration(terraform, options = {}) {
+    const code = typeof terraform === 'string' ? terraform : Object.values(terraform || {}).join('\n');
+    return this.estimateResources(this.parseConfiguration(code), {
+      ...options,
+      source: 'configuration'
+    });
+  }
+
+  parseConfiguration(code) {
+    const resources = [];
+    const blockPattern = /resource\s+"([^"]+)"\s+"([^"]+)"\s*\{/g;
+    let match;
+
+    while ((match = blockPattern.exec(code)) !== null) {
+      const [, type, name] = match;
+      const body = this.readBlockBody(code, blockPattern.lastIndex);
+      const values = {};
+
+      body.replace(/^\s*([A-Za-z0-9_]+)\s*=\s*(?:"([^"]*)"|(\d+(?:\.\d+)?))\s*$/gm, (line, key, text, number) => {
+        if (!(key in values)) {
+          values[key] = text !== undefined ? text : Number(number);
+        }
+        return line;
+      });
+
+      // Nested block attributes are addressed as `<block>.0.<attribute>`
+      body.replace(/^\s*([A-Za-z0-9_]+)\s*\{([^{}]*)\}/gm, (block, blockName, blockBody) => {
+        blockBody.replace(/^\s*([A-Za-z0-9_]+)\s*=\s*(?:"([^"]*)"|(\d+(?:\.\d+)?))\s*$/gm, (line, key, text, number) => {
+          values[blockName] = values[blockName] || [{}];
+          values[blockName][0][key] = text !== undefined ? text : Number(number);
+          return line;
+        });
+        return block;
+      });
+
+      // One entry per block; its price is multiplied by the count
+      const count = Number.isInteger(values.count) ? values.count : 1;
+      resources.push({
+        address: `${type}.${name}`,
+        type,
+        values,
+        count: Math.min(count, MAX_CONFIG_COUNT),
+        notes: count > MAX_CONFIG_COUNT ? [`count of ${count} priced as ${MAX_CONFIG_COUNT}`] : []
+      });
+    }
+
+    return resources;
+  }
+
+  readBlockBody(code, start) {
+    let depth = 1;
+    let position = start;
+    while (position < code.length && depth > 0) {
+      if (code[position] === '{') depth++;
+      if (code[position] === '}') depth--;
+      position++;
+    }
+    return code.slice(start, position - 1);
+  }
+
+  estimateResources(resources, options = {}) {
+    const breakdown = [];
+    const unpriced = [];
+    const versions = {};
+    let currency = 'USD';
+
+    resources.forEach((resource) => {
+      const provider = this.getProviderForType(resource.type);
+      if (!provider) {
+        unpriced.push({ address: resource.address, type: resource.type, reason: 'Unknown provider' });
+        return;
+      }
+
+      let table;
+      try {
+        table = this.getTable(provider);
+      } catch (error) {
+        logger.warn(`Pricing table for ${provider} unavailable: ${error.message}`);
+        unpriced.push({ address: resource.address, type: resource.type, reason: 'No pricing table' });
+        return;
+      }
+      versions[provider] = table.version;
+      currency = table.currency;
+
+      const notes = [...(resource.notes || [])];
+      const count = resource.count === undefined ? 1 : resource.count;
+      let region = this.normalizeRegion(provider, resource.values, options.regions?.[provider] || options.region);
+      if (!region || !table.regions[region]) {
+        if (region) notes.push(`No prices for region ${region}; using ${table.defaultRegion}`);
+        region = table.defaultRegion;
+      }
+
+      const rules = table.regions[region][resource.type];
+      if (!rules) {
+        unpriced.push({ address: resource.address, type: resource.type, reason: 'Resource type not in pricing table' });
+        return;
+      }
+
+      const components = [];
+      rules.forEach((rule) => {
+        const component = this.priceComponent(rule, resource.values);
+        if (component.error) {
+          notes.push(component.error);
+        } else {
+          components.push(component);
+        }
+        if (rule.note) notes.push(rule.note);
+      });
+
+      const monthlyCost = round(count * components.reduce((total, component) => total + component.monthlyCost, 0));
+
+      breakdown.push({
+        address: resource.address,
+        type: resource.type,
+        count,
+        service: rules[0].label,
+        provider,
+        region,
+        components,
+        monthlyCost,
+        cost: formatCurrency(monthlyCost),
+        notes
+      });
+    });
+
+    const monthlyTotal = round(breakdown.reduce((total, item) => total + item.monthlyCost, 0));
+
+    return {
+      source: options.source,
+      currency,
+      monthlyTotal,
+      monthlyEstimate: formatCurrency(monthlyTotal),
+      hoursPerMonth: HOURS_PER_MONTH,
+      breakdown,
+      unpriced,
+      pricingVersions: versions,
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  priceComponent(rule, values) {
+    const attributeValue = rule.attribute ? readAttribute(values, rule.attribute) : undefined;
+    let unitPrice = rule.price;
+    let quantity;
+
+    if (rule.prices) {
+      unitPrice = rule.prices[attributeValue];
+      if (unitPrice === undefined) {
+        return { error: `No ${rule.component} price for ${rule.attribute} "${attributeValue}"` };
+      }
+    }
+
+    let assumed = false;
+    if (rule.unit === 'hour') {
+      quantity = HOURS_PER_MONTH;
+    } else if (attributeValue !== undefined && !Number.isNaN(Number(attributeValue))) {
+      quantity = Number(attributeValue);
+    } else {
+      quantity = rule.defaultQuantity || 0;
+      assumed = true;
+    }
+
+    return {
+      component: rule.component,
+      label: rule.label,
+      unit: rule.unit,
+      sku: rule.prices ? attributeValue : undefined,
+      quantity,
+      assumed,
+      unitPrice,
+      monthlyCost: round(quantity * unitPrice)
+    };
+  }
+}
+
+// Singleton instance
+const costEstimator = new CostEstimator();
+
+module.exports = {
+  costEstimator,
+  HOURS_PER_MONTH
+};
@@ -0,0 +1,350 @@
+const os = require('os');
+const fs = require('fs').promises;
+const path = require('path');
+const AWS = require('aws-sdk');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const winston = require('winston');
+const User = require('../models/User');
+const { encryptionService } = require('./encryptionService');
+const { stateBackend } = require('./stateBackend');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/credential-service.log' })
+  ]
+});
+
+// Server-side cloud settings that must not leak into a user's Terraform run,
+// or a missing user value would silently fall back to the server's account
+const SERVER_CREDENTIAL_ENV = /^(AWS|GOOGLE|GCLOUD|CLOUDSDK|ARM|AZURE)_/;
+
+const PROVIDER_NAMES = {
+  aws: 'AWS',
+  gcp: 'GCP',
+  azure: 'Azure'
+};
+
+// Fields accepted per provider; secrets are stored encrypted (see User model)
+const PROVIDER_FIELDS = {
+  aws: { required: ['accessKeyId', 'secretAccessKey'], optional: ['region'] },
+  gcp: { required: ['projectId', 'keyFile'], optional: ['region'] },
+  azure: { required: ['subscriptionId', 'tenantId', 'clientId', 'clientSecret'], optional: ['region'] }
+};
+
+// Identity calls made by credential tests; point them at a local emulator
+// (e.g. LocalStack for STS) with the CREDENTIAL_TEST_* variables
+const TEST_TIMEOUT_MS = 10000;
+const AWS_STS_ENDPOINT = process.env.CREDENTIAL_TEST_AWS_ENDPOINT;
+const GCP_TOKEN_URL = process.env.CREDENTIAL_TEST_GCP_TOKEN_URL;
+const AZURE_AUTHORITY = (process.env.CREDENTIAL_TEST_AZURE_AUTHORITY || 'https://login.microsoftonline.com').replace(/\/$/, '');
+
+const mask = (value, visible = 4) => {
+  if (!value) return null;
+  return value.length <= visible * 2 ? '*'.repeat(value.length) : `${'*'.repeat(8)}${value.slice(-visible)}`;
+};
+
+// Invalid input from the user, reported as 400
+const validationError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Errors that retrying cannot fix; the job queue fails these right away
+const credentialError = (message) => {
+  const error = new Error(message);
+  error.code = 'CLOUD_CREDENTIALS_REQUIRED';
+  error.retryable = false;
+  return error;
+};
+
+// Builds the environment Terraform runs with for a user: the user's own
+// provider credentials as environment variables, and key files written to a
+// private temporary directory that is removed by `cleanup()`. With a
+// `projectId`, the credentials of the project's state backend are added.
+class CredentialService {
+  missingCredentialsMessage(provider) {
+    const name = PROVIDER_NAMES[provider] || provider;
+    return `No ${name} credentials configured. Add your ${name} credentials to your account before deploying.`;
+  }
+
+  async createScope(user, provider, { projectId } = {}) {
+    if (!user) {
+      throw credentialError('The deployment owner no longer exists');
+    }
+    if (!user.hasCloudProvider(provider)) {
+      throw credentialError(this.missingCredentialsMessage(provider));
+    }
+
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'cloud-playground-credentials-'));
+    const cleanup = () => fs.rm(directory, { recursive: true, force: true })
+      .catch(error => logger.error(`Failed to remove credential directory ${directory}:`, error));
+
+    try {
+      const env = Object.fromEntries(
+        Object.entries(process.env).filter(([key]) => !SERVER_CREDENTIAL_ENV.test(key))
+      );
+      Object.assign(env, await this.buildProviderEnv(provider, this.decryptCredentials(user, provider), directory));
+      if (projectId) {
+        Object.assign(env, stateBackend.getCredentialsEnv(projectId));
+      }
+
+      logger.info(`Credential scope created for user ${user._id} (${provider})`);
+      return { env, cleanup };
+    } catch (error) {
+      await cleanup();
+      throw error;
+    }
+  }
+
+  isSupported(provider) {
+    return Object.prototype.hasOwnProperty.call(PROVIDER_FIELDS, provider);
+  }
+
+  // Set the provider's credentials from user input (not saved yet). Omitted
+  // secrets keep their stored value, so e.g. the region can change alone.
+  updateCredentials(user, provider, input = {}) {
+    const { required, optional } = PROVIDER_FIELDS[provider];
+    const current = user.cloudCredentials[provider];
+
+    const values = {};
+    [...required, ...optional].forEach((field) => {
+      let value = input[field];
+      if (field === 'keyFile' && value && typeof value === 'object') {
+        value = JSON.stringify(value);
+      }
+      if (typeof value === 'string' && value.trim()) {
+        values[field] = value.trim();
+      }
+    });
+
+    const missing = required.filter(field => !values[field] && !current[field]);
+    if (missing.length > 0) {
+      throw validationError(`Missing ${PROVIDER_NAMES[provider]} credential fields: ${missing.join(', ')}`);
+    }
+
+    if (values.keyFile) {
+      let key;
+      try {
+        key = JSON.parse(values.keyFile);
+      } catch (error) {
+        throw validationError('GCP service account key must be the JSON key file');
+      }
+      if (!key.client_email || !key.private_key) {
+        throw validationError('GCP service account key must contain client_email and private_key');
+      }
+    }
+
+    Object.entries(values).forEach(([field, value]) => {
+      current[field] = value;
+    });
+    current.configured = true;
+    current.identity = undefined;
+    current.lastVerified = undefined;
+    current.lastVerificationError = undefined;
+  }
+
+  removeCredentials(user, provider) {
+    const { required, optional } = PROVIDER_FIELDS[provider];
+    const current = user.cloudCredentials[provider];
+
+    [...required, ...optional, 'identity', 'lastVerified', 'lastVerificationError'].forEach((field) => {
+      current[field] = undefined;
+    });
+    current.configured = false;
+  }
+
+  // What the client may see: status, non-secret settings and masked secrets
+  describeCredentials(user) {
+    return Object.fromEntries(Object.keys(PROVIDER_FIELDS).map((provider) => {
+      const stored = user.cloudCredentials[provider];
+      if (!stored.configured) {
+        return [provider, { configured: false }];
+      }
+
+      const credentials = this.decryptCredentials(user, provider);
+      const summary = {
+        configured: true,
+        region: credentials.region,
+        identity: credentials.identity,
+        lastVerified: credentials.lastVerified || null,
+        lastVerificationError: credentials.lastVerificationError || null
+      };
+
+      switch (provider) {
+        case 'aws':
+          return [provider, { ...summary, accessKeyId: mask(credentials.accessKeyId), secretAccessKey: mask(credentials.secretAccessKey) }];
+        case 'gcp': {
+          let clientEmail = null;
+          try {
+            clientEmail = JSON.parse(credentials.keyFile).client_email;
+          } catch (error) {
+            logger.warn(`Stored GCP key of user ${user._id} is not valid JSON`);
+          }
+          return [provider, { ...summary, projectId: credentials.projectId, clientEmail, keyFile: credentials.keyFile ? '********' : null }];
+        }
+        default:
+          return [provider, {
+            ...summary,
+            subscriptionId: credentials.subscriptionId,
+            tenantId: credentials.tenantId,
+            clientId: credentials.clientId,
+            clientSecret: mask(credentials.clientSecret)
+          }];
+      }
+    }));
+  }
+
+  // Dry-run identity call with the stored credentials. The outcome is kept on
+  // the user (not saved here) as `lastVerified` / `lastVerificationError`.
+  async testCredentials(user, provider) {
+    if (!user.hasCloudProvider(provider)) {
+      throw validationError(this.missingCredentialsMessage(provider));
+    }
+
+    const current = user.cloudCredentials[provider];
+    try {
+      const identity = await this.verifyIdentity(provider, this.decryptCredentials(user, provider));
+      current.identity = identity;
+      current.lastVerified = new Date();
+      current.lastVerificationError = undefined;
+      logger.info(`${PROVIDER_NAMES[provider]} credentials of user ${user._id} verified as ${identity}`);
+      return { success: true, identity, verifiedAt: current.lastVerified };
+    } catch (error) {
+      const message = error.response?.data?.error_description || error.response?.data?.error?.message || error.message;
+      current.lastVerificationError = message;
+      logger.warn(`${PROVIDER_NAMES[provider]} credential test failed for user ${user._id}: ${message}`);
+      return { success: false, error: message };
+    }
+  }
+
+  async verifyIdentity(provider, credentials) {
+    switch (provider) {
+      case 'aws': {
+        const sts = new AWS.STS({
+          accessKeyId: credentials.accessKeyId,
+          secretAccessKey: credentials.secretAccessKey,
+          region: credentials.region || 'us-east-1',
+          endpoint: AWS_STS_ENDPOINT,
+          maxRetries: 0,
+          httpOptions: { timeout: TEST_TIMEOUT_MS }
+        });
+        const { Arn } = await sts.getCallerIdentity().promise();
+        return Arn;
+      }
+
+      case 'gcp': {
+        // Exchange a signed JWT for an access token (service account flow)
+        const key = JSON.parse(credentials.keyFile);
+        const tokenUrl = GCP_TOKEN_URL || key.token_uri || 'https://oauth2.googleapis.com/token';
+        const assertion = jwt.sign(
+          { scope: 'https://www.googleapis.com/auth/cloud-platform' },
+          key.private_key,
+          { algorithm: 'RS256', issuer: key.client_email, audience: tokenUrl, expiresIn: 300 }
+        );
+        await axios.post(
+          tokenUrl,
+          new URLSearchParams({ grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer', assertion }).toString(),
+          { headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, timeout: TEST_TIMEOUT_MS }
+        );
+        return key.client_email;
+      }
+
+      default: {
+        // Client credentials token for Azure Resource Manager
+        await axios.post(
+          `${AZURE_AUTHORITY}/${encodeURIComponent(credentials.tenantId)}/oauth2/v2.0/token`,
+          new URLSearchParams({
+            grant_type: 'client_credentials',
+            client_id: credentials.clientId,
+            client_secret: credentials.clientSecret,
+            scope: 'https://management.azure.com/.default'
+          }).toString(),
+          { headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, timeout: TEST_TIMEOUT_MS }
+        );
+        return `${credentials.clientId}@${credentials.tenantId}`;
+      }
+    }
+  }
+
+  // Plain copy of the provider's credentials with the stored secrets decrypted
+  decryptCredentials(user, provider) {
+    const credentials = { ...user.toObject().cloudCredentials[provider] };
+    User.ENCRYPTED_CREDENTIAL_PATHS
+      .filter(path => path.startsWith(`cloudCredentials.${provider}.`))
+      .forEach((path) => {
+        const field = path.split('.').pop();
+        credentials[field] = encryptionService.decrypt(credentials[field]);
+      });
+    return credentials;
+  }
+
+  async buildProviderEnv(provider, credentials, directory) {
+    switch (provider) {
+      case 'aws':
+        if (!credentials.accessKeyId || !credentials.secretAccessKey) {
+          throw credentialError('AWS credentials are incomplete: access key ID and secret access key are required');
+        }
+        return {
+          AWS_ACCESS_KEY_ID: credentials.accessKeyId,
+          AWS_SECRET_ACCESS_KEY: credentials.secretAccessKey,
+          AWS_REGION: credentials.region,
+          AWS_DEFAULT_REGION: credentials.region,
+          // Never fall back to profiles or the instance role of the server
+          AWS_SHARED_CREDENTIALS_FILE: path.join(directory, 'aws-credentials'),
+          AWS_CONFIG_FILE: path.join(directory, 'aws-config'),
+          AWS_EC2_METADATA_DISABLED: 'true',
+          TF_VAR_aws_region: credentials.region
+        };
+
+      case 'gcp': {
+        if (!credentials.projectId || !credentials.keyFile) {
+          throw credentialError('GCP credentials are incomplete: project ID and service account key are required');
+        }
+        try {
+          JSON.parse(credentials.keyFile);
+        } catch (error) {
+          throw credentialError('GCP service account key is not valid JSON');
+        }
+
+        const keyPath = path.join(directory, 'gcp-service-account.json');
+        await fs.writeFile(keyPath, credentials.keyFile, { mode: 0o600 });
+        return {
+          GOOGLE_APPLICATION_CREDENTIALS: keyPath,
+          GOOGLE_CLOUD_PROJECT: credentials.projectId,
+          TF_VAR_gcp_project_id: credentials.projectId,
+          TF_VAR_gcp_region: credentials.region
+        };
+      }
+
+      case 'azure':
+        if (!credentials.subscriptionId || !credentials.clientId || !credentials.clientSecret || !credentials.tenantId) {
+          throw credentialError('Azure credentials are incomplete: subscription, tenant, client ID and client secret are required');
+        }
+        return {
+          ARM_SUBSCRIPTION_ID: credentials.subscriptionId,
+          ARM_TENANT_ID: credentials.tenantId,
+          ARM_CLIENT_ID: credentials.clientId,
+          ARM_CLIENT_SECRET: credentials.clientSecret,
+          TF_VAR_azure_location: credentials.region
+        };
+
+      default:
+        throw credentialError(`Unsupported cloud provider: ${provider}`);
+    }
+  }
+}
+
+// Singleton instance
+const credentialService = new CredentialService();
+
+module.exports = {
+  credentialService
+};
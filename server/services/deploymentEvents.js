@@ -0,0 +1,84 @@
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/deployment-events.log' })
+  ]
+});
+
+const CHANNEL = 'cloud-playground:deployment-progress';
+const CONNECT_TIMEOUT_MS = 5000;
+
+// The redis client keeps reconnecting in the background, so bound the wait
+const withTimeout = (promise, ms) => Promise.race([
+  promise,
+  new Promise((resolve, reject) => setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms).unref())
+]);
+
+// Deployment progress events. Listeners in the same process get them
+// directly; with REDIS_URL set they are also relayed between processes, so
+// progress from a standalone worker reaches the API's Socket.IO clients.
+class DeploymentEvents extends EventEmitter {
+  constructor() {
+    super();
+    this.instanceId = uuidv4();
+    this.publisher = null;
+    this.subscriber = null;
+  }
+
+  async initialize() {
+    if (!process.env.REDIS_URL) {
+      logger.info('REDIS_URL not set, deployment events are delivered in-process only');
+      return;
+    }
+
+    try {
+      const { createClient } = require('redis');
+      this.publisher = createClient({ url: process.env.REDIS_URL });
+      this.publisher.on('error', error => logger.error('Redis publisher error:', error));
+      this.subscriber = this.publisher.duplicate();
+      this.subscriber.on('error', error => logger.error('Redis subscriber error:', error));
+
+      await withTimeout(Promise.all([this.publisher.connect(), this.subscriber.connect()]), CONNECT_TIMEOUT_MS);
+      await this.subscriber.subscribe(CHANNEL, (message) => {
+        const { origin, event } = JSON.parse(message);
+        if (origin !== this.instanceId) {
+          this.emit('progress', event);
+        }
+      });
+
+      logger.info('Deployment events relayed through Redis');
+    } catch (error) {
+      logger.warn(`Redis unavailable, deployment events are delivered in-process only: ${error.message}`);
+      [this.publisher, this.subscriber].forEach(client => client && client.disconnect().catch(() => {}));
+      this.publisher = null;
+      this.subscriber = null;
+    }
+  }
+
+  publish(event) {
+    this.emit('progress', event);
+
+    if (this.publisher) {
+      this.publisher
+        .publish(CHANNEL, JSON.stringify({ origin: this.instanceId, event }))
+        .catch(error => logger.warn(`Failed to relay deployment event: ${error.message}`));
+    }
+  }
+}
+
+// Singleton instance
+const deploymentEvents = new DeploymentEvents();
+
+module.exports = {
+  deploymentEvents,
+  initializeDeploymentEvents: () => deploymentEvents.initialize()
+};
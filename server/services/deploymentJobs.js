@@ -0,0 +1,602 @@
+const winston = require('winston');
+const Deployment = require('../models/Deployment');
+const DeploymentSnapshot = require('../models/DeploymentSnapshot');
+const DriftReport = require('../models/DriftReport');
+const Project = require('../models/Project');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const { cloudService } = require('./cloudService');
+const { costEstimator } = require('./costEstimator');
+const { deploymentEvents } = require('./deploymentEvents');
+const { webhookService } = require('./webhookService');
+const { credentialService } = require('./credentialService');
+const { TerraformProgress } = require('./terraformProgress');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/deployments.log' })
+  ]
+});
+
+const PLAN_JOB = 'deployment.plan';
+const APPLY_JOB = 'deployment.apply';
+const ROLLBACK_JOB = 'deployment.rollback';
+const TEARDOWN_JOB = 'deployment.teardown';
+const DRIFT_JOB = 'deployment.drift';
+const DRIFT_SWEEP_JOB = 'deployment.drift-sweep';
+
+// Every deployed project is checked for drift this often; 0 disables the schedule
+const DRIFT_CHECK_INTERVAL_MS = (() => {
+  const minutes = parseInt(process.env.DRIFT_CHECK_INTERVAL_MINUTES, 10);
+  return (Number.isNaN(minutes) ? 360 : minutes) * 60 * 1000;
+})();
+
+// Streamed Terraform output is written to Deployment.logs in batches
+const LOG_FLUSH_INTERVAL_MS = 1000;
+
+// Push a `deployment-progress` event to the project's Socket.IO room
+const publishProgress = (deployment, fields = {}) => {
+  deploymentEvents.publish({
+    deploymentId: deployment._id.toString(),
+    projectId: deployment.projectId.toString(),
+    status: deployment.status,
+    progress: deployment.progress?.percent,
+    timestamp: new Date().toISOString(),
+    ...fields
+  });
+};
+
+// Append a log entry to the deployment; it is published once saved
+const addLog = (deployment, message, type) => {
+  const entry = { message, type, timestamp: new Date() };
+  deployment.logs.push(entry);
+  deployment.$locals.unpublished = [...(deployment.$locals.unpublished || []), entry];
+};
+
+// Save, then publish the new log entries along with the saved status so
+// clients reacting to a status change read a consistent document
+const saveAndPublish = async (deployment) => {
+  await deployment.save();
+  (deployment.$locals.unpublished || []).forEach(entry => publishProgress(deployment, { message: entry }));
+  deployment.$locals.unpublished = [];
+};
+
+const classifyLine = (line, stream) => {
+  if (/^\s*Error:/.test(line)) return 'error';
+  if (/^\s*Warning:/.test(line)) return 'warning';
+  if (/^(?:Apply|Destroy) complete!/.test(line)) return 'success';
+  return stream === 'stderr' ? 'warning' : 'info';
+};
+
+// Receives Terraform output for one job run: every line is published as it
+// arrives and appended to the deployment's logs with the parsed progress
+const createOutputRecorder = (deployment, progressOptions) => {
+  const progress = new TerraformProgress(progressOptions);
+  let pending = [];
+  let writes = Promise.resolve();
+
+  const flush = () => {
+    if (pending.length === 0) return writes;
+    const entries = pending;
+    pending = [];
+    writes = writes
+      .then(() => Deployment.updateOne(
+        { _id: deployment._id },
+        { $push: { logs: { $each: entries } }, $set: { progress: progress.toJSON() } }
+      ))
+      .catch(error => logger.warn(`Failed to store logs for deployment ${deployment._id}: ${error.message}`));
+    return writes;
+  };
+
+  const timer = setInterval(flush, LOG_FLUSH_INTERVAL_MS);
+
+  return {
+    progress,
+    onOutput: ({ phase, line, stream }) => {
+      progress.update(phase, line);
+      const entry = { message: line, type: classifyLine(line, stream), timestamp: new Date() };
+      pending.push(entry);
+      publishProgress(deployment, {
+        phase,
+        message: entry,
+        progress: progress.percent,
+        resources: { completed: progress.completed, total: progress.total }
+      });
+    },
+    close: async () => {
+      clearInterval(timer);
+      await flush();
+    }
+  };
+};
+
+// Price the project's plan/state, falling back to the stored configuration
+// when Terraform output is not available
+const estimateDeploymentCost = async (deployment) => {
+  const estimate = await cloudService.getCostEstimate(deployment.projectId.toString());
+  if (!estimate.error) return estimate;
+
+  logger.warn(`Plan-based cost estimate unavailable for deployment ${deployment._id}: ${estimate.error}`);
+  try {
+    return costEstimator.estimateFromConfiguration(deployment.terraformFiles || deployment.terraformCode);
+  } catch (error) {
+    logger.warn(`Failed to get cost estimate for deployment ${deployment._id}: ${error.message}`);
+    return { error: 'Cost estimation unavailable' };
+  }
+};
+
+// Terraform runs with the deployment owner's cloud credentials:
+// `operation(env)` gets the scoped environment, and temporary credential
+// files are removed once it settles
+const withCredentials = async (deployment, operation) => {
+  const user = await User.findById(deployment.userId);
+  const scope = await credentialService.createScope(user, deployment.provider, {
+    projectId: deployment.projectId.toString()
+  });
+  try {
+    return await operation(scope.env);
+  } finally {
+    await scope.cleanup();
+  }
+};
+
+// Record a failed attempt on the deployment and rethrow so the queue retries.
+// Aborted runs (lease lost or worker shutting down) leave the deployment to
+// the worker that retries the job.
+const recordAttemptFailure = async (deployment, job, action, error, signal) => {
+  if (signal?.aborted) throw error;
+
+  const willRetry = job.attempts < job.maxAttempts && error.retryable !== false;
+  addLog(
+    deployment,
+    `${action} attempt ${job.attempts}/${job.maxAttempts} failed: ${error.message}${willRetry ? ' (will retry)' : ''}`,
+    willRetry ? 'warning' : 'error'
+  );
+  await saveAndPublish(deployment);
+  logger.error(`${action} ${deployment._id} attempt ${job.attempts} failed: ${error.message}`);
+  throw error;
+};
+
+// Record the configuration and resulting state of a successful apply so a
+// later rollback can return to it
+const captureSnapshot = async (deployment) => {
+  try {
+    const state = await cloudService.getState(deployment.projectId.toString());
+    const { serial, lineage } = state ? JSON.parse(state) : {};
+
+    await DeploymentSnapshot.findOneAndUpdate(
+      { deploymentId: deployment._id },
+      {
+        projectId: deployment.projectId,
+        provider: deployment.provider,
+        terraformCode: deployment.terraformCode,
+        terraformFiles: deployment.terraformFiles,
+        state,
+        serial,
+        lineage
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    logger.warn(`Failed to snapshot deployment ${deployment._id}: ${error.message}`);
+  }
+};
+
+// The project's previously live deployment is no longer what is running
+const supersedePrevious = (deployment) => Deployment.updateMany(
+  { projectId: deployment.projectId, _id: { $ne: deployment._id }, status: 'deployed' },
+  { $set: { status: 'superseded' } }
+);
+
+const describePlan = ({ add, change, destroy }) => `${add} to add, ${change} to change, ${destroy} to destroy`;
+
+// Plan deployment (background job): saves a plan and waits for approval
+async function processPlan({ deploymentId }, job, { signal } = {}) {
+  const queued = await Deployment.findById(deploymentId);
+  if (!queued) return { skipped: 'Deployment not found' };
+
+  // A retried job finds its deployment still planning. Other queued plans
+  // don't hold the project; the first to start takes it.
+  const deployment = await Deployment.claimOperation(
+    queued,
+    ['pending', 'planning'],
+    { status: 'planning' },
+    Deployment.RUNNING_STATUSES
+  );
+  if (!deployment) {
+    if (queued.status !== 'pending') return { skipped: `Deployment is ${queued.status}` };
+
+    queued.status = 'failed';
+    addLog(queued, 'Planning failed: another operation is in progress for this project', 'error');
+    await saveAndPublish(queued);
+    return { skipped: 'Another operation is in progress for this project' };
+  }
+
+  deployment.progress = new TerraformProgress().toJSON();
+  addLog(
+    deployment,
+    job.attempts > 1
+      ? `Retrying plan (attempt ${job.attempts}/${job.maxAttempts})...`
+      : 'Planning deployment...',
+    'info'
+  );
+  await saveAndPublish(deployment);
+
+  const recorder = createOutputRecorder(deployment);
+  let plan;
+  try {
+    plan = await withCredentials(deployment, env => cloudService.planInfrastructure(
+      deployment.projectId.toString(),
+      deployment._id.toString(),
+      deployment.terraformFiles || deployment.terraformCode,
+      deployment.provider,
+      { env, signal, onOutput: recorder.onOutput }
+    ));
+  } catch (error) {
+    await recorder.close();
+    return recordAttemptFailure(deployment, job, 'Planning', error, signal);
+  }
+  await recorder.close();
+
+  deployment.status = 'awaiting_approval';
+  deployment.plan = {
+    checksum: plan.checksum,
+    summary: plan.summary,
+    createdAt: new Date()
+  };
+  deployment.progress = recorder.progress.toJSON();
+
+  try {
+    deployment.costEstimate = costEstimator.estimateFromPlan(plan.planJson);
+  } catch (error) {
+    logger.warn(`Failed to estimate cost of plan for deployment ${deployment._id}: ${error.message}`);
+  }
+
+  addLog(deployment, `Plan ready: ${describePlan(plan.summary)}. Waiting for approval.`, 'info');
+  await saveAndPublish(deployment);
+  return { status: deployment.status, summary: plan.summary };
+}
+
+// Apply an approved plan (background job). Not retried: after a partial
+// apply the saved plan is stale and a new plan has to be reviewed.
+async function processApply({ deploymentId }, job, { signal } = {}) {
+  const deployment = await Deployment.findById(deploymentId);
+  if (!deployment) return { skipped: 'Deployment not found' };
+  if (deployment.status !== 'deploying' || !deployment.approvedAt) {
+    return { skipped: `Deployment is ${deployment.status}` };
+  }
+
+  const startTime = Date.now();
+  const { add, change, destroy } = deployment.plan.summary;
+  const progressOptions = { total: add + change + destroy };
+
+  deployment.progress = new TerraformProgress(progressOptions).toJSON();
+  addLog(deployment, 'Applying approved plan...', 'info');
+  await saveAndPublish(deployment);
+
+  const recorder = createOutputRecorder(deployment, progressOptions);
+  let result;
+  try {
+    result = await withCredentials(deployment, env => cloudService.applyPlan(
+      deployment.projectId.toString(),
+      deployment._id.toString(),
+      deployment.plan.checksum,
+      { env, signal, onOutput: recorder.onOutput }
+    ));
+
+    if (!result.success) {
+      throw new Error(result.message || 'Deployment failed');
+    }
+  } catch (error) {
+    await recorder.close();
+    return recordAttemptFailure(deployment, job, 'Deployment', error, signal);
+  }
+  await recorder.close();
+
+  deployment.status = 'deployed';
+  deployment.outputs = result.outputs;
+  deployment.deployedAt = new Date();
+  deployment.deploymentTime = Math.round((Date.now() - startTime) / 1000);
+  deployment.progress = { ...recorder.progress.toJSON(), percent: 100 };
+  addLog(deployment, 'Deployment completed successfully', 'success');
+
+  // Get cost estimate
+  deployment.costEstimate = await estimateDeploymentCost(deployment);
+
+  await supersedePrevious(deployment);
+  await captureSnapshot(deployment);
+  await saveAndPublish(deployment);
+  return { status: deployment.status };
+}
+
+// Roll back (background job): plan and apply the configuration of the
+// project's previous successful deployment against the current state. The
+// state snapshot is pushed first when the project has no state left.
+async function processRollback({ deploymentId, targetId }, job, { signal } = {}) {
+  const [deployment, target] = await Promise.all([
+    Deployment.findById(deploymentId),
+    Deployment.findById(targetId)
+  ]);
+  if (!deployment) return { skipped: 'Deployment not found' };
+  if (!target) throw new Error('Deployment to roll back to no longer exists');
+
+  const projectId = deployment.projectId.toString();
+  const planId = `rollback-${deployment._id}`;
+
+  deployment.progress = new TerraformProgress().toJSON();
+  addLog(
+    deployment,
+    job.attempts > 1
+      ? `Retrying rollback (attempt ${job.attempts}/${job.maxAttempts})...`
+      : `Rolling back to deployment "${target.name}" from ${new Date(target.deployedAt || target.createdAt).toISOString()}...`,
+    'info'
+  );
+  await saveAndPublish(deployment);
+
+  const recorder = createOutputRecorder(deployment);
+  let result;
+  try {
+    const snapshot = await DeploymentSnapshot.findOne({ deploymentId: target._id });
+
+    result = await withCredentials(target, async (env) => {
+      // Initialized first so the state check reads the state backend
+      await cloudService.prepareWorkspace(projectId, target.terraformFiles || target.terraformCode, target.provider, {
+        env,
+        signal,
+        onOutput: recorder.onOutput
+      });
+      if (snapshot?.state && !await cloudService.getState(projectId)) {
+        await cloudService.restoreState(projectId, snapshot.state);
+      }
+
+      const plan = await cloudService.planInfrastructure(
+        projectId,
+        planId,
+        target.terraformFiles || target.terraformCode,
+        target.provider,
+        { env, signal, onOutput: recorder.onOutput }
+      );
+      return cloudService.applyPlan(projectId, planId, plan.checksum, { env, signal, onOutput: recorder.onOutput });
+    });
+
+    if (!result.success) {
+      throw new Error(result.message || 'Rollback failed');
+    }
+  } catch (error) {
+    await recorder.close();
+    await cloudService.discardPlan(projectId, planId).catch(() => {});
+    return recordAttemptFailure(deployment, job, 'Rollback', error, signal);
+  }
+  await recorder.close();
+
+  deployment.status = 'rolled_back';
+  deployment.rolledBackAt = new Date();
+  deployment.progress = { ...recorder.progress.toJSON(), percent: 100 };
+  addLog(deployment, `Rolled back to deployment "${target.name}"`, 'success');
+
+  target.status = 'deployed';
+  target.outputs = result.outputs;
+  addLog(target, `Restored by rollback of deployment "${deployment.name}"`, 'success');
+
+  await saveAndPublish(deployment);
+  await saveAndPublish(target);
+  await captureSnapshot(target);
+  return { status: deployment.status, restored: target._id.toString() };
+}
+
+// Tear down (background job): destroy everything the project manages
+async function processTeardown({ deploymentId }, job, { signal } = {}) {
+  const deployment = await Deployment.findById(deploymentId);
+  if (!deployment) return { skipped: 'Deployment not found' };
+
+  deployment.progress = new TerraformProgress().toJSON();
+  addLog(
+    deployment,
+    job.attempts > 1
+      ? `Retrying teardown (attempt ${job.attempts}/${job.maxAttempts})...`
+      : 'Destroying all project infrastructure...',
+    'info'
+  );
+  await saveAndPublish(deployment);
+
+  const recorder = createOutputRecorder(deployment);
+  try {
+    const result = await withCredentials(deployment, env => cloudService.destroyInfrastructure(deployment.projectId.toString(), {
+      terraform: deployment.terraformFiles || deployment.terraformCode,
+      provider: deployment.provider,
+      env,
+      signal,
+      onOutput: recorder.onOutput
+    }));
+
+    if (!result.success) {
+      throw new Error(result.message || 'Teardown failed');
+    }
+  } catch (error) {
+    await recorder.close();
+    return recordAttemptFailure(deployment, job, 'Teardown', error, signal);
+  }
+  await recorder.close();
+
+  deployment.status = 'destroyed';
+  deployment.destroyedAt = new Date();
+  deployment.progress = { ...recorder.progress.toJSON(), percent: 100 };
+  addLog(deployment, 'Infrastructure destroyed', 'success');
+
+  await saveAndPublish(deployment);
+
+  // The teardown may have been started from an older deployment; the live
+  // one's infrastructure is gone too
+  await Deployment.updateMany(
+    { projectId: deployment.projectId, _id: { $ne: deployment._id }, status: 'deployed' },
+    {
+      $set: { status: 'destroyed', destroyedAt: deployment.destroyedAt },
+      $push: { logs: { message: `Infrastructure destroyed by teardown of deployment "${deployment.name}"`, type: 'info', timestamp: new Date() } }
+    }
+  );
+  return { status: deployment.status };
+}
+
+// Store a drift report and reflect it on the project: `drifted` while the
+// cloud differs, back to `deployed` once it matches again
+const recordDriftReport = async (deployment, fields) => {
+  const report = await DriftReport.create({
+    projectId: deployment.projectId,
+    deploymentId: deployment._id,
+    userId: deployment.userId,
+    ...fields
+  });
+
+  await Project.updateOne(
+    { _id: deployment.projectId },
+    { $set: { lastDriftCheck: { status: report.status, reportId: report._id, checkedAt: report.checkedAt } } }
+  );
+  if (report.status === 'drifted') {
+    await Project.updateOne({ _id: deployment.projectId }, { $set: { status: 'drifted', updatedAt: new Date() } });
+  } else if (report.status === 'in_sync') {
+    await Project.updateOne({ _id: deployment.projectId, status: 'drifted' }, { $set: { status: 'deployed', updatedAt: new Date() } });
+  }
+
+  publishProgress(deployment, {
+    drift: { status: report.status, reportId: report._id.toString(), resources: report.resources.length }
+  });
+  return report;
+};
+
+// Reports describe the same drift when the same attributes differ the same way
+const describeDrift = (report) => JSON.stringify({
+  status: report?.status,
+  resources: (report?.resources || []).map(({ address, action, changes }) => [
+    address,
+    action,
+    changes.map(({ attribute, actual }) => [attribute, actual])
+  ])
+});
+
+// Drift check (background job): refresh-only plan of a deployed project.
+// The deployment log and webhooks only hear about drift when it changes.
+async function processDriftCheck({ deploymentId, trigger = 'scheduled' }, job, { signal } = {}) {
+  const deployment = await Deployment.findById(deploymentId);
+  if (!deployment || deployment.status !== 'deployed') {
+    return { skipped: 'Deployment is not live' };
+  }
+  if (await Deployment.hasOperationInProgress(deployment.projectId)) {
+    return { skipped: 'Another operation is in progress for this project' };
+  }
+  // Sweeps started by several workers at once may queue the same check twice
+  if (trigger === 'scheduled' && await DriftReport.exists({ deploymentId, checkedAt: { $gt: job.createdAt } })) {
+    return { skipped: 'Already checked' };
+  }
+
+  const previous = await DriftReport.findOne({ deploymentId, status: { $ne: 'failed' } }).sort({ checkedAt: -1 });
+  const result = await withCredentials(deployment, env => cloudService.detectDrift(deployment.projectId.toString(), {
+    terraform: deployment.terraformFiles || deployment.terraformCode,
+    provider: deployment.provider,
+    env,
+    signal
+  }));
+
+  const report = await recordDriftReport(deployment, {
+    trigger,
+    status: result.drifted ? 'drifted' : 'in_sync',
+    resources: result.resources
+  });
+
+  if (describeDrift(previous) !== describeDrift(report)) {
+    if (report.status === 'drifted') {
+      addLog(deployment, `Drift detected: ${report.resources.length} resource(s) changed outside Terraform`, 'warning');
+      await saveAndPublish(deployment);
+      await webhookService.sendDriftReport(report, deployment);
+    } else if (previous) {
+      addLog(deployment, 'Infrastructure matches the configuration again', 'success');
+      await saveAndPublish(deployment);
+    }
+  }
+
+  return { status: report.status, reportId: report._id.toString() };
+}
+
+const markDriftCheckFailed = async ({ deploymentId, trigger = 'scheduled' }, job, error) => {
+  const deployment = await Deployment.findById(deploymentId);
+  if (!deployment) return;
+
+  await recordDriftReport(deployment, { trigger, status: 'failed', error: error.message });
+};
+
+// Queue the next drift sweep unless one is already waiting
+const scheduleDriftSweep = async (queue, delay) => {
+  if (await Job.exists({ type: DRIFT_SWEEP_JOB, status: 'queued' })) return;
+  await queue.enqueue(DRIFT_SWEEP_JOB, {}, { delay });
+};
+
+// Drift sweep (background job): queue a check for every live deployment,
+// then schedule the next sweep
+const createDriftSweep = (queue) => async () => {
+  const deployments = await Deployment.find({ status: 'deployed' }).select('_id');
+
+  for (const deployment of deployments) {
+    await queue.enqueue(DRIFT_JOB, { deploymentId: deployment._id.toString(), trigger: 'scheduled' });
+  }
+
+  await scheduleDriftSweep(queue, DRIFT_CHECK_INTERVAL_MS);
+  return { queued: deployments.length };
+};
+
+// Start the drift schedule if no sweep is pending or running yet. Called by
+// every process that runs jobs; the sweep re-schedules itself from then on.
+const scheduleDriftChecks = async (queue) => {
+  if (DRIFT_CHECK_INTERVAL_MS <= 0) {
+    logger.info('Scheduled drift checks disabled');
+    return;
+  }
+  if (await Job.exists({ type: DRIFT_SWEEP_JOB, status: 'running' })) return;
+
+  await scheduleDriftSweep(queue, 0);
+};
+
+// Runs once a job is out of attempts, including jobs orphaned by a worker
+// that died mid-run, so the deployment never stays in a transitional status
+const markFailed = (action) => async ({ deploymentId }, job, error) => {
+  const deployment = await Deployment.findById(deploymentId);
+  if (!deployment) return;
+
+  deployment.status = 'failed';
+  addLog(deployment, `${action} failed after ${job.attempts} attempt(s): ${error.message}`, 'error');
+  await saveAndPublish(deployment);
+};
+
+const registerDeploymentJobs = (queue) => {
+  queue.register(PLAN_JOB, processPlan, { onFailed: markFailed('Planning') });
+  queue.register(APPLY_JOB, processApply, { onFailed: markFailed('Deployment'), maxAttempts: 1 });
+  queue.register(ROLLBACK_JOB, processRollback, { onFailed: markFailed('Rollback') });
+  queue.register(TEARDOWN_JOB, processTeardown, { onFailed: markFailed('Teardown') });
+  queue.register(DRIFT_JOB, processDriftCheck, { onFailed: markDriftCheckFailed });
+  queue.register(DRIFT_SWEEP_JOB, createDriftSweep(queue), {
+    onFailed: () => scheduleDriftSweep(queue, DRIFT_CHECK_INTERVAL_MS),
+    maxAttempts: 1
+  });
+};
+
+// Log a status change made outside a job (approval, rejection) and publish it
+const recordDeploymentEvent = async (deployment, message, type = 'info') => {
+  addLog(deployment, message, type);
+  await saveAndPublish(deployment);
+};
+
+module.exports = {
+  PLAN_JOB,
+  APPLY_JOB,
+  ROLLBACK_JOB,
+  TEARDOWN_JOB,
+  DRIFT_JOB,
+  registerDeploymentJobs,
+  scheduleDriftChecks,
+  estimateDeploymentCost,
+  recordDeploymentEvent
+};
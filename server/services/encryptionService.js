@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/encryption-service.log' })
+  ]
+});
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc:v1';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+// Version of the key derived from JWT_SECRET, used when no master key is
+// configured outside production; configured keys start at 1
+const DERIVED_KEY_VERSION = 0;
+
+const seal = (key, plaintext) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+};
+
+const open = (key, sealed) => {
+  const data = Buffer.from(sealed, 'base64');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, data.subarray(0, IV_BYTES));
+  decipher.setAuthTag(data.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(data.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+};
+
+// Envelope encryption for secrets stored in MongoDB. Every value gets its own
+// random data key; the data key is wrapped with a versioned master key from
+// ENCRYPTION_KEYS. Stored values look like
+//   enc:v1:<master key version>:<wrapped data key>:<ciphertext>
+// so rotating the master key only re-wraps data keys.
+class EncryptionService {
+  constructor() {
+    this.keys = new Map();
+    this.activeVersion = null;
+    this.loadKeys();
+  }
+
+  // ENCRYPTION_KEYS="1:<base64 32 bytes>,2:<base64 32 bytes>". The highest
+  // version encrypts new values unless ENCRYPTION_ACTIVE_KEY_VERSION is set.
+  loadKeys() {
+    (process.env.ENCRYPTION_KEYS || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .forEach((entry) => {
+        const [version, encoded] = entry.split(':');
+        const key = Buffer.from(encoded || '', 'base64');
+        if (!/^\d+$/.test(version) || Number(version) === DERIVED_KEY_VERSION || key.length !== 32) {
+          throw new Error(`Invalid ENCRYPTION_KEYS entry for version "${version}": expected <version >= 1>:<base64 32-byte key>`);
+        }
+        this.keys.set(Number(version), key);
+      });
+
+    const configured = Array.from(this.keys.keys());
+    if (configured.length === 0 && process.env.NODE_ENV === 'production') {
+      throw new Error('ENCRYPTION_KEYS must be set in production');
+    }
+
+    // Values written before master keys were configured stay readable
+    if (process.env.JWT_SECRET) {
+      this.keys.set(
+        DERIVED_KEY_VERSION,
+        crypto.createHash('sha256').update(`credential-encryption:${process.env.JWT_SECRET}`).digest()
+      );
+    }
+
+    if (configured.length === 0) {
+      if (!this.keys.has(DERIVED_KEY_VERSION)) {
+        throw new Error('ENCRYPTION_KEYS (or, outside production, JWT_SECRET) must be set to encrypt secrets');
+      }
+      logger.warn('ENCRYPTION_KEYS not set, secrets are encrypted with a key derived from JWT_SECRET');
+    }
+
+    this.activeVersion = process.env.ENCRYPTION_ACTIVE_KEY_VERSION
+      ? Number(process.env.ENCRYPTION_ACTIVE_KEY_VERSION)
+      : Math.max(DERIVED_KEY_VERSION, ...configured);
+
+    if (!this.keys.has(this.activeVersion)) {
+      throw new Error(`ENCRYPTION_ACTIVE_KEY_VERSION ${this.activeVersion} is not in ENCRYPTION_KEYS`);
+    }
+  }
+
+  isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+  }
+
+  getKeyVersion(value) {
+    return this.isEncrypted(value) ? Number(value.split(':')[2]) : null;
+  }
+
+  getMasterKey(version) {
+    const key = this.keys.get(version);
+    if (!key) {
+      throw new Error(`Master key version ${version} is not configured`);
+    }
+    return key;
+  }
+
+  encrypt(plaintext) {
+    if (plaintext === undefined || plaintext === null || plaintext === '') return plaintext;
+
+    const dataKey = crypto.randomBytes(32);
+    const wrappedKey = seal(this.getMasterKey(this.activeVersion), dataKey);
+    return [PREFIX, this.activeVersion, wrappedKey, seal(dataKey, Buffer.from(String(plaintext), 'utf8'))].join(':');
+  }
+
+  // Values that are not encrypted yet (stored before encryption was added)
+  // are returned unchanged until the rotation command has migrated them
+  decrypt(value) {
+    if (!this.isEncrypted(value)) return value;
+
+    const [, , version, wrappedKey, ciphertext] = value.split(':');
+    const dataKey = open(this.getMasterKey(Number(version)), wrappedKey);
+    return open(dataKey, ciphertext).toString('utf8');
+  }
+
+  // Re-wrap the data key with the active master key; plaintext values are
+  // encrypted. Returns the value unchanged when it is already current.
+  rewrap(value) {
+    if (value === undefined || value === null || value === '') return value;
+    if (!this.isEncrypted(value)) return this.encrypt(value);
+
+    const [prefix, schema, version, wrappedKey, ciphertext] = value.split(':');
+    if (Number(version) === this.activeVersion) return value;
+
+    const dataKey = open(this.getMasterKey(Number(version)), wrappedKey);
+    return [prefix, schema, this.activeVersion, seal(this.getMasterKey(this.activeVersion), dataKey), ciphertext].join(':');
+  }
+}
+
+// Singleton instance
+const encryptionService = new EncryptionService();
+
+module.exports = {
+  encryptionService
+};
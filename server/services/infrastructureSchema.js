@@ -0,0 +1,131 @@
+const Joi = require('joi');
+
+const TERRAFORM_FILES = ['main.tf', 'variables.tf', 'outputs.tf'];
+
+// JSON schema sent to providers that support schema-constrained output. It is
+// written in the strict subset (every property required, no extra keys).
+const infrastructureJsonSchema = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['files', 'resources', 'variables', 'assumptions'],
+  properties: {
+    files: {
+      type: 'object',
+      additionalProperties: false,
+      required: TERRAFORM_FILES,
+      properties: TERRAFORM_FILES.reduce((properties, file) => ({
+        ...properties,
+        [file]: { type: 'string', description: `Contents of ${file}` }
+      }), {})
+    },
+    resources: {
+      type: 'array',
+      description: 'Every resource declared in main.tf',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['type', 'name', 'description'],
+        properties: {
+          type: { type: 'string', description: 'Terraform resource type, e.g. aws_instance' },
+          name: { type: 'string', description: 'Resource name in the configuration' },
+          description: { type: 'string' }
+        }
+      }
+    },
+    variables: {
+      type: 'array',
+      description: 'Input variables declared in variables.tf',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['name', 'type', 'description', 'default'],
+        properties: {
+          name: { type: 'string' },
+          type: { type: 'string' },
+          description: { type: 'string' },
+          default: { type: ['string', 'null'] }
+        }
+      }
+    },
+    assumptions: {
+      type: 'array',
+      description: 'Assumptions made where the requirements were ambiguous',
+      items: { type: 'string' }
+    }
+  }
+};
+
+// Server-side validation of the same shape
+const infrastructureDocumentSchema = Joi.object({
+  files: Joi.object(TERRAFORM_FILES.reduce((keys, file) => ({
+    ...keys,
+    [file]: Joi.string().allow('').required()
+  }), {})).required(),
+  resources: Joi.array().items(Joi.object({
+    type: Joi.string().required(),
+    name: Joi.string().required(),
+    description: Joi.string().allow('').default('')
+  })).default([]),
+  variables: Joi.array().items(Joi.object({
+    name: Joi.string().required(),
+    type: Joi.string().allow('').default('string'),
+    description: Joi.string().allow('').default(''),
+    default: Joi.any().allow(null).default(null)
+  })).default([]),
+  assumptions: Joi.array().items(Joi.string()).default([])
+});
+
+// Remove a surrounding Markdown code fence (```json, ```hcl, ...) if present
+const stripCodeFences = (text = '') => {
+  const trimmed = text.trim();
+  const match = trimmed.match(/^```[\w-]*\s*\n([\s\S]*?)\n?```$/);
+  return match ? match[1].trim() : trimmed;
+};
+
+// Parse a model reply into a validated infrastructure document. Tolerates
+// fences and prose around the JSON object and fenced file contents.
+const parseInfrastructureResponse = (text) => {
+  let raw = stripCodeFences(text);
+
+  if (!raw.startsWith('{')) {
+    const start = raw.indexOf('{');
+    const end = raw.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+      throw new Error('AI response did not contain a JSON document');
+    }
+    raw = raw.slice(start, end + 1);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`AI response is not valid JSON: ${error.message}`);
+  }
+
+  const { value, error } = infrastructureDocumentSchema.validate(parsed, { stripUnknown: true });
+  if (error) {
+    throw new Error(`AI response does not match the infrastructure schema: ${error.message}`);
+  }
+
+  TERRAFORM_FILES.forEach((file) => {
+    value.files[file] = stripCodeFences(value.files[file]);
+  });
+
+  return value;
+};
+
+// Single-string view of the files for consumers that expect one configuration
+const combineTerraformFiles = (files = {}) => Object.entries(files)
+  .filter(([, content]) => content && content.trim())
+  .map(([file, content]) => `# ---- ${file} ----\n${content.trim()}\n`)
+  .join('\n');
+
+module.exports = {
+  TERRAFORM_FILES,
+  infrastructureJsonSchema,
+  infrastructureDocumentSchema,
+  stripCodeFences,
+  parseInfrastructureResponse,
+  combineTerraformFiles
+};
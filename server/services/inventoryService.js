@@ -0,0 +1,433 @@
+const winston = require('winston');
+const Deployment = require('../models/Deployment');
+const InventorySnapshot = require('../models/InventorySnapshot');
+const Project = require('../models/Project');
+const TerraformStateVersion = require('../models/TerraformStateVersion');
+const { cloudService } = require('./cloudService');
+const { credentialService } = require('./credentialService');
+const { projectAccessService } = require('./projectAccessService');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/inventory.log' })
+  ]
+});
+
+// Snapshots younger than this are served without asking the providers again
+const CACHE_MINUTES = process.env.INVENTORY_CACHE_MINUTES !== undefined
+  ? Number(process.env.INVENTORY_CACHE_MINUTES)
+  : 15;
+// AWS regions to scan; all regions enabled for the account when unset
+const AWS_REGIONS = (process.env.INVENTORY_AWS_REGIONS || '').split(',').map(region => region.trim()).filter(Boolean);
+const REGION_CONCURRENCY = 4;
+const MAX_PAGE_SIZE = 500;
+
+// Attributes of Terraform state that hold a resource's provider id
+const STATE_ID_ATTRIBUTES = ['id', 'arn', 'self_link', 'identifier', 'resource_id'];
+
+const inventoryError = (message, status = 400, code = 'INVALID_REQUEST') => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+const lower = value => (value === undefined || value === null ? null : String(value).toLowerCase());
+const tagsFromList = (list = []) => Object.fromEntries(list.map(tag => [tag.Key, tag.Value]));
+const zoneRegion = zone => zone.replace(/-[a-z]$/, '');
+
+// Runs `task` for every item, at most `limit` at a time
+const mapLimit = async (items, limit, task) => {
+  const results = [];
+  let next = 0;
+  const run = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+  return results;
+};
+
+// Provider responses to inventory resources
+const normalize = {
+  awsInstance: (instance, region) => {
+    const tags = tagsFromList(instance.Tags);
+    return {
+      id: instance.InstanceId,
+      name: tags.Name || instance.InstanceId,
+      type: 'aws_instance',
+      region,
+      state: lower(instance.State && instance.State.Name),
+      tags,
+      createdAt: instance.LaunchTime
+    };
+  },
+  awsDatabase: (database, region) => ({
+    id: database.DBInstanceArn,
+    name: database.DBInstanceIdentifier,
+    type: 'aws_db_instance',
+    region,
+    state: lower(database.DBInstanceStatus),
+    tags: tagsFromList(database.TagList),
+    createdAt: database.InstanceCreateTime,
+    aliases: [database.DBInstanceIdentifier, database.DbiResourceId].filter(Boolean)
+  }),
+  awsFunction: (fn, region) => ({
+    id: fn.FunctionArn,
+    name: fn.FunctionName,
+    type: 'aws_lambda_function',
+    region,
+    state: lower(fn.State || 'active'),
+    tags: {},
+    aliases: [fn.FunctionName]
+  }),
+  awsBucket: bucket => ({
+    id: bucket.Name,
+    name: bucket.Name,
+    type: 'aws_s3_bucket',
+    region: bucket.BucketRegion || 'global',
+    state: 'available',
+    tags: {},
+    createdAt: bucket.CreationDate,
+    aliases: [`arn:aws:s3:::${bucket.Name}`]
+  }),
+  gcp: (item, type, projectId, collection) => ({
+    id: item.selfLink,
+    name: item.name,
+    type,
+    region: zoneRegion(item.zone),
+    state: lower(item.status),
+    tags: item.labels || {},
+    createdAt: item.creationTimestamp,
+    aliases: [String(item.id), `projects/${projectId}/zones/${item.zone}/${collection}/${item.name}`]
+  }),
+  azureVirtualMachine: vm => ({
+    id: vm.id,
+    name: vm.name,
+    type: vm.osProfile && vm.osProfile.windowsConfiguration ? 'azurerm_windows_virtual_machine' : 'azurerm_linux_virtual_machine',
+    region: vm.location,
+    state: lower(vm.provisioningState),
+    tags: vm.tags || {},
+    createdAt: vm.timeCreated
+  }),
+  azureDisk: disk => ({
+    id: disk.id,
+    name: disk.name,
+    type: 'azurerm_managed_disk',
+    region: disk.location,
+    state: lower(disk.diskState),
+    tags: disk.tags || {},
+    createdAt: disk.timeCreated
+  })
+};
+
+// Resources running in the users' own cloud accounts, listed with their
+// stored credentials. Each provider's listing is kept as a snapshot and
+// served from there for CACHE_MINUTES; resources are matched to the
+// projects whose Terraform state manages them.
+class InventoryService {
+  constructor() {
+    // Refreshes in progress, so concurrent requests share one scan
+    this.pending = new Map();
+  }
+
+  isStale(snapshot) {
+    const lastAttempt = Math.max(
+      snapshot.takenAt ? snapshot.takenAt.getTime() : 0,
+      snapshot.lastError && snapshot.lastError.at ? snapshot.lastError.at.getTime() : 0
+    );
+    return Date.now() - lastAttempt >= CACHE_MINUTES * 60 * 1000;
+  }
+
+  // Lists every resource of one provider account. Regions or services that
+  // fail are reported in `failures`; failing to reach the account at all
+  // throws.
+  async scan(provider, credentials) {
+    const failures = [];
+    const attempt = async (scope, list) => {
+      try {
+        return await list();
+      } catch (error) {
+        failures.push({ scope, message: error.message });
+        return [];
+      }
+    };
+
+    switch (provider) {
+      case 'aws': {
+        const regions = AWS_REGIONS.length > 0 ? AWS_REGIONS : await cloudService.getAWSRegions(credentials);
+        const perRegion = await mapLimit(regions, REGION_CONCURRENCY, region => attempt(region, async () => {
+          const { instances, databases, functions } = await cloudService.getAWSResources(region, credentials);
+          return [
+            ...instances.map(instance => normalize.awsInstance(instance, region)),
+            ...databases.map(database => normalize.awsDatabase(database, region)),
+            ...functions.map(fn => normalize.awsFunction(fn, region))
+          ];
+        }));
+        const buckets = await attempt('s3', async () => (await cloudService.getAWSBuckets(credentials)).map(normalize.awsBucket));
+
+        return { regions, resources: [...perRegion.flat(), ...buckets], failures };
+      }
+
+      case 'gcp': {
+        const { instances, disks } = await cloudService.getGCPResources(credentials.projectId, credentials);
+        return {
+          account: credentials.projectId,
+          resources: [
+            ...instances.map(instance => normalize.gcp(instance, 'google_compute_instance', credentials.projectId, 'instances')),
+            ...disks.map(disk => normalize.gcp(disk, 'google_compute_disk', credentials.projectId, 'disks'))
+          ],
+          failures
+        };
+      }
+
+      default: {
+        const { virtualMachines, disks } = await cloudService.getAzureResources(credentials.subscriptionId, credentials);
+        return {
+          account: credentials.subscriptionId,
+          resources: [
+            ...virtualMachines.map(normalize.azureVirtualMachine),
+            ...disks.map(normalize.azureDisk)
+          ],
+          failures
+        };
+      }
+    }
+  }
+
+  // Takes a new snapshot of one provider. A failed scan keeps the previous
+  // resources and records the error instead.
+  refreshProvider(user, provider) {
+    const key = `${user._id}:${provider}`;
+    if (this.pending.has(key)) {
+      return this.pending.get(key);
+    }
+
+    const refresh = (async () => {
+      const started = Date.now();
+      try {
+        const result = await this.scan(provider, credentialService.decryptCredentials(user, provider));
+        logger.info(`Inventory of ${provider} for user ${user._id}: ${result.resources.length} resources, ${result.failures.length} failures`);
+
+        return await InventorySnapshot.findOneAndUpdate(
+          { userId: user._id, provider },
+          {
+            $set: {
+              ...result,
+              takenAt: new Date(),
+              durationMs: Date.now() - started
+            },
+            $unset: { lastError: 1 }
+          },
+          { upsert: true, new: true }
+        );
+      } catch (error) {
+        logger.warn(`Inventory of ${provider} failed for user ${user._id}: ${error.message}`);
+        return InventorySnapshot.findOneAndUpdate(
+          { userId: user._id, provider },
+          { $set: { lastError: { message: error.message, at: new Date() } } },
+          { upsert: true, new: true }
+        );
+      } finally {
+        this.pending.delete(key);
+      }
+    })();
+
+    this.pending.set(key, refresh);
+    return refresh;
+  }
+
+  // Snapshots of every provider the user has credentials for. `refresh` is
+  // "stale" to scan providers whose snapshot is missing or stale, "all" to
+  // scan every provider and "none" to return the snapshots as they are.
+  async getSnapshots(user, { providers, refresh = 'stale' } = {}) {
+    const configured = user.getAvailableProviders()
+      .filter(provider => !providers || providers.includes(provider));
+    const snapshots = await InventorySnapshot.find({ userId: user._id, provider: { $in: configured } });
+
+    const current = await Promise.all(configured.map((provider) => {
+      const snapshot = snapshots.find(candidate => candidate.provider === provider);
+      const scan = refresh === 'all' || (refresh === 'stale' && (!snapshot || this.isStale(snapshot)));
+      return scan ? this.refreshProvider(user, provider) : snapshot;
+    }));
+    return current.filter(Boolean);
+  }
+
+  // Maps lowercased provider ids found in the Terraform state of the
+  // projects the user can view, and of their own deployments made without a
+  // project, to that project and the resource's Terraform address
+  async ownershipIndex(user) {
+    const [projectIds, deploymentProjectIds] = await Promise.all([
+      projectAccessService.accessibleProjectIds(user),
+      Deployment.distinct('projectId', { userId: user._id })
+    ]);
+    const ids = [...projectIds, ...deploymentProjectIds];
+
+    const [projects, deployments, states] = await Promise.all([
+      Project.find({ _id: { $in: projectIds } }).select('name'),
+      Deployment.find({ userId: user._id, projectId: { $in: deploymentProjectIds } }).select('projectId name'),
+      TerraformStateVersion.aggregate([
+        { $match: { projectId: { $in: ids } } },
+        { $sort: { projectId: 1, version: -1 } },
+        { $group: { _id: '$projectId', state: { $first: '$state' } } }
+      ])
+    ]);
+
+    const names = new Map();
+    deployments.forEach(deployment => names.set(deployment.projectId.toString(), deployment.name));
+    projects.forEach(project => names.set(project._id.toString(), project.name));
+
+    const index = new Map();
+    states.forEach(({ _id: projectId, state }) => {
+      let parsed;
+      try {
+        parsed = JSON.parse(state);
+      } catch (error) {
+        logger.warn(`Terraform state of project ${projectId} is not valid JSON`);
+        return;
+      }
+
+      (parsed.resources || []).filter(resource => resource.mode === 'managed').forEach((resource) => {
+        (resource.instances || []).forEach((instance) => {
+          const address = [
+            resource.module,
+            `${resource.type}.${resource.name}${instance.index_key !== undefined ? `[${JSON.stringify(instance.index_key)}]` : ''}`
+          ].filter(Boolean).join('.');
+          const owner = { id: projectId.toString(), name: names.get(projectId.toString()) || null, address };
+
+          STATE_ID_ATTRIBUTES.forEach((attribute) => {
+            const value = instance.attributes && instance.attributes[attribute];
+            if (typeof value === 'string' && value) {
+              index.set(value.toLowerCase(), owner);
+            }
+          });
+        });
+      });
+    });
+    return index;
+  }
+
+  parseFilters(query) {
+    const tags = [].concat(query.tag || []).map((tag) => {
+      const [key, ...value] = String(tag).split('=');
+      return { key, value: value.length > 0 ? value.join('=') : undefined };
+    });
+
+    const providers = query.provider ? String(query.provider).split(',') : undefined;
+    const unknown = (providers || []).filter(provider => !credentialService.isSupported(provider));
+    if (unknown.length > 0) {
+      throw inventoryError(`Unknown provider: ${unknown.join(', ')}`);
+    }
+
+    return {
+      providers,
+      region: query.region && String(query.region),
+      type: query.type && String(query.type),
+      state: query.state && lower(query.state),
+      project: query.project && String(query.project), // project id, or "none" for unmanaged
+      search: query.search && String(query.search).toLowerCase(),
+      tags
+    };
+  }
+
+  matches(resource, filters) {
+    if (filters.region && resource.region !== filters.region) return false;
+    if (filters.type && resource.type !== filters.type) return false;
+    if (filters.state && resource.state !== filters.state) return false;
+    if (filters.project) {
+      const projectId = resource.project ? resource.project.id : 'none';
+      if (projectId !== filters.project) return false;
+    }
+    if (filters.search && ![resource.id, resource.name].some(value => value && value.toLowerCase().includes(filters.search))) {
+      return false;
+    }
+    return filters.tags.every(({ key, value }) => (
+      resource.tags && Object.prototype.hasOwnProperty.call(resource.tags, key) &&
+      (value === undefined || resource.tags[key] === value)
+    ));
+  }
+
+  countBy(resources, field) {
+    return resources.reduce((counts, resource) => {
+      const value = field(resource) || 'unknown';
+      counts[value] = (counts[value] || 0) + 1;
+      return counts;
+    }, {});
+  }
+
+  // The filtered inventory with counts, a page of resources and the age of
+  // every snapshot it was built from
+  async list(user, query = {}) {
+    const filters = this.parseFilters(query);
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit) || 100, 1), MAX_PAGE_SIZE);
+
+    const [snapshots, owners] = await Promise.all([
+      this.getSnapshots(user, { providers: filters.providers, refresh: query.refresh === 'true' ? 'all' : 'stale' }),
+      this.ownershipIndex(user)
+    ]);
+
+    const resources = snapshots
+      .flatMap(snapshot => snapshot.resources.map((resource) => {
+        const { aliases, ...fields } = resource.toObject();
+        const owner = [fields.id, ...aliases].map(lower).map(id => owners.get(id)).find(Boolean);
+        return {
+          provider: snapshot.provider,
+          ...fields,
+          tags: fields.tags || {},
+          project: owner ? { id: owner.id, name: owner.name } : null,
+          terraformAddress: owner ? owner.address : null
+        };
+      }))
+      .filter(resource => this.matches(resource, filters))
+      .sort((a, b) => `${a.provider}/${a.region}/${a.type}/${a.name}`.localeCompare(`${b.provider}/${b.region}/${b.type}/${b.name}`));
+
+    return {
+      resources: resources.slice((page - 1) * limit, page * limit),
+      summary: {
+        total: resources.length,
+        managed: resources.filter(resource => resource.project).length,
+        byProvider: this.countBy(resources, resource => resource.provider),
+        byType: this.countBy(resources, resource => resource.type),
+        byRegion: this.countBy(resources, resource => resource.region),
+        byState: this.countBy(resources, resource => resource.state)
+      },
+      snapshots: snapshots.map(snapshot => this.describeSnapshot(snapshot)),
+      pagination: {
+        page,
+        limit,
+        total: resources.length,
+        pages: Math.ceil(resources.length / limit)
+      }
+    };
+  }
+
+  describeSnapshot(snapshot) {
+    return {
+      provider: snapshot.provider,
+      account: snapshot.account,
+      regions: snapshot.regions,
+      resourceCount: snapshot.resources.length,
+      takenAt: snapshot.takenAt || null,
+      durationMs: snapshot.durationMs,
+      stale: this.isStale(snapshot),
+      failures: snapshot.failures,
+      lastError: snapshot.lastError && snapshot.lastError.message ? snapshot.lastError : null
+    };
+  }
+}
+
+// Singleton instance
+const inventoryService = new InventoryService();
+
+module.exports = {
+  inventoryService
+};
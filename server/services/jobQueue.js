@@ -0,0 +1,355 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const winston = require('winston');
+const Job = require('../models/Job');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/job-queue.log' })
+  ]
+});
+
+const MAX_RETRY_DELAY_MS = 15 * 60 * 1000;
+
+const readInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// Durable background jobs stored in MongoDB. Workers claim jobs atomically and
+// hold a lease on them that is extended by heartbeats while the handler runs;
+// jobs whose lease expires (worker crashed or restarted) are picked up again.
+class JobQueue {
+  constructor() {
+    this.handlers = new Map();
+    this.workerId = `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
+    this.concurrency = readInt(process.env.JOB_CONCURRENCY, 2);
+    this.pollInterval = readInt(process.env.JOB_POLL_INTERVAL_MS, 2000);
+    this.leaseDuration = readInt(process.env.JOB_LEASE_MS, 60000);
+    this.retryBaseDelay = readInt(process.env.JOB_RETRY_BASE_DELAY_MS, 30000);
+    this.defaultMaxAttempts = readInt(process.env.JOB_MAX_ATTEMPTS, 3);
+    this.shutdownTimeout = readInt(process.env.JOB_SHUTDOWN_TIMEOUT_MS, 30000);
+    this.active = new Map();
+    this.controllers = new Map();
+    this.running = false;
+    this.polling = false;
+    this.pollTimer = null;
+    this.lastRecovery = 0;
+  }
+
+  // `handler(payload, job, { signal })` does the work and throws to request a
+  // retry. `signal` is aborted when the worker loses the job's lease or shuts
+  // down, so the handler should stop (e.g. pass it on to Terraform).
+  // `onFailed(payload, job, error)` runs once the job has no attempts left.
+  register(type, handler, options = {}) {
+    this.handlers.set(type, {
+      handler,
+      onFailed: options.onFailed,
+      maxAttempts: options.maxAttempts
+    });
+  }
+
+  async enqueue(type, payload = {}, options = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`No handler registered for job type "${type}"`);
+    }
+
+    const job = await Job.create({
+      type,
+      payload,
+      maxAttempts: options.maxAttempts || this.handlers.get(type).maxAttempts || this.defaultMaxAttempts,
+      runAt: new Date(Date.now() + (options.delay || 0))
+    });
+
+    logger.info(`Job ${job._id} (${type}) queued`);
+    this.poll();
+    return job;
+  }
+
+  async start() {
+    if (this.running) return;
+    this.running = true;
+
+    await this.recoverOrphanedJobs();
+    this.pollTimer = setInterval(() => this.poll(), this.pollInterval);
+    logger.info(`Job worker ${this.workerId} started (concurrency ${this.concurrency})`);
+  }
+
+  // Stop claiming new jobs and wait for the jobs in flight. Jobs still
+  // running after `JOB_SHUTDOWN_TIMEOUT_MS` are aborted, so no Terraform
+  // process outlives the worker; their retry is picked up by another worker.
+  async stop() {
+    this.running = false;
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    logger.info(`Job worker ${this.workerId} stopping with ${this.active.size} job(s) in flight`);
+
+    const inFlight = Promise.allSettled(this.active.values());
+    let timer;
+    const timedOut = await Promise.race([
+      inFlight.then(() => false),
+      new Promise(resolve => { timer = setTimeout(() => resolve(true), this.shutdownTimeout); })
+    ]);
+    clearTimeout(timer);
+
+    if (timedOut) {
+      logger.warn(`Aborting ${this.controllers.size} job(s) still running on worker ${this.workerId}`);
+      this.controllers.forEach(controller => controller.abort(new Error('Worker is shutting down')));
+      await inFlight;
+    }
+    logger.info(`Job worker ${this.workerId} stopped`);
+  }
+
+  async poll() {
+    if (!this.running || this.polling) return;
+    this.polling = true;
+
+    try {
+      if (Date.now() - this.lastRecovery >= this.leaseDuration) {
+        await this.recoverOrphanedJobs();
+      }
+
+      while (this.running && this.active.size < this.concurrency) {
+        const job = await this.claimNext();
+        if (!job) break;
+        this.active.set(job._id.toString(), this.run(job));
+      }
+    } catch (error) {
+      logger.error('Job polling failed:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  // Atomically take the next due job, or a running job whose lease expired
+  async claimNext() {
+    const now = new Date();
+
+    return Job.findOneAndUpdate(
+      {
+        type: { $in: Array.from(this.handlers.keys()) },
+        $or: [
+          { status: 'queued', runAt: { $lte: now } },
+          { status: 'running', lockedUntil: { $lt: now }, $expr: { $lt: ['$attempts', '$maxAttempts'] } }
+        ]
+      },
+      {
+        $set: {
+          status: 'running',
+          lockedBy: this.workerId,
+          lockedUntil: new Date(now.getTime() + this.leaseDuration),
+          heartbeatAt: now,
+          startedAt: now
+        },
+        $inc: { attempts: 1 }
+      },
+      { new: true, sort: { runAt: 1 } }
+    );
+  }
+
+  async run(job) {
+    const id = job._id.toString();
+    const { handler } = this.handlers.get(job.type);
+    const controller = new AbortController();
+    this.controllers.set(id, controller);
+    const heartbeat = setInterval(() => this.heartbeat(job, controller), Math.max(this.leaseDuration / 3, 1000));
+
+    logger.info(`Job ${id} (${job.type}) started, attempt ${job.attempts}/${job.maxAttempts}`);
+
+    try {
+      const result = await handler(job.payload, job, { signal: controller.signal });
+      await Job.updateOne(
+        { _id: job._id, lockedBy: this.workerId },
+        {
+          $set: { status: 'completed', result, finishedAt: new Date(), lockedBy: null, lockedUntil: null }
+        }
+      );
+      logger.info(`Job ${id} (${job.type}) completed`);
+    } catch (error) {
+      try {
+        await this.fail(job, error);
+      } catch (updateError) {
+        logger.error(`Failed to record failure of job ${id}:`, updateError);
+      }
+    } finally {
+      clearInterval(heartbeat);
+      this.controllers.delete(id);
+      this.active.delete(id);
+      this.poll();
+    }
+  }
+
+  // Another worker may have taken over a job whose lease expired (e.g. after
+  // a long pause); this run is aborted so the two never run Terraform at once
+  async heartbeat(job, controller) {
+    try {
+      const now = new Date();
+      const result = await Job.updateOne(
+        { _id: job._id, lockedBy: this.workerId, status: 'running' },
+        { $set: { heartbeatAt: now, lockedUntil: new Date(now.getTime() + this.leaseDuration) } }
+      );
+      if (result.matchedCount === 0) {
+        logger.warn(`Job ${job._id} lease lost by worker ${this.workerId}, aborting`);
+        controller.abort(new Error('Job lease was lost'));
+      }
+    } catch (error) {
+      logger.error(`Heartbeat failed for job ${job._id}:`, error);
+    }
+  }
+
+  getRetryDelay(attempt) {
+    return Math.min(this.retryBaseDelay * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+  }
+
+  // Errors with `retryable === false` (e.g. missing credentials) fail the
+  // job without using up the remaining attempts
+  async fail(job, error) {
+    const failure = { attempt: job.attempts, message: error.message, workerId: this.workerId };
+    const exhausted = job.attempts >= job.maxAttempts || error.retryable === false;
+    const update = exhausted
+      ? { status: 'failed', finishedAt: new Date() }
+      : { status: 'queued', runAt: new Date(Date.now() + this.getRetryDelay(job.attempts)) };
+
+    await Job.updateOne(
+      { _id: job._id, lockedBy: this.workerId },
+      {
+        $set: { ...update, lastError: error.message, lockedBy: null, lockedUntil: null },
+        $push: { failures: failure }
+      }
+    );
+
+    if (exhausted) {
+      logger.error(`Job ${job._id} (${job.type}) failed permanently: ${error.message}`);
+      await this.notifyFailed(job, error);
+    } else {
+      logger.warn(`Job ${job._id} (${job.type}) attempt ${job.attempts} failed, retrying at ${update.runAt.toISOString()}: ${error.message}`);
+    }
+  }
+
+  async notifyFailed(job, error) {
+    const { onFailed } = this.handlers.get(job.type) || {};
+    if (!onFailed) return;
+
+    try {
+      await onFailed(job.payload, job, error);
+    } catch (callbackError) {
+      logger.error(`Failure handler for job ${job._id} threw:`, callbackError);
+    }
+  }
+
+  // Orphaned jobs with attempts left are reclaimed by claimNext(); the ones
+  // that were on their last attempt are marked failed here.
+  async recoverOrphanedJobs() {
+    this.lastRecovery = Date.now();
+
+    const orphans = await Job.find({
+      status: 'running',
+      lockedUntil: { $lt: new Date() },
+      type: { $in: Array.from(this.handlers.keys()) },
+      $expr: { $gte: ['$attempts', '$maxAttempts'] }
+    });
+
+    for (const job of orphans) {
+      const error = new Error(`Worker ${job.lockedBy} stopped responding`);
+      const updated = await Job.findOneAndUpdate(
+        { _id: job._id, status: 'running', lockedBy: job.lockedBy },
+        {
+          $set: { status: 'failed', finishedAt: new Date(), lastError: error.message, lockedBy: null, lockedUntil: null },
+          $push: { failures: { attempt: job.attempts, message: error.message, workerId: job.lockedBy } }
+        },
+        { new: true }
+      );
+
+      if (updated) {
+        logger.warn(`Orphaned job ${job._id} (${job.type}) marked failed`);
+        await this.notifyFailed(updated, error);
+      }
+    }
+
+    const requeueable = await Job.countDocuments({
+      status: 'running',
+      lockedUntil: { $lt: new Date() },
+      $expr: { $lt: ['$attempts', '$maxAttempts'] }
+    });
+    if (requeueable > 0) {
+      logger.info(`${requeueable} orphaned job(s) will be retried`);
+    }
+  }
+
+  // Make a failed job runnable again with a fresh set of attempts
+  async retry(jobId) {
+    const job = await Job.findOneAndUpdate(
+      { _id: jobId, status: 'failed' },
+      { $set: { status: 'queued', attempts: 0, runAt: new Date(), finishedAt: null } },
+      { new: true }
+    );
+    if (job) {
+      logger.info(`Job ${jobId} re-queued manually`);
+      this.poll();
+    }
+    return job;
+  }
+
+  async getStats() {
+    const [byStatus, workers, oldestQueued] = await Promise.all([
+      Job.aggregate([
+        { $group: { _id: { type: '$type', status: '$status' }, count: { $sum: 1 } } }
+      ]),
+      Job.aggregate([
+        { $match: { status: 'running' } },
+        {
+          $group: {
+            _id: '$lockedBy',
+            jobs: { $sum: 1 },
+            lastHeartbeat: { $max: '$heartbeatAt' },
+            leaseExpires: { $min: '$lockedUntil' }
+          }
+        }
+      ]),
+      Job.findOne({ status: 'queued' }).sort({ runAt: 1 }).select('runAt')
+    ]);
+
+    const counts = { queued: 0, running: 0, completed: 0, failed: 0 };
+    const types = {};
+    byStatus.forEach(({ _id, count }) => {
+      counts[_id.status] += count;
+      types[_id.type] = types[_id.type] || { queued: 0, running: 0, completed: 0, failed: 0 };
+      types[_id.type][_id.status] = count;
+    });
+
+    const now = new Date();
+    return {
+      counts,
+      types,
+      workers: workers.map(worker => ({
+        workerId: worker._id,
+        jobs: worker.jobs,
+        lastHeartbeat: worker.lastHeartbeat,
+        leaseExpires: worker.leaseExpires,
+        stale: worker.leaseExpires < now
+      })),
+      oldestQueuedAt: oldestQueued ? oldestQueued.runAt : null,
+      localWorker: {
+        workerId: this.workerId,
+        running: this.running,
+        active: this.active.size,
+        concurrency: this.concurrency
+      }
+    };
+  }
+}
+
+// Singleton instance
+const jobQueue = new JobQueue();
+
+module.exports = {
+  jobQueue
+};
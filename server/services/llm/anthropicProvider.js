@@ -0,0 +1,77 @@
+const axios = require('axios');
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// Anthropic Messages API provider. System prompts are passed through the
+// top-level `system` field instead of the message list.
+class AnthropicProvider {
+  constructor({ name = 'anthropic', apiKey, baseURL = 'https://api.anthropic.com', model }) {
+    this.name = name;
+    this.model = model;
+    this.client = axios.create({
+      baseURL,
+      headers: {
+        'x-api-key': apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+        'content-type': 'application/json'
+      }
+    });
+  }
+
+  async complete({ messages, temperature, maxTokens, model }) {
+    const { data } = await this.client.post('/v1/messages', {
+      model: model || this.model,
+      ...this.buildMessages(messages),
+      temperature,
+      max_tokens: maxTokens
+    });
+
+    return data.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  }
+
+  // Consume the server-sent event stream and yield text deltas
+  async *stream({ messages, temperature, maxTokens, model, signal }) {
+    const response = await this.client.post('/v1/messages', {
+      model: model || this.model,
+      ...this.buildMessages(messages),
+      temperature,
+      max_tokens: maxTokens,
+      stream: true
+    }, { responseType: 'stream', signal });
+
+    let buffer = '';
+    for await (const chunk of response.data) {
+      buffer += chunk.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (!line.startsWith('data:')) continue;
+
+        const event = JSON.parse(line.slice(5).trim());
+        if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+          yield event.delta.text;
+        } else if (event.type === 'error') {
+          throw new Error(event.error?.message || 'Anthropic stream error');
+        }
+      }
+    }
+  }
+
+  buildMessages(messages) {
+    const system = messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content)
+      .join('\n\n');
+
+    return {
+      system: system || undefined,
+      messages: messages.filter(message => message.role !== 'system')
+    };
+  }
+}
+
+module.exports = AnthropicProvider;
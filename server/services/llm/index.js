@@ -0,0 +1,84 @@
+const OpenAIProvider = require('./openaiProvider');
+const AnthropicProvider = require('./anthropicProvider');
+const MockProvider = require('./mockProvider');
+
+const PROVIDER_NAMES = ['openai', 'azure', 'anthropic', 'local', 'mock'];
+
+// Each factory returns a provider when its configuration is present, or null
+// when the provider is not configured for this deployment.
+const providerFactories = {
+  openai: (env) => {
+    if (!env.OPENAI_API_KEY) return null;
+    return new OpenAIProvider({
+      name: 'openai',
+      apiKey: env.OPENAI_API_KEY,
+      baseURL: env.OPENAI_BASE_URL,
+      model: env.OPENAI_MODEL || 'gpt-4-turbo-preview',
+      jsonMode: env.LLM_JSON_MODE
+    });
+  },
+
+  azure: (env) => {
+    if (!env.AZURE_OPENAI_ENDPOINT || !env.AZURE_OPENAI_API_KEY || !env.AZURE_OPENAI_DEPLOYMENT) return null;
+    const endpoint = env.AZURE_OPENAI_ENDPOINT.replace(/\/+$/, '');
+    return new OpenAIProvider({
+      name: 'azure',
+      apiKey: env.AZURE_OPENAI_API_KEY,
+      baseURL: `${endpoint}/openai/deployments/${env.AZURE_OPENAI_DEPLOYMENT}`,
+      model: env.AZURE_OPENAI_DEPLOYMENT,
+      defaultQuery: { 'api-version': env.AZURE_OPENAI_API_VERSION || '2024-02-01' },
+      defaultHeaders: { 'api-key': env.AZURE_OPENAI_API_KEY },
+      jsonMode: env.LLM_JSON_MODE
+    });
+  },
+
+  anthropic: (env) => {
+    if (!env.ANTHROPIC_API_KEY) return null;
+    return new AnthropicProvider({
+      name: 'anthropic',
+      apiKey: env.ANTHROPIC_API_KEY,
+      baseURL: env.ANTHROPIC_BASE_URL,
+      model: env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-20241022'
+    });
+  },
+
+  // Any OpenAI-compatible local server, e.g. Ollama (http://localhost:11434/v1) or vLLM
+  local: (env) => {
+    if (!env.LOCAL_LLM_BASE_URL) return null;
+    return new OpenAIProvider({
+      name: 'local',
+      apiKey: env.LOCAL_LLM_API_KEY || 'local',
+      baseURL: env.LOCAL_LLM_BASE_URL,
+      model: env.LOCAL_LLM_MODEL || 'llama3',
+      jsonMode: env.LLM_JSON_MODE
+    });
+  },
+
+  mock: (env) => {
+    if (env.LLM_PROVIDER !== 'mock' && env.LLM_ENABLE_MOCK !== 'true') return null;
+    return new MockProvider({
+      fixturesDir: env.LLM_MOCK_FIXTURES_DIR || undefined
+    });
+  }
+};
+
+const createProviders = (env = process.env) => {
+  const providers = new Map();
+
+  PROVIDER_NAMES.forEach((name) => {
+    const provider = providerFactories[name](env);
+    if (provider) {
+      providers.set(name, provider);
+    }
+  });
+
+  return providers;
+};
+
+module.exports = {
+  PROVIDER_NAMES,
+  createProviders,
+  OpenAIProvider,
+  AnthropicProvider,
+  MockProvider
+};
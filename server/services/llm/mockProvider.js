@@ -0,0 +1,51 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Deterministic provider for CI and offline development. Every completion is
+// answered with the fixture named after the AI task (e.g. `chat.txt`), falling
+// back to `default.txt`, so no network access is ever needed.
+class MockProvider {
+  constructor({ name = 'mock', fixturesDir = DEFAULT_FIXTURES_DIR, model = 'mock-fixtures' } = {}) {
+    this.name = name;
+    this.model = model;
+    this.fixturesDir = fixturesDir;
+    this.cache = new Map();
+  }
+
+  async complete({ task }) {
+    return this.loadFixture(task || 'default');
+  }
+
+  // Replays the fixture word by word so streaming consumers can be exercised
+  async *stream({ task, signal }) {
+    const content = await this.loadFixture(task || 'default');
+
+    for (const token of content.match(/\S+\s*/g) || []) {
+      if (signal?.aborted) return;
+      yield token;
+    }
+  }
+
+  async loadFixture(task) {
+    if (this.cache.has(task)) {
+      return this.cache.get(task);
+    }
+
+    let content;
+    try {
+      content = await fs.readFile(path.join(this.fixturesDir, `${path.basename(task)}.txt`), 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT' || task === 'default') {
+        throw error;
+      }
+      content = await this.loadFixture('default');
+    }
+
+    this.cache.set(task, content);
+    return content;
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,63 @@
+const OpenAI = require('openai');
+
+// Chat completions provider for OpenAI and any server speaking the same API
+// (Azure OpenAI deployments, Ollama, vLLM, LM Studio, ...)
+class OpenAIProvider {
+  constructor({ name = 'openai', apiKey, baseURL, model, defaultQuery, defaultHeaders, jsonMode = 'json_object' }) {
+    this.name = name;
+    this.model = model;
+    // 'json_schema' needs a model with structured outputs; 'json_object' works
+    // on older models and most OpenAI-compatible servers
+    this.jsonMode = jsonMode;
+    this.client = new OpenAI({
+      apiKey,
+      baseURL,
+      defaultQuery,
+      defaultHeaders
+    });
+  }
+
+  async complete({ messages, temperature, maxTokens, model, responseFormat }) {
+    const completion = await this.client.chat.completions.create({
+      model: model || this.model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      response_format: this.buildResponseFormat(responseFormat)
+    });
+
+    return completion.choices[0].message.content;
+  }
+
+  buildResponseFormat(responseFormat) {
+    if (!responseFormat) return undefined;
+
+    if (this.jsonMode === 'json_schema') {
+      return {
+        type: 'json_schema',
+        json_schema: { name: responseFormat.name, schema: responseFormat.schema, strict: true }
+      };
+    }
+
+    return { type: 'json_object' };
+  }
+
+  async *stream({ messages, temperature, maxTokens, model, signal }) {
+    const stream = await this.client.chat.completions.create({
+      model: model || this.model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      stream: true
+    }, { signal });
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) {
+        yield delta;
+      }
+    }
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,21 @@
+// Prints messages to stdout; the default when no mail transport is configured
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send(message) {
+    console.log([
+      '---------- outgoing mail ----------',
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      '',
+      message.text,
+      '-----------------------------------'
+    ].join('\n'));
+    return { id: null };
+  }
+}
+
+module.exports = ConsoleTransport;
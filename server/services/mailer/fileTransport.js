@@ -0,0 +1,24 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Writes every message to a JSON file instead of sending it, so local
+// development and CI can follow verification and reset links
+class FileTransport {
+  constructor({ directory }) {
+    this.name = 'file';
+    this.directory = directory;
+  }
+
+  async send(message) {
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(
+      path.join(this.directory, `${id}.json`),
+      JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2)
+    );
+    return { id };
+  }
+}
+
+module.exports = FileTransport;
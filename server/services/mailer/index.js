@@ -0,0 +1,76 @@
+const path = require('path');
+const winston = require('winston');
+const FileTransport = require('./fileTransport');
+const ConsoleTransport = require('./consoleTransport');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/mailer.log' })
+  ]
+});
+
+const TRANSPORT_NAMES = ['smtp', 'file', 'console'];
+
+const transportFactories = {
+  smtp: (env) => {
+    if (!env.SMTP_HOST) {
+      throw new Error('MAIL_TRANSPORT=smtp requires SMTP_HOST');
+    }
+    // Only loaded when SMTP is used
+    const SmtpTransport = require('./smtpTransport');
+    return new SmtpTransport({
+      host: env.SMTP_HOST,
+      port: parseInt(env.SMTP_PORT) || 587,
+      secure: env.SMTP_SECURE === 'true',
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASSWORD
+    });
+  },
+
+  file: (env) => new FileTransport({
+    directory: env.MAIL_FILE_DIR || path.join(process.cwd(), 'mail')
+  }),
+
+  console: () => new ConsoleTransport()
+};
+
+const createTransport = (env = process.env) => {
+  const name = env.MAIL_TRANSPORT || 'console';
+  if (!TRANSPORT_NAMES.includes(name)) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}", expected one of: ${TRANSPORT_NAMES.join(', ')}`);
+  }
+  return transportFactories[name](env);
+};
+
+// Sends account email through the transport chosen with MAIL_TRANSPORT
+class Mailer {
+  constructor({ transport, from }) {
+    this.transport = transport;
+    this.from = from;
+  }
+
+  async send({ to, subject, text, html }) {
+    const result = await this.transport.send({ from: this.from, to, subject, text, html });
+    logger.info(`Mail "${subject}" sent to ${to} via ${this.transport.name}`);
+    return result;
+  }
+}
+
+// Singleton instance
+const mailer = new Mailer({
+  transport: createTransport(),
+  from: process.env.MAIL_FROM || 'Cloud Playground <no-reply@localhost>'
+});
+
+module.exports = {
+  TRANSPORT_NAMES,
+  createTransport,
+  Mailer,
+  mailer
+};
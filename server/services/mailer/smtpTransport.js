@@ -0,0 +1,21 @@
+const nodemailer = require('nodemailer');
+
+// Delivers mail through any SMTP server (SES, SendGrid, Postfix, ...)
+class SmtpTransport {
+  constructor({ host, port = 587, secure = false, user, pass }) {
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { id: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,392 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const winston = require('winston');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const Team = require('../models/Team');
+const Invitation = require('../models/Invitation');
+const Project = require('../models/Project');
+const { mailer } = require('./mailer');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/organizations.log' })
+  ]
+});
+
+const CLIENT_URL = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+const INVITATION_TTL_MS = (parseInt(process.env.INVITATION_TTL_DAYS) || 7) * 24 * 60 * 60 * 1000;
+const MANAGER_ROLES = ['owner', 'admin'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const organizationError = (message, status = 400, code = 'INVALID_REQUEST') => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+const memberSummary = user => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  organizationRole: user.organizationRole,
+  authProvider: user.authProvider,
+  isActive: user.isActive
+});
+
+const teamSummary = team => ({
+  id: team._id,
+  name: team.name,
+  description: team.description,
+  members: team.members,
+  createdAt: team.createdAt,
+  updatedAt: team.updatedAt
+});
+
+// Organization membership: creating an organization, inviting members by
+// email, member roles and teams. Which projects members can reach is decided
+// by services/projectAccessService.js.
+class OrganizationService {
+  isManager(user) {
+    return MANAGER_ROLES.includes(user.organizationRole);
+  }
+
+  // The organization of the user, or a 404 when they have none
+  async getOrganization(user) {
+    const organization = user.organizationId && await Organization.findById(user.organizationId);
+    if (!organization) {
+      throw organizationError('You do not belong to an organization', 404, 'NO_ORGANIZATION');
+    }
+    return organization;
+  }
+
+  assertManager(user) {
+    if (!this.isManager(user)) {
+      throw organizationError('Only organization owners and admins can do this', 403, 'INSUFFICIENT_PERMISSIONS');
+    }
+  }
+
+  // Creates an organization owned by the user. Email domains and SSO are
+  // configured by platform admins (see routes/admin.js).
+  async createOrganization(user, { name, slug }) {
+    if (user.organizationId) {
+      throw organizationError('You already belong to an organization', 409, 'ALREADY_MEMBER');
+    }
+    if (!name || !slug) {
+      throw organizationError('Name and slug are required');
+    }
+
+    const organization = await Organization.create({ name, slug, createdBy: user._id });
+    user.organizationId = organization._id;
+    user.organizationRole = 'owner';
+    await user.save();
+
+    logger.info(`Organization ${organization.slug} created by ${user.email}`);
+    return organization;
+  }
+
+  async listMembers(organization) {
+    const members = await User.find({ organizationId: organization._id })
+      .select('username email firstName lastName organizationRole authProvider isActive')
+      .sort({ createdAt: 1 });
+    return members.map(memberSummary);
+  }
+
+  async findMember(organization, userId) {
+    const member = mongoose.isValidObjectId(userId) &&
+      await User.findOne({ _id: userId, organizationId: organization._id });
+    if (!member) {
+      throw organizationError('Member not found', 404, 'MEMBER_NOT_FOUND');
+    }
+    return member;
+  }
+
+  // The organization must keep at least one owner
+  async assertNotLastOwner(organization, member) {
+    if (member.organizationRole !== 'owner') return;
+    const owners = await User.countDocuments({ organizationId: organization._id, organizationRole: 'owner' });
+    if (owners <= 1) {
+      throw organizationError('An organization needs at least one owner', 409, 'LAST_OWNER');
+    }
+  }
+
+  // Changes a member's role. Only owners grant or take away ownership;
+  // platform admins (`asPlatformAdmin`) can set any role, e.g. to appoint the
+  // first owner of an organization whose members joined through SSO.
+  async setMemberRole(organization, actor, userId, role, { asPlatformAdmin = false } = {}) {
+    if (!Organization.MEMBER_ROLES.includes(role)) {
+      throw organizationError(`role must be one of: ${Organization.MEMBER_ROLES.join(', ')}`);
+    }
+
+    const member = await this.findMember(organization, userId);
+    if (!asPlatformAdmin) {
+      this.assertManager(actor);
+      if ((role === 'owner' || member.organizationRole === 'owner') && actor.organizationRole !== 'owner') {
+        throw organizationError('Only owners can change ownership', 403, 'INSUFFICIENT_PERMISSIONS');
+      }
+    }
+    if (role !== 'owner') {
+      await this.assertNotLastOwner(organization, member);
+    }
+
+    member.organizationRole = role;
+    await member.save();
+
+    logger.info(`Role of ${member.email} in ${organization.slug} set to ${role} by ${actor.email}`);
+    return memberSummary(member);
+  }
+
+  // Removes a member (or lets a member leave), together with their team
+  // memberships and project grants. Projects they created stay with the
+  // organization.
+  async removeMember(organization, actor, userId) {
+    const member = await this.findMember(organization, userId);
+    const leaving = member._id.equals(actor._id);
+
+    if (!leaving) {
+      this.assertManager(actor);
+      if (member.organizationRole === 'owner' && actor.organizationRole !== 'owner') {
+        throw organizationError('Only owners can remove an owner', 403, 'INSUFFICIENT_PERMISSIONS');
+      }
+    }
+    await this.assertNotLastOwner(organization, member);
+
+    member.organizationId = undefined;
+    member.organizationRole = undefined;
+    member.ssoSubject = undefined;
+    await member.save();
+
+    await Team.updateMany({ organizationId: organization._id }, { $pull: { members: member._id } });
+    await Project.updateMany({ organizationId: organization._id }, { $pull: { members: { userId: member._id } } });
+
+    logger.info(leaving
+      ? `${member.email} left ${organization.slug}`
+      : `${member.email} removed from ${organization.slug} by ${actor.email}`);
+  }
+
+  async assertTeams(organization, teamIds) {
+    if (!Array.isArray(teamIds) || teamIds.some(id => !mongoose.isValidObjectId(id))) {
+      throw organizationError('teamIds must be a list of team ids');
+    }
+    const found = await Team.countDocuments({ _id: { $in: teamIds }, organizationId: organization._id });
+    if (found !== new Set(teamIds.map(String)).size) {
+      throw organizationError('Team not found', 404, 'TEAM_NOT_FOUND');
+    }
+  }
+
+  // Emails an invitation link. Inviting an address again replaces its
+  // pending invitation.
+  async invite(organization, actor, { email, role = 'member', teamIds = [] }) {
+    this.assertManager(actor);
+
+    const address = String(email || '').trim().toLowerCase();
+    if (!EMAIL_PATTERN.test(address)) {
+      throw organizationError('A valid email address is required');
+    }
+    if (!['admin', 'member'].includes(role)) {
+      throw organizationError('role must be admin or member');
+    }
+    await this.assertTeams(organization, teamIds);
+
+    if (await User.exists({ email: address, organizationId: organization._id })) {
+      throw organizationError(`${address} is already a member`, 409, 'ALREADY_MEMBER');
+    }
+
+    await Invitation.deleteMany({ organizationId: organization._id, email: address, acceptedAt: null });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const invitation = await Invitation.create({
+      organizationId: organization._id,
+      email: address,
+      role,
+      teamIds,
+      tokenHash: hashToken(token),
+      invitedBy: actor._id,
+      expiresAt: new Date(Date.now() + INVITATION_TTL_MS)
+    });
+
+    const link = `${CLIENT_URL}/invitations/accept?token=${token}`;
+    const days = Math.round(INVITATION_TTL_MS / 86400000);
+    await mailer.send({
+      to: address,
+      subject: `Join ${organization.name} on Cloud Playground`,
+      text: [
+        `${actor.firstName} ${actor.lastName} invited you to join ${organization.name} on Cloud Playground.`,
+        '',
+        'Sign in or create an account with this email address, then open this link:',
+        link,
+        '',
+        `The invitation expires in ${days} days.`
+      ].join('\n'),
+      html: `<p>${escapeHtml(`${actor.firstName} ${actor.lastName}`)} invited you to join ${escapeHtml(organization.name)} on Cloud Playground.</p><p>Sign in or create an account with this email address, then:</p><p><a href="${link}">Accept invitation</a></p><p>The invitation expires in ${days} days.</p>`
+    });
+
+    logger.info(`${address} invited to ${organization.slug} as ${role} by ${actor.email}`);
+    return invitation;
+  }
+
+  async listInvitations(organization) {
+    return Invitation.find({ organizationId: organization._id, acceptedAt: null }).sort({ createdAt: -1 });
+  }
+
+  async revokeInvitation(organization, actor, invitationId) {
+    this.assertManager(actor);
+    const invitation = mongoose.isValidObjectId(invitationId) && await Invitation.findOneAndDelete({
+      _id: invitationId,
+      organizationId: organization._id,
+      acceptedAt: null
+    });
+    if (!invitation) {
+      throw organizationError('Invitation not found', 404, 'INVITATION_NOT_FOUND');
+    }
+    logger.info(`Invitation of ${invitation.email} to ${organization.slug} revoked by ${actor.email}`);
+  }
+
+  // Joins the organization of the invitation, which must be addressed to the
+  // user's email
+  async acceptInvitation(user, token) {
+    const invitation = await Invitation.findOne({
+      tokenHash: hashToken(String(token || '')),
+      acceptedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+    if (!invitation) {
+      throw organizationError('Invitation is invalid or has expired', 400, 'INVALID_INVITATION');
+    }
+    if (invitation.email !== user.email.toLowerCase()) {
+      throw organizationError(`This invitation was sent to ${invitation.email}`, 403, 'INVITATION_EMAIL_MISMATCH');
+    }
+    if (user.organizationId && !user.organizationId.equals(invitation.organizationId)) {
+      throw organizationError('Leave your current organization before joining another', 409, 'ALREADY_MEMBER');
+    }
+
+    // Claim the invitation atomically so it can only be used once
+    const claimed = await Invitation.findOneAndUpdate(
+      { _id: invitation._id, acceptedAt: null },
+      { $set: { acceptedAt: new Date(), acceptedBy: user._id } }
+    );
+    if (!claimed) {
+      throw organizationError('Invitation is invalid or has expired', 400, 'INVALID_INVITATION');
+    }
+
+    const organization = await Organization.findById(invitation.organizationId);
+    if (!organization) {
+      throw organizationError('The organization no longer exists', 404, 'NO_ORGANIZATION');
+    }
+
+    // Keep the higher role when re-invited
+    if (!user.organizationId || user.organizationRole === 'member') {
+      user.organizationRole = invitation.role;
+    }
+    user.organizationId = organization._id;
+    // Receiving the link proves the address belongs to the user
+    user.isEmailVerified = true;
+    await user.save();
+
+    await Team.updateMany(
+      { _id: { $in: invitation.teamIds }, organizationId: organization._id },
+      { $addToSet: { members: user._id } }
+    );
+
+    logger.info(`${user.email} joined ${organization.slug} as ${user.organizationRole}`);
+    return organization;
+  }
+
+  async listTeams(organization) {
+    const teams = await Team.find({ organizationId: organization._id }).sort({ name: 1 });
+    return teams.map(teamSummary);
+  }
+
+  async findTeam(organization, teamId) {
+    const team = mongoose.isValidObjectId(teamId) &&
+      await Team.findOne({ _id: teamId, organizationId: organization._id });
+    if (!team) {
+      throw organizationError('Team not found', 404, 'TEAM_NOT_FOUND');
+    }
+    return team;
+  }
+
+  async createTeam(organization, actor, { name, description, memberIds = [] }) {
+    this.assertManager(actor);
+    if (!name) {
+      throw organizationError('Team name is required');
+    }
+    await this.assertMembers(organization, memberIds);
+
+    const team = await Team.create({
+      organizationId: organization._id,
+      name,
+      description,
+      members: memberIds,
+      createdBy: actor._id
+    });
+
+    logger.info(`Team ${team.name} created in ${organization.slug} by ${actor.email}`);
+    return teamSummary(team);
+  }
+
+  async updateTeam(organization, actor, teamId, { name, description }) {
+    this.assertManager(actor);
+    const team = await this.findTeam(organization, teamId);
+    if (name) team.name = name;
+    if (description !== undefined) team.description = description;
+    await team.save();
+    return teamSummary(team);
+  }
+
+  // Deletes a team and the project grants made to it
+  async deleteTeam(organization, actor, teamId) {
+    this.assertManager(actor);
+    const team = await this.findTeam(organization, teamId);
+    await team.deleteOne();
+    await Project.updateMany({ organizationId: organization._id }, { $pull: { members: { teamId: team._id } } });
+    logger.info(`Team ${team.name} deleted from ${organization.slug} by ${actor.email}`);
+  }
+
+  async addTeamMember(organization, actor, teamId, userId) {
+    this.assertManager(actor);
+    const team = await this.findTeam(organization, teamId);
+    const member = await this.findMember(organization, userId);
+    team.members.addToSet(member._id);
+    await team.save();
+    return teamSummary(team);
+  }
+
+  async removeTeamMember(organization, actor, teamId, userId) {
+    this.assertManager(actor);
+    const team = await this.findTeam(organization, teamId);
+    team.members.pull(userId);
+    await team.save();
+    return teamSummary(team);
+  }
+
+  async assertMembers(organization, userIds) {
+    if (!Array.isArray(userIds) || userIds.some(id => !mongoose.isValidObjectId(id))) {
+      throw organizationError('memberIds must be a list of user ids');
+    }
+    const found = await User.countDocuments({ _id: { $in: userIds }, organizationId: organization._id });
+    if (found !== new Set(userIds.map(String)).size) {
+      throw organizationError('Member not found', 404, 'MEMBER_NOT_FOUND');
+    }
+  }
+}
+
+// Singleton instance
+const organizationService = new OrganizationService();
+
+module.exports = {
+  organizationService
+};
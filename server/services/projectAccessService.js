@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+const Deployment = require('../models/Deployment');
+const Project = require('../models/Project');
+const Team = require('../models/Team');
+const User = require('../models/User');
+
+const ROLE_RANK = { viewer: 0, editor: 1, deployer: 2, owner: 3 };
+const ORGANIZATION_MANAGERS = ['owner', 'admin'];
+
+const accessError = (message, status, code) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+// Ids may be populated documents
+const idOf = value => (value && value._id ? value._id : value);
+const sameId = (a, b) => Boolean(a && b) && idOf(a).toString() === idOf(b).toString();
+
+const highestRole = roles => roles
+  .filter(Boolean)
+  .reduce((best, role) => (best === null || ROLE_RANK[role] > ROLE_RANK[best] ? role : best), null);
+
+// Project roles and sharing. A project outside any organization
+// is only reachable by its creator. Within an organization, owners and admins
+// of the organization own every project; other members get the highest of
+// the project's default role, their own grant and their teams' grants.
+class ProjectAccessService {
+  hasRole(role, required) {
+    return role !== null && role !== undefined && ROLE_RANK[role] >= ROLE_RANK[required];
+  }
+
+  async teamIdsFor(user) {
+    if (!user.organizationId) return [];
+    return Team.distinct('_id', { organizationId: user.organizationId, members: user._id });
+  }
+
+  // Role of the user on the project, or null without access. Pass the user's
+  // team ids when resolving several projects.
+  async roleFor(project, user, teamIds) {
+    if (!project.organizationId) {
+      return sameId(project.userId, user._id) ? 'owner' : null;
+    }
+    if (!sameId(project.organizationId, user.organizationId)) {
+      return null;
+    }
+    if (sameId(project.userId, user._id) || ORGANIZATION_MANAGERS.includes(user.organizationRole)) {
+      return 'owner';
+    }
+
+    const teams = (teamIds || await this.teamIdsFor(user)).map(id => id.toString());
+    return highestRole([
+      project.defaultRole,
+      ...project.members
+        .filter(member => sameId(member.userId, user._id) || (member.teamId && teams.includes(member.teamId.toString())))
+        .map(member => member.role)
+    ]);
+  }
+
+  // MongoDB filter matching every project the user can at least view
+  async projectFilter(user) {
+    const userId = new mongoose.Types.ObjectId(user._id.toString());
+    const personal = { userId, organizationId: null };
+    if (!user.organizationId) return personal;
+
+    const organizationId = new mongoose.Types.ObjectId(user.organizationId.toString());
+    if (ORGANIZATION_MANAGERS.includes(user.organizationRole)) {
+      return { $or: [personal, { organizationId }] };
+    }
+
+    const teamIds = await this.teamIdsFor(user);
+    return {
+      $or: [
+        personal,
+        {
+          organizationId,
+          $or: [
+            { userId },
+            { defaultRole: { $ne: null } },
+            { 'members.userId': userId },
+            { 'members.teamId': { $in: teamIds } }
+          ]
+        }
+      ]
+    };
+  }
+
+  async accessibleProjectIds(user) {
+    return Project.distinct('_id', await this.projectFilter(user));
+  }
+
+  // Deployments of projects the user can view, plus their own deployments
+  // that were made without a project
+  async deploymentFilter(user) {
+    const ownProjectIds = await Deployment.distinct('projectId', { userId: user._id });
+    const existing = new Set(
+      (await Project.distinct('_id', { _id: { $in: ownProjectIds } })).map(id => id.toString())
+    );
+
+    return {
+      $or: [
+        { projectId: { $in: await this.accessibleProjectIds(user) } },
+        { userId: user._id, projectId: { $in: ownProjectIds.filter(id => !existing.has(id.toString())) } }
+      ]
+    };
+  }
+
+  // Loads a project the user holds at least `required` on. Projects the user
+  // cannot see at all are reported as missing.
+  async findProject(projectId, user, required = 'viewer') {
+    const project = mongoose.isValidObjectId(projectId) ? await Project.findById(projectId) : null;
+    const role = project ? await this.roleFor(project, user) : null;
+
+    if (!role) {
+      throw accessError('Project not found', 404, 'PROJECT_NOT_FOUND');
+    }
+    if (!this.hasRole(role, required)) {
+      throw accessError(`This requires the ${required} role on the project`, 403, 'INSUFFICIENT_PROJECT_ROLE');
+    }
+    return { project, role };
+  }
+
+  // Grants a role to an organization member (`userId`) or team (`teamId`),
+  // replacing their previous grant
+  async grant(project, { userId, teamId, role }, actor) {
+    if (!project.organizationId) {
+      throw accessError('Share the project with your organization first', 400, 'PROJECT_NOT_SHARED');
+    }
+    if (!Project.ROLES.includes(role)) {
+      throw accessError(`role must be one of: ${Project.ROLES.join(', ')}`, 400, 'INVALID_ROLE');
+    }
+    if (Boolean(userId) === Boolean(teamId)) {
+      throw accessError('Give either a userId or a teamId', 400, 'INVALID_GRANT');
+    }
+
+    const Model = userId ? User : Team;
+    const subjectId = userId || teamId;
+    const exists = mongoose.isValidObjectId(subjectId) &&
+      await Model.exists({ _id: subjectId, organizationId: project.organizationId });
+    if (!exists) {
+      throw accessError(userId ? 'Member not found in the organization' : 'Team not found', 404, 'GRANTEE_NOT_FOUND');
+    }
+
+    const key = userId ? 'userId' : 'teamId';
+    const existing = project.members.find(member => sameId(member[key], subjectId));
+    if (existing) {
+      existing.role = role;
+      existing.grantedBy = actor._id;
+      existing.grantedAt = new Date();
+    } else {
+      project.members.push({ [key]: subjectId, role, grantedBy: actor._id });
+    }
+    project.updatedAt = new Date();
+    return project.save();
+  }
+
+  async revoke(project, grantId) {
+    const grant = project.members.id(grantId);
+    if (!grant) {
+      throw accessError('Grant not found', 404, 'GRANT_NOT_FOUND');
+    }
+    grant.deleteOne();
+    project.updatedAt = new Date();
+    return project.save();
+  }
+
+  // Moves a project into the user's organization (`shared`) or back to its
+  // creator, and sets the role every organization member gets
+  async setSharing(project, { shared, defaultRole }, user) {
+    if (shared === true && !project.organizationId) {
+      if (!user.organizationId) {
+        throw accessError('You do not belong to an organization', 400, 'NO_ORGANIZATION');
+      }
+      project.organizationId = user.organizationId;
+    } else if (shared === false && project.organizationId) {
+      if (!sameId(project.userId, user._id)) {
+        throw accessError('Only the creator can make a shared project private', 403, 'INSUFFICIENT_PROJECT_ROLE');
+      }
+      project.organizationId = null;
+      project.members = [];
+      project.defaultRole = null;
+    }
+
+    if (defaultRole !== undefined) {
+      if (defaultRole !== null && !Project.ROLES.includes(defaultRole)) {
+        throw accessError(`defaultRole must be null or one of: ${Project.ROLES.join(', ')}`, 400, 'INVALID_ROLE');
+      }
+      if (defaultRole && !project.organizationId) {
+        throw accessError('Share the project with your organization first', 400, 'PROJECT_NOT_SHARED');
+      }
+      project.defaultRole = defaultRole;
+    }
+
+    project.updatedAt = new Date();
+    return project.save();
+  }
+
+  // Role on a deployment: that of its project, or owner for the user who
+  // deployed when there is no such project
+  async deploymentRoleFor(deployment, user, teamIds) {
+    const project = await Project.findById(deployment.projectId).select('userId organizationId defaultRole members');
+    if (project) return this.roleFor(project, user, teamIds);
+    return sameId(deployment.userId, user._id) ? 'owner' : null;
+  }
+
+  // Same for a project id alone, e.g. a socket room: without a project, any
+  // deployment the user made under that id makes them its owner
+  async roleForProjectId(projectId, user) {
+    const project = await Project.findById(projectId).select('userId organizationId defaultRole members');
+    if (project) return this.roleFor(project, user);
+    return await Deployment.exists({ projectId, userId: user._id }) ? 'owner' : null;
+  }
+}
+
+// Singleton instance
+const projectAccessService = new ProjectAccessService();
+
+module.exports = {
+  projectAccessService
+};
@@ -0,0 +1,116 @@
+const User = require('../models/User');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/quota.log' })
+  ]
+});
+
+// Counters on the user document, per quota
+const QUOTAS = {
+  deployments: { field: 'usage.deploymentsThisMonth', label: 'deployment' },
+  aiRequests: { field: 'usage.aiRequestsThisMonth', label: 'AI request' }
+};
+
+const nextPeriodStart = (now = new Date()) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+
+// Monthly plan quotas (User.PLAN_LIMITS). Counters live on the user and are
+// only changed with conditional updates, so concurrent requests can neither
+// exceed a quota nor lose a count, and the first request of a month resets
+// them.
+class QuotaService {
+  // Zeroes the counters if they were last reset before this month
+  async resetIfDue(userId) {
+    const now = new Date();
+    const result = await User.updateOne(
+      { _id: userId, 'usage.lastResetDate': { $not: { $gte: User.usagePeriodStart(now) } } },
+      {
+        $set: {
+          'usage.deploymentsThisMonth': 0,
+          'usage.aiRequestsThisMonth': 0,
+          'usage.lastResetDate': now
+        }
+      }
+    );
+    if (result.modifiedCount > 0) {
+      logger.info(`Monthly usage reset for user ${userId}`);
+    }
+  }
+
+  limitFor(user, quota) {
+    const limits = User.PLAN_LIMITS[user.subscription?.plan] || User.PLAN_LIMITS.free;
+    return limits[quota];
+  }
+
+  describe(user, quota, used) {
+    const limit = this.limitFor(user, quota);
+    return {
+      quota,
+      used,
+      limit: limit === -1 ? null : limit,
+      remaining: limit === -1 ? null : Math.max(limit - used, 0),
+      resetsAt: nextPeriodStart()
+    };
+  }
+
+  // Counts one use against the quota if any is left. Returns the quota
+  // state, with `allowed: false` when it was already used up.
+  async consume(user, quota) {
+    const { field } = QUOTAS[quota];
+    await this.resetIfDue(user._id);
+
+    const limit = this.limitFor(user, quota);
+    const updated = await User.findOneAndUpdate(
+      limit === -1 ? { _id: user._id } : { _id: user._id, [field]: { $lt: limit } },
+      { $inc: { [field]: 1 } },
+      { new: true, projection: { usage: 1 } }
+    );
+
+    if (updated) {
+      return { allowed: true, ...this.describe(user, quota, updated.get(field)) };
+    }
+
+    const current = await User.findById(user._id).select('usage');
+    logger.info(`User ${user._id} is out of ${quota} quota (${limit} per month)`);
+    return { allowed: false, ...this.describe(user, quota, current ? current.get(field) : limit) };
+  }
+
+  // Gives back a use whose request failed
+  async release(user, quota) {
+    const { field } = QUOTAS[quota];
+    await User.updateOne({ _id: user._id, [field]: { $gt: 0 } }, { $inc: { [field]: -1 } });
+  }
+
+  // Both quotas of the user for the current month
+  async getUsage(user) {
+    await this.resetIfDue(user._id);
+    const current = await User.findById(user._id).select('usage subscription');
+
+    return {
+      plan: current.subscription.plan,
+      periodStart: User.usagePeriodStart(),
+      periodEnd: nextPeriodStart(),
+      quotas: Object.fromEntries(Object.entries(QUOTAS).map(([quota, { field }]) => (
+        [quota, this.describe(current, quota, current.get(field))]
+      )))
+    };
+  }
+
+  exceededMessage(quota, state) {
+    return `Monthly ${QUOTAS[quota].label} quota of your plan (${state.limit}) is used up; it resets on ${state.resetsAt.toISOString().slice(0, 10)}`;
+  }
+}
+
+// Singleton instance
+const quotaService = new QuotaService();
+
+module.exports = {
+  quotaService
+};
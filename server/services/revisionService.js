@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const { structuredPatch, formatPatch } = require('diff');
+const Project = require('../models/Project');
+const ProjectRevision = require('../models/ProjectRevision');
+const Deployment = require('../models/Deployment');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/revisions.log' })
+  ]
+});
+
+// Attempts to add a revision when concurrent changes take the same number
+const MAX_COMMIT_ATTEMPTS = 5;
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_DIFF_CONTEXT = 3;
+const MAX_MESSAGE_LENGTH = 500;
+
+const checksum = (code) => crypto.createHash('sha256').update(code || '').digest('hex');
+const countLines = (code) => (code ? code.replace(/\n$/, '').split('\n').length : 0);
+
+const revisionError = (message, status = 400, code = 'INVALID_REQUEST') => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+// Revision numbers as sent in the URL or query string
+const parseNumber = (value, name) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw revisionError(`${name} must be a revision number`);
+  }
+  return number;
+};
+
+// Version history of project configurations. Every change to a project's
+// Terraform code is committed as a new ProjectRevision and the project keeps
+// the code and number of the latest one, so no version is ever lost.
+class RevisionService {
+  // Checks the author-supplied fields of a commit
+  validate({ source = 'manual', message = '' } = {}) {
+    if (!ProjectRevision.SOURCES.includes(source)) {
+      throw revisionError(`source must be one of: ${ProjectRevision.SOURCES.join(', ')}`);
+    }
+    if (typeof message !== 'string' || message.length > MAX_MESSAGE_LENGTH) {
+      throw revisionError(`message must be text of at most ${MAX_MESSAGE_LENGTH} characters`);
+    }
+  }
+
+  // Appends a revision with the next number of the project
+  async append(projectId, fields) {
+    for (let attempt = 1; attempt <= MAX_COMMIT_ATTEMPTS; attempt++) {
+      const last = await ProjectRevision.findOne({ projectId }).sort({ number: -1 }).select('number checksum').lean();
+      if (last && last.checksum === fields.checksum) {
+        return null;
+      }
+
+      try {
+        return await ProjectRevision.create({
+          ...fields,
+          projectId,
+          number: last ? last.number + 1 : 1
+        });
+      } catch (error) {
+        // Another change took this number first
+        if (error.code !== 11000 || attempt === MAX_COMMIT_ATTEMPTS) throw error;
+      }
+    }
+    return null;
+  }
+
+  // Projects that had code before version history existed get it recorded
+  // as their first revision before anything else is committed
+  async ensureBaseline(project) {
+    if (project.currentRevision || !project.terraformCode) return;
+    if (await ProjectRevision.exists({ projectId: project._id })) return;
+
+    try {
+      await ProjectRevision.create({
+        projectId: project._id,
+        number: 1,
+        terraformCode: project.terraformCode,
+        checksum: checksum(project.terraformCode),
+        lines: countLines(project.terraformCode),
+        author: project.userId,
+        message: 'Configuration before version history',
+        source: 'import',
+        createdAt: project.updatedAt || project.createdAt
+      });
+      await Project.updateOne({ _id: project._id, currentRevision: null }, { $set: { currentRevision: 1 } });
+    } catch (error) {
+      // Another request recorded it first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  // Commits `terraformCode` as the project's new configuration. Returns the
+  // new revision (null when the code is the same as the latest revision)
+  // and the updated project.
+  async commit(project, { terraformCode, source = 'manual', message = '', author, restoredFrom }) {
+    this.validate({ source, message });
+    await this.ensureBaseline(project);
+
+    const revision = await this.append(project._id, {
+      terraformCode,
+      checksum: checksum(terraformCode),
+      lines: countLines(terraformCode),
+      author,
+      message: message.trim(),
+      source,
+      restoredFrom
+    });
+    if (!revision) {
+      return { revision: null, project: await Project.findById(project._id) };
+    }
+
+    // Concurrent commits may finish out of order; the project keeps the
+    // code of the highest revision
+    const updated = await Project.findOneAndUpdate(
+      { _id: project._id, $or: [{ currentRevision: null }, { currentRevision: { $lt: revision.number } }] },
+      { $set: { terraformCode, currentRevision: revision.number, updatedAt: new Date() } },
+      { new: true, runValidators: true }
+    );
+
+    logger.info(`Project ${project._id}: revision ${revision.number} (${source}) committed by user ${author}`);
+    return { revision, project: updated || await Project.findById(project._id) };
+  }
+
+  // Commits the code of an earlier revision as a new revision
+  async restore(project, number, { author, message }) {
+    const target = await this.getRevision(project, number);
+    const result = await this.commit(project, {
+      terraformCode: target.terraformCode,
+      source: 'manual',
+      message: message || `Restore revision ${target.number}`,
+      author,
+      restoredFrom: target.number
+    });
+
+    if (!result.revision) {
+      throw revisionError(`Revision ${target.number} is the same as the current configuration`, 409, 'REVISION_ALREADY_CURRENT');
+    }
+    return { ...result, restoredFrom: target };
+  }
+
+  async getRevision(project, number) {
+    await this.ensureBaseline(project);
+    const revision = await ProjectRevision.findOne({ projectId: project._id, number: parseNumber(number, 'Revision') })
+      .populate('author', 'username email');
+    if (!revision) {
+      throw revisionError('Revision not found', 404, 'REVISION_NOT_FOUND');
+    }
+    return revision;
+  }
+
+  // Newest first, with the deployments that applied each revision
+  async list(project, query = {}) {
+    await this.ensureBaseline(project);
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), MAX_PAGE_SIZE);
+    const filter = { projectId: project._id };
+    if (query.source) filter.source = query.source;
+
+    const [revisions, total] = await Promise.all([
+      ProjectRevision.find(filter)
+        .select('-terraformCode')
+        .sort({ number: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('author', 'username email'),
+      ProjectRevision.countDocuments(filter)
+    ]);
+
+    const deployments = await Deployment.find({ revisionId: { $in: revisions.map(revision => revision._id) } })
+      .select('revisionId name environment status createdAt deployedAt')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return {
+      currentRevision: (await Project.findById(project._id).select('currentRevision').lean())?.currentRevision ?? null,
+      revisions: revisions.map(revision => ({
+        ...revision.toSummaryJSON(),
+        deployments: deployments
+          .filter(deployment => deployment.revisionId.equals(revision._id))
+          .map(({ revisionId, ...deployment }) => deployment)
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Unified diff between two revisions. `to` defaults to the current
+  // revision and `from` to the one before `to`; revision 1 is compared with
+  // an empty configuration.
+  async diff(project, query = {}) {
+    await this.ensureBaseline(project);
+    const current = await Project.findById(project._id).select('currentRevision').lean();
+    if (query.to === undefined && !current?.currentRevision) {
+      throw revisionError('The project has no revisions yet', 404, 'REVISION_NOT_FOUND');
+    }
+
+    const to = await this.getRevision(project, query.to ?? current.currentRevision);
+    const from = query.from !== undefined
+      ? await this.getRevision(project, query.from)
+      : to.number > 1 ? await this.getRevision(project, to.number - 1) : null;
+    const context = Math.min(Math.max(parseInt(query.context ?? DEFAULT_DIFF_CONTEXT) || 0, 0), 100);
+
+    const before = from ? from.terraformCode : '';
+    const fromLabel = from ? `revision ${from.number}` : 'empty';
+    const patch = structuredPatch('main.tf', 'main.tf', before, to.terraformCode, fromLabel, `revision ${to.number}`, { context });
+    const lines = patch.hunks.flatMap(hunk => hunk.lines);
+
+    return {
+      from: from ? from.toSummaryJSON() : null,
+      to: to.toSummaryJSON(),
+      additions: lines.filter(line => line.startsWith('+')).length,
+      deletions: lines.filter(line => line.startsWith('-')).length,
+      diff: formatPatch(patch)
+    };
+  }
+
+  // The project revision whose code is `terraformCode`, preferring the
+  // latest, so deployments of unchanged code can reference it
+  async findByCode(projectId, terraformCode) {
+    return ProjectRevision.findOne({ projectId, checksum: checksum(terraformCode) })
+      .select('-terraformCode')
+      .sort({ number: -1 });
+  }
+}
+
+// Singleton instance
+const revisionService = new RevisionService();
+
+module.exports = {
+  revisionService
+};
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const winston = require('winston');
+const Session = require('../models/Session');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/sessions.log' })
+  ]
+});
+
+const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret-key';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const REFRESH_REUSE_GRACE_MS = (process.env.REFRESH_REUSE_GRACE_SECONDS === undefined
+  ? 30
+  : parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS) || 0) * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const sessionError = (message, code) => {
+  const error = new Error(message);
+  error.status = 401;
+  error.code = code;
+  return error;
+};
+
+// Short-lived access tokens (JWTs naming their session) plus rotating refresh
+// tokens. A refresh token is "<session id>.<random secret>"; only the hash of
+// the current secret is stored.
+class SessionService {
+  generateRefreshToken(sessionId) {
+    return `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+  }
+
+  signAccessToken(user, sessionId) {
+    return jwt.sign(
+      { userId: user._id, email: user.email, sid: sessionId },
+      JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL }
+    );
+  }
+
+  issueTokens(user, session, refreshToken) {
+    const accessToken = this.signAccessToken(user, session._id.toString());
+    return {
+      accessToken,
+      expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000),
+      refreshToken,
+      refreshExpiresAt: session.expiresAt
+    };
+  }
+
+  // Starts a session after a successful login or registration
+  async createSession(user, { userAgent, ip } = {}) {
+    const session = new Session({
+      userId: user._id,
+      userAgent,
+      ip,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+    });
+    const refreshToken = this.generateRefreshToken(session._id);
+    session.tokenHash = hashToken(refreshToken);
+    await session.save();
+
+    return this.issueTokens(user, session, refreshToken);
+  }
+
+  parseSessionId(refreshToken) {
+    const [sessionId] = String(refreshToken || '').split('.');
+    return /^[a-f0-9]{24}$/.test(sessionId) ? sessionId : null;
+  }
+
+  // Exchanges a refresh token for a new access token and refresh token. A
+  // token that has already been rotated means it leaked (or was replayed),
+  // so the whole session is revoked.
+  async rotate(refreshToken, { userAgent, ip } = {}) {
+    const sessionId = this.parseSessionId(refreshToken);
+    if (!sessionId) {
+      throw sessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+    }
+
+    const now = new Date();
+    const tokenHash = hashToken(refreshToken);
+    const nextToken = this.generateRefreshToken(sessionId);
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+      {
+        $set: {
+          tokenHash: hashToken(nextToken),
+          previousTokenHash: tokenHash,
+          rotatedAt: now,
+          lastUsedAt: now,
+          expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+          userAgent,
+          ip
+        }
+      },
+      { new: true }
+    ).populate({ path: 'userId', select: '-password' });
+
+    if (!session) {
+      const recent = await this.acceptRecentlyRotated(sessionId, tokenHash, now);
+      if (recent) return recent;
+
+      const existing = await Session.findById(sessionId);
+      if (existing && !existing.revokedAt && existing.expiresAt > now) {
+        await this.revoke(existing._id, { reason: 'reuse_detected' });
+        logger.warn(`Refresh token reuse detected, session ${existing._id} of user ${existing.userId} revoked`, { ip });
+      }
+      throw sessionError('Invalid or expired refresh token', 'INVALID_REFRESH_TOKEN');
+    }
+
+    const user = session.userId;
+    if (!user || !user.isActive) {
+      await this.revoke(session._id, { reason: 'revoked' });
+      throw sessionError('Invalid token or inactive user', 'INVALID_REFRESH_TOKEN');
+    }
+
+    return { user, ...this.issueTokens(user, session, nextToken) };
+  }
+
+  // Browser tabs share the refresh cookie and refresh at the same moment, so
+  // the token a refresh has just replaced is still accepted for
+  // REFRESH_REUSE_GRACE_SECONDS (default 30). It gets an access token but no
+  // new refresh token: the client keeps the cookie set by that refresh.
+  async acceptRecentlyRotated(sessionId, tokenHash, now) {
+    if (REFRESH_REUSE_GRACE_MS <= 0) return null;
+
+    const session = await Session.findOneAndUpdate(
+      {
+        _id: sessionId,
+        previousTokenHash: tokenHash,
+        rotatedAt: { $gt: new Date(now.getTime() - REFRESH_REUSE_GRACE_MS) },
+        revokedAt: null,
+        expiresAt: { $gt: now }
+      },
+      { $set: { lastUsedAt: now } },
+      { new: true }
+    ).populate({ path: 'userId', select: '-password' });
+
+    if (!session || !session.userId || !session.userId.isActive) return null;
+    return { user: session.userId, ...this.issueTokens(session.userId, session, null) };
+  }
+
+  // Used by the auth middleware on every request, so revocation takes effect
+  // before the access token expires
+  async isActive(sessionId) {
+    if (!sessionId) return false;
+    return Boolean(await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } }));
+  }
+
+  async list(userId) {
+    return Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select('-tokenHash -previousTokenHash')
+      .sort({ lastUsedAt: -1 });
+  }
+
+  // Revokes one session; with userId only if it belongs to that user.
+  // Resolves to false when no active session matched.
+  async revoke(sessionId, { userId, reason = 'revoked' } = {}) {
+    const filter = { _id: sessionId, revokedAt: null };
+    if (userId) filter.userId = userId;
+
+    const result = await Session.updateOne(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+    return result.modifiedCount === 1;
+  }
+
+  // Logout: revokes the session of a current refresh token
+  async revokeByRefreshToken(refreshToken, reason = 'logout') {
+    const sessionId = this.parseSessionId(refreshToken);
+    if (!sessionId) return false;
+
+    const result = await Session.updateOne(
+      { _id: sessionId, tokenHash: hashToken(refreshToken), revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  // Revokes every session of a user except `except` (the caller's own)
+  async revokeAll(userId, { except, reason = 'revoked' } = {}) {
+    const filter = { userId, revokedAt: null };
+    if (except) filter._id = { $ne: except };
+
+    const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+    return result.modifiedCount;
+  }
+}
+
+// Singleton instance
+const sessionService = new SessionService();
+
+module.exports = {
+  sessionService
+};
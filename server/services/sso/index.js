@@ -0,0 +1,66 @@
+const OidcProvider = require('./oidcProvider');
+const { encryptionService } = require('../encryptionService');
+
+const PROTOCOLS = ['oidc', 'saml'];
+
+// Public URLs of an organization's SSO endpoints, as registered with its IdP
+const ssoUrls = (baseUrl, slug) => {
+  const root = `${baseUrl.replace(/\/+$/, '')}/api/auth/sso/${slug}`;
+  return {
+    login: `${root}/login`,
+    oidcCallback: `${root}/oidc/callback`,
+    samlAcs: `${root}/saml/acs`,
+    samlMetadata: `${root}/saml/metadata`
+  };
+};
+
+// Each factory returns the provider for an organization's SSO settings, or
+// throws when a required setting is missing
+const providerFactories = {
+  oidc: (organization, urls) => {
+    const { oidc, groupsAttribute } = organization.sso;
+    if (!oidc?.issuer || !oidc?.clientId) {
+      throw new Error('OIDC SSO requires an issuer and a client id');
+    }
+    return new OidcProvider({
+      issuer: oidc.issuer,
+      clientId: oidc.clientId,
+      clientSecret: oidc.clientSecret ? encryptionService.decrypt(oidc.clientSecret) : undefined,
+      scopes: oidc.scopes,
+      redirectUri: urls.oidcCallback,
+      groupsAttribute
+    });
+  },
+
+  saml: (organization, urls) => {
+    const { saml, groupsAttribute } = organization.sso;
+    if (!saml?.entryPoint || !saml?.idpCert) {
+      throw new Error('SAML SSO requires the IdP entry point and signing certificate');
+    }
+    // Only loaded when an organization uses SAML
+    const SamlProvider = require('./samlProvider');
+    return new SamlProvider({
+      entryPoint: saml.entryPoint,
+      idpIssuer: saml.idpIssuer,
+      idpCert: saml.idpCert,
+      spEntityId: urls.samlMetadata,
+      callbackUrl: urls.samlAcs,
+      emailAttribute: saml.emailAttribute,
+      groupsAttribute
+    });
+  }
+};
+
+const createProvider = (organization, baseUrl) => {
+  const { protocol } = organization.sso;
+  if (!PROTOCOLS.includes(protocol)) {
+    throw new Error(`Unknown SSO protocol "${protocol}", expected one of: ${PROTOCOLS.join(', ')}`);
+  }
+  return providerFactories[protocol](organization, ssoUrls(baseUrl, organization.slug));
+};
+
+module.exports = {
+  PROTOCOLS,
+  ssoUrls,
+  createProvider
+};
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+const HTTP_TIMEOUT_MS = 10000;
+const METADATA_TTL_MS = 60 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Discovery documents and signing keys per issuer, shared by every
+// organization using the same IdP
+const metadataCache = new Map();
+
+const randomToken = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+const oidcError = (message) => {
+  const error = new Error(message);
+  error.status = 401;
+  error.code = 'SSO_FAILED';
+  return error;
+};
+
+// OpenID Connect authorization code flow with PKCE (S256). The ID token is
+// verified against the issuer's published keys.
+class OidcProvider {
+  constructor({ issuer, clientId, clientSecret, scopes, redirectUri, groupsAttribute }) {
+    this.protocol = 'oidc';
+    this.issuer = issuer;
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.scopes = scopes || 'openid email profile';
+    this.redirectUri = redirectUri;
+    this.groupsAttribute = groupsAttribute || 'groups';
+  }
+
+  async discover() {
+    const cached = metadataCache.get(this.issuer);
+    if (cached && Date.now() - cached.fetchedAt < METADATA_TTL_MS) return cached;
+
+    const url = `${this.issuer.replace(/\/+$/, '')}/.well-known/openid-configuration`;
+    const { data: config } = await axios.get(url, { timeout: HTTP_TIMEOUT_MS });
+    if (config.issuer !== this.issuer) {
+      throw new Error(`Issuer mismatch: ${url} describes ${config.issuer}`);
+    }
+
+    const entry = { config, keys: null, fetchedAt: Date.now() };
+    metadataCache.set(this.issuer, entry);
+    return entry;
+  }
+
+  // Public key for a token's `kid`. The key set is fetched again once when
+  // the key is unknown, since IdPs rotate their keys.
+  async getSigningKey(kid) {
+    const entry = await this.discover();
+    for (const refresh of [false, true]) {
+      if (!entry.keys || refresh) {
+        const { data } = await axios.get(entry.config.jwks_uri, { timeout: HTTP_TIMEOUT_MS });
+        entry.keys = (data.keys || []).filter(key => !key.use || key.use === 'sig');
+      }
+
+      const jwk = kid ? entry.keys.find(key => key.kid === kid) : entry.keys.length === 1 && entry.keys[0];
+      if (jwk) return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    }
+    throw oidcError('The ID token is signed with an unknown key');
+  }
+
+  // IdP redirect URL, plus the values to keep (server side or in a signed
+  // cookie) until the callback
+  async createAuthorizationRequest() {
+    const { config } = await this.discover();
+    const state = randomToken(16);
+    const nonce = randomToken(16);
+    const codeVerifier = randomToken(32);
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.clientId,
+      redirect_uri: this.redirectUri,
+      scope: this.scopes,
+      state,
+      nonce,
+      code_challenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+      code_challenge_method: 'S256'
+    });
+
+    return {
+      url: `${config.authorization_endpoint}?${params.toString()}`,
+      state,
+      nonce,
+      codeVerifier
+    };
+  }
+
+  // Exchanges the authorization code from the callback query and returns the
+  // user's identity
+  async handleCallback(query, { state, nonce, codeVerifier }) {
+    if (query.error) {
+      throw oidcError(`Identity provider error: ${query.error_description || query.error}`);
+    }
+    if (!query.state || query.state !== state) {
+      throw oidcError('Sign-in state does not match, please try again');
+    }
+    if (!query.code) {
+      throw oidcError('Authorization code missing from callback');
+    }
+
+    const { config } = await this.discover();
+    const tokens = await this.exchangeCode(config, query.code, codeVerifier);
+    if (!tokens.id_token) {
+      throw oidcError('The identity provider did not return an ID token');
+    }
+
+    let claims = await this.verifyIdToken(tokens.id_token, nonce);
+
+    // Some IdPs only include profile and group claims in the userinfo response
+    if (config.userinfo_endpoint && tokens.access_token && (!claims.email || claims[this.groupsAttribute] === undefined)) {
+      const { data: userinfo } = await axios.get(config.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` },
+        timeout: HTTP_TIMEOUT_MS
+      });
+      if (userinfo.sub === claims.sub) {
+        claims = { ...userinfo, ...claims };
+      }
+    }
+
+    return {
+      subject: claims.sub,
+      email: claims.email,
+      emailVerified: claims.email_verified !== false && claims.email_verified !== 'false',
+      firstName: claims.given_name,
+      lastName: claims.family_name,
+      name: claims.name,
+      groups: claims[this.groupsAttribute]
+    };
+  }
+
+  async exchangeCode(config, code, codeVerifier) {
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.redirectUri,
+      code_verifier: codeVerifier,
+      client_id: this.clientId
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+    // client_secret_basic unless the IdP only supports client_secret_post
+    const authMethods = config.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+    if (this.clientSecret) {
+      if (authMethods.includes('client_secret_basic')) {
+        const credentials = `${encodeURIComponent(this.clientId)}:${encodeURIComponent(this.clientSecret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+      } else {
+        body.set('client_secret', this.clientSecret);
+      }
+    }
+
+    try {
+      const { data } = await axios.post(config.token_endpoint, body.toString(), { headers, timeout: HTTP_TIMEOUT_MS });
+      return data;
+    } catch (error) {
+      const reason = error.response?.data?.error_description || error.response?.data?.error || error.message;
+      throw oidcError(`Token exchange failed: ${reason}`);
+    }
+  }
+
+  async verifyIdToken(idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+      throw oidcError('Malformed ID token');
+    }
+
+    const key = await this.getSigningKey(decoded.header.kid);
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: ID_TOKEN_ALGORITHMS,
+        issuer: this.issuer,
+        audience: this.clientId,
+        clockTolerance: 60
+      });
+    } catch (error) {
+      throw oidcError(`Invalid ID token: ${error.message}`);
+    }
+
+    if (claims.nonce !== nonce) {
+      throw oidcError('ID token nonce does not match');
+    }
+    return claims;
+  }
+}
+
+module.exports = OidcProvider;
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const { SAML } = require('@node-saml/node-saml');
+
+const samlError = (message) => {
+  const error = new Error(message);
+  error.status = 401;
+  error.code = 'SSO_FAILED';
+  return error;
+};
+
+// Bare base64 certificates (as shown in most IdP consoles) are wrapped as PEM
+const toPem = (cert) => {
+  const trimmed = String(cert || '').trim();
+  if (trimmed.startsWith('-----BEGIN')) return trimmed;
+  const body = trimmed.replace(/\s+/g, '').match(/.{1,64}/g) || [];
+  return `-----BEGIN CERTIFICATE-----\n${body.join('\n')}\n-----END CERTIFICATE-----`;
+};
+
+const firstValue = (value) => (Array.isArray(value) ? value[0] : value);
+
+// SAML 2.0 web SSO: AuthnRequest over HTTP-Redirect, signed assertions
+// received over HTTP-POST at the assertion consumer service (ACS) URL
+class SamlProvider {
+  constructor({ entryPoint, idpIssuer, idpCert, spEntityId, callbackUrl, emailAttribute, groupsAttribute }) {
+    this.protocol = 'saml';
+    this.entryPoint = entryPoint;
+    this.idpIssuer = idpIssuer;
+    this.idpCert = toPem(idpCert);
+    this.spEntityId = spEntityId;
+    this.callbackUrl = callbackUrl;
+    this.emailAttribute = emailAttribute;
+    this.groupsAttribute = groupsAttribute || 'groups';
+  }
+
+  // The response must answer the request named in the signed RelayState, so
+  // the "cache" of outstanding requests only ever holds that one id. Its age
+  // is already bounded by the RelayState's expiry.
+  createClient(requestId) {
+    return new SAML({
+      entryPoint: this.entryPoint,
+      issuer: this.spEntityId,
+      audience: this.spEntityId,
+      callbackUrl: this.callbackUrl,
+      idpIssuer: this.idpIssuer || undefined,
+      idpCert: this.idpCert,
+      identifierFormat: null,
+      disableRequestedAuthnContext: true,
+      wantAssertionsSigned: true,
+      wantAuthnResponseSigned: false,
+      acceptedClockSkewMs: 60 * 1000,
+      validateInResponseTo: requestId ? 'always' : 'never',
+      generateUniqueId: () => requestId || `_${crypto.randomBytes(20).toString('hex')}`,
+      cacheProvider: {
+        saveAsync: async (key, value) => ({ value, createdAt: Date.now() }),
+        getAsync: async key => (key === requestId ? new Date().toISOString() : null),
+        removeAsync: async key => key
+      }
+    });
+  }
+
+  generateRequestId() {
+    return `_${crypto.randomBytes(20).toString('hex')}`;
+  }
+
+  async createAuthorizationRequest({ requestId, relayState }) {
+    return this.createClient(requestId).getAuthorizeUrlAsync(relayState, undefined, {});
+  }
+
+  // Validates the POSTed SAMLResponse and returns the user's identity
+  async handleResponse(body, { requestId }) {
+    if (!body.SAMLResponse) {
+      throw samlError('SAMLResponse missing from request');
+    }
+
+    let profile;
+    try {
+      ({ profile } = await this.createClient(requestId).validatePostResponseAsync({ SAMLResponse: body.SAMLResponse }));
+    } catch (error) {
+      throw samlError(`Invalid SAML response: ${error.message}`);
+    }
+    if (!profile) {
+      throw samlError('The SAML response did not contain an assertion');
+    }
+
+    const email = firstValue(this.emailAttribute ? profile[this.emailAttribute] : undefined) ||
+      profile.email || profile.mail || profile['urn:oid:0.9.2342.19200300.100.1.3'] ||
+      (String(profile.nameID).includes('@') ? profile.nameID : undefined);
+
+    return {
+      subject: profile.nameID,
+      email,
+      // Assertions are signed by the IdP trusted for the organization's domains
+      emailVerified: true,
+      firstName: firstValue(profile.givenName || profile['urn:oid:2.5.4.42'] ||
+        profile['http://schemas.xmlsoap.org/ws/2005/05/identity/claims/givenname']),
+      lastName: firstValue(profile.sn || profile.surname || profile['urn:oid:2.5.4.4'] ||
+        profile['http://schemas.xmlsoap.org/ws/2005/05/identity/claims/surname']),
+      name: firstValue(profile.displayName || profile.cn),
+      groups: profile[this.groupsAttribute]
+    };
+  }
+
+  // Service provider metadata to register with the IdP
+  metadata() {
+    return this.createClient().generateServiceProviderMetadata(null, null);
+  }
+}
+
+module.exports = SamlProvider;
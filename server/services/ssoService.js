@@ -0,0 +1,305 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const winston = require('winston');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const { createProvider, ssoUrls } = require('./sso');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/sso.log' })
+  ]
+});
+
+const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret-key';
+// Public URL of this API, used for the redirect/ACS URLs given to the IdP
+const SSO_BASE_URL = (process.env.SSO_BASE_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '');
+
+// Time allowed between leaving for the IdP and coming back
+const STATE_TTL = '10m';
+const STATE_PURPOSE = 'sso-state';
+
+const ROLE_RANK = { user: 0, approver: 1, admin: 2, super_admin: 3 };
+const DOMAIN_PATTERN = /^(?=.{4,253}$)([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/;
+
+const ssoError = (message, status = 401, code = 'SSO_FAILED') => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+// IdPs send groups as a list, a single value or a comma-separated string
+const toGroups = (value) => {
+  if (value === undefined || value === null) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(group => String(group).trim()).filter(Boolean);
+};
+
+const usernameBase = (email) => {
+  const local = String(email).split('@')[0].toLowerCase().replace(/[^a-z0-9._-]/g, '');
+  return (local.length >= 3 ? local : `${local}user`).slice(0, 24);
+};
+
+// Single sign-on through an organization's OIDC or SAML identity provider:
+// login redirects, callback validation, and mapping the IdP identity onto a
+// User (linking or just-in-time provisioning, role mapping)
+class SsoService {
+  urls(organization) {
+    return ssoUrls(SSO_BASE_URL, organization.slug);
+  }
+
+  async findOrganization(slug) {
+    const organization = await Organization.findOne({ slug: String(slug || '').toLowerCase() });
+    if (!organization || !organization.sso.enabled) {
+      throw ssoError('Single sign-on is not configured for this organization', 404, 'SSO_NOT_CONFIGURED');
+    }
+    return organization;
+  }
+
+  // Organization whose SSO applies to an email address, for the login page
+  async discover(email) {
+    const organization = await Organization.findByEmail(email);
+    if (!organization || !organization.sso.enabled) return null;
+    return {
+      organization: organization.slug,
+      name: organization.name,
+      protocol: organization.sso.protocol,
+      passwordLoginDisabled: organization.passwordLoginDisabled
+    };
+  }
+
+  // Organization that forbids password login for this account (or, with no
+  // account, for this address), or null. Super admins are exempt so a broken
+  // IdP cannot lock everyone out.
+  async passwordLoginBlockedBy(email, user) {
+    if (user?.role === 'super_admin') return null;
+
+    const organization = user?.organizationId
+      ? await Organization.findById(user.organizationId)
+      : await Organization.findByEmail(email);
+    return organization?.passwordLoginDisabled ? organization : null;
+  }
+
+  signState(payload) {
+    return jwt.sign({ ...payload, purpose: STATE_PURPOSE }, JWT_SECRET, { expiresIn: STATE_TTL });
+  }
+
+  verifyState(token, slug) {
+    try {
+      const state = jwt.verify(String(token || ''), JWT_SECRET);
+      if (state.purpose === STATE_PURPOSE && state.organization === slug) return state;
+    } catch (error) {
+      // Expired or forged: handled below
+    }
+    throw ssoError('Sign-in request expired, please try again');
+  }
+
+  // Where to send the browser, plus the state to hand back on the callback:
+  // OIDC keeps it in a cookie (it holds the PKCE verifier), SAML in the
+  // RelayState the IdP posts back
+  async startLogin(organization) {
+    const provider = createProvider(organization, SSO_BASE_URL);
+
+    if (provider.protocol === 'oidc') {
+      const { url, state, nonce, codeVerifier } = await provider.createAuthorizationRequest();
+      return {
+        redirectUrl: url,
+        stateCookie: this.signState({ organization: organization.slug, state, nonce, codeVerifier })
+      };
+    }
+
+    const requestId = provider.generateRequestId();
+    const relayState = this.signState({ organization: organization.slug, requestId });
+    return {
+      redirectUrl: await provider.createAuthorizationRequest({ requestId, relayState })
+    };
+  }
+
+  // Validates an OIDC callback and returns the signed-in user
+  async completeOidcLogin(organization, query, stateCookie) {
+    const state = this.verifyState(stateCookie, organization.slug);
+    const provider = createProvider(organization, SSO_BASE_URL);
+    const identity = await provider.handleCallback(query, state);
+    return this.resolveUser(organization, identity, 'oidc');
+  }
+
+  // Validates a SAML response posted to the ACS URL and returns the signed-in user
+  async completeSamlLogin(organization, body) {
+    const state = this.verifyState(body.RelayState, organization.slug);
+    const provider = createProvider(organization, SSO_BASE_URL);
+    const identity = await provider.handleResponse(body, state);
+    return this.resolveUser(organization, identity, 'saml');
+  }
+
+  samlMetadata(organization) {
+    if (organization.sso.protocol !== 'saml') {
+      throw ssoError('This organization does not use SAML', 404, 'SSO_NOT_CONFIGURED');
+    }
+    return createProvider(organization, SSO_BASE_URL).metadata();
+  }
+
+  // Applies admin input to an organization's settings. Secrets are only
+  // replaced when given (null removes them), and the result is checked by
+  // building its provider.
+  async applySettings(organization, input, actor) {
+    const { name, slug, domains, passwordLoginDisabled, sso = {} } = input;
+
+    if (name !== undefined) organization.name = name;
+    if (slug !== undefined) organization.slug = slug;
+    if (passwordLoginDisabled !== undefined) organization.passwordLoginDisabled = Boolean(passwordLoginDisabled);
+
+    if (domains !== undefined) {
+      if (!Array.isArray(domains) || domains.some(domain => !DOMAIN_PATTERN.test(String(domain).toLowerCase()))) {
+        throw ssoError('domains must be a list of domain names, e.g. ["example.com"]', 400, 'INVALID_SETTINGS');
+      }
+      organization.domains = Array.from(new Set(domains.map(domain => domain.toLowerCase())));
+
+      const taken = await Organization.findOne({ _id: { $ne: organization._id }, domains: { $in: organization.domains } });
+      if (taken) {
+        throw ssoError(`A domain is already claimed by ${taken.name}`, 400, 'INVALID_SETTINGS');
+      }
+    }
+
+    ['enabled', 'protocol', 'groupsAttribute', 'defaultRole', 'jitProvisioning'].forEach((field) => {
+      if (sso[field] !== undefined) organization.sso[field] = sso[field];
+    });
+    if (sso.roleMappings !== undefined) {
+      if (!Array.isArray(sso.roleMappings)) {
+        throw ssoError('roleMappings must be a list of { group, role }', 400, 'INVALID_SETTINGS');
+      }
+      organization.sso.roleMappings = sso.roleMappings.map(({ group, role }) => ({ group, role }));
+    }
+
+    ['issuer', 'clientId', 'clientSecret', 'scopes'].forEach((field) => {
+      if (sso.oidc?.[field] !== undefined) organization.sso.oidc[field] = sso.oidc[field] || undefined;
+    });
+    ['entryPoint', 'idpIssuer', 'idpCert', 'emailAttribute'].forEach((field) => {
+      if (sso.saml?.[field] !== undefined) organization.sso.saml[field] = sso.saml[field] || undefined;
+    });
+
+    // Only super admins may let an IdP grant super admin rights
+    const grantedRoles = [organization.sso.defaultRole, ...organization.sso.roleMappings.map(mapping => mapping.role)];
+    if (grantedRoles.includes('super_admin') && actor.role !== 'super_admin') {
+      throw ssoError('Only super admins can map IdP groups to the super_admin role', 403, 'INSUFFICIENT_PERMISSIONS');
+    }
+
+    if (organization.passwordLoginDisabled && !organization.sso.enabled) {
+      throw ssoError('Enable single sign-on before disabling password login', 400, 'INVALID_SETTINGS');
+    }
+    if (organization.sso.enabled) {
+      try {
+        createProvider(organization, SSO_BASE_URL);
+      } catch (error) {
+        throw ssoError(error.message, 400, 'INVALID_SETTINGS');
+      }
+    }
+
+    return organization;
+  }
+
+  // Highest role among the user's mapped groups, or the default role
+  mapRole(organization, groups) {
+    const matched = organization.sso.roleMappings
+      .filter(mapping => groups.includes(mapping.group))
+      .map(mapping => mapping.role);
+    if (matched.length === 0) return organization.sso.defaultRole;
+    return matched.reduce((best, role) => (ROLE_RANK[role] > ROLE_RANK[best] ? role : best));
+  }
+
+  // Finds the user linked to the IdP subject, links an existing account with
+  // the same email, or provisions a new one. Only addresses in the
+  // organization's domains are accepted, so an IdP cannot claim accounts of
+  // other organizations.
+  async resolveUser(organization, identity, protocol) {
+    if (!identity.subject) {
+      throw ssoError('The identity provider did not identify the user');
+    }
+
+    const groups = toGroups(identity.groups);
+    let user = await User.findOne({ organizationId: organization._id, ssoSubject: identity.subject });
+
+    if (!user) {
+      const email = String(identity.email || '').trim().toLowerCase();
+      if (!email) {
+        throw ssoError('The identity provider did not send an email address');
+      }
+      if (!organization.domains.includes(email.split('@')[1])) {
+        throw ssoError(`${email} is not an address of ${organization.name}`, 403, 'SSO_DOMAIN_MISMATCH');
+      }
+
+      user = await User.findOne({ email });
+      if (user?.organizationId && !user.organizationId.equals(organization._id)) {
+        throw ssoError('This account belongs to another organization', 403, 'SSO_ACCOUNT_CONFLICT');
+      }
+
+      // Members of the organization are matched by email too, since some
+      // IdPs send a new (transient) subject on every login
+      if (user && !user.organizationId) {
+        if (!identity.emailVerified) {
+          throw ssoError('The identity provider has not verified this email address', 403, 'SSO_EMAIL_UNVERIFIED');
+        }
+        logger.info(`Linked ${protocol} identity to existing user ${email} (${organization.slug})`);
+      } else if (!user) {
+        if (!organization.sso.jitProvisioning) {
+          throw ssoError(`No account exists for ${email}, ask an administrator to create one`, 403, 'SSO_NO_ACCOUNT');
+        }
+        user = new User({
+          username: await this.availableUsername(email),
+          email,
+          // Never used: SSO accounts sign in through the IdP
+          password: crypto.randomBytes(32).toString('base64url'),
+          firstName: identity.firstName || String(identity.name || '').split(' ')[0] || email.split('@')[0],
+          lastName: identity.lastName || String(identity.name || '').split(' ').slice(1).join(' ') || '-',
+          role: this.mapRole(organization, groups)
+        });
+        logger.info(`Provisioned ${protocol} user ${email} (${organization.slug})`);
+      }
+
+      user.organizationId = organization._id;
+      user.organizationRole = user.organizationRole || 'member';
+      user.ssoSubject = identity.subject;
+      user.authProvider = protocol;
+      if (identity.emailVerified) user.isEmailVerified = true;
+    }
+
+    if (!user.isActive) {
+      throw ssoError('Account is deactivated');
+    }
+
+    // With mappings configured, the IdP is the source of truth for roles
+    if (organization.sso.roleMappings.length > 0) {
+      const role = this.mapRole(organization, groups);
+      if (role !== user.role) {
+        logger.info(`Role of ${user.email} changed from ${user.role} to ${role} by IdP groups (${organization.slug})`);
+        user.role = role;
+      }
+    }
+
+    await user.save();
+    return user;
+  }
+
+  async availableUsername(email) {
+    const base = usernameBase(email);
+    let candidate = base;
+    for (let attempt = 0; attempt < 5; attempt++) {
+      if (!(await User.exists({ username: candidate }))) return candidate;
+      candidate = `${base}-${crypto.randomBytes(2).toString('hex')}`;
+    }
+    return `${base}-${crypto.randomBytes(4).toString('hex')}`;
+  }
+}
+
+// Singleton instance
+const ssoService = new SsoService();
+
+module.exports = {
+  ssoService
+};
@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const winston = require('winston');
+const TerraformState = require('../models/TerraformState');
+const TerraformStateVersion = require('../models/TerraformStateVersion');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/state-backend.log' })
+  ]
+});
+
+const DUPLICATE_KEY = 11000;
+
+const readInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// Errors carry the HTTP status the backend protocol expects; 423 errors
+// also carry the current lock, which Terraform prints to the user
+const backendError = (status, message, lock) => {
+  const error = new Error(message);
+  error.status = status;
+  if (lock) error.lock = lock;
+  return error;
+};
+
+// Server side of Terraform's `http` backend. Every project's state is kept
+// as numbered versions in MongoDB and guarded by a single lock, so state
+// survives container rebuilds and concurrent runs cannot overwrite each other.
+class StateBackend {
+  constructor() {
+    this.baseUrl = (process.env.TERRAFORM_BACKEND_URL || `http://127.0.0.1:${process.env.PORT || 5000}/api/terraform/state`).replace(/\/$/, '');
+    this.secret = process.env.TERRAFORM_BACKEND_SECRET || process.env.JWT_SECRET || 'fallback-secret-key';
+    this.historyLimit = readInt(process.env.TERRAFORM_STATE_HISTORY, 50);
+  }
+
+  // Each project gets its own credentials so a working directory can only
+  // reach its own state
+  getPassword(projectId) {
+    return crypto.createHmac('sha256', this.secret).update(`terraform-state:${projectId}`).digest('hex');
+  }
+
+  verifyCredentials(projectId, username, password) {
+    if (username !== projectId || typeof password !== 'string') return false;
+
+    const expected = Buffer.from(this.getPassword(projectId));
+    const given = Buffer.from(password);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+
+  // Settings for the `backend "http"` block of a project's configuration.
+  // The credentials are not among them: the block is written to the working
+  // directory, so they are passed in the environment (getCredentialsEnv).
+  getBackendConfig(projectId) {
+    const address = `${this.baseUrl}/${projectId}`;
+    return {
+      address,
+      lock_address: `${address}/lock`,
+      unlock_address: `${address}/lock`
+    };
+  }
+
+  // Environment variables the `http` backend reads its credentials from
+  getCredentialsEnv(projectId) {
+    return {
+      TF_HTTP_USERNAME: projectId,
+      TF_HTTP_PASSWORD: this.getPassword(projectId)
+    };
+  }
+
+  async getState(projectId) {
+    return TerraformStateVersion.findOne({ projectId }).sort({ version: -1 });
+  }
+
+  async listVersions(projectId) {
+    return TerraformStateVersion.find({ projectId })
+      .sort({ version: -1 })
+      .select('-state');
+  }
+
+  // Store a new state version. While the state is locked only the holder of
+  // the lock (Terraform sends its ID as `?ID=`) may write.
+  async saveState(projectId, body, { lockId, md5 } = {}) {
+    if (md5 && md5 !== crypto.createHash('md5').update(body).digest('base64')) {
+      throw backendError(400, 'Content-MD5 does not match the state');
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(body.toString());
+    } catch (error) {
+      throw backendError(400, 'State is not valid JSON');
+    }
+
+    let record;
+    try {
+      record = await TerraformState.findOneAndUpdate(
+        { projectId, $or: [{ lock: null }, ...(lockId ? [{ 'lock.ID': lockId }] : [])] },
+        { $inc: { version: 1 } },
+        { new: true, upsert: true }
+      );
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY) throw error;
+      const current = await TerraformState.findOne({ projectId });
+      throw backendError(423, 'State is locked', current?.lock);
+    }
+
+    await TerraformStateVersion.create({
+      projectId,
+      version: record.version,
+      serial: parsed.serial,
+      lineage: parsed.lineage,
+      md5: crypto.createHash('md5').update(body).digest('base64'),
+      state: body.toString(),
+      lockId
+    });
+
+    if (this.historyLimit > 0) {
+      await TerraformStateVersion.deleteMany({ projectId, version: { $lte: record.version - this.historyLimit } });
+    }
+
+    logger.info(`State version ${record.version} (serial ${parsed.serial}) stored for project ${projectId}`);
+    return record.version;
+  }
+
+  // Take the lock, or fail with 423 and the current holder
+  async lock(projectId, info) {
+    if (!info?.ID) {
+      throw backendError(400, 'Lock info must include an ID');
+    }
+
+    try {
+      await TerraformState.findOneAndUpdate(
+        { projectId, lock: null },
+        { $set: { lock: info, lockedAt: new Date() } },
+        { new: true, upsert: true }
+      );
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY) throw error;
+      const current = await TerraformState.findOne({ projectId });
+      throw backendError(423, 'State is locked', current?.lock);
+    }
+
+    logger.info(`State of project ${projectId} locked by ${info.Who} for ${info.Operation} (${info.ID})`);
+  }
+
+  // Release the lock held under `info.ID`. `terraform force-unlock` sends no
+  // lock info, and releases whatever lock is held.
+  async unlock(projectId, info) {
+    const filter = info?.ID ? { projectId, 'lock.ID': info.ID } : { projectId };
+    const released = await TerraformState.findOneAndUpdate(
+      filter,
+      { $set: { lock: null, lockedAt: null } }
+    );
+
+    if (!released) {
+      const current = await TerraformState.findOne({ projectId });
+      if (current?.lock) {
+        throw backendError(423, 'State is locked by another operation', current.lock);
+      }
+      return;
+    }
+
+    if (released.lock) {
+      logger.info(`State of project ${projectId} unlocked (${released.lock.ID})${info?.ID ? '' : ' by force'}`);
+    }
+  }
+
+  async deleteState(projectId, { lockId } = {}) {
+    const current = await TerraformState.findOne({ projectId });
+    if (current?.lock && current.lock.ID !== lockId) {
+      throw backendError(423, 'State is locked', current.lock);
+    }
+
+    await TerraformStateVersion.deleteMany({ projectId });
+    await TerraformState.deleteOne({ projectId });
+    logger.info(`State deleted for project ${projectId}`);
+  }
+}
+
+// Singleton instance
+const stateBackend = new StateBackend();
+
+module.exports = {
+  stateBackend
+};
@@ -0,0 +1,67 @@
+const PLAN_PATTERN = /Plan: (\d+) to add, (\d+) to change, (\d+) to destroy/;
+const RESOURCE_DONE_PATTERN = /^(\S+): (?:Creation|Modifications|Destruction) complete/;
+const RUN_DONE_PATTERN = /^(?:Apply|Destroy) complete!/;
+
+// Share of the progress bar given to each phase before resources change
+const PHASE_PERCENT = {
+  init: 5,
+  plan: 15,
+  apply: 20,
+  destroy: 20
+};
+
+// Tracks how far a Terraform run has got from its (-no-color) output lines:
+// the plan summary gives the number of resource changes, and every
+// "<address>: Creation/Modifications/Destruction complete" line is one done.
+// Applying a saved plan prints no summary, so `total` can be given upfront.
+class TerraformProgress {
+  constructor({ total = null } = {}) {
+    this.phase = 'init';
+    this.completed = 0;
+    this.total = total;
+    this.finished = false;
+  }
+
+  update(phase, line) {
+    this.phase = phase;
+    const text = line.trim();
+
+    const plan = text.match(PLAN_PATTERN);
+    if (plan) {
+      this.total = plan.slice(1).reduce((sum, count) => sum + Number(count), 0);
+      return;
+    }
+
+    if (RESOURCE_DONE_PATTERN.test(text)) {
+      this.completed++;
+      return;
+    }
+
+    if (RUN_DONE_PATTERN.test(text)) {
+      this.finished = true;
+    }
+  }
+
+  get percent() {
+    if (this.finished) return 100;
+
+    const start = PHASE_PERCENT[this.phase] || 0;
+    if ((this.phase !== 'apply' && this.phase !== 'destroy') || !this.total) {
+      return start;
+    }
+    return Math.min(99, Math.round(start + (100 - start) * (this.completed / this.total)));
+  }
+
+  toJSON() {
+    return {
+      phase: this.phase,
+      completed: this.completed,
+      total: this.total,
+      percent: this.percent
+    };
+  }
+}
+
+module.exports = {
+  TerraformProgress
+};
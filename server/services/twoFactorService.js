@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const winston = require('winston');
+const User = require('../models/User');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const { encryptionService } = require('./encryptionService');
+const { sessionService } = require('./sessionService');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/two-factor.log' })
+  ]
+});
+
+const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret-key';
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Cloud Playground';
+
+// RFC 6238 defaults, which every authenticator app supports
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept the previous and next code too, for clock drift between devices
+const DRIFT_STEPS = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCK_MS = 15 * 60 * 1000;
+
+// Interim tokens prove the password was checked; they are not access tokens
+const INTERIM_TOKEN_TTL = '5m';
+const INTERIM_PURPOSES = ['2fa', '2fa-setup'];
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach((byte) => { bits += byte.toString(2).padStart(8, '0'); });
+  return (bits.match(/.{1,5}/g) || [])
+    .map(chunk => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)])
+    .join('');
+};
+
+const base32Decode = (encoded) => {
+  const bits = encoded.replace(/=+$/, '').toUpperCase().split('')
+    .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+    .join('');
+  return Buffer.from((bits.match(/.{8}/g) || []).map(byte => parseInt(byte, 2)));
+};
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-f0-9]/g, ''))
+  .digest('hex');
+
+const twoFactorError = (message, status = 400, code) => {
+  const error = new Error(message);
+  error.status = status;
+  if (code) error.code = code;
+  return error;
+};
+
+// TOTP (RFC 6238) enrollment, verification and recovery codes
+class TwoFactorService {
+  generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+    return String(value).padStart(DIGITS, '0');
+  }
+
+  currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+  }
+
+  // Time step of the matching code, or null. Steps at or before
+  // lastUsedStep are rejected so an observed code cannot be replayed.
+  matchCode(secret, code, lastUsedStep) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+    const current = this.currentStep();
+    for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+      if (lastUsedStep !== undefined && lastUsedStep !== null && step <= lastUsedStep) continue;
+
+      const expected = this.generateCode(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  provisioningUri(secret, account) {
+    const label = encodeURIComponent(`${ISSUER}:${account}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: ISSUER,
+      algorithm: 'SHA1',
+      digits: String(DIGITS),
+      period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const code = crypto.randomBytes(5).toString('hex');
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+
+  async getRequiredRoles() {
+    const policy = await SecurityPolicy.getPolicy();
+    return policy.twoFactorRequiredRoles || [];
+  }
+
+  async isRequired(user) {
+    return (await this.getRequiredRoles()).includes(user.role);
+  }
+
+  async describe(user) {
+    return {
+      enabled: Boolean(user.twoFactor?.enabled),
+      enabledAt: user.twoFactor?.enabledAt,
+      recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0,
+      required: await this.isRequired(user)
+    };
+  }
+
+  signInterimToken(user, purpose) {
+    return jwt.sign({ userId: user._id, purpose }, JWT_SECRET, { expiresIn: INTERIM_TOKEN_TTL });
+  }
+
+  // User id of a valid interim token with the given purpose, or null
+  verifyInterimToken(token, purpose) {
+    try {
+      const decoded = jwt.verify(token, JWT_SECRET);
+      return INTERIM_PURPOSES.includes(decoded.purpose) && decoded.purpose === purpose ? decoded.userId : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Starts (or restarts) enrollment. The secret only becomes active once a
+  // code generated from it is confirmed with enable().
+  async beginEnrollment(user) {
+    if (user.twoFactor?.enabled) {
+      throw twoFactorError('Two-factor authentication is already enabled');
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    return {
+      secret,
+      otpauthUrl: this.provisioningUri(secret, user.email)
+    };
+  }
+
+  // Confirms enrollment and returns the recovery codes, shown only once
+  async enable(user, code) {
+    if (user.twoFactor?.enabled) {
+      throw twoFactorError('Two-factor authentication is already enabled');
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      throw twoFactorError('Start two-factor setup first');
+    }
+
+    const secret = encryptionService.decrypt(user.twoFactor.pendingSecret);
+    const step = this.matchCode(secret, code);
+    if (step === null) {
+      throw twoFactorError('Invalid authentication code', 400, 'INVALID_2FA_CODE');
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    user.twoFactor.secret = secret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    user.twoFactor.failedAttempts = 0;
+    await user.save();
+
+    logger.info(`Two-factor authentication enabled: ${user.email}`);
+    return recoveryCodes;
+  }
+
+  // Checks a TOTP code or a recovery code for a user who has 2FA enabled.
+  // Recovery codes are single-use. Repeated failures lock verification for
+  // a while to stop guessing.
+  async verify(user, { code, recoveryCode } = {}) {
+    if (!user.twoFactor?.enabled) return true;
+
+    if (user.twoFactor.lockedUntil && user.twoFactor.lockedUntil > new Date()) {
+      throw twoFactorError('Too many failed attempts, try again later', 429, 'TWO_FACTOR_LOCKED');
+    }
+
+    let accepted = false;
+    if (recoveryCode) {
+      const hash = hashRecoveryCode(recoveryCode);
+      const index = user.twoFactor.recoveryCodes.indexOf(hash);
+      if (index !== -1) {
+        user.twoFactor.recoveryCodes.splice(index, 1);
+        accepted = true;
+        logger.warn(`Recovery code used: ${user.email} (${user.twoFactor.recoveryCodes.length} left)`);
+      }
+    } else {
+      const step = this.matchCode(
+        encryptionService.decrypt(user.twoFactor.secret),
+        code,
+        user.twoFactor.lastUsedStep
+      );
+      if (step !== null) {
+        user.twoFactor.lastUsedStep = step;
+        accepted = true;
+      }
+    }
+
+    if (accepted) {
+      user.twoFactor.failedAttempts = 0;
+      user.twoFactor.lockedUntil = undefined;
+    } else {
+      user.twoFactor.failedAttempts = (user.twoFactor.failedAttempts || 0) + 1;
+      if (user.twoFactor.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+        user.twoFactor.failedAttempts = 0;
+        user.twoFactor.lockedUntil = new Date(Date.now() + LOCK_MS);
+        logger.warn(`Two-factor verification locked after repeated failures: ${user.email}`);
+      }
+    }
+
+    await user.save();
+    return accepted;
+  }
+
+  async disable(user) {
+    if (await this.isRequired(user)) {
+      throw twoFactorError(`Two-factor authentication is required for the ${user.role} role`, 403, 'TWO_FACTOR_REQUIRED');
+    }
+
+    user.twoFactor = { enabled: false, failedAttempts: 0 };
+    await user.save();
+    logger.info(`Two-factor authentication disabled: ${user.email}`);
+  }
+
+  async regenerateRecoveryCodes(user) {
+    const recoveryCodes = this.generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+    return recoveryCodes;
+  }
+
+  // Makes 2FA mandatory for the given roles. Signed-in users of those roles
+  // who have not enrolled are signed out, so they enroll on their next login.
+  async updateRequiredRoles(roles, updatedBy) {
+    const policy = await SecurityPolicy.findOneAndUpdate(
+      { key: 'global' },
+      { $set: { twoFactorRequiredRoles: roles, updatedBy, updatedAt: new Date() } },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    const unenrolled = await User.find({
+      role: { $in: roles },
+      'twoFactor.enabled': { $ne: true }
+    }).distinct('_id');
+
+    for (const userId of unenrolled) {
+      await sessionService.revokeAll(userId, { reason: 'revoked' });
+    }
+
+    logger.info(`Two-factor authentication required for roles: ${roles.join(', ') || 'none'} (${unenrolled.length} users signed out to enroll)`);
+    return policy;
+  }
+}
+
+// Singleton instance
+const twoFactorService = new TwoFactorService();
+
+module.exports = {
+  twoFactorService
+};
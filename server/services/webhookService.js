@@ -182,6 +182,25 @@ class WebhookService {
     ]);
   }
 
+  async sendDriftReport(report, deployment) {
+    const message = `Drift detected: ${deployment.name} no longer matches its Terraform configuration`;
+    const metadata = {
+      'Project': report.projectId,
+      'Deployment': report.deploymentId,
+      'Provider': deployment.provider,
+      'Environment': deployment.environment || 'production',
+      'Drifted Resources': report.resources.length,
+      'Resources': report.resources
+        .map(resource => `${resource.address} (${resource.action === 'delete' ? 'deleted' : `${resource.changes.length} attribute(s) changed`})`)
+        .join(', ')
+    };
+
+    await Promise.all([
+      this.sendSlackNotification(message, 'warning', metadata),
+      this.sendTeamsNotification(message, 'warning', metadata)
+    ]);
+  }
+
   async sendComplianceReport(report) {
     const message = `Compliance Report: ${report.framework} assessment completed`;
     const metadata = {
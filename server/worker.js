@@ -0,0 +1,59 @@
+// Load environment variables before services read their configuration
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const winston = require('winston');
+
+const { initializeCloudProviders } = require('./services/cloudService');
+const { jobQueue } = require('./services/jobQueue');
+const { registerDeploymentJobs, scheduleDriftChecks } = require('./services/deploymentJobs');
+const { initializeDeploymentEvents } = require('./services/deploymentEvents');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/worker.log' }),
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+// Standalone background job worker (`npm run worker`). Run as many as needed;
+// jobs are claimed atomically so each one is processed by a single worker.
+const start = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cloud-playground');
+    logger.info('Connected to MongoDB');
+
+    await initializeCloudProviders();
+    await initializeDeploymentEvents();
+    registerDeploymentJobs(jobQueue);
+    await jobQueue.start();
+    await scheduleDriftChecks(jobQueue);
+  } catch (error) {
+    logger.error('Worker startup error:', error);
+    process.exit(1);
+  }
+};
+
+const shutdown = async (signal) => {
+  logger.info(`${signal} received, stopping worker`);
+  await jobQueue.stop();
+  await mongoose.connection.close();
+  logger.info('MongoDB connection closed');
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+start();